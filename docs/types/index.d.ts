@@ -21,6 +21,176 @@
 /// <reference types="@stdlib/types"/>
 
 import { ModuleWrapper, Memory } from '@stdlib/types/wasm';
+import { Complex64Array, TypedArray, ComplexTypedArray } from '@stdlib/types/array';
+import { Complex64 } from '@stdlib/types/complex';
+
+/**
+* 16-bit floating-point format.
+*
+* ## Notes
+*
+* -   `'float16'`: IEEE 754 half-precision floating-point numbers.
+* -   `'bfloat16'`: "brain" floating-point numbers (i.e., the upper 16 bits of single-precision floating-point numbers).
+*/
+type HalfFormat = 'float16' | 'bfloat16';
+
+/**
+* `NaN` handling policy.
+*
+* ## Notes
+*
+* -   `'propagate'`: include pairs containing `NaN` in computation, such that the result is `NaN`.
+* -   `'ignore'`: exclude pairs containing `NaN` from computation.
+* -   `'error'`: throw an error upon encountering a pair containing `NaN`.
+*/
+type NaNPolicy = 'propagate' | 'ignore' | 'error';
+
+/**
+* Quantized input array data type.
+*
+* ## Notes
+*
+* -   `'int8'`: signed 8-bit integers.
+* -   `'uint8'`: unsigned 8-bit integers.
+*/
+type QuantizedDtype = 'int8' | 'uint8';
+
+/**
+* Block-scaled 8-bit floating-point format.
+*
+* ## Notes
+*
+* -   `'e4m3'`: OCP FP8 E4M3 floating-point numbers (4 exponent bits and 3 mantissa bits, no infinities).
+* -   `'e5m2'`: OCP FP8 E5M2 floating-point numbers (5 exponent bits and 2 mantissa bits).
+*/
+type FP8Format = 'e4m3' | 'e5m2';
+
+/**
+* Module memory usage statistics.
+*/
+interface HeapStats {
+	/**
+	* Total number of bytes of module memory.
+	*/
+	capacity: number;
+
+	/**
+	* Number of live allocations (including, for routines, pinned arrays).
+	*/
+	allocations: number;
+
+	/**
+	* Total number of allocated bytes.
+	*/
+	allocated: number;
+
+	/**
+	* Total number of unallocated bytes, including alignment padding and gaps left by released allocations.
+	*/
+	free: number;
+
+	/**
+	* Number of bytes in the largest contiguous block of unallocated memory.
+	*/
+	largestFree: number;
+
+	/**
+	* One minus the ratio of `largestFree` to `free`.
+	*/
+	fragmentation: number;
+}
+
+/**
+* Little-endian single-precision floating-point typed array.
+*/
+interface Float32ArrayLE {
+	/**
+	* Number of array elements.
+	*/
+	readonly length: number;
+
+	/**
+	* Offset (in bytes) of the array from the start of its underlying `ArrayBuffer`.
+	*/
+	readonly byteOffset: number;
+
+	/**
+	* Array length (in bytes).
+	*/
+	readonly byteLength: number;
+
+	/**
+	* Returns an array element.
+	*
+	* @param idx - element index
+	* @returns array element
+	*/
+	get( idx: number ): number | void;
+
+	/**
+	* Sets one or more array elements.
+	*
+	* @param value - value(s)
+	* @param idx - element index at which to start writing values (default: 0)
+	*/
+	set( value: number | ArrayLike<number>, idx?: number ): void;
+}
+
+/**
+* Pointer handle describing a strided vector of single-precision floating-point numbers stored in module memory.
+*/
+interface Pointer {
+	/**
+	* Byte offset of the first vector element.
+	*/
+	readonly byteOffset: number;
+
+	/**
+	* Number of vector elements.
+	*/
+	readonly length: number;
+
+	/**
+	* Vector element data type.
+	*/
+	readonly dtype: 'float32';
+
+	/**
+	* Number of elements between consecutive vector elements.
+	*/
+	readonly stride: number;
+
+	/**
+	* Size (in bytes) of each vector element.
+	*/
+	readonly BYTES_PER_ELEMENT: 4;
+
+	/**
+	* Number of bytes spanned by the vector.
+	*/
+	readonly byteLength: number;
+
+	/**
+	* Returns a little-endian typed array view over the memory spanned by the vector.
+	*
+	* @returns typed array view
+	*/
+	view(): Float32ArrayLE;
+}
+
+/**
+* Module options.
+*/
+interface ModuleOptions {
+	/**
+	* Boolean indicating whether methods should verify that every accessed element of each array argument lies within module memory and is properly aligned prior to computation (default: false).
+	*
+	* ## Notes
+	*
+	* -   Checked mode applies to every pointer argument, including workspaces, output arrays, index arrays, masks, and block scales. Each pointer must be aligned to a multiple of the size of its array's elements (e.g., `2` bytes for half-precision arrays and `8` bytes for double-precision and complex arrays).
+	*/
+	checked?: boolean;
+}
 
 /**
 * Interface defining a module constructor which is both "newable" and "callable".
@@ -30,6 +200,8 @@ interface ModuleConstructor {
 	* Returns a new WebAssembly module wrapper instance which uses the provided WebAssembly memory instance as its underlying memory.
 	*
 	* @param mem - WebAssembly memory instance
+	* @param options - module options
+	* @param options.checked - boolean indicating whether methods should verify that every accessed element of each array argument lies within module memory and is properly aligned prior to computation (default: false)
 	* @returns module wrapper instance
 	*
 	* @example
@@ -70,12 +242,14 @@ interface ModuleConstructor {
 	* var dot = mod.main( N, 0.0, xptr, 1, yptr, 1 );
 	* // returns 15.0
 	*/
-	new( mem: Memory ): Module; // newable
+	new( mem: Memory, options?: ModuleOptions ): Module; // newable
 
 	/**
 	* Returns a new WebAssembly module wrapper instance which uses the provided WebAssembly memory instance as its underlying memory.
 	*
 	* @param mem - WebAssembly memory instance
+	* @param options - module options
+	* @param options.checked - boolean indicating whether methods should verify that every accessed element of each array argument lies within module memory and is properly aligned prior to computation (default: false)
 	* @returns module wrapper instance
 	*
 	* @example
@@ -116,7 +290,7 @@ interface ModuleConstructor {
 	* var dot = mod.main( N, 0.0, xptr, 1, yptr, 1 );
 	* // returns 15.0
 	*/
-	( mem: Memory ): Module; // callable
+	( mem: Memory, options?: ModuleOptions ): Module; // callable
 }
 
 /**
@@ -128,9 +302,9 @@ interface Module extends ModuleWrapper {
 	*
 	* @param N - number of indexed elements
 	* @param scalar - scalar constant to add to dot product
-	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
 	* @param strideX - `x` stride length
-	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
 	* @param strideY - `y` stride length
 	* @returns dot product
 	*
@@ -172,17 +346,17 @@ interface Module extends ModuleWrapper {
 	* var dot = mod.main( N, 0.0, xptr, 1, yptr, 1 );
 	* // returns 15.0
 	*/
-	main( N: number, scalar: number, xptr: number, strideX: number, yptr: number, strideY: number ): number;
+	main( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number ): number;
 
 	/**
 	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics.
 	*
 	* @param N - number of indexed elements
 	* @param scalar - scalar constant to add to dot product
-	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
 	* @param strideX - `x` stride length
 	* @param offsetX - starting index for `x`
-	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
 	* @param strideY - `y` stride length
 	* @param offsetY - starting index for `y`
 	* @returns dot product
@@ -225,104 +399,3217 @@ interface Module extends ModuleWrapper {
 	* var dot = mod.ndarray( N, 0.0, xptr, 1, 0, yptr, 1, 0 );
 	* // returns 15.0
 	*/
-	ndarray( N: number, scalar: number, xptr: number, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number ): number;
-}
+	ndarray( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number ): number;
 
-/**
-* Interface describing `sdsdot`.
-*/
-interface Routine extends ModuleWrapper {
 	/**
-	* Computes the dot product of two single-precision floating-point vectors with extended accumulation.
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation and returns the result as a double-precision floating-point number.
 	*
 	* @param N - number of indexed elements
 	* @param scalar - scalar constant to add to dot product
-	* @param x - first input array
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
 	* @param strideX - `x` stride length
-	* @param y - second input array
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
 	* @param strideY - `y` stride length
 	* @returns dot product
 	*
 	* @example
-	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
 	*
-	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
-	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
 	*
-	* var dot = sdsdot.main( x.length, 0.0, x, 1, y, 1 );
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.mainDouble( 5, 0.0, 0, 1, 20, 1 );
 	* // returns 15.0
 	*/
-	main( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+	mainDouble( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number ): number;
 
 	/**
-	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics.
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and returns the result as a double-precision floating-point number.
 	*
 	* @param N - number of indexed elements
 	* @param scalar - scalar constant to add to dot product
-	* @param x - first input array
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
 	* @param strideX - `x` stride length
 	* @param offsetX - starting index for `x`
-	* @param y - second input array
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
 	* @param strideY - `y` stride length
 	* @param offsetY - starting index for `y`
 	* @returns dot product
 	*
 	* @example
-	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
 	*
-	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
-	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
 	*
-	* var dot = sdsdot.ndarray( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.ndarrayDouble( 5, 0.0, 0, 1, 0, 20, 1, 0 );
 	* // returns 15.0
 	*/
-	ndarray( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+	ndarrayDouble( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number ): number;
 
 	/**
-	* Returns a new WebAssembly module wrapper instance which uses the provided WebAssembly memory instance as its underlying memory.
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation.
 	*
-	* @param mem - WebAssembly memory instance
-	* @returns module wrapper instance
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @returns dot product
 	*
 	* @example
 	* var Memory = require( '@stdlib/wasm-memory' );
 	* var oneTo = require( '@stdlib/array-one-to' );
 	* var ones = require( '@stdlib/array-ones' );
-	* var zeros = require( '@stdlib/array-zeros' );
-	* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
 	*
-	* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
 	* var mem = new Memory({
-	*     'initial': 10,
-	*     'maximum': 100
+	*     'initial': 1
 	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
 	*
-	* // Create a BLAS routine:
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.mainCompensated( 5, 0.0, 0, 1, 20, 1 );
+	* // returns 15.0
+	*/
+	mainCompensated( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
 	* var mod = new sdsdot.Module( mem );
-	* // returns <Module>
+	* mod.initializeSync();
 	*
-	* // Initialize the routine:
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.ndarrayCompensated( 5, 0.0, 0, 1, 0, 20, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayCompensated( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
 	* mod.initializeSync();
 	*
-	* // Define a vector data type:
-	* var dtype = 'float32';
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
 	*
-	* // Specify a vector length:
-	* var N = 5;
+	* var dot = mod.mainExact( 5, 0.0, 0, 1, 20, 1, 40 );
+	* // returns 15.0
+	*/
+	mainExact( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number, wptr: number ): number;
+
+	/**
+	* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics.
 	*
-	* // Define pointers (i.e., byte offsets) for storing two vectors:
-	* var xptr = 0;
-	* var yptr = N * bytesPerElement( dtype );
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+	* @returns dot product
 	*
-	* // Write vector values to module memory:
-	* mod.write( xptr, oneTo( N, dtype ) );
-	* mod.write( yptr, ones( N, dtype ) );
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
 	*
-	* // Perform computation:
-	* var dot = mod.main( N, 0.0, xptr, 1, yptr, 1 );
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.ndarrayExact( 5, 0.0, 0, 1, 0, 20, 1, 0, 40 );
 	* // returns 15.0
 	*/
-	Module: ModuleConstructor;
+	ndarrayExact( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number, wptr: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors using exact accumulation and returns the correctly rounded double-precision result.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.mainExactDouble( 5, 0.0, 0, 1, 20, 1, 40 );
+	* // returns 15.0
+	*/
+	mainExactDouble( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number, wptr: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics and returns the correctly rounded double-precision result.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.ndarrayExactDouble( 5, 0.0, 0, 1, 0, 20, 1, 0, 40 );
+	* // returns 15.0
+	*/
+	ndarrayExactDouble( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number, wptr: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.mainDot2( 5, 0.0, 0, 1, 20, 1 );
+	* // returns 15.0
+	*/
+	mainDot2( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.ndarrayDot2( 5, 0.0, 0, 1, 0, 20, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayDot2( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result to an output array as an unevaluated double-double pair.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param outptr - output array pointer (i.e., byte offset)
+	* @param strideOut - `out` stride length
+	* @returns output array pointer (i.e., byte offset)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var ptr = mod.mainDoubleDouble( 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	* // returns 40
+	*
+	* var out = zeros( 2, 'float64' );
+	* mod.read( 40, out );
+	* // out => <Float64Array>[ 15.0, 0.0 ]
+	*/
+	mainDoubleDouble( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number, outptr: number, strideOut: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result to an output array as an unevaluated double-double pair.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param outptr - output array pointer (i.e., byte offset)
+	* @param strideOut - `out` stride length
+	* @param offsetOut - starting index for `out`
+	* @returns output array pointer (i.e., byte offset)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var ptr = mod.ndarrayDoubleDouble( 5, 0.0, 0, 1, 0, 20, 1, 0, 40, 1, 0 );
+	* // returns 40
+	*
+	* var out = zeros( 2, 'float64' );
+	* mod.read( 40, out );
+	* // out => <Float64Array>[ 15.0, 0.0 ]
+	*/
+	ndarrayDoubleDouble( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number, outptr: number, strideOut: number, offsetOut: number ): number;
+
+	/**
+	* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation.
+	*
+	* @param B - number of batches
+	* @param N - number of indexed elements
+	* @param sptr - scalar constant array pointer (i.e., byte offset or pointer handle)
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param batchStrideX - stride length between consecutive `x` vectors
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param batchStrideY - stride length between consecutive `y` vectors
+	* @param outptr - output array pointer (i.e., byte offset or pointer handle)
+	* @returns output array pointer (i.e., byte offset or pointer handle)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 6, 'float32' ) );
+	* mod.write( 24, ones( 6, 'float32' ) );
+	* mod.write( 48, zeros( 2, 'float32' ) );
+	*
+	* var ptr = mod.mainBatched( 2, 3, 48, 0, 1, 3, 24, 1, 3, 56 );
+	* // returns 56
+	*
+	* var out = zeros( 2, 'float32' );
+	* mod.read( 56, out );
+	* // out => <Float32Array>[ 6.0, 15.0 ]
+	*/
+	mainBatched( B: number, N: number, sptr: number | Pointer, xptr: number | Pointer, strideX: number, batchStrideX: number, yptr: number | Pointer, strideY: number, batchStrideY: number, outptr: number | Pointer ): number | Pointer;
+
+	/**
+	* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation using alternative indexing semantics.
+	*
+	* @param B - number of batches
+	* @param N - number of indexed elements
+	* @param sptr - scalar constant array pointer (i.e., byte offset or pointer handle)
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param batchStrideX - stride length between consecutive `x` vectors
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param batchStrideY - stride length between consecutive `y` vectors
+	* @param offsetY - starting index for `y`
+	* @param outptr - output array pointer (i.e., byte offset or pointer handle)
+	* @returns output array pointer (i.e., byte offset or pointer handle)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 6, 'float32' ) );
+	* mod.write( 24, ones( 6, 'float32' ) );
+	* mod.write( 48, zeros( 2, 'float32' ) );
+	*
+	* var ptr = mod.ndarrayBatched( 2, 3, 48, 0, 1, 3, 0, 24, 1, 3, 0, 56 );
+	* // returns 56
+	*
+	* var out = zeros( 2, 'float32' );
+	* mod.read( 56, out );
+	* // out => <Float32Array>[ 6.0, 15.0 ]
+	*/
+	ndarrayBatched( B: number, N: number, sptr: number | Pointer, xptr: number | Pointer, strideX: number, batchStrideX: number, offsetX: number, yptr: number | Pointer, strideY: number, batchStrideY: number, offsetY: number, outptr: number | Pointer ): number | Pointer;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.mainReproducible( 5, 0.0, 0, 1, 20, 1 );
+	* // returns 15.0
+	*/
+	mainReproducible( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var dot = mod.ndarrayReproducible( 5, 0.0, 0, 1, 0, 20, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayReproducible( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result, along with error diagnostics, to an output array.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param outptr - output array pointer (i.e., byte offset)
+	* @param strideOut - `out` stride length
+	* @returns output array pointer (i.e., byte offset)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var ptr = mod.mainDiagnostics( 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	* // returns 40
+	*
+	* var out = zeros( 4, 'float64' );
+	* mod.read( 40, out );
+	* // out => <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+	*/
+	mainDiagnostics( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number, outptr: number, strideOut: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result, along with error diagnostics, to an output array.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param outptr - output array pointer (i.e., byte offset)
+	* @param strideOut - `out` stride length
+	* @param offsetOut - starting index for `out`
+	* @returns output array pointer (i.e., byte offset)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	*
+	* var ptr = mod.ndarrayDiagnostics( 5, 0.0, 0, 1, 0, 20, 1, 0, 40, 1, 0 );
+	* // returns 40
+	*
+	* var out = zeros( 4, 'float64' );
+	* mod.read( 40, out );
+	* // out => <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+	*/
+	ndarrayDiagnostics( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number, outptr: number, strideOut: number, offsetOut: number ): number;
+
+	/**
+	* Computes the dot product of two 16-bit floating-point vectors with extended accumulation.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Uint16Array = require( '@stdlib/array-uint16' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Uint16Array( [ 0x3c00, 0x4000, 0x4200, 0x4400, 0x4500 ] ) );
+	* mod.write( 10, new Uint16Array( [ 0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3c00 ] ) );
+	*
+	* var dot = mod.mainHalf( 'float16', 5, 0.0, 0, 1, 10, 1 );
+	* // returns 15.0
+	*/
+	mainHalf( format: HalfFormat, N: number, scalar: number, xptr: number, strideX: number, yptr: number, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two 16-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Uint16Array = require( '@stdlib/array-uint16' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Uint16Array( [ 0x3c00, 0x4000, 0x4200, 0x4400, 0x4500 ] ) );
+	* mod.write( 10, new Uint16Array( [ 0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3c00 ] ) );
+	*
+	* var dot = mod.ndarrayHalf( 'float16', 5, 0.0, 0, 1, 0, 10, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayHalf( format: HalfFormat, N: number, scalar: number, xptr: number, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset) to double-precision floating-point numbers
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 24, ones( 5, 'float64' ) );
+	*
+	* var dot = mod.mainMixed( 5, 0.0, 0, 1, 24, 1 );
+	* // returns 15.0
+	*/
+	mainMixed( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number, strideY: number ): number;
+
+	/**
+	* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset) to double-precision floating-point numbers
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 24, ones( 5, 'float64' ) );
+	*
+	* var dot = mod.ndarrayMixed( 5, 0.0, 0, 1, 0, 24, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayMixed( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation.
+	*
+	* @param dtype - input array data type
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param zeroX - `x` zero point
+	* @param scaleX - `x` scale
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param zeroY - `y` zero point
+	* @param scaleY - `y` scale
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Uint8Array( [ 129, 130, 131, 132, 133 ] ) );
+	* mod.write( 5, new Uint8Array( [ 130, 130, 130, 130, 130 ] ) );
+	*
+	* var dot = mod.mainQuantized( 'uint8', 5, 0.0, 0, 1, 128, 0.5, 5, 1, 128, 0.25 );
+	* // returns 3.75
+	*/
+	mainQuantized( dtype: QuantizedDtype, N: number, scalar: number, xptr: number, strideX: number, zeroX: number, scaleX: number, yptr: number, strideY: number, zeroY: number, scaleY: number ): number;
+
+	/**
+	* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation using alternative indexing semantics.
+	*
+	* @param dtype - input array data type
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param zeroX - `x` zero point
+	* @param scaleX - `x` scale
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param zeroY - `y` zero point
+	* @param scaleY - `y` scale
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Uint8Array( [ 129, 130, 131, 132, 133 ] ) );
+	* mod.write( 5, new Uint8Array( [ 130, 130, 130, 130, 130 ] ) );
+	*
+	* var dot = mod.ndarrayQuantized( 'uint8', 5, 0.0, 0, 1, 0, 128, 0.5, 5, 1, 0, 128, 0.25 );
+	* // returns 3.75
+	*/
+	ndarrayQuantized( dtype: QuantizedDtype, N: number, scalar: number, xptr: number, strideX: number, offsetX: number, zeroX: number, scaleX: number, yptr: number, strideY: number, offsetY: number, zeroY: number, scaleY: number ): number;
+
+	/**
+	* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param sxptr - first input array block scales pointer (i.e., byte offset)
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param syptr - second input array block scales pointer (i.e., byte offset)
+	* @param blockSize - number of elements per block
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a ] ) );
+	* mod.write( 5, new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38 ] ) );
+	* mod.write( 10, new Uint8Array( [ 128, 126 ] ) );
+	*
+	* var dot = mod.mainBlockScaled( 'e4m3', 5, 0.0, 0, 10, 5, 11, 32 );
+	* // returns 15.0
+	*/
+	mainBlockScaled( format: FP8Format, N: number, scalar: number, xptr: number, sxptr: number, yptr: number, syptr: number, blockSize: number ): number;
+
+	/**
+	* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param sxptr - first input array block scales pointer (i.e., byte offset)
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param syptr - second input array block scales pointer (i.e., byte offset)
+	* @param offsetY - starting index for `y`
+	* @param blockSize - number of elements per block
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a ] ) );
+	* mod.write( 5, new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38 ] ) );
+	* mod.write( 10, new Uint8Array( [ 128, 126 ] ) );
+	*
+	* var dot = mod.ndarrayBlockScaled( 'e4m3', 5, 0.0, 0, 10, 0, 5, 11, 0, 32 );
+	* // returns 15.0
+	*/
+	ndarrayBlockScaled( format: FP8Format, N: number, scalar: number, xptr: number, sxptr: number, offsetX: number, yptr: number, syptr: number, offsetY: number, blockSize: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param outptr - output pointer (i.e., byte offset)
+	* @returns output pointer
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+	* mod.write( 16, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+	*
+	* mod.mainCdotu( 2, 0, 1, 16, 1, 32 );
+	*
+	* var out = new Float32Array( 2 );
+	* mod.read( 32, out );
+	* // out => <Float32Array>[ -18.0, 68.0 ]
+	*/
+	mainCdotu( N: number, xptr: number, strideX: number, yptr: number, strideY: number, outptr: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param outptr - output pointer (i.e., byte offset)
+	* @returns output pointer
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+	* mod.write( 16, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+	*
+	* mod.ndarrayCdotu( 2, 0, 1, 0, 16, 1, 0, 32 );
+	*
+	* var out = new Float32Array( 2 );
+	* mod.read( 32, out );
+	* // out => <Float32Array>[ -18.0, 68.0 ]
+	*/
+	ndarrayCdotu( N: number, xptr: number, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number, outptr: number ): number;
+
+	/**
+	* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param outptr - output pointer (i.e., byte offset)
+	* @returns output pointer
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+	* mod.write( 16, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+	*
+	* mod.mainCdotc( 2, 0, 1, 16, 1, 32 );
+	*
+	* var out = new Float32Array( 2 );
+	* mod.read( 32, out );
+	* // out => <Float32Array>[ 70.0, -8.0 ]
+	*/
+	mainCdotc( N: number, xptr: number, strideX: number, yptr: number, strideY: number, outptr: number ): number;
+
+	/**
+	* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param outptr - output pointer (i.e., byte offset)
+	* @returns output pointer
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+	* mod.write( 16, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+	*
+	* mod.ndarrayCdotc( 2, 0, 1, 0, 16, 1, 0, 32 );
+	*
+	* var out = new Float32Array( 2 );
+	* mod.read( 32, out );
+	* // out => <Float32Array>[ 70.0, -8.0 ]
+	*/
+	ndarrayCdotc( N: number, xptr: number, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number, outptr: number ): number;
+
+	/**
+	* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation.
+	*
+	* @param N - number of non-zero elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - compressed input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param iptr - index array pointer (i.e., byte offset)
+	* @param strideIdx - index array stride length
+	* @param yptr - dense input array pointer (i.e., byte offset or pointer handle)
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	* mod.write( 12, new Int32Array( [ 0, 2, 4 ] ) );
+	* mod.write( 24, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+	*
+	* var dot = mod.mainSparse( 3, 0.0, 0, 1, 12, 1, 24 );
+	* // returns 22.0
+	*/
+	mainSparse( N: number, scalar: number, xptr: number | Pointer, strideX: number, iptr: number, strideIdx: number, yptr: number | Pointer ): number;
+
+	/**
+	* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of non-zero elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - compressed input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param iptr - index array pointer (i.e., byte offset)
+	* @param strideIdx - index array stride length
+	* @param offsetIdx - starting index for the index array
+	* @param yptr - dense input array pointer (i.e., byte offset or pointer handle)
+	* @param offsetY - index of the `y` element corresponding to an index value of `0`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	* mod.write( 12, new Int32Array( [ 0, 2, 4 ] ) );
+	* mod.write( 24, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+	*
+	* var dot = mod.ndarraySparse( 3, 0.0, 0, 1, 0, 12, 1, 0, 24, 0 );
+	* // returns 22.0
+	*/
+	ndarraySparse( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, iptr: number, strideIdx: number, offsetIdx: number, yptr: number | Pointer, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation.
+	*
+	* @param NX - number of non-zero elements in `x`
+	* @param NY - number of non-zero elements in `y`
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param ixptr - first index array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param iyptr - second index array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	* mod.write( 12, new Int32Array( [ 0, 3, 7 ] ) );
+	* mod.write( 24, new Float32Array( [ 4.0, 5.0, 6.0 ] ) );
+	* mod.write( 36, new Int32Array( [ 3, 5, 7 ] ) );
+	*
+	* var dot = mod.mainSparseSparse( 3, 3, 0.0, 0, 12, 1, 24, 36, 1 );
+	* // returns 26.0
+	*/
+	mainSparseSparse( NX: number, NY: number, scalar: number, xptr: number | Pointer, ixptr: number, strideX: number, yptr: number | Pointer, iyptr: number, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation and using alternative indexing semantics.
+	*
+	* @param NX - number of non-zero elements in `x`
+	* @param NY - number of non-zero elements in `y`
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param ixptr - first index array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param iyptr - second index array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	* mod.write( 12, new Int32Array( [ 0, 3, 7 ] ) );
+	* mod.write( 24, new Float32Array( [ 4.0, 5.0, 6.0 ] ) );
+	* mod.write( 36, new Int32Array( [ 3, 5, 7 ] ) );
+	*
+	* var dot = mod.ndarraySparseSparse( 3, 3, 0.0, 0, 12, 1, 0, 24, 36, 1, 0 );
+	* // returns 26.0
+	*/
+	ndarraySparseSparse( NX: number, NY: number, scalar: number, xptr: number | Pointer, ixptr: number, strideX: number, offsetX: number, yptr: number | Pointer, iyptr: number, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param mptr - mask array pointer (i.e., byte offset)
+	* @param strideMask - `mask` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	* mod.write( 40, new Uint8Array( [ 0, 1, 0, 0, 1 ] ) );
+	*
+	* var dot = mod.mainMasked( 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	* // returns 8.0
+	*/
+	mainMasked( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number, mptr: number, strideMask: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param mptr - mask array pointer (i.e., byte offset)
+	* @param strideMask - `mask` stride length
+	* @param offsetMask - starting index for `mask`
+	* @returns dot product
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, oneTo( 5, 'float32' ) );
+	* mod.write( 20, ones( 5, 'float32' ) );
+	* mod.write( 40, new Uint8Array( [ 0, 1, 0, 0, 1 ] ) );
+	*
+	* var dot = mod.ndarrayMasked( 5, 0.0, 0, 1, 0, 20, 1, 0, 40, 1, 0 );
+	* // returns 8.0
+	*/
+	ndarrayMasked( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number, mptr: number, strideMask: number, offsetMask: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy and writes the result, along with the number of skipped pairs, to an output array.
+	*
+	* @param policy - `NaN` handling policy
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param outptr - output array pointer (i.e., byte offset)
+	* @param strideOut - `out` stride length
+	* @returns output array pointer (i.e., byte offset)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] ) );
+	* mod.write( 20, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] ) );
+	*
+	* var ptr = mod.mainNaN( 'ignore', 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	* // returns 40
+	*
+	* var out = zeros( 2, 'float64' );
+	* mod.read( 40, out );
+	* // out => <Float64Array>[ 8.0, 2.0 ]
+	*/
+	mainNaN( policy: NaNPolicy, N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number, outptr: number, strideOut: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy using alternative indexing semantics and writes the result, along with the number of skipped pairs, to an output array.
+	*
+	* @param policy - `NaN` handling policy
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting `x` index
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting `y` index
+	* @param outptr - output array pointer (i.e., byte offset)
+	* @param strideOut - `out` stride length
+	* @param offsetOut - starting `out` index
+	* @returns output array pointer (i.e., byte offset)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] ) );
+	* mod.write( 20, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] ) );
+	*
+	* var ptr = mod.ndarrayNaN( 'ignore', 5, 0.0, 0, 1, 0, 20, 1, 0, 40, 1, 0 );
+	* // returns 40
+	*
+	* var out = zeros( 2, 'float64' );
+	* mod.read( 40, out );
+	* // out => <Float64Array>[ 8.0, 2.0 ]
+	*/
+	ndarrayNaN( policy: NaNPolicy, N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number, outptr: number, strideOut: number, offsetOut: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation, writes the result to module memory, and returns status flags describing the rounding of the result to single-precision.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param outptr - output pointer (i.e., byte offset or pointer handle)
+	* @returns status flags
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 16777216.0, 1.0 ] ) );
+	* mod.write( 8, new Float32Array( [ 1.0, 1.0 ] ) );
+	*
+	* var status = mod.mainStatus( 2, 0.0, 0, 1, 8, 1, 16 );
+	* // returns 4
+	*
+	* var out = new Float32Array( 1 );
+	* mod.read( 16, out );
+	* // out => <Float32Array>[ 16777216.0 ]
+	*/
+	mainStatus( N: number, scalar: number, xptr: number | Pointer, strideX: number, yptr: number | Pointer, strideY: number, outptr: number | Pointer ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics, writes the result to module memory, and returns status flags describing the rounding of the result to single-precision.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset or pointer handle)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting `x` index
+	* @param yptr - second input array pointer (i.e., byte offset or pointer handle)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting `y` index
+	* @param outptr - output pointer (i.e., byte offset or pointer handle)
+	* @returns status flags
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 16777216.0, 1.0 ] ) );
+	* mod.write( 8, new Float32Array( [ 1.0, 1.0 ] ) );
+	*
+	* var status = mod.ndarrayStatus( 2, 0.0, 0, 1, 0, 8, 1, 0, 16 );
+	* // returns 4
+	*
+	* var out = new Float32Array( 1 );
+	* mod.read( 16, out );
+	* // out => <Float32Array>[ 16777216.0 ]
+	*/
+	ndarrayStatus( N: number, scalar: number, xptr: number | Pointer, strideX: number, offsetX: number, yptr: number | Pointer, strideY: number, offsetY: number, outptr: number | Pointer ): number;
+
+	/**
+	* Allocates a region of module memory.
+	*
+	* ## Notes
+	*
+	* -   Returned pointers are aligned to at least eight bytes.
+	* -   If module memory is too small to hold an allocation, module memory is grown.
+	*
+	* @param nbytes - number of bytes
+	* @param alignment - byte alignment (default: 8)
+	* @returns pointer (i.e., byte offset)
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	*
+	* var mem = new Memory({
+	*     'initial': 0
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* var xptr = mod.malloc( 20 );
+	* // returns 0
+	*
+	* var yptr = mod.malloc( 20 );
+	* // returns 24
+	*/
+	malloc( nbytes: number, alignment?: number ): number;
+
+	/**
+	* Releases a region of module memory allocated by `malloc` or `alloc`.
+	*
+	* @param ptr - pointer (i.e., byte offset) returned by `malloc` or pointer handle returned by `alloc`
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* var ptr = mod.malloc( 20 );
+	* mod.free( ptr );
+	*/
+	free( ptr: number | Pointer ): void;
+
+	/**
+	* Returns module memory usage statistics.
+	*
+	* @returns statistics
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* var p1 = mod.malloc( 32 );
+	* var p2 = mod.malloc( 32 );
+	* mod.free( p1 );
+	*
+	* var stats = mod.heapStats();
+	* // returns { 'capacity': 65536, 'allocations': 1, 'allocated': 32, 'free': 65504, 'largestFree': 65472, 'fragmentation': ~0.0005 }
+	*/
+	heapStats(): HeapStats;
+
+	/**
+	* Allocates module memory for a strided vector of single-precision floating-point numbers and returns a pointer handle.
+	*
+	* @param N - number of vector elements
+	* @param stride - number of elements between consecutive vector elements (default: 1)
+	* @returns pointer handle
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	*
+	* var mem = new Memory({
+	*     'initial': 0
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* var x = mod.alloc( 5 );
+	* // returns <Pointer>
+	*
+	* var v = x.view();
+	* // returns <Float32ArrayLE>
+	*
+	* mod.free( x );
+	*/
+	alloc( N: number, stride?: number ): Pointer;
+
+	/**
+	* Returns a pointer handle for a strided vector of single-precision floating-point numbers stored at a provided byte offset in module memory.
+	*
+	* @param byteOffset - byte offset of the first vector element
+	* @param N - number of vector elements
+	* @param stride - number of elements between consecutive vector elements (default: 1)
+	* @returns pointer handle
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1
+	* });
+	* var mod = new sdsdot.Module( mem );
+	* mod.initializeSync();
+	*
+	* mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	* mod.write( 12, new Float32Array( [ 1.0, 1.0, 1.0 ] ) );
+	*
+	* var dot = mod.main( 3, 0.0, mod.pointer( 0, 3 ), 1, mod.pointer( 12, 3 ), 1 );
+	* // returns 6.0
+	*/
+	pointer( byteOffset: number, N: number, stride?: number ): Pointer;
+}
+
+/**
+* Pool options.
+*/
+interface PoolOptions {
+	/**
+	* Number of worker threads (default: number of CPUs).
+	*/
+	threads?: number;
+}
+
+/**
+* Callback invoked upon completing a computation.
+*
+* @param error - error object
+* @param result - dot product
+*/
+type Callback = ( error: Error | null, result?: number ) => void;
+
+/**
+* Callback invoked once all worker threads have terminated.
+*
+* @param error - error object
+*/
+type CloseCallback = ( error: Error | null ) => void;
+
+/**
+* Interface defining a worker pool constructor which is both "newable" and "callable".
+*/
+interface PoolConstructor {
+	/**
+	* Returns a new worker pool for computing dot products using multiple threads operating on the provided shared WebAssembly memory instance.
+	*
+	* @param mem - shared WebAssembly memory instance
+	* @param options - pool options
+	* @param options.threads - number of worker threads
+	* @returns worker pool instance
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* // Create a new shared memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+	* var mem = new Memory({
+	*     'initial': 10,
+	*     'maximum': 100,
+	*     'shared': true
+	* });
+	*
+	* // Write vector values to shared memory:
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* // Create a pool of worker threads:
+	* var pool = new sdsdot.Pool( mem, {
+	*     'threads': 2
+	* });
+	*
+	* // Perform computation:
+	* pool.main( 5, 0.0, 0, 1, 20, 1, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	new( mem: Memory, options?: PoolOptions ): Pool; // newable
+
+	/**
+	* Returns a new worker pool for computing dot products using multiple threads operating on the provided shared WebAssembly memory instance.
+	*
+	* @param mem - shared WebAssembly memory instance
+	* @param options - pool options
+	* @param options.threads - number of worker threads
+	* @returns worker pool instance
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* // Create a new shared memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+	* var mem = new Memory({
+	*     'initial': 10,
+	*     'maximum': 100,
+	*     'shared': true
+	* });
+	*
+	* // Write vector values to shared memory:
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* // Create a pool of worker threads:
+	* var pool = sdsdot.Pool( mem, {
+	*     'threads': 2
+	* });
+	*
+	* // Perform computation:
+	* pool.main( 5, 0.0, 0, 1, 20, 1, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	( mem: Memory, options?: PoolOptions ): Pool; // callable
+}
+
+/**
+* Interface describing a worker pool for computing dot products using multiple threads.
+*/
+interface Pool {
+	/**
+	* Number of worker threads.
+	*/
+	readonly threads: number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param clbk - callback to invoke upon completion
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1,
+	*     'maximum': 10,
+	*     'shared': true
+	* });
+	*
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var pool = new sdsdot.Pool( mem );
+	*
+	* pool.main( 5, 0.0, 0, 1, 20, 1, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	main( N: number, scalar: number, xptr: number, strideX: number, yptr: number, strideY: number, clbk: Callback ): void;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param clbk - callback to invoke upon completion
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1,
+	*     'maximum': 10,
+	*     'shared': true
+	* });
+	*
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var pool = new sdsdot.Pool( mem );
+	*
+	* pool.ndarray( 5, 0.0, 0, 1, 0, 20, 1, 0, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	ndarray( N: number, scalar: number, xptr: number, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number, clbk: Callback ): void;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and returns the result as a double-precision floating-point number.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param clbk - callback to invoke upon completion
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1,
+	*     'maximum': 10,
+	*     'shared': true
+	* });
+	*
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var pool = new sdsdot.Pool( mem );
+	*
+	* pool.mainDouble( 5, 0.0, 0, 1, 20, 1, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	mainDouble( N: number, scalar: number, xptr: number, strideX: number, yptr: number, strideY: number, clbk: Callback ): void;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and alternative indexing semantics and returns the result as a double-precision floating-point number.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param clbk - callback to invoke upon completion
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1,
+	*     'maximum': 10,
+	*     'shared': true
+	* });
+	*
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var pool = new sdsdot.Pool( mem );
+	*
+	* pool.ndarrayDouble( 5, 0.0, 0, 1, 0, 20, 1, 0, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	ndarrayDouble( N: number, scalar: number, xptr: number, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number, clbk: Callback ): void;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and reproducible summation.
+	*
+	* ## Notes
+	*
+	* -   The result is bit-identical to the result of `Module.prototype.mainReproducible`, irrespective of the number of worker threads.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param clbk - callback to invoke upon completion
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1,
+	*     'maximum': 10,
+	*     'shared': true
+	* });
+	*
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var pool = new sdsdot.Pool( mem );
+	*
+	* pool.mainReproducible( 5, 0.0, 0, 1, 20, 1, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	mainReproducible( N: number, scalar: number, xptr: number, strideX: number, yptr: number, strideY: number, clbk: Callback ): void;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads, reproducible summation, and alternative indexing semantics.
+	*
+	* ## Notes
+	*
+	* -   The result is bit-identical to the result of `Module.prototype.ndarrayReproducible`, irrespective of the number of worker threads.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param xptr - first input array pointer (i.e., byte offset)
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param yptr - second input array pointer (i.e., byte offset)
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param clbk - callback to invoke upon completion
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1,
+	*     'maximum': 10,
+	*     'shared': true
+	* });
+	*
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var pool = new sdsdot.Pool( mem );
+	*
+	* pool.ndarrayReproducible( 5, 0.0, 0, 1, 0, 20, 1, 0, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	ndarrayReproducible( N: number, scalar: number, xptr: number, strideX: number, offsetX: number, yptr: number, strideY: number, offsetY: number, clbk: Callback ): void;
+
+	/**
+	* Terminates all worker threads.
+	*
+	* ## Notes
+	*
+	* -   The callbacks of any pending computations are invoked with an error.
+	*
+	* @param clbk - callback to invoke once all worker threads have terminated
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	*
+	* var mem = new Memory({
+	*     'initial': 1,
+	*     'maximum': 10,
+	*     'shared': true
+	* });
+	*
+	* var pool = new sdsdot.Pool( mem );
+	*
+	* pool.close();
+	*/
+	close( clbk?: CloseCallback ): void;
+}
+
+/**
+* Interface describing `sdsdot`.
+*/
+interface Routine extends ModuleWrapper {
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var dot = sdsdot.main( x.length, 0.0, x, 1, y, 1 );
+	* // returns 15.0
+	*/
+	main( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var dot = sdsdot.ndarray( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarray( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation and returns the result as a double-precision floating-point number.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var dot = sdsdot.mainDouble( x.length, 0.0, x, 1, y, 1 );
+	* // returns 15.0
+	*/
+	mainDouble( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and returns the result as a double-precision floating-point number.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var dot = sdsdot.ndarrayDouble( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayDouble( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1 );
+	* // returns 1.0
+	*/
+	mainCompensated( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 1.0
+	*/
+	ndarrayCompensated( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.mainExact( x.length, 0.0, x, 1, y, 1 );
+	* // returns 1.0
+	*/
+	mainExact( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+
+	/**
+	* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.ndarrayExact( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 1.0
+	*/
+	ndarrayExact( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors using exact accumulation and returns the correctly rounded double-precision result.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.mainExactDouble( x.length, 0.0, x, 1, y, 1 );
+	* // returns 1.0
+	*/
+	mainExactDouble( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics and returns the correctly rounded double-precision result.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.ndarrayExactDouble( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 1.0
+	*/
+	ndarrayExactDouble( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.mainDot2( x.length, 0.0, x, 1, y, 1 );
+	* // returns 1.0
+	*/
+	mainDot2( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+	*
+	* var dot = sdsdot.ndarrayDot2( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 1.0
+	*/
+	ndarrayDot2( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result to an output array as an unevaluated double-double pair.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param out - output array
+	* @param strideOut - `out` stride length
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var out = new Float64Array( 2 );
+	*
+	* var v = sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, out, 1 );
+	* // returns <Float64Array>[ 15.0, 0.0 ]
+	*/
+	mainDoubleDouble( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number, out: Float64Array, strideOut: number ): Float64Array;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result to an output array as an unevaluated double-double pair.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param out - output array
+	* @param strideOut - `out` stride length
+	* @param offsetOut - starting index for `out`
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var out = new Float64Array( 2 );
+	*
+	* var v = sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	* // returns <Float64Array>[ 15.0, 0.0 ]
+	*/
+	ndarrayDoubleDouble( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number, out: Float64Array, strideOut: number, offsetOut: number ): Float64Array;
+
+	/**
+	* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param scalars - scalar constants to add to the respective dot products
+	* @param X - list of first input arrays
+	* @param strideX - stride length for each array in `X`
+	* @param Y - list of second input arrays
+	* @param strideY - stride length for each array in `Y`
+	* @param out - output array
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var X = [ new Float32Array( [ 1.0, 2.0, 3.0 ] ), new Float32Array( [ 4.0, 5.0, 6.0 ] ) ];
+	* var Y = [ new Float32Array( [ 1.0, 1.0, 1.0 ] ), new Float32Array( [ 1.0, 1.0, 1.0 ] ) ];
+	* var scalars = new Float32Array( [ 0.0, 10.0 ] );
+	* var out = new Float32Array( 2 );
+	*
+	* var v = sdsdot.mainBatched( 3, scalars, X, 1, Y, 1, out );
+	* // returns <Float32Array>[ 6.0, 25.0 ]
+	*/
+	mainBatched( N: number, scalars: Float32Array, X: ArrayLike<Float32Array>, strideX: number, Y: ArrayLike<Float32Array>, strideY: number, out: Float32Array ): Float32Array;
+
+	/**
+	* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalars - scalar constants to add to the respective dot products
+	* @param X - list of first input arrays
+	* @param strideX - stride length for each array in `X`
+	* @param offsetX - starting index for each array in `X`
+	* @param Y - list of second input arrays
+	* @param strideY - stride length for each array in `Y`
+	* @param offsetY - starting index for each array in `Y`
+	* @param out - output array
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var X = [ new Float32Array( [ 1.0, 2.0, 3.0 ] ), new Float32Array( [ 4.0, 5.0, 6.0 ] ) ];
+	* var Y = [ new Float32Array( [ 1.0, 1.0, 1.0 ] ), new Float32Array( [ 1.0, 1.0, 1.0 ] ) ];
+	* var scalars = new Float32Array( [ 0.0, 10.0 ] );
+	* var out = new Float32Array( 2 );
+	*
+	* var v = sdsdot.ndarrayBatched( 2, scalars, X, 1, 1, Y, 1, 1, out );
+	* // returns <Float32Array>[ 5.0, 21.0 ]
+	*/
+	ndarrayBatched( N: number, scalars: Float32Array, X: ArrayLike<Float32Array>, strideX: number, offsetX: number, Y: ArrayLike<Float32Array>, strideY: number, offsetY: number, out: Float32Array ): Float32Array;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1073741824.0, 1.0, -1073741824.0, 1.0 ] );
+	* var y = new Float32Array( [ 1073741824.0, 1.0, 1073741824.0, 1.0 ] );
+	*
+	* var dot = sdsdot.mainReproducible( x.length, 0.0, x, 1, y, 1 );
+	* // returns 2.0
+	*/
+	mainReproducible( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation and alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1073741824.0, 1.0, -1073741824.0, 1.0 ] );
+	* var y = new Float32Array( [ 1073741824.0, 1.0, 1073741824.0, 1.0 ] );
+	*
+	* var dot = sdsdot.ndarrayReproducible( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 2.0
+	*/
+	ndarrayReproducible( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result, along with error diagnostics, to an output array.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param out - output array
+	* @param strideOut - `out` stride length
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var out = new Float64Array( 4 );
+	*
+	* var v = sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, out, 1 );
+	* // returns <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+	*/
+	mainDiagnostics( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number, out: Float64Array, strideOut: number ): Float64Array;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result, along with error diagnostics, to an output array.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param out - output array
+	* @param strideOut - `out` stride length
+	* @param offsetOut - starting index for `out`
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var out = new Float64Array( 4 );
+	*
+	* var v = sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	* // returns <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+	*/
+	ndarrayDiagnostics( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number, out: Float64Array, strideOut: number, offsetOut: number ): Float64Array;
+
+	/**
+	* Computes the dot product of two 16-bit floating-point vectors with extended accumulation.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Uint16Array = require( '@stdlib/array-uint16' );
+	*
+	* var x = new Uint16Array( [ 0x3c00, 0x4000, 0x4200, 0x4400, 0x4500 ] );
+	* var y = new Uint16Array( [ 0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3c00 ] );
+	*
+	* var dot = sdsdot.mainHalf( 'float16', x.length, 0.0, x, 1, y, 1 );
+	* // returns 15.0
+	*/
+	mainHalf( format: HalfFormat, N: number, scalar: number, x: Uint16Array, strideX: number, y: Uint16Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two 16-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Uint16Array = require( '@stdlib/array-uint16' );
+	*
+	* var x = new Uint16Array( [ 0x3f80, 0x4000, 0x4040, 0x4080, 0x40a0 ] );
+	* var y = new Uint16Array( [ 0x3f80, 0x3f80, 0x3f80, 0x3f80, 0x3f80 ] );
+	*
+	* var dot = sdsdot.ndarrayHalf( 'bfloat16', x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayHalf( format: HalfFormat, N: number, scalar: number, x: Uint16Array, strideX: number, offsetX: number, y: Uint16Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float64Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var dot = sdsdot.mainMixed( x.length, 0.0, x, 1, y, 1 );
+	* // returns 15.0
+	*/
+	mainMixed( N: number, scalar: number, x: Float32Array, strideX: number, y: Float64Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float64Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* var dot = sdsdot.ndarrayMixed( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	* // returns 15.0
+	*/
+	ndarrayMixed( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float64Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation.
+	*
+	* @param dtype - input array data type
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param zeroX - `x` zero point
+	* @param scaleX - `x` scale
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param zeroY - `y` zero point
+	* @param scaleY - `y` scale
+	* @returns dot product
+	*
+	* @example
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var x = new Uint8Array( [ 129, 130, 131, 132, 133 ] );
+	* var y = new Uint8Array( [ 130, 130, 130, 130, 130 ] );
+	*
+	* var dot = sdsdot.mainQuantized( 'uint8', x.length, 0.0, x, 1, 128, 0.5, y, 1, 128, 0.25 );
+	* // returns 3.75
+	*/
+	mainQuantized( dtype: QuantizedDtype, N: number, scalar: number, x: Int8Array | Uint8Array, strideX: number, zeroX: number, scaleX: number, y: Int8Array | Uint8Array, strideY: number, zeroY: number, scaleY: number ): number;
+
+	/**
+	* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation using alternative indexing semantics.
+	*
+	* @param dtype - input array data type
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param zeroX - `x` zero point
+	* @param scaleX - `x` scale
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param zeroY - `y` zero point
+	* @param scaleY - `y` scale
+	* @returns dot product
+	*
+	* @example
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var x = new Uint8Array( [ 129, 130, 131, 132, 133 ] );
+	* var y = new Uint8Array( [ 130, 130, 130, 130, 130 ] );
+	*
+	* var dot = sdsdot.ndarrayQuantized( 'uint8', x.length, 0.0, x, 1, 0, 128, 0.5, y, 1, 0, 128, 0.25 );
+	* // returns 3.75
+	*/
+	ndarrayQuantized( dtype: QuantizedDtype, N: number, scalar: number, x: Int8Array | Uint8Array, strideX: number, offsetX: number, zeroX: number, scaleX: number, y: Int8Array | Uint8Array, strideY: number, offsetY: number, zeroY: number, scaleY: number ): number;
+
+	/**
+	* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param scalesX - first input array block scales
+	* @param y - second input array
+	* @param scalesY - second input array block scales
+	* @param blockSize - number of elements per block
+	* @returns dot product
+	*
+	* @example
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var x = new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a ] );
+	* var y = new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38 ] );
+	* var sx = new Uint8Array( [ 128 ] );
+	* var sy = new Uint8Array( [ 126 ] );
+	*
+	* var dot = sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, sx, y, sy, 32 );
+	* // returns 15.0
+	*/
+	mainBlockScaled( format: FP8Format, N: number, scalar: number, x: Uint8Array, scalesX: Uint8Array, y: Uint8Array, scalesY: Uint8Array, blockSize: number ): number;
+
+	/**
+	* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+	*
+	* @param format - input array element format
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param scalesX - first input array block scales
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param scalesY - second input array block scales
+	* @param offsetY - starting index for `y`
+	* @param blockSize - number of elements per block
+	* @returns dot product
+	*
+	* @example
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var x = new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a ] );
+	* var y = new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38 ] );
+	* var sx = new Uint8Array( [ 128 ] );
+	* var sy = new Uint8Array( [ 126 ] );
+	*
+	* var dot = sdsdot.ndarrayBlockScaled( 'e4m3', x.length, 0.0, x, sx, 0, y, sy, 0, 32 );
+	* // returns 15.0
+	*/
+	ndarrayBlockScaled( format: FP8Format, N: number, scalar: number, x: Uint8Array, scalesX: Uint8Array, offsetX: number, y: Uint8Array, scalesY: Uint8Array, offsetY: number, blockSize: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	*
+	* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+	*
+	* var z = sdsdot.mainCdotu( x.length, x, 1, y, 1 );
+	* // returns <Complex64>[ -18.0, 68.0 ]
+	*/
+	mainCdotu( N: number, x: Complex64Array, strideX: number, y: Complex64Array, strideY: number ): Complex64;
+
+	/**
+	* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	*
+	* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+	*
+	* var z = sdsdot.ndarrayCdotu( x.length, x, 1, 0, y, 1, 0 );
+	* // returns <Complex64>[ -18.0, 68.0 ]
+	*/
+	ndarrayCdotu( N: number, x: Complex64Array, strideX: number, offsetX: number, y: Complex64Array, strideY: number, offsetY: number ): Complex64;
+
+	/**
+	* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation.
+	*
+	* @param N - number of indexed elements
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	*
+	* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+	*
+	* var z = sdsdot.mainCdotc( x.length, x, 1, y, 1 );
+	* // returns <Complex64>[ 70.0, -8.0 ]
+	*/
+	mainCdotc( N: number, x: Complex64Array, strideX: number, y: Complex64Array, strideY: number ): Complex64;
+
+	/**
+	* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @returns dot product
+	*
+	* @example
+	* var Complex64Array = require( '@stdlib/array-complex64' );
+	*
+	* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+	*
+	* var z = sdsdot.ndarrayCdotc( x.length, x, 1, 0, y, 1, 0 );
+	* // returns <Complex64>[ 70.0, -8.0 ]
+	*/
+	ndarrayCdotc( N: number, x: Complex64Array, strideX: number, offsetX: number, y: Complex64Array, strideY: number, offsetY: number ): Complex64;
+
+	/**
+	* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation.
+	*
+	* @param N - number of non-zero elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - compressed input array
+	* @param strideX - `x` stride length
+	* @param idx - index array
+	* @param strideIdx - `idx` stride length
+	* @param y - dense input array
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	* var idx = new Int32Array( [ 0, 2, 4 ] );
+	* var y = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	*
+	* var dot = sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y );
+	* // returns 22.0
+	*/
+	mainSparse( N: number, scalar: number, x: Float32Array, strideX: number, idx: Int32Array, strideIdx: number, y: Float32Array ): number;
+
+	/**
+	* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+	*
+	* @param N - number of non-zero elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - compressed input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param idx - index array
+	* @param strideIdx - `idx` stride length
+	* @param offsetIdx - starting index for `idx`
+	* @param y - dense input array
+	* @param offsetY - index of the `y` element corresponding to an index value of `0`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	* var idx = new Int32Array( [ 0, 2, 4 ] );
+	* var y = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	*
+	* var dot = sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y, 0 );
+	* // returns 22.0
+	*/
+	ndarraySparse( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, idx: Int32Array, strideIdx: number, offsetIdx: number, y: Float32Array, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation.
+	*
+	* @param NX - number of non-zero elements in `x`
+	* @param NY - number of non-zero elements in `y`
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param idxX - first index array
+	* @param strideX - `x` and `idxX` stride length
+	* @param y - second input array
+	* @param idxY - second index array
+	* @param strideY - `y` and `idxY` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	* var ix = new Int32Array( [ 0, 3, 7 ] );
+	* var y = new Float32Array( [ 4.0, 5.0, 6.0 ] );
+	* var iy = new Int32Array( [ 3, 5, 7 ] );
+	*
+	* var dot = sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy, 1 );
+	* // returns 26.0
+	*/
+	mainSparseSparse( NX: number, NY: number, scalar: number, x: Float32Array, idxX: Int32Array, strideX: number, y: Float32Array, idxY: Int32Array, strideY: number ): number;
+
+	/**
+	* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation and using alternative indexing semantics.
+	*
+	* @param NX - number of non-zero elements in `x`
+	* @param NY - number of non-zero elements in `y`
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param idxX - first index array
+	* @param strideX - `x` and `idxX` stride length
+	* @param offsetX - starting index for `x` and `idxX`
+	* @param y - second input array
+	* @param idxY - second index array
+	* @param strideY - `y` and `idxY` stride length
+	* @param offsetY - starting index for `y` and `idxY`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Int32Array = require( '@stdlib/array-int32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	* var ix = new Int32Array( [ 0, 3, 7 ] );
+	* var y = new Float32Array( [ 4.0, 5.0, 6.0 ] );
+	* var iy = new Int32Array( [ 3, 5, 7 ] );
+	*
+	* var dot = sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, ix, 1, 0, y, iy, 1, 0 );
+	* // returns 26.0
+	*/
+	ndarraySparseSparse( NX: number, NY: number, scalar: number, x: Float32Array, idxX: Int32Array, strideX: number, offsetX: number, y: Float32Array, idxY: Int32Array, strideY: number, offsetY: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param mask - mask array
+	* @param strideMask - `mask` stride length
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var mask = new Uint8Array( [ 0, 1, 0, 0, 1 ] );
+	*
+	* var dot = sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask, 1 );
+	* // returns 8.0
+	*/
+	mainMasked( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number, mask: Uint8Array, strideMask: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask and using alternative indexing semantics.
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting index for `x`
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting index for `y`
+	* @param mask - mask array
+	* @param strideMask - `mask` stride length
+	* @param offsetMask - starting index for `mask`
+	* @returns dot product
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Uint8Array = require( '@stdlib/array-uint8' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	* var mask = new Uint8Array( [ 0, 1, 0, 0, 1 ] );
+	*
+	* var dot = sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, mask, 1, 0 );
+	* // returns 8.0
+	*/
+	ndarrayMasked( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number, mask: Uint8Array, strideMask: number, offsetMask: number ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy and writes the result, along with the number of skipped pairs, to an output array.
+	*
+	* @param policy - `NaN` handling policy
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param out - output array
+	* @param strideOut - `out` stride length
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] );
+	* var out = new Float64Array( 2 );
+	*
+	* var v = sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1 );
+	* // returns <Float64Array>[ 8.0, 2.0 ]
+	*/
+	mainNaN( policy: NaNPolicy, N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number, out: Float64Array, strideOut: number ): Float64Array;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy using alternative indexing semantics and writes the result, along with the number of skipped pairs, to an output array.
+	*
+	* @param policy - `NaN` handling policy
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting `x` index
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting `y` index
+	* @param out - output array
+	* @param strideOut - `out` stride length
+	* @param offsetOut - starting `out` index
+	* @returns output array
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	* var Float64Array = require( '@stdlib/array-float64' );
+	*
+	* var x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] );
+	* var out = new Float64Array( 2 );
+	*
+	* var v = sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	* // returns <Float64Array>[ 8.0, 2.0 ]
+	*/
+	ndarrayNaN( policy: NaNPolicy, N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number, out: Float64Array, strideOut: number, offsetOut: number ): Float64Array;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation, writes the result to an output array, and returns status flags describing the rounding of the result to single-precision.
+	*
+	* ## Notes
+	*
+	* -   The returned status is a bit mask having the following flags:
+	*
+	*     -   `1`: overflow (i.e., a finite double-precision accumulator was rounded to infinity).
+	*     -   `2`: underflow (i.e., a non-zero double-precision accumulator was rounded to zero or to a subnormal number).
+	*     -   `4`: inexact (i.e., the result differs from the double-precision accumulator).
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param out - output array
+	* @returns status flags
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 16777216.0, 1.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0 ] );
+	* var out = new Float32Array( 1 );
+	*
+	* var status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+	* // returns 4
+	*
+	* var v = out[ 0 ];
+	* // returns 16777216.0
+	*/
+	mainStatus( N: number, scalar: number, x: Float32Array, strideX: number, y: Float32Array, strideY: number, out: Float32Array ): number;
+
+	/**
+	* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics, writes the result to an output array, and returns status flags describing the rounding of the result to single-precision.
+	*
+	* ## Notes
+	*
+	* -   The returned status is a bit mask having the following flags:
+	*
+	*     -   `1`: overflow (i.e., a finite double-precision accumulator was rounded to infinity).
+	*     -   `2`: underflow (i.e., a non-zero double-precision accumulator was rounded to zero or to a subnormal number).
+	*     -   `4`: inexact (i.e., the result differs from the double-precision accumulator).
+	*
+	* @param N - number of indexed elements
+	* @param scalar - scalar constant to add to dot product
+	* @param x - first input array
+	* @param strideX - `x` stride length
+	* @param offsetX - starting `x` index
+	* @param y - second input array
+	* @param strideY - `y` stride length
+	* @param offsetY - starting `y` index
+	* @param out - output array
+	* @param offsetOut - index of the `out` element to which to write the dot product
+	* @returns status flags
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 16777216.0, 1.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0 ] );
+	* var out = new Float32Array( 1 );
+	*
+	* var status = sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, out, 0 );
+	* // returns 4
+	*
+	* var v = out[ 0 ];
+	* // returns 16777216.0
+	*/
+	ndarrayStatus( N: number, scalar: number, x: Float32Array, strideX: number, offsetX: number, y: Float32Array, strideY: number, offsetY: number, out: Float32Array, offsetOut: number ): number;
+
+	/**
+	* Pins an array to the routine's memory arena, such that the array remains resident in module memory across invocations.
+	*
+	* ## Notes
+	*
+	* -   Pinning an array copies the array's contents to a reserved region of module memory. When a pinned array is subsequently provided to a routine method, the array is resolved to its reserved region, and its contents are not copied.
+	* -   If a pinned array is mutated, the array must be pinned again in order to update module memory.
+	* -   When a pinned array is provided as an output array, results are written to the reserved region and copied back to the array.
+	* -   Empty arrays and views over module memory are not pinned.
+	* -   The routine's memory arena only tracks regions reserved for pinned arrays and for allocations made using `malloc`. Accordingly, pinning an array may overwrite the contents of other views over module memory (e.g., views created at manually computed byte offsets). To ensure that pinning an array does not overwrite a view, create the view over a region allocated using `malloc`.
+	*
+	* @param x - input array
+	* @returns routine instance
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* sdsdot.pin( y );
+	*
+	* var dot = sdsdot.main( x.length, 0.0, x, 1, y, 1 );
+	* // returns 15.0
+	*/
+	pin( x: TypedArray | ComplexTypedArray ): Routine;
+
+	/**
+	* Unpins an array from the routine's memory arena, releasing its reserved region of module memory for reuse.
+	*
+	* @param x - input array
+	* @returns routine instance
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* sdsdot.pin( x );
+	*
+	* sdsdot.unpin( x );
+	*
+	* var bool = sdsdot.isPinned( x );
+	* // returns false
+	*/
+	unpin( x: TypedArray | ComplexTypedArray ): Routine;
+
+	/**
+	* Tests whether an array is pinned to the routine's memory arena.
+	*
+	* @param x - input value
+	* @returns boolean indicating whether an array is pinned
+	*
+	* @example
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	*
+	* var bool = sdsdot.isPinned( x );
+	* // returns false
+	*/
+	isPinned( x: any ): boolean;
+
+	/**
+	* Allocates a region of module memory.
+	*
+	* ## Notes
+	*
+	* -   Allocations and pinned arrays share the routine's memory arena and never overlap.
+	*
+	* @param nbytes - number of bytes
+	* @param alignment - byte alignment (default: 8)
+	* @returns pointer (i.e., byte offset)
+	*
+	* @example
+	* var ptr = sdsdot.malloc( 20 );
+	* // returns <number>
+	*
+	* sdsdot.free( ptr );
+	*/
+	malloc( nbytes: number, alignment?: number ): number;
+
+	/**
+	* Releases a region of module memory allocated by `malloc` or `alloc`.
+	*
+	* @param ptr - pointer (i.e., byte offset) returned by `malloc` or pointer handle returned by `alloc`
+	*
+	* @example
+	* var ptr = sdsdot.malloc( 20 );
+	* sdsdot.free( ptr );
+	*/
+	free( ptr: number | Pointer ): void;
+
+	/**
+	* Returns module memory usage statistics.
+	*
+	* @returns statistics
+	*
+	* @example
+	* var stats = sdsdot.heapStats();
+	* // returns {...}
+	*/
+	heapStats(): HeapStats;
+
+	/**
+	* Allocates module memory for a strided vector of single-precision floating-point numbers and returns a pointer handle.
+	*
+	* @param N - number of vector elements
+	* @param stride - number of elements between consecutive vector elements (default: 1)
+	* @returns pointer handle
+	*
+	* @example
+	* var x = sdsdot.alloc( 5 );
+	* // returns <Pointer>
+	*
+	* sdsdot.free( x );
+	*/
+	alloc( N: number, stride?: number ): Pointer;
+
+	/**
+	* Returns a pointer handle for a strided vector of single-precision floating-point numbers stored at a provided byte offset in module memory.
+	*
+	* @param byteOffset - byte offset of the first vector element
+	* @param N - number of vector elements
+	* @param stride - number of elements between consecutive vector elements (default: 1)
+	* @returns pointer handle
+	*
+	* @example
+	* var x = sdsdot.pointer( 0, 5 );
+	* // returns <Pointer>
+	*/
+	pointer( byteOffset: number, N: number, stride?: number ): Pointer;
+
+	/**
+	* Returns a new WebAssembly module wrapper instance which uses the provided WebAssembly memory instance as its underlying memory.
+	*
+	* @param mem - WebAssembly memory instance
+	* @returns module wrapper instance
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var oneTo = require( '@stdlib/array-one-to' );
+	* var ones = require( '@stdlib/array-ones' );
+	* var zeros = require( '@stdlib/array-zeros' );
+	* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+	*
+	* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+	* var mem = new Memory({
+	*     'initial': 10,
+	*     'maximum': 100
+	* });
+	*
+	* // Create a BLAS routine:
+	* var mod = new sdsdot.Module( mem );
+	* // returns <Module>
+	*
+	* // Initialize the routine:
+	* mod.initializeSync();
+	*
+	* // Define a vector data type:
+	* var dtype = 'float32';
+	*
+	* // Specify a vector length:
+	* var N = 5;
+	*
+	* // Define pointers (i.e., byte offsets) for storing two vectors:
+	* var xptr = 0;
+	* var yptr = N * bytesPerElement( dtype );
+	*
+	* // Write vector values to module memory:
+	* mod.write( xptr, oneTo( N, dtype ) );
+	* mod.write( yptr, ones( N, dtype ) );
+	*
+	* // Perform computation:
+	* var dot = mod.main( N, 0.0, xptr, 1, yptr, 1 );
+	* // returns 15.0
+	*/
+	Module: ModuleConstructor;
+
+	/**
+	* Worker pool constructor for computing dot products using multiple threads operating on a shared WebAssembly memory instance.
+	*
+	* @param mem - shared WebAssembly memory instance
+	* @param options - pool options
+	* @param options.threads - number of worker threads
+	* @returns worker pool instance
+	*
+	* @example
+	* var Memory = require( '@stdlib/wasm-memory' );
+	* var Float32Array = require( '@stdlib/array-float32' );
+	*
+	* // Create a new shared memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+	* var mem = new Memory({
+	*     'initial': 10,
+	*     'maximum': 100,
+	*     'shared': true
+	* });
+	*
+	* // Write vector values to shared memory:
+	* var x = new Float32Array( mem.buffer, 0, 5 );
+	* var y = new Float32Array( mem.buffer, 20, 5 );
+	* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	*
+	* // Create a pool of worker threads:
+	* var pool = new sdsdot.Pool( mem, {
+	*     'threads': 2
+	* });
+	*
+	* // Perform computation:
+	* pool.main( 5, 0.0, 0, 1, 20, 1, done );
+	*
+	* function done( error, dot ) {
+	*     if ( error ) {
+	*         throw error;
+	*     }
+	*     console.log( dot );
+	*     // => 15.0
+	*
+	*     pool.close();
+	* }
+	*/
+	Pool: PoolConstructor;
 }
 
 /**
@@ -18,6 +18,7 @@
 
 /* eslint-disable space-in-parens */
 
+import Complex64Array = require( '@stdlib/array-complex64' );
 import Memory = require( '@stdlib/wasm-memory' );
 import sdsdot = require( './index' );
 
@@ -303,6 +304,36 @@ import sdsdot = require( './index' );
 	sdsdot.Module( ( x: number ): number => x ); // $ExpectError
 }
 
+// The `Module` constructor supports providing an options object...
+{
+	const mem = new Memory({
+		'initial': 0
+	});
+	sdsdot.Module( mem, {} ); // $ExpectType Module
+	sdsdot.Module( mem, { 'checked': true } ); // $ExpectType Module
+}
+
+// The compiler throws an error if the `Module` constructor is provided a second argument which is not an object...
+{
+	const mem = new Memory({
+		'initial': 0
+	});
+	sdsdot.Module( mem, '10' ); // $ExpectError
+	sdsdot.Module( mem, 10 ); // $ExpectError
+	sdsdot.Module( mem, true ); // $ExpectError
+	sdsdot.Module( mem, null ); // $ExpectError
+}
+
+// The compiler throws an error if the `Module` constructor is provided a `checked` option which is not a boolean...
+{
+	const mem = new Memory({
+		'initial': 0
+	});
+	sdsdot.Module( mem, { 'checked': '10' } ); // $ExpectError
+	sdsdot.Module( mem, { 'checked': 10 } ); // $ExpectError
+	sdsdot.Module( mem, { 'checked': null } ); // $ExpectError
+}
+
 // The `Module` constructor returns a module instance having a `main` method which returns a number...
 {
 	const mem = new Memory({
@@ -594,3 +625,2747 @@ import sdsdot = require( './index' );
 	mod.ndarray( 10, 0, 0, 1, 0, 80, 1 ); // $ExpectError
 	mod.ndarray( 10, 0, 0, 1, 0, 80, 1, 0, 10 ); // $ExpectError
 }
+
+// Attached to main export is a `mainDouble` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDouble( x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainDouble` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDouble( x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, false, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, undefined, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, ( x: number ): number => x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainDouble` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDouble(); // $ExpectError
+	sdsdot.mainDouble( x.length ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainDouble( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayDouble` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDouble( x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayDouble` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDouble( x.length, 0.0, 10, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, '10', 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, true, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, false, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, null, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, undefined, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, [], 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, {}, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, ( x: number ): number => x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayDouble` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDouble(); // $ExpectError
+	sdsdot.ndarrayDouble( x.length ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayDouble( x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainDouble` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDouble( 10, 1, 0, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainDouble` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDouble(); // $ExpectError
+	mod.mainDouble( 10 ); // $ExpectError
+	mod.mainDouble( 10, 1, 0, 1, 80 ); // $ExpectError
+	mod.mainDouble( 10, 1, 0, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayDouble` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDouble( 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayDouble` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDouble(); // $ExpectError
+	mod.ndarrayDouble( 10 ); // $ExpectError
+	mod.ndarrayDouble( 10, 0, 0, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayDouble( 10, 0, 0, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainCompensated` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainCompensated` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainCompensated( x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, false, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, undefined, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, ( x: number ): number => x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainCompensated` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainCompensated(); // $ExpectError
+	sdsdot.mainCompensated( x.length ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayCompensated` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayCompensated` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayCompensated( x.length, 0.0, 10, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, '10', 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, true, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, false, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, null, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, undefined, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, [], 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, {}, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, ( x: number ): number => x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayCompensated` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayCompensated(); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainCompensated` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainCompensated( 10, 1, 0, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainCompensated` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainCompensated(); // $ExpectError
+	mod.mainCompensated( 10 ); // $ExpectError
+	mod.mainCompensated( 10, 1, 0, 1, 80 ); // $ExpectError
+	mod.mainCompensated( 10, 1, 0, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayCompensated` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayCompensated( 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayCompensated` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayCompensated(); // $ExpectError
+	mod.ndarrayCompensated( 10 ); // $ExpectError
+	mod.ndarrayCompensated( 10, 0, 0, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayCompensated( 10, 0, 0, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainExact` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainExact( x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainExact` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainExact( x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, false, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, undefined, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, ( x: number ): number => x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainExact` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainExact(); // $ExpectError
+	sdsdot.mainExact( x.length ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainExact( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayExact` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayExact( x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayExact` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayExact( x.length, 0.0, 10, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, '10', 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, true, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, false, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, null, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, undefined, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, [], 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, {}, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, ( x: number ): number => x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayExact` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayExact(); // $ExpectError
+	sdsdot.ndarrayExact( x.length ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayExact( x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainExact` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainExact( 10, 1, 0, 1, 80, 1, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainExact` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainExact(); // $ExpectError
+	mod.mainExact( 10 ); // $ExpectError
+	mod.mainExact( 10, 1, 0, 1, 80, 1 ); // $ExpectError
+	mod.mainExact( 10, 1, 0, 1, 80, 1, 160, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayExact` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayExact( 10, 0, 0, 1, 0, 80, 1, 0, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayExact` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayExact(); // $ExpectError
+	mod.ndarrayExact( 10 ); // $ExpectError
+	mod.ndarrayExact( 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectError
+	mod.ndarrayExact( 10, 0, 0, 1, 0, 80, 1, 0, 160, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainExactDouble` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainExactDouble( x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainExactDouble` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainExactDouble( x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, false, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, undefined, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, ( x: number ): number => x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainExactDouble` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainExactDouble(); // $ExpectError
+	sdsdot.mainExactDouble( x.length ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainExactDouble( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayExactDouble` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayExactDouble( x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayExactDouble` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayExactDouble( x.length, 0.0, 10, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, '10', 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, true, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, false, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, null, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, undefined, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, [], 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, {}, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, ( x: number ): number => x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayExactDouble` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayExactDouble(); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayExactDouble( x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainExactDouble` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainExactDouble( 10, 1, 0, 1, 80, 1, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainExactDouble` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainExactDouble(); // $ExpectError
+	mod.mainExactDouble( 10 ); // $ExpectError
+	mod.mainExactDouble( 10, 1, 0, 1, 80, 1 ); // $ExpectError
+	mod.mainExactDouble( 10, 1, 0, 1, 80, 1, 160, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayExactDouble` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayExactDouble( 10, 0, 0, 1, 0, 80, 1, 0, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayExactDouble` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayExactDouble(); // $ExpectError
+	mod.ndarrayExactDouble( 10 ); // $ExpectError
+	mod.ndarrayExactDouble( 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectError
+	mod.ndarrayExactDouble( 10, 0, 0, 1, 0, 80, 1, 0, 160, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainDot2` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDot2( x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainDot2` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDot2( x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, false, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, undefined, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, ( x: number ): number => x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainDot2` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDot2(); // $ExpectError
+	sdsdot.mainDot2( x.length ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainDot2( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayDot2` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDot2( x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayDot2` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDot2( x.length, 0.0, 10, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, '10', 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, true, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, false, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, null, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, undefined, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, [], 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, {}, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, ( x: number ): number => x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayDot2` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDot2(); // $ExpectError
+	sdsdot.ndarrayDot2( x.length ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayDot2( x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainDot2` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDot2( 10, 1, 0, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainDot2` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDot2(); // $ExpectError
+	mod.mainDot2( 10 ); // $ExpectError
+	mod.mainDot2( 10, 1, 0, 1, 80 ); // $ExpectError
+	mod.mainDot2( 10, 1, 0, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayDot2` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDot2( 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayDot2` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDot2(); // $ExpectError
+	mod.ndarrayDot2( 10 ); // $ExpectError
+	mod.ndarrayDot2( 10, 0, 0, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayDot2( 10, 0, 0, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainDoubleDouble` method which returns a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectType Float64Array
+}
+
+// The compiler throws an error if the `mainDoubleDouble` method is provided a seventh argument which is not a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, 10, 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, '10', 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, true, 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, false, 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, null, 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, undefined, 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, [], 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, {}, 1 ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, ( x: number ): number => x, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainDoubleDouble` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.mainDoubleDouble(); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, out ); // $ExpectError
+	sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, out, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayDoubleDouble` method which returns a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectType Float64Array
+}
+
+// The compiler throws an error if the `ndarrayDoubleDouble` method is provided a ninth argument which is not a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, 10, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, '10', 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, true, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, false, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, null, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, undefined, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, [], 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, {}, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, ( x: number ): number => x, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayDoubleDouble` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.ndarrayDoubleDouble(); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1 ); // $ExpectError
+	sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainDoubleDouble` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDoubleDouble( 10, 1, 0, 1, 80, 1, 160, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainDoubleDouble` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDoubleDouble(); // $ExpectError
+	mod.mainDoubleDouble( 10 ); // $ExpectError
+	mod.mainDoubleDouble( 10, 1, 0, 1, 80, 1, 160 ); // $ExpectError
+	mod.mainDoubleDouble( 10, 1, 0, 1, 80, 1, 160, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayDoubleDouble` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDoubleDouble( 10, 0, 0, 1, 0, 80, 1, 0, 160, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayDoubleDouble` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDoubleDouble(); // $ExpectError
+	mod.ndarrayDoubleDouble( 10 ); // $ExpectError
+	mod.ndarrayDoubleDouble( 10, 0, 0, 1, 0, 80, 1, 0, 160, 1 ); // $ExpectError
+	mod.ndarrayDoubleDouble( 10, 0, 0, 1, 0, 80, 1, 0, 160, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainBatched` method which returns a Float32Array...
+{
+	const X = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const Y = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const scalars = new Float32Array( 2 );
+	const out = new Float32Array( 2 );
+
+	sdsdot.mainBatched( 10, scalars, X, 1, Y, 1, out ); // $ExpectType Float32Array
+}
+
+// The compiler throws an error if the `mainBatched` method is provided a third argument which is not an array of Float32Arrays...
+{
+	const Y = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const scalars = new Float32Array( 2 );
+	const out = new Float32Array( 2 );
+
+	sdsdot.mainBatched( 10, scalars, 10, 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, '10', 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, true, 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, false, 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, null, 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, undefined, 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, [ 1, 2 ], 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, {}, 1, Y, 1, out ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, ( x: number ): number => x, 1, Y, 1, out ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainBatched` method is provided an unsupported number of arguments...
+{
+	const X = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const Y = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const scalars = new Float32Array( 2 );
+	const out = new Float32Array( 2 );
+
+	sdsdot.mainBatched(); // $ExpectError
+	sdsdot.mainBatched( 10 ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, X, 1, Y, 1 ); // $ExpectError
+	sdsdot.mainBatched( 10, scalars, X, 1, Y, 1, out, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayBatched` method which returns a Float32Array...
+{
+	const X = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const Y = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const scalars = new Float32Array( 2 );
+	const out = new Float32Array( 2 );
+
+	sdsdot.ndarrayBatched( 10, scalars, X, 1, 0, Y, 1, 0, out ); // $ExpectType Float32Array
+}
+
+// The compiler throws an error if the `ndarrayBatched` method is provided a third argument which is not an array of Float32Arrays...
+{
+	const Y = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const scalars = new Float32Array( 2 );
+	const out = new Float32Array( 2 );
+
+	sdsdot.ndarrayBatched( 10, scalars, 10, 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, '10', 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, true, 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, false, 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, null, 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, undefined, 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, [ 1, 2 ], 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, {}, 1, 0, Y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, ( x: number ): number => x, 1, 0, Y, 1, 0, out ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayBatched` method is provided an unsupported number of arguments...
+{
+	const X = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const Y = [ new Float32Array( 10 ), new Float32Array( 10 ) ];
+	const scalars = new Float32Array( 2 );
+	const out = new Float32Array( 2 );
+
+	sdsdot.ndarrayBatched(); // $ExpectError
+	sdsdot.ndarrayBatched( 10 ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, X, 1, 0, Y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayBatched( 10, scalars, X, 1, 0, Y, 1, 0, out, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainBatched` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainBatched( 2, 10, 160, 0, 1, 10, 80, 1, 10, 168 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainBatched` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainBatched(); // $ExpectError
+	mod.mainBatched( 2 ); // $ExpectError
+	mod.mainBatched( 2, 10, 160, 0, 1, 10, 80, 1, 10 ); // $ExpectError
+	mod.mainBatched( 2, 10, 160, 0, 1, 10, 80, 1, 10, 168, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayBatched` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayBatched( 2, 10, 160, 0, 1, 10, 0, 80, 1, 10, 0, 168 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayBatched` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayBatched(); // $ExpectError
+	mod.ndarrayBatched( 2 ); // $ExpectError
+	mod.ndarrayBatched( 2, 10, 160, 0, 1, 10, 0, 80, 1, 10, 0 ); // $ExpectError
+	mod.ndarrayBatched( 2, 10, 160, 0, 1, 10, 0, 80, 1, 10, 0, 168, 10 ); // $ExpectError
+}
+
+// Attached to the main export is a `Pool` constructor which returns a worker pool...
+{
+	const mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+
+	sdsdot.Pool( mem ); // $ExpectType Pool
+	new sdsdot.Pool( mem ); // $ExpectType Pool
+	sdsdot.Pool( mem, { 'threads': 2 } ); // $ExpectType Pool
+	new sdsdot.Pool( mem, { 'threads': 2 } ); // $ExpectType Pool
+}
+
+// The compiler throws an error if the `Pool` constructor is not provided a WebAssembly memory instance...
+{
+	sdsdot.Pool( '10' ); // $ExpectError
+	sdsdot.Pool( true ); // $ExpectError
+	sdsdot.Pool( false ); // $ExpectError
+	sdsdot.Pool( null ); // $ExpectError
+	sdsdot.Pool( undefined ); // $ExpectError
+	sdsdot.Pool( [] ); // $ExpectError
+	sdsdot.Pool( {} ); // $ExpectError
+	sdsdot.Pool( ( x: number ): number => x ); // $ExpectError
+
+	new sdsdot.Pool( '10' ); // $ExpectError
+	new sdsdot.Pool( true ); // $ExpectError
+	new sdsdot.Pool( false ); // $ExpectError
+	new sdsdot.Pool( null ); // $ExpectError
+	new sdsdot.Pool( undefined ); // $ExpectError
+	new sdsdot.Pool( [] ); // $ExpectError
+	new sdsdot.Pool( {} ); // $ExpectError
+	new sdsdot.Pool( ( x: number ): number => x ); // $ExpectError
+}
+
+// The compiler throws an error if the `Pool` constructor is provided an invalid `threads` option...
+{
+	const mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+
+	sdsdot.Pool( mem, { 'threads': '2' } ); // $ExpectError
+	sdsdot.Pool( mem, { 'threads': true } ); // $ExpectError
+	sdsdot.Pool( mem, { 'threads': null } ); // $ExpectError
+	sdsdot.Pool( mem, { 'threads': [] } ); // $ExpectError
+}
+
+// A worker pool has `main`, `ndarray`, `mainDouble`, `ndarrayDouble`, `mainReproducible`, and `ndarrayReproducible` methods which return `void`...
+{
+	const mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+	const pool = sdsdot.Pool( mem );
+	const clbk = ( error: Error | null, result?: number ): void => {
+		if ( error ) {
+			throw error;
+		}
+		if ( result ) {
+			// ...
+		}
+	};
+
+	pool.main( 10, 0.0, 0, 1, 80, 1, clbk ); // $ExpectType void
+	pool.ndarray( 10, 0.0, 0, 1, 0, 80, 1, 0, clbk ); // $ExpectType void
+	pool.mainDouble( 10, 0.0, 0, 1, 80, 1, clbk ); // $ExpectType void
+	pool.ndarrayDouble( 10, 0.0, 0, 1, 0, 80, 1, 0, clbk ); // $ExpectType void
+	pool.mainReproducible( 10, 0.0, 0, 1, 80, 1, clbk ); // $ExpectType void
+	pool.ndarrayReproducible( 10, 0.0, 0, 1, 0, 80, 1, 0, clbk ); // $ExpectType void
+}
+
+// The compiler throws an error if the `main` method of a worker pool is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+	const pool = sdsdot.Pool( mem );
+
+	pool.main(); // $ExpectError
+	pool.main( 10, 0.0, 0, 1, 80, 1 ); // $ExpectError
+	pool.main( 10, 0.0, 0, 1, 80, 1, '10' ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarray` method of a worker pool is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+	const pool = sdsdot.Pool( mem );
+
+	pool.ndarray(); // $ExpectError
+	pool.ndarray( 10, 0.0, 0, 1, 0, 80, 1, 0 ); // $ExpectError
+	pool.ndarray( 10, 0.0, 0, 1, 0, 80, 1, 0, '10' ); // $ExpectError
+}
+
+// A worker pool has a `close` method which returns `void`...
+{
+	const mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+	const pool = sdsdot.Pool( mem );
+
+	pool.close(); // $ExpectType void
+	pool.close( ( error: Error | null ): void => { if ( error ) { throw error; } } ); // $ExpectType void
+}
+
+// The compiler throws an error if the `close` method of a worker pool is provided a callback argument which is not a function...
+{
+	const mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+	const pool = sdsdot.Pool( mem );
+
+	pool.close( '10' ); // $ExpectError
+	pool.close( 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainReproducible` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainReproducible( x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainReproducible` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainReproducible( x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, false, 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, undefined, 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, ( x: number ): number => x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainReproducible` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainReproducible(); // $ExpectError
+	sdsdot.mainReproducible( x.length ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainReproducible( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayReproducible` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayReproducible( x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayReproducible` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayReproducible( x.length, 0.0, 10, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, '10', 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, true, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, false, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, null, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, undefined, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, [], 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, {}, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, ( x: number ): number => x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayReproducible` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayReproducible(); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayReproducible( x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainReproducible` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainReproducible( 10, 1, 0, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainReproducible` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainReproducible(); // $ExpectError
+	mod.mainReproducible( 10 ); // $ExpectError
+	mod.mainReproducible( 10, 1, 0, 1, 80 ); // $ExpectError
+	mod.mainReproducible( 10, 1, 0, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayReproducible` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayReproducible( 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayReproducible` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayReproducible(); // $ExpectError
+	mod.ndarrayReproducible( 10 ); // $ExpectError
+	mod.ndarrayReproducible( 10, 0, 0, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayReproducible( 10, 0, 0, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainDiagnostics` method which returns a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 4 );
+
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectType Float64Array
+}
+
+// The compiler throws an error if the `mainDiagnostics` method is provided a seventh argument which is not a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, 10, 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, '10', 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, true, 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, false, 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, null, 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, undefined, 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, [], 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, {}, 1 ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, ( x: number ): number => x, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainDiagnostics` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 4 );
+
+	sdsdot.mainDiagnostics(); // $ExpectError
+	sdsdot.mainDiagnostics( x.length ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, out ); // $ExpectError
+	sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, out, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayDiagnostics` method which returns a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 4 );
+
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectType Float64Array
+}
+
+// The compiler throws an error if the `ndarrayDiagnostics` method is provided a ninth argument which is not a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, 10, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, '10', 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, true, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, false, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, null, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, undefined, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, [], 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, {}, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, ( x: number ): number => x, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayDiagnostics` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 4 );
+
+	sdsdot.ndarrayDiagnostics(); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1 ); // $ExpectError
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainDiagnostics` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDiagnostics( 10, 1, 0, 1, 80, 1, 160, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainDiagnostics` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainDiagnostics(); // $ExpectError
+	mod.mainDiagnostics( 10 ); // $ExpectError
+	mod.mainDiagnostics( 10, 1, 0, 1, 80, 1, 160 ); // $ExpectError
+	mod.mainDiagnostics( 10, 1, 0, 1, 80, 1, 160, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayDiagnostics` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDiagnostics( 10, 0, 0, 1, 0, 80, 1, 0, 160, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayDiagnostics` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayDiagnostics(); // $ExpectError
+	mod.ndarrayDiagnostics( 10 ); // $ExpectError
+	mod.ndarrayDiagnostics( 10, 0, 0, 1, 0, 80, 1, 0, 160, 1 ); // $ExpectError
+	mod.ndarrayDiagnostics( 10, 0, 0, 1, 0, 80, 1, 0, 160, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainHalf` method which returns a number...
+{
+	const x = new Uint16Array( 10 );
+	const y = new Uint16Array( 10 );
+
+	sdsdot.mainHalf( 'float16', x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+	sdsdot.mainHalf( 'bfloat16', x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainHalf` method is provided a first argument which is not a supported format...
+{
+	const x = new Uint16Array( 10 );
+	const y = new Uint16Array( 10 );
+
+	sdsdot.mainHalf( 'float32', x.length, 0.0, x, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( 10, x.length, 0.0, x, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( true, x.length, 0.0, x, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( null, x.length, 0.0, x, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( [], x.length, 0.0, x, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( {}, x.length, 0.0, x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainHalf` method is provided a fourth argument which is not a Uint16Array...
+{
+	const x = new Uint16Array( 10 );
+	const y = new Uint16Array( 10 );
+
+	sdsdot.mainHalf( 'float16', x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, new Float32Array( 10 ), 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainHalf` method is provided an unsupported number of arguments...
+{
+	const x = new Uint16Array( 10 );
+	const y = new Uint16Array( 10 );
+
+	sdsdot.mainHalf(); // $ExpectError
+	sdsdot.mainHalf( 'float16' ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainHalf( 'float16', x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayHalf` method which returns a number...
+{
+	const x = new Uint16Array( 10 );
+	const y = new Uint16Array( 10 );
+
+	sdsdot.ndarrayHalf( 'float16', x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+	sdsdot.ndarrayHalf( 'bfloat16', x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayHalf` method is provided a first argument which is not a supported format...
+{
+	const x = new Uint16Array( 10 );
+	const y = new Uint16Array( 10 );
+
+	sdsdot.ndarrayHalf( 'float32', x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayHalf( 10, x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayHalf( true, x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayHalf( null, x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayHalf( [], x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayHalf( {}, x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayHalf` method is provided an unsupported number of arguments...
+{
+	const x = new Uint16Array( 10 );
+	const y = new Uint16Array( 10 );
+
+	sdsdot.ndarrayHalf(); // $ExpectError
+	sdsdot.ndarrayHalf( 'float16' ); // $ExpectError
+	sdsdot.ndarrayHalf( 'float16', x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayHalf( 'float16', x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainHalf` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainHalf( 'float16', 10, 1, 0, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainHalf` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainHalf(); // $ExpectError
+	mod.mainHalf( 'float16' ); // $ExpectError
+	mod.mainHalf( 'float16', 10, 1, 0, 1, 80 ); // $ExpectError
+	mod.mainHalf( 'float16', 10, 1, 0, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayHalf` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayHalf( 'bfloat16', 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayHalf` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayHalf(); // $ExpectError
+	mod.ndarrayHalf( 'float16' ); // $ExpectError
+	mod.ndarrayHalf( 'float16', 10, 0, 0, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayHalf( 'float16', 10, 0, 0, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainMixed` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float64Array( 10 );
+
+	sdsdot.mainMixed( x.length, 0.0, x, 1, y, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainMixed` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float64Array( 10 );
+
+	sdsdot.mainMixed( x.length, 0.0, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, false, 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, undefined, 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, [], 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, {}, 1, y, 1 ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, ( x: number ): number => x, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainMixed` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float64Array( 10 );
+
+	sdsdot.mainMixed(); // $ExpectError
+	sdsdot.mainMixed( x.length ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, x, 1, y ); // $ExpectError
+	sdsdot.mainMixed( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayMixed` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float64Array( 10 );
+
+	sdsdot.ndarrayMixed( x.length, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayMixed` method is provided a third argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float64Array( 10 );
+
+	sdsdot.ndarrayMixed( x.length, 0.0, 10, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, '10', 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, true, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, false, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, null, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, undefined, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, [], 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, {}, 1, 0, y, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, ( x: number ): number => x, 1, 0, y, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayMixed` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float64Array( 10 );
+
+	sdsdot.ndarrayMixed(); // $ExpectError
+	sdsdot.ndarrayMixed( x.length ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayMixed( x.length, 0.0, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainMixed` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainMixed( 10, 1, 0, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainMixed` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainMixed(); // $ExpectError
+	mod.mainMixed( 10 ); // $ExpectError
+	mod.mainMixed( 10, 1, 0, 1, 80 ); // $ExpectError
+	mod.mainMixed( 10, 1, 0, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayMixed` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayMixed( 10, 0, 0, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayMixed` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayMixed(); // $ExpectError
+	mod.ndarrayMixed( 10 ); // $ExpectError
+	mod.ndarrayMixed( 10, 0, 0, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayMixed( 10, 0, 0, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainQuantized` method which returns a number...
+{
+	const x = new Int8Array( 10 );
+	const y = new Uint8Array( 10 );
+
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectType number
+	sdsdot.mainQuantized( 'uint8', y.length, 0.0, y, 1, 128, 0.5, y, 1, 128, 0.5 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainQuantized` method is provided a first argument which is not a supported data type...
+{
+	const x = new Int8Array( 10 );
+
+	sdsdot.mainQuantized( 'float32', x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( 10, x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( true, x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( null, x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( [], x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( {}, x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainQuantized` method is provided a fourth argument which is not an Int8Array or Uint8Array...
+{
+	const x = new Int8Array( 10 );
+
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, 10, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, '10', 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, true, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, null, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, new Float32Array( 10 ), 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, [], 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, {}, 1, 0, 0.5, x, 1, 0, 0.5 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainQuantized` method is provided an unsupported number of arguments...
+{
+	const x = new Int8Array( 10 );
+
+	sdsdot.mainQuantized(); // $ExpectError
+	sdsdot.mainQuantized( 'int8' ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, x, 1, 0, 0.5, x, 1, 0 ); // $ExpectError
+	sdsdot.mainQuantized( 'int8', x.length, 0.0, x, 1, 0, 0.5, x, 1, 0, 0.5, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayQuantized` method which returns a number...
+{
+	const x = new Int8Array( 10 );
+	const y = new Uint8Array( 10 );
+
+	sdsdot.ndarrayQuantized( 'int8', x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5 ); // $ExpectType number
+	sdsdot.ndarrayQuantized( 'uint8', y.length, 0.0, y, 1, 0, 128, 0.5, y, 1, 0, 128, 0.5 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayQuantized` method is provided a first argument which is not a supported data type...
+{
+	const x = new Int8Array( 10 );
+
+	sdsdot.ndarrayQuantized( 'float32', x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5 ); // $ExpectError
+	sdsdot.ndarrayQuantized( 10, x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5 ); // $ExpectError
+	sdsdot.ndarrayQuantized( true, x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5 ); // $ExpectError
+	sdsdot.ndarrayQuantized( null, x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5 ); // $ExpectError
+	sdsdot.ndarrayQuantized( [], x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5 ); // $ExpectError
+	sdsdot.ndarrayQuantized( {}, x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayQuantized` method is provided an unsupported number of arguments...
+{
+	const x = new Int8Array( 10 );
+
+	sdsdot.ndarrayQuantized(); // $ExpectError
+	sdsdot.ndarrayQuantized( 'int8' ); // $ExpectError
+	sdsdot.ndarrayQuantized( 'int8', x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0 ); // $ExpectError
+	sdsdot.ndarrayQuantized( 'int8', x.length, 0.0, x, 1, 0, 0, 0.5, x, 1, 0, 0, 0.5, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainQuantized` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainQuantized( 'int8', 10, 0.0, 0, 1, 0, 0.5, 80, 1, 0, 0.5 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainQuantized` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainQuantized(); // $ExpectError
+	mod.mainQuantized( 'int8' ); // $ExpectError
+	mod.mainQuantized( 'int8', 10, 0.0, 0, 1, 0, 0.5, 80, 1, 0 ); // $ExpectError
+	mod.mainQuantized( 'int8', 10, 0.0, 0, 1, 0, 0.5, 80, 1, 0, 0.5, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayQuantized` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayQuantized( 'uint8', 10, 0.0, 0, 1, 0, 128, 0.5, 80, 1, 0, 128, 0.5 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayQuantized` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayQuantized(); // $ExpectError
+	mod.ndarrayQuantized( 'uint8' ); // $ExpectError
+	mod.ndarrayQuantized( 'uint8', 10, 0.0, 0, 1, 0, 128, 0.5, 80, 1, 0, 128 ); // $ExpectError
+	mod.ndarrayQuantized( 'uint8', 10, 0.0, 0, 1, 0, 128, 0.5, 80, 1, 0, 128, 0.5, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainBlockScaled` method which returns a number...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, 32 ); // $ExpectType number
+	sdsdot.mainBlockScaled( 'e5m2', x.length, 0.0, x, s, x, s, 32 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainBlockScaled` method is provided a first argument which is not a supported format...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.mainBlockScaled( 'float32', x.length, 0.0, x, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( 10, x.length, 0.0, x, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( true, x.length, 0.0, x, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( null, x.length, 0.0, x, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( [], x.length, 0.0, x, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( {}, x.length, 0.0, x, s, x, s, 32 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainBlockScaled` method is provided a fourth argument which is not a Uint8Array...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, 10, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, '10', s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, true, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, null, s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, new Float32Array( 10 ), s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, [], s, x, s, 32 ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, {}, s, x, s, 32 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainBlockScaled` method is provided an eighth argument which is not a number...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, '32' ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, true ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, null ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, [] ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainBlockScaled` method is provided an unsupported number of arguments...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.mainBlockScaled(); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3' ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s ); // $ExpectError
+	sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, 32, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayBlockScaled` method which returns a number...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.ndarrayBlockScaled( 'e4m3', x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectType number
+	sdsdot.ndarrayBlockScaled( 'e5m2', x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayBlockScaled` method is provided a first argument which is not a supported format...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.ndarrayBlockScaled( 'float32', x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectError
+	sdsdot.ndarrayBlockScaled( 10, x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectError
+	sdsdot.ndarrayBlockScaled( true, x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectError
+	sdsdot.ndarrayBlockScaled( null, x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectError
+	sdsdot.ndarrayBlockScaled( [], x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectError
+	sdsdot.ndarrayBlockScaled( {}, x.length, 0.0, x, s, 0, x, s, 0, 32 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayBlockScaled` method is provided an unsupported number of arguments...
+{
+	const x = new Uint8Array( 10 );
+	const s = new Uint8Array( 1 );
+
+	sdsdot.ndarrayBlockScaled(); // $ExpectError
+	sdsdot.ndarrayBlockScaled( 'e4m3' ); // $ExpectError
+	sdsdot.ndarrayBlockScaled( 'e4m3', x.length, 0.0, x, s, 0, x, s, 0 ); // $ExpectError
+	sdsdot.ndarrayBlockScaled( 'e4m3', x.length, 0.0, x, s, 0, x, s, 0, 32, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainBlockScaled` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainBlockScaled( 'e4m3', 10, 0.0, 0, 80, 40, 88, 32 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainBlockScaled` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainBlockScaled(); // $ExpectError
+	mod.mainBlockScaled( 'e4m3' ); // $ExpectError
+	mod.mainBlockScaled( 'e4m3', 10, 0.0, 0, 80, 40, 88 ); // $ExpectError
+	mod.mainBlockScaled( 'e4m3', 10, 0.0, 0, 80, 40, 88, 32, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayBlockScaled` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayBlockScaled( 'e5m2', 10, 0.0, 0, 80, 0, 40, 88, 0, 32 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayBlockScaled` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayBlockScaled(); // $ExpectError
+	mod.ndarrayBlockScaled( 'e5m2' ); // $ExpectError
+	mod.ndarrayBlockScaled( 'e5m2', 10, 0.0, 0, 80, 0, 40, 88, 0 ); // $ExpectError
+	mod.ndarrayBlockScaled( 'e5m2', 10, 0.0, 0, 80, 0, 40, 88, 0, 32, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainCdotu` method which returns a complex number...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.mainCdotu( x.length, x, 1, y, 1 ); // $ExpectType Complex64
+}
+
+// The compiler throws an error if the `mainCdotu` method is provided a second argument which is not a Complex64Array...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.mainCdotu( x.length, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotu( x.length, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotu( x.length, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotu( x.length, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotu( x.length, {}, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainCdotu` method is provided an unsupported number of arguments...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.mainCdotu(); // $ExpectError
+	sdsdot.mainCdotu( x.length ); // $ExpectError
+	sdsdot.mainCdotu( x.length, x, 1, y ); // $ExpectError
+	sdsdot.mainCdotu( x.length, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayCdotu` method which returns a complex number...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, y, 1, 0 ); // $ExpectType Complex64
+}
+
+// The compiler throws an error if the `ndarrayCdotu` method is provided a fifth argument which is not a Complex64Array...
+{
+	const x = new Complex64Array( 10 );
+
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, 10, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, '10', 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, true, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, null, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, {}, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayCdotu` method is provided an unsupported number of arguments...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.ndarrayCdotu(); // $ExpectError
+	sdsdot.ndarrayCdotu( x.length ); // $ExpectError
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayCdotu( x.length, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainCdotu` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainCdotu( 10, 0, 1, 80, 1, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainCdotu` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainCdotu(); // $ExpectError
+	mod.mainCdotu( 10 ); // $ExpectError
+	mod.mainCdotu( 10, 0, 1, 80, 1 ); // $ExpectError
+	mod.mainCdotu( 10, 0, 1, 80, 1, 160, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayCdotu` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayCdotu( 10, 0, 1, 0, 80, 1, 0, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayCdotu` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayCdotu(); // $ExpectError
+	mod.ndarrayCdotu( 10 ); // $ExpectError
+	mod.ndarrayCdotu( 10, 0, 1, 0, 80, 1, 0 ); // $ExpectError
+	mod.ndarrayCdotu( 10, 0, 1, 0, 80, 1, 0, 160, 10 ); // $ExpectError
+}
+// Attached to main export is a `mainCdotc` method which returns a complex number...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.mainCdotc( x.length, x, 1, y, 1 ); // $ExpectType Complex64
+}
+
+// The compiler throws an error if the `mainCdotc` method is provided a second argument which is not a Complex64Array...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.mainCdotc( x.length, 10, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotc( x.length, '10', 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotc( x.length, true, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotc( x.length, null, 1, y, 1 ); // $ExpectError
+	sdsdot.mainCdotc( x.length, {}, 1, y, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainCdotc` method is provided an unsupported number of arguments...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.mainCdotc(); // $ExpectError
+	sdsdot.mainCdotc( x.length ); // $ExpectError
+	sdsdot.mainCdotc( x.length, x, 1, y ); // $ExpectError
+	sdsdot.mainCdotc( x.length, x, 1, y, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayCdotc` method which returns a complex number...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, y, 1, 0 ); // $ExpectType Complex64
+}
+
+// The compiler throws an error if the `ndarrayCdotc` method is provided a fifth argument which is not a Complex64Array...
+{
+	const x = new Complex64Array( 10 );
+
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, 10, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, '10', 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, true, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, null, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, {}, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayCdotc` method is provided an unsupported number of arguments...
+{
+	const x = new Complex64Array( 10 );
+	const y = new Complex64Array( 10 );
+
+	sdsdot.ndarrayCdotc(); // $ExpectError
+	sdsdot.ndarrayCdotc( x.length ); // $ExpectError
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, y, 1 ); // $ExpectError
+	sdsdot.ndarrayCdotc( x.length, x, 1, 0, y, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainCdotc` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainCdotc( 10, 0, 1, 80, 1, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainCdotc` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainCdotc(); // $ExpectError
+	mod.mainCdotc( 10 ); // $ExpectError
+	mod.mainCdotc( 10, 0, 1, 80, 1 ); // $ExpectError
+	mod.mainCdotc( 10, 0, 1, 80, 1, 160, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayCdotc` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayCdotc( 10, 0, 1, 0, 80, 1, 0, 160 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayCdotc` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayCdotc(); // $ExpectError
+	mod.ndarrayCdotc( 10 ); // $ExpectError
+	mod.ndarrayCdotc( 10, 0, 1, 0, 80, 1, 0 ); // $ExpectError
+	mod.ndarrayCdotc( 10, 0, 1, 0, 80, 1, 0, 160, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainSparse` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const idx = new Int32Array( 10 );
+	const y = new Float32Array( 20 );
+
+	sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainSparse` method is provided a fifth argument which is not an Int32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 20 );
+
+	sdsdot.mainSparse( x.length, 0.0, x, 1, 10, 1, y ); // $ExpectError
+	sdsdot.mainSparse( x.length, 0.0, x, 1, '10', 1, y ); // $ExpectError
+	sdsdot.mainSparse( x.length, 0.0, x, 1, true, 1, y ); // $ExpectError
+	sdsdot.mainSparse( x.length, 0.0, x, 1, null, 1, y ); // $ExpectError
+	sdsdot.mainSparse( x.length, 0.0, x, 1, {}, 1, y ); // $ExpectError
+	sdsdot.mainSparse( x.length, 0.0, x, 1, y, 1, y ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainSparse` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const idx = new Int32Array( 10 );
+	const y = new Float32Array( 20 );
+
+	sdsdot.mainSparse(); // $ExpectError
+	sdsdot.mainSparse( x.length ); // $ExpectError
+	sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1 ); // $ExpectError
+	sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarraySparse` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const idx = new Int32Array( 10 );
+	const y = new Float32Array( 20 );
+
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarraySparse` method is provided a sixth argument which is not an Int32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 20 );
+
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, 10, 1, 0, y, 0 ); // $ExpectError
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, '10', 1, 0, y, 0 ); // $ExpectError
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, true, 1, 0, y, 0 ); // $ExpectError
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, null, 1, 0, y, 0 ); // $ExpectError
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, {}, 1, 0, y, 0 ); // $ExpectError
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, y, 1, 0, y, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarraySparse` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const idx = new Int32Array( 10 );
+	const y = new Float32Array( 20 );
+
+	sdsdot.ndarraySparse(); // $ExpectError
+	sdsdot.ndarraySparse( x.length ); // $ExpectError
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y ); // $ExpectError
+	sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainSparse` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainSparse( 10, 0.0, 0, 1, 40, 1, 80 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainSparse` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainSparse(); // $ExpectError
+	mod.mainSparse( 10 ); // $ExpectError
+	mod.mainSparse( 10, 0.0, 0, 1, 40, 1 ); // $ExpectError
+	mod.mainSparse( 10, 0.0, 0, 1, 40, 1, 80, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarraySparse` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarraySparse( 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarraySparse` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarraySparse(); // $ExpectError
+	mod.ndarraySparse( 10 ); // $ExpectError
+	mod.ndarraySparse( 10, 0.0, 0, 1, 0, 40, 1, 0, 80 ); // $ExpectError
+	mod.ndarraySparse( 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainSparseSparse` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const ix = new Int32Array( 10 );
+	const y = new Float32Array( 10 );
+	const iy = new Int32Array( 10 );
+
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainSparseSparse` method is provided a fifth argument which is not an Int32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const iy = new Int32Array( 10 );
+
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, 10, 1, y, iy, 1 ); // $ExpectError
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, '10', 1, y, iy, 1 ); // $ExpectError
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, true, 1, y, iy, 1 ); // $ExpectError
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, null, 1, y, iy, 1 ); // $ExpectError
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, {}, 1, y, iy, 1 ); // $ExpectError
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, x, 1, y, iy, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainSparseSparse` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const ix = new Int32Array( 10 );
+	const y = new Float32Array( 10 );
+	const iy = new Int32Array( 10 );
+
+	sdsdot.mainSparseSparse(); // $ExpectError
+	sdsdot.mainSparseSparse( x.length ); // $ExpectError
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy ); // $ExpectError
+	sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarraySparseSparse` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const ix = new Int32Array( 10 );
+	const y = new Float32Array( 10 );
+	const iy = new Int32Array( 10 );
+
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, ix, 1, 0, y, iy, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarraySparseSparse` method is provided a fifth argument which is not an Int32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const iy = new Int32Array( 10 );
+
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, 10, 1, 0, y, iy, 1, 0 ); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, '10', 1, 0, y, iy, 1, 0 ); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, true, 1, 0, y, iy, 1, 0 ); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, null, 1, 0, y, iy, 1, 0 ); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, {}, 1, 0, y, iy, 1, 0 ); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, x, 1, 0, y, iy, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarraySparseSparse` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const ix = new Int32Array( 10 );
+	const y = new Float32Array( 10 );
+	const iy = new Int32Array( 10 );
+
+	sdsdot.ndarraySparseSparse(); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length ); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, ix, 1, 0, y, iy, 1 ); // $ExpectError
+	sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, ix, 1, 0, y, iy, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainSparseSparse` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainSparseSparse( 10, 10, 0.0, 0, 40, 1, 80, 120, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainSparseSparse` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainSparseSparse(); // $ExpectError
+	mod.mainSparseSparse( 10 ); // $ExpectError
+	mod.mainSparseSparse( 10, 10, 0.0, 0, 40, 1, 80, 120 ); // $ExpectError
+	mod.mainSparseSparse( 10, 10, 0.0, 0, 40, 1, 80, 120, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarraySparseSparse` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarraySparseSparse( 10, 10, 0.0, 0, 40, 1, 0, 80, 120, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarraySparseSparse` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarraySparseSparse(); // $ExpectError
+	mod.ndarraySparseSparse( 10 ); // $ExpectError
+	mod.ndarraySparseSparse( 10, 10, 0.0, 0, 40, 1, 0, 80, 120, 1 ); // $ExpectError
+	mod.ndarraySparseSparse( 10, 10, 0.0, 0, 40, 1, 0, 80, 120, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainMasked` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const mask = new Uint8Array( 10 );
+
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainMasked` method is provided a seventh argument which is not a Uint8Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, 10, 1 ); // $ExpectError
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, '10', 1 ); // $ExpectError
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, true, 1 ); // $ExpectError
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, null, 1 ); // $ExpectError
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, {}, 1 ); // $ExpectError
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, x, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainMasked` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const mask = new Uint8Array( 10 );
+
+	sdsdot.mainMasked(); // $ExpectError
+	sdsdot.mainMasked( x.length ); // $ExpectError
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask ); // $ExpectError
+	sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayMasked` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const mask = new Uint8Array( 10 );
+
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, mask, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayMasked` method is provided a ninth argument which is not a Uint8Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, 10, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, '10', 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, true, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, null, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, {}, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, x, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayMasked` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const mask = new Uint8Array( 10 );
+
+	sdsdot.ndarrayMasked(); // $ExpectError
+	sdsdot.ndarrayMasked( x.length ); // $ExpectError
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, mask, 1 ); // $ExpectError
+	sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, mask, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainMasked` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainMasked( 10, 0.0, 0, 1, 40, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainMasked` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainMasked(); // $ExpectError
+	mod.mainMasked( 10 ); // $ExpectError
+	mod.mainMasked( 10, 0.0, 0, 1, 40, 1, 80 ); // $ExpectError
+	mod.mainMasked( 10, 0.0, 0, 1, 40, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayMasked` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayMasked( 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayMasked` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayMasked(); // $ExpectError
+	mod.ndarrayMasked( 10 ); // $ExpectError
+	mod.ndarrayMasked( 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayMasked( 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainNaN` method which returns a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.mainNaN( 'propagate', x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectType Float64Array
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectType Float64Array
+	sdsdot.mainNaN( 'error', x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectType Float64Array
+}
+
+// The compiler throws an error if the `mainNaN` method is provided a first argument which is not a supported policy...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.mainNaN( 'skip', x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectError
+	sdsdot.mainNaN( 10, x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectError
+	sdsdot.mainNaN( true, x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectError
+	sdsdot.mainNaN( null, x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectError
+	sdsdot.mainNaN( [], x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectError
+	sdsdot.mainNaN( {}, x.length, 0.0, x, 1, y, 1, out, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainNaN` method is provided an eighth argument which is not a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, 10, 1 ); // $ExpectError
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, '10', 1 ); // $ExpectError
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, true, 1 ); // $ExpectError
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, null, 1 ); // $ExpectError
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, [], 1 ); // $ExpectError
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, {}, 1 ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainNaN` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.mainNaN(); // $ExpectError
+	sdsdot.mainNaN( 'ignore' ); // $ExpectError
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out ); // $ExpectError
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayNaN` method which returns a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectType Float64Array
+}
+
+// The compiler throws an error if the `ndarrayNaN` method is provided a first argument which is not a supported policy...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.ndarrayNaN( 'skip', x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( 10, x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( true, x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( null, x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( [], x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( {}, x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayNaN` method is provided a tenth argument which is not a Float64Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, 10, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, '10', 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, true, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, null, 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, [], 1, 0 ); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, {}, 1, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayNaN` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float64Array( 2 );
+
+	sdsdot.ndarrayNaN(); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore' ); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, out, 1 ); // $ExpectError
+	sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainNaN` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainNaN( 'ignore', 10, 0.0, 0, 1, 40, 1, 80, 1 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainNaN` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainNaN(); // $ExpectError
+	mod.mainNaN( 'ignore' ); // $ExpectError
+	mod.mainNaN( 'ignore', 10, 0.0, 0, 1, 40, 1, 80 ); // $ExpectError
+	mod.mainNaN( 'ignore', 10, 0.0, 0, 1, 40, 1, 80, 1, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayNaN` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayNaN( 'ignore', 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 1, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayNaN` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayNaN(); // $ExpectError
+	mod.ndarrayNaN( 'ignore' ); // $ExpectError
+	mod.ndarrayNaN( 'ignore', 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 1 ); // $ExpectError
+	mod.ndarrayNaN( 'ignore', 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 1, 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `mainStatus` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float32Array( 1 );
+
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainStatus` method is provided a seventh argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, 10 ); // $ExpectError
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, '10' ); // $ExpectError
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, true ); // $ExpectError
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, null ); // $ExpectError
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, [] ); // $ExpectError
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `mainStatus` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float32Array( 1 );
+
+	sdsdot.mainStatus(); // $ExpectError
+	sdsdot.mainStatus( x.length ); // $ExpectError
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1 ); // $ExpectError
+	sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `ndarrayStatus` method which returns a number...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float32Array( 1 );
+
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, out, 0 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayStatus` method is provided a ninth argument which is not a Float32Array...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, 10, 0 ); // $ExpectError
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, '10', 0 ); // $ExpectError
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, true, 0 ); // $ExpectError
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, null, 0 ); // $ExpectError
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, [], 0 ); // $ExpectError
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, {}, 0 ); // $ExpectError
+}
+
+// The compiler throws an error if the `ndarrayStatus` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+	const y = new Float32Array( 10 );
+	const out = new Float32Array( 1 );
+
+	sdsdot.ndarrayStatus(); // $ExpectError
+	sdsdot.ndarrayStatus( x.length ); // $ExpectError
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, out ); // $ExpectError
+	sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, out, 0, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having a `mainStatus` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainStatus( 10, 0.0, 0, 1, 40, 1, 80 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mainStatus` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.mainStatus(); // $ExpectError
+	mod.mainStatus( 10 ); // $ExpectError
+	mod.mainStatus( 10, 0.0, 0, 1, 40, 1 ); // $ExpectError
+	mod.mainStatus( 10, 0.0, 0, 1, 40, 1, 80, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having an `ndarrayStatus` method which returns a number...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayStatus( 10, 0.0, 0, 1, 0, 40, 1, 0, 80 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `ndarrayStatus` method of a module instance is provided an unsupported number of arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.ndarrayStatus(); // $ExpectError
+	mod.ndarrayStatus( 10 ); // $ExpectError
+	mod.ndarrayStatus( 10, 0.0, 0, 1, 0, 40, 1, 0 ); // $ExpectError
+	mod.ndarrayStatus( 10, 0.0, 0, 1, 0, 40, 1, 0, 80, 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having `malloc`, `free`, and `heapStats` methods...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.malloc( 20 ); // $ExpectType number
+	mod.malloc( 20, 16 ); // $ExpectType number
+	mod.free( 0 ); // $ExpectType void
+	mod.heapStats(); // $ExpectType HeapStats
+}
+
+// The compiler throws an error if the `malloc`, `free`, and `heapStats` methods of a module instance are provided invalid arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.malloc( '10' ); // $ExpectError
+	mod.malloc( 20, '10' ); // $ExpectError
+	mod.free( '10' ); // $ExpectError
+
+	mod.malloc(); // $ExpectError
+	mod.malloc( 20, 16, 10 ); // $ExpectError
+	mod.free(); // $ExpectError
+	mod.free( 0, 10 ); // $ExpectError
+	mod.heapStats( 10 ); // $ExpectError
+}
+
+// The `Module` constructor returns a module instance having `alloc` and `pointer` methods which return pointer handles...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.alloc( 10 ); // $ExpectType Pointer
+	mod.alloc( 10, 2 ); // $ExpectType Pointer
+	mod.pointer( 0, 10 ); // $ExpectType Pointer
+	mod.pointer( 0, 10, 2 ); // $ExpectType Pointer
+	mod.alloc( 10 ).view(); // $ExpectType Float32ArrayLE
+}
+
+// Module instance methods which operate on real-valued single-precision floating-point data accept pointer handles...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+	const x = mod.alloc( 10 );
+	const y = mod.alloc( 10 );
+
+	mod.main( 10, 0.0, x, 1, y, 1 ); // $ExpectType number
+	mod.ndarray( 10, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+	mod.mainDouble( 10, 0.0, x, 1, y, 1 ); // $ExpectType number
+	mod.ndarrayCompensated( 10, 0.0, x, 1, 0, y, 1, 0 ); // $ExpectType number
+	mod.mainExact( 10, 0.0, x, 1, y, 1, 0 ); // $ExpectType number
+	mod.ndarrayMasked( 10, 0.0, x, 1, 0, y, 1, 0, 0, 1, 0 ); // $ExpectType number
+	mod.mainSparse( 10, 0.0, x, 1, 0, 1, y ); // $ExpectType number
+	mod.ndarraySparseSparse( 10, 10, 0.0, x, 0, 1, 0, y, 0, 1, 0 ); // $ExpectType number
+	mod.mainBatched( 2, 5, x, x, 1, 5, y, 1, 5, y ); // $ExpectType number | Pointer
+	mod.ndarrayStatus( 10, 0.0, x, 1, 0, y, 1, 0, mod.alloc( 1 ) ); // $ExpectType number
+	mod.free( x ); // $ExpectType void
+}
+
+// The compiler throws an error if the `alloc` and `pointer` methods of a module instance are provided invalid arguments...
+{
+	const mem = new Memory({
+		'initial': 1
+	});
+	const mod = sdsdot.Module( mem );
+
+	mod.alloc( '10' ); // $ExpectError
+	mod.alloc( 10, '2' ); // $ExpectError
+	mod.pointer( '0', 10 ); // $ExpectError
+	mod.pointer( 0, '10' ); // $ExpectError
+	mod.pointer( 0, 10, '2' ); // $ExpectError
+
+	mod.alloc(); // $ExpectError
+	mod.alloc( 10, 2, 1 ); // $ExpectError
+	mod.pointer(); // $ExpectError
+	mod.pointer( 0 ); // $ExpectError
+	mod.pointer( 0, 10, 2, 1 ); // $ExpectError
+}
+
+// Attached to main export is a `pin` method which returns a routine instance...
+{
+	const x = new Float32Array( 10 );
+
+	sdsdot.pin( x ); // $ExpectType Routine
+	sdsdot.pin( new Complex64Array( 10 ) ); // $ExpectType Routine
+}
+
+// The compiler throws an error if the `pin` method is provided an argument which is not a typed array...
+{
+	sdsdot.pin( 10 ); // $ExpectError
+	sdsdot.pin( '10' ); // $ExpectError
+	sdsdot.pin( true ); // $ExpectError
+	sdsdot.pin( null ); // $ExpectError
+	sdsdot.pin( [] ); // $ExpectError
+	sdsdot.pin( {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `pin` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+
+	sdsdot.pin(); // $ExpectError
+	sdsdot.pin( x, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `unpin` method which returns a routine instance...
+{
+	const x = new Float32Array( 10 );
+
+	sdsdot.unpin( x ); // $ExpectType Routine
+}
+
+// The compiler throws an error if the `unpin` method is provided an argument which is not a typed array...
+{
+	sdsdot.unpin( 10 ); // $ExpectError
+	sdsdot.unpin( '10' ); // $ExpectError
+	sdsdot.unpin( true ); // $ExpectError
+	sdsdot.unpin( null ); // $ExpectError
+	sdsdot.unpin( [] ); // $ExpectError
+	sdsdot.unpin( {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `unpin` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+
+	sdsdot.unpin(); // $ExpectError
+	sdsdot.unpin( x, 10 ); // $ExpectError
+}
+
+// Attached to main export is an `isPinned` method which returns a boolean...
+{
+	const x = new Float32Array( 10 );
+
+	sdsdot.isPinned( x ); // $ExpectType boolean
+	sdsdot.isPinned( 10 ); // $ExpectType boolean
+}
+
+// The compiler throws an error if the `isPinned` method is provided an unsupported number of arguments...
+{
+	const x = new Float32Array( 10 );
+
+	sdsdot.isPinned(); // $ExpectError
+	sdsdot.isPinned( x, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `malloc` method which returns a number...
+{
+	sdsdot.malloc( 20 ); // $ExpectType number
+	sdsdot.malloc( 20, 16 ); // $ExpectType number
+}
+
+// The compiler throws an error if the `malloc` method is provided arguments which are not numbers...
+{
+	sdsdot.malloc( '10' ); // $ExpectError
+	sdsdot.malloc( true ); // $ExpectError
+	sdsdot.malloc( null ); // $ExpectError
+	sdsdot.malloc( [] ); // $ExpectError
+	sdsdot.malloc( {} ); // $ExpectError
+
+	sdsdot.malloc( 20, '10' ); // $ExpectError
+	sdsdot.malloc( 20, true ); // $ExpectError
+	sdsdot.malloc( 20, null ); // $ExpectError
+	sdsdot.malloc( 20, [] ); // $ExpectError
+	sdsdot.malloc( 20, {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `malloc` method is provided an unsupported number of arguments...
+{
+	sdsdot.malloc(); // $ExpectError
+	sdsdot.malloc( 20, 16, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `free` method which returns nothing...
+{
+	sdsdot.free( 0 ); // $ExpectType void
+}
+
+// The compiler throws an error if the `free` method is provided an argument which is not a number...
+{
+	sdsdot.free( '10' ); // $ExpectError
+	sdsdot.free( true ); // $ExpectError
+	sdsdot.free( null ); // $ExpectError
+	sdsdot.free( [] ); // $ExpectError
+	sdsdot.free( {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `free` method is provided an unsupported number of arguments...
+{
+	sdsdot.free(); // $ExpectError
+	sdsdot.free( 0, 10 ); // $ExpectError
+}
+
+// Attached to main export is a `heapStats` method which returns an object...
+{
+	sdsdot.heapStats(); // $ExpectType HeapStats
+}
+
+// The compiler throws an error if the `heapStats` method is provided an unsupported number of arguments...
+{
+	sdsdot.heapStats( 10 ); // $ExpectError
+}
+
+// Attached to main export are `alloc` and `pointer` methods which return pointer handles...
+{
+	sdsdot.alloc( 10 ); // $ExpectType Pointer
+	sdsdot.alloc( 10, 2 ); // $ExpectType Pointer
+	sdsdot.pointer( 0, 10 ); // $ExpectType Pointer
+	sdsdot.pointer( 0, 10, 2 ); // $ExpectType Pointer
+}
+
+// The compiler throws an error if the `alloc` and `pointer` methods are provided invalid arguments...
+{
+	sdsdot.alloc( '10' ); // $ExpectError
+	sdsdot.alloc( 10, '2' ); // $ExpectError
+	sdsdot.pointer( '0', 10 ); // $ExpectError
+	sdsdot.pointer( 0, '10' ); // $ExpectError
+	sdsdot.pointer( 0, 10, '2' ); // $ExpectError
+
+	sdsdot.alloc(); // $ExpectError
+	sdsdot.alloc( 10, 2, 1 ); // $ExpectError
+	sdsdot.pointer(); // $ExpectError
+	sdsdot.pointer( 0 ); // $ExpectError
+	sdsdot.pointer( 0, 10, 2, 1 ); // $ExpectError
+}
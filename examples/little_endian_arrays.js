@@ -68,6 +68,28 @@ function main() {
 
 	// Print the result:
 	console.log( dot );
+
+	// Allocate regions of routine memory for storing two vectors (ensuring that the regions are not overwritten when pinning arrays):
+	var uptr = sdsdot.malloc( N * bytesPerElement( dtype ) );
+	var vptr = sdsdot.malloc( N * bytesPerElement( dtype ) );
+
+	// Create typed array views over routine memory:
+	var u = new Float32ArrayLE( sdsdot.memory.buffer, uptr, N );
+	var v = new Float32ArrayLE( sdsdot.memory.buffer, vptr, N );
+
+	// Write values to routine memory:
+	gfillBy( N, u, 1, discreteUniform( -10.0, 10.0 ) );
+	gfill( N, 1.0, v, 1 );
+
+	// Perform computation without copying the vectors:
+	dot = sdsdot.ndarray( N, 0.0, u, 1, 0, v, 1, 0 );
+
+	// Print the result:
+	console.log( dot );
+
+	// Release the allocated regions:
+	sdsdot.free( uptr );
+	sdsdot.free( vptr );
 }
 
 main();
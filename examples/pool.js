@@ -0,0 +1,73 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+var hasWebAssemblySupport = require( '@stdlib/assert-has-wasm-support' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var discreteUniform = require( '@stdlib/random-base-discrete-uniform' );
+var sdsdot = require( './../lib' );
+
+function main() {
+	var i;
+	if ( !hasWebAssemblySupport() ) {
+		console.error( 'Environment does not support WebAssembly.' );
+		return;
+	}
+	// Specify a vector length:
+	var N = 1000000;
+
+	// Create a new shared memory instance with an initial size of 128 pages (8MiB) and a maximum size of 256 pages (16MiB):
+	var mem = new Memory({
+		'initial': 128,
+		'maximum': 256,
+		'shared': true
+	});
+
+	// Allocate two vectors directly in shared memory:
+	var x = new Float32Array( mem.buffer, 0, N );
+	var y = new Float32Array( mem.buffer, N*x.BYTES_PER_ELEMENT, N );
+
+	// Write vector values:
+	for ( i = 0; i < N; i++ ) {
+		x[ i ] = discreteUniform( -10, 10 );
+		y[ i ] = discreteUniform( -10, 10 );
+	}
+
+	// Create a pool of worker threads:
+	var pool = new sdsdot.Pool( mem, {
+		'threads': 4
+	});
+
+	// Perform computation:
+	pool.ndarray( N, 0.0, 0, 1, 0, y.byteOffset, 1, 0, done );
+
+	function done( error, dot ) {
+		if ( error ) {
+			throw error;
+		}
+		// Print the result:
+		console.log( dot );
+
+		// Terminate the worker threads:
+		pool.close();
+	}
+}
+
+main();
@@ -0,0 +1,377 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var setReadOnly = require( '@stdlib/utils-define-nonenumerable-read-only-property' );
+var ceil = require( '@stdlib/math-base-special-ceil' );
+
+
+// VARIABLES //
+
+// Byte alignment of memory regions (sufficient for double-precision floating-point numbers):
+var ALIGNMENT = 8;
+
+
+// FUNCTIONS //
+
+/**
+* Rounds a byte offset up to the nearest multiple of a specified alignment.
+*
+* @private
+* @param {NonNegativeInteger} ptr - byte offset
+* @param {PositiveInteger} alignment - byte alignment
+* @returns {NonNegativeInteger} aligned byte offset
+*/
+function align( ptr, alignment ) {
+	return ceil( ptr/alignment ) * alignment;
+}
+
+
+// MAIN //
+
+/**
+* Memory arena constructor.
+*
+* ## Notes
+*
+* -   An arena tracks memory regions reserved for arrays which remain resident in module memory across routine invocations (i.e., "pinned" arrays) and for explicit allocations (e.g., via `Module.prototype.malloc`). Regions are kept sorted by byte offset and are allocated using a first-fit strategy, such that freed regions are reused.
+* -   Regions reserved for explicit allocations are not associated with an array (i.e., a region's `data` property is `null`) and can only be resolved by byte offset.
+* -   Memory following the last reserved region is available as scratch space for copying non-resident arrays.
+*
+* @private
+* @constructor
+* @returns {Arena} arena instance
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var arena = new Arena();
+*
+* var x = new Float32Array( 5 );
+* var region = arena.alloc( x, 20 );
+* // returns { 'data': <Float32Array>, 'ptr': 0, 'nbytes': 20 }
+*
+* var end = arena.end();
+* // returns 24
+*/
+function Arena() {
+	if ( !( this instanceof Arena ) ) {
+		return new Arena();
+	}
+	this._regions = [];
+	return this;
+}
+
+/**
+* Returns the memory region reserved for a provided array.
+*
+* @private
+* @name get
+* @memberof Arena.prototype
+* @type {Function}
+* @param {Collection} data - input array
+* @returns {(Object|null)} memory region or null
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var arena = new Arena();
+*
+* var x = new Float32Array( 5 );
+* var region = arena.get( x );
+* // returns null
+*
+* arena.alloc( x, 20 );
+* region = arena.get( x );
+* // returns { 'data': <Float32Array>, 'ptr': 0, 'nbytes': 20 }
+*/
+setReadOnly( Arena.prototype, 'get', function get( data ) {
+	var i;
+	if ( data === null ) {
+		return null;
+	}
+	for ( i = 0; i < this._regions.length; i++ ) {
+		if ( this._regions[ i ].data === data ) {
+			return this._regions[ i ];
+		}
+	}
+	return null;
+});
+
+/**
+* Returns the memory region beginning at a provided byte offset.
+*
+* @private
+* @name find
+* @memberof Arena.prototype
+* @type {Function}
+* @param {NonNegativeInteger} ptr - byte offset
+* @returns {(Object|null)} memory region or null
+*
+* @example
+* var arena = new Arena();
+*
+* var region = arena.alloc( null, 20 );
+* // returns { 'data': null, 'ptr': 0, 'nbytes': 20 }
+*
+* var bool = ( arena.find( 0 ) === region );
+* // returns true
+*
+* region = arena.find( 8 );
+* // returns null
+*/
+setReadOnly( Arena.prototype, 'find', function find( ptr ) {
+	var i;
+	for ( i = 0; i < this._regions.length; i++ ) {
+		if ( this._regions[ i ].ptr === ptr ) {
+			return this._regions[ i ];
+		}
+	}
+	return null;
+});
+
+/**
+* Reserves a memory region for a provided array.
+*
+* ## Notes
+*
+* -   Regions are aligned to at least eight bytes.
+*
+* @private
+* @name alloc
+* @memberof Arena.prototype
+* @type {Function}
+* @param {(Collection|null)} data - input array or `null` for an explicit allocation
+* @param {NonNegativeInteger} nbytes - number of bytes
+* @param {PositiveInteger} [alignment=8] - byte alignment (must be a power of two)
+* @returns {Object} memory region
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var arena = new Arena();
+*
+* var region = arena.alloc( new Float32Array( 3 ), 12 );
+* // returns { 'data': <Float32Array>, 'ptr': 0, 'nbytes': 12 }
+*
+* region = arena.alloc( new Float32Array( 2 ), 8 );
+* // returns { 'data': <Float32Array>, 'ptr': 16, 'nbytes': 8 }
+*
+* region = arena.alloc( null, 4, 64 );
+* // returns { 'data': null, 'ptr': 64, 'nbytes': 4 }
+*/
+setReadOnly( Arena.prototype, 'alloc', function alloc( data, nbytes, alignment ) {
+	var region;
+	var ptr;
+	var r;
+	var i;
+
+	alignment = ( arguments.length > 2 && alignment > ALIGNMENT ) ? alignment : ALIGNMENT; // eslint-disable-line max-len
+
+	// Find the first gap between reserved regions which is large enough to hold the requested number of bytes:
+	ptr = 0;
+	for ( i = 0; i < this._regions.length; i++ ) {
+		r = this._regions[ i ];
+		if ( r.ptr-ptr >= nbytes ) {
+			break;
+		}
+		ptr = align( r.ptr+r.nbytes, alignment );
+	}
+	region = {
+		'data': data,
+		'ptr': ptr,
+		'nbytes': nbytes
+	};
+	this._regions.splice( i, 0, region );
+	return region;
+});
+
+/**
+* Releases the memory region reserved for a provided array.
+*
+* @private
+* @name free
+* @memberof Arena.prototype
+* @type {Function}
+* @param {Collection} data - input array
+* @returns {boolean} boolean indicating whether a memory region was released
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var arena = new Arena();
+*
+* var x = new Float32Array( 5 );
+* arena.alloc( x, 20 );
+*
+* var bool = arena.free( x );
+* // returns true
+*
+* bool = arena.free( x );
+* // returns false
+*/
+setReadOnly( Arena.prototype, 'free', function free( data ) {
+	var i;
+	if ( data === null ) {
+		return false;
+	}
+	for ( i = 0; i < this._regions.length; i++ ) {
+		if ( this._regions[ i ].data === data ) {
+			this._regions.splice( i, 1 );
+			return true;
+		}
+	}
+	return false;
+});
+
+/**
+* Releases the memory region beginning at a provided byte offset.
+*
+* @private
+* @name remove
+* @memberof Arena.prototype
+* @type {Function}
+* @param {NonNegativeInteger} ptr - byte offset
+* @returns {boolean} boolean indicating whether a memory region was released
+*
+* @example
+* var arena = new Arena();
+*
+* arena.alloc( null, 20 );
+*
+* var bool = arena.remove( 0 );
+* // returns true
+*
+* bool = arena.remove( 0 );
+* // returns false
+*/
+setReadOnly( Arena.prototype, 'remove', function remove( ptr ) {
+	var i;
+	for ( i = 0; i < this._regions.length; i++ ) {
+		if ( this._regions[ i ].ptr === ptr ) {
+			this._regions.splice( i, 1 );
+			return true;
+		}
+	}
+	return false;
+});
+
+/**
+* Returns the (aligned) byte offset following the last reserved memory region.
+*
+* @private
+* @name end
+* @memberof Arena.prototype
+* @type {Function}
+* @returns {NonNegativeInteger} byte offset
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var arena = new Arena();
+*
+* var end = arena.end();
+* // returns 0
+*
+* arena.alloc( new Float32Array( 3 ), 12 );
+*
+* end = arena.end();
+* // returns 16
+*/
+setReadOnly( Arena.prototype, 'end', function end() {
+	var r;
+	if ( this._regions.length === 0 ) {
+		return 0;
+	}
+	r = this._regions[ this._regions.length-1 ];
+	return align( r.ptr+r.nbytes, ALIGNMENT );
+});
+
+/**
+* Returns memory usage statistics.
+*
+* ## Notes
+*
+* -   Free memory comprises the gaps between reserved regions (including alignment padding) and the memory following the last reserved region.
+* -   Fragmentation is computed as one minus the ratio of the largest contiguous block of free memory to the total amount of free memory. A value of `0` indicates that all free memory is contiguous, while values approaching `1` indicate that free memory is scattered across many small gaps.
+*
+* @private
+* @name stats
+* @memberof Arena.prototype
+* @type {Function}
+* @param {NonNegativeInteger} capacity - total number of bytes of module memory
+* @returns {Object} statistics
+*
+* @example
+* var arena = new Arena();
+*
+* arena.alloc( null, 16 );
+* arena.alloc( null, 16 );
+* arena.alloc( null, 16 );
+* arena.remove( 16 );
+*
+* var stats = arena.stats( 64 );
+* // returns { 'capacity': 64, 'allocations': 2, 'allocated': 32, 'free': 32, 'largestFree': 16, 'fragmentation': 0.5 }
+*/
+setReadOnly( Arena.prototype, 'stats', function stats( capacity ) {
+	var allocated;
+	var largest;
+	var total;
+	var ptr;
+	var gap;
+	var r;
+	var i;
+
+	allocated = 0;
+	largest = 0;
+	total = 0;
+	ptr = 0;
+	for ( i = 0; i < this._regions.length; i++ ) {
+		r = this._regions[ i ];
+		gap = r.ptr - ptr;
+		total += gap;
+		if ( gap > largest ) {
+			largest = gap;
+		}
+		allocated += r.nbytes;
+		ptr = r.ptr + r.nbytes;
+	}
+	if ( capacity > ptr ) {
+		gap = capacity - ptr;
+		total += gap;
+		if ( gap > largest ) {
+			largest = gap;
+		}
+	}
+	return {
+		'capacity': capacity,
+		'allocations': this._regions.length,
+		'allocated': allocated,
+		'free': total,
+		'largestFree': largest,
+		'fragmentation': ( total > 0 ) ? 1.0 - ( largest/total ) : 0.0
+	};
+});
+
+
+// EXPORTS //
+
+module.exports = Arena;
@@ -0,0 +1,125 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var objectAssign = require( '@stdlib/object-assign' );
+var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+var writeDataView = require( '@stdlib/strided-base-write-dataview' ).ndarray;
+var scratchOffset = require( './scratch_offset.js' );
+
+
+// MAIN //
+
+/**
+* Converts a list of arrays to "pointers" (i.e., byte offsets) in a routine's memory arena.
+*
+* ## Notes
+*
+* -   This function mirrors `@stdlib/wasm/base/arrays2ptrs`, with the following differences:
+*
+*     -   Arrays which have been pinned to the routine's memory arena are resolved to their reserved memory region. As a pinned array is stored in its entirety, the respective array object in the returned array retains its stride and offset, and no data is copied.
+*     -   Arrays which must be copied are copied to the scratch space following the last reserved memory region, rather than to the start of module memory, and are placed such that they do not overlap any provided memory views. Accordingly, neither pinned arrays nor arrays accessed in place are overwritten. The scratch space is reused across invocations, and module memory is only reallocated when the scratch space is too small.
+*
+* -   In addition to the properties added by `@stdlib/wasm/base/arrays2ptrs`, each element of the returned array has a **pinned** property indicating whether an array was resolved to a pinned memory region.
+*
+* @private
+* @param {Routine} ctx - routine instance
+* @param {Array<Object>} list - list of array objects
+* @returns {Array<Object>} list of pointers
+*/
+function arrays2ptrs( ctx, list ) {
+	var region;
+	var arrays;
+	var base;
+	var ptr;
+	var out;
+	var tmp;
+	var o;
+	var n;
+	var i;
+
+	// Initialize an output array:
+	out = [];
+
+	// Initialize a list of the provided arrays, which is used to determine the start of the scratch space:
+	arrays = [];
+
+	// Attempt to resolve "pointers" to arrays stored in module memory...
+	n = 0;
+	for ( i = 0; i < list.length; i++ ) {
+		o = list[ i ];
+
+		// Copy over properties from the input array object:
+		tmp = objectAssign( {}, o );
+
+		// Compute array byte properties:
+		tmp.BYTES_PER_ELEMENT = bytesPerElement( o.wdtype );
+		tmp.nbytes = o.length * tmp.BYTES_PER_ELEMENT;
+		tmp.copy = false;
+		tmp.pinned = false;
+		arrays.push( o.data );
+
+		// If provided a memory view, resolve the byte offset; if provided a pinned array, resolve its memory region; otherwise, indicate that the array needs to be copied to module memory...
+		if ( ctx.isView( o.data ) ) {
+			tmp.ptr = o.data.byteOffset;
+		} else {
+			region = ctx._arena.get( o.data );
+			if ( region === null ) {
+				tmp.ptr = -1;
+				tmp.copy = true;
+				n += tmp.nbytes;
+			} else {
+				tmp.ptr = region.ptr;
+				tmp.pinned = true;
+			}
+		}
+		out.push( tmp );
+	}
+	// If we were unable to resolve one or more pointers, ensure that the module has enough scratch space to hold copied array data...
+	base = scratchOffset( ctx, arrays, n );
+	if ( n > 0 ) {
+		ctx.realloc( base+n );
+	}
+	// For arrays which are not stored in module memory, copy the respective data to the scratch space...
+	ptr = base;
+	for ( i = 0; i < out.length; i++ ) {
+		o = out[ i ];
+		if ( o.copy ) {
+			writeDataView( o.length, o.data, o.stride, o.offset, ctx.view, o.BYTES_PER_ELEMENT, ptr, true ); // eslint-disable-line max-len
+
+			// Update the array pointer (i.e., byte offset):
+			o.ptr = ptr;
+
+			// Update the stride and offset to reflect that the data is stored contiguously in module memory:
+			o.stride = 1;
+			o.offset = 0;
+
+			// Increment the byte offset to mark the start of the next array:
+			ptr += o.nbytes;
+		}
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = arrays2ptrs;
@@ -20,12 +20,15 @@
 
 // MODULES //
 
-var base64ToUint8Array = require( '@stdlib/string-base-base64-to-uint8array' );
+var hasSIMDSupport = require( './has_simd_support.js' );
+var scalar = require( './binary.scalar.browser.js' );
+var simd = require( './binary.simd.browser.js' );
 
 
 // MAIN //
 
-var wasm = base64ToUint8Array( 'AGFzbQEAAAAADwhkeWxpbmsuMAEEAAAAAAEaA2AAAGAGf31/f39/AX1gCH99f39/f39/AX0CDwEDZW52Bm1lbW9yeQIAAAMEAwABAgczAxFfX3dhc21fY2FsbF9jdG9ycwAACGNfc2RzZG90AAEQY19zZHNkb3RfbmRhcnJheQACCvICAwMAAQsvACAAIAEgAiADQQEgAGsiACADbEEAIANBAEwbIAQgBSAAIAVsQQAgBUEATBsQAgu7AgIBfwF8IABBAEoEfSABuyEJAkAgA0EBRyAGQQFHckUEQAJAIABBBXAiBkUNAANAIAYgCEYNASACIARBAnRqKgIAuyAFIAdBAnRqKgIAu6IgCaAhCSAIQQFqIQggB0EBaiEHIARBAWohBAwACwALIABBBEwNAQNAIAAgBkwNAiAJIAIgBEECdGoiAyoCELsgBSAHQQJ0aiIIKgIQu6IgAyoCDLsgCCoCDLuiIAMqAgi7IAgqAgi7oiADKgIAuyAIKgIAu6IgAyoCBLsgCCoCBLuioKCgoKAhCSAGQQVqIQYgB0EFaiEHIARBBWohBAwACwALA0AgACAIRg0BIAIgBEECdGoqAgC7IAUgB0ECdGoqAgC7oiAJoCEJIAhBAWohCCAGIAdqIQcgAyAEaiEEDAALAAsgCbYFIAELCw==' );
+// Prefer the SIMD128 binary whenever the engine supports it, falling back to the scalar binary otherwise:
+var wasm = ( hasSIMDSupport() ) ? simd : scalar;
 
 
 // EXPORTS //
@@ -22,11 +22,19 @@
 
 var resolve = require( 'path' ).resolve;
 var readWASM = require( '@stdlib/fs-read-wasm' ).sync;
+var hasSIMDSupport = require( './has_simd_support.js' );
+
+
+// VARIABLES //
+
+var SCALAR = resolve( __dirname, '..', 'src', 'main.wasm' );
+var SIMD = resolve( __dirname, '..', 'src', 'main.simd.wasm' );
 
 
 // MAIN //
 
-var wasm = readWASM( resolve( __dirname, '..', 'src', 'main.wasm' ) );
+// Prefer the SIMD128 binary whenever the engine supports it, falling back to the scalar binary otherwise:
+var wasm = readWASM( ( hasSIMDSupport() ) ? SIMD : SCALAR );
 
 
 // EXPORTS //
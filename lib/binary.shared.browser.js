@@ -0,0 +1,36 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var hasSIMDSupport = require( './has_simd_support.js' );
+var scalar = require( './binary.shared.scalar.browser.js' );
+var simd = require( './binary.shared.simd.browser.js' );
+
+
+// MAIN //
+
+// Binaries which import a shared WebAssembly memory instance (i.e., for use across threads), preferring the SIMD128 binary whenever the engine supports it:
+var wasm = ( hasSIMDSupport() ) ? simd : scalar;
+
+
+// EXPORTS //
+
+module.exports = wasm;
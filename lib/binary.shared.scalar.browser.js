@@ -0,0 +1,33 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var base64ToUint8Array = require( '@stdlib/string-base-base64-to-uint8array' );
+
+
+// MAIN //
+
+var wasm = base64ToUint8Array( 'AGFzbQEAAAAADwhkeWxpbmsuMAEEAAAAAAHSAylgAABgBn99f39/fwF9YAh/fX9/f39/fwF9YAZ/fX9/f38BfGAIf31/f39/f38BfGAKf31/f399f39/fQF9YAx/fX9/f399f39/f30BfWAHf31/f39/fwF9YAl/fX9/f39/f38BfWAGf39/f39/AGAIf39/f39/f38AYAd/fX9/f39/AX1gCn99f39/f39/f38BfWAJf399f39/f39/AX1gC39/fX9/f39/f39/AX1gBH9/f38Bf2AIf31/f39/f38BfWALf31/f39/f39/f38BfWACf38Bf2ABfwBgAn98AGACf38BfGAHf31/f39/fwF8YAl/fX9/f39/f38BfGAIf31/f39/f38CfHxgCH99f39/f39/AGALf31/f39/f39/f38AYAp/f39/f39/f39/AGAMf39/f39/f39/f39/AGAHf39/f39/fwF8YAF/AXxgCX98f39/f39/fwN8fHxgCX9/fX9/f39/fwF8YAp/f39/f39/f39/AX5gBH59fX0BfWAKf399f39/f39/fwF8YAl/f39/f39/f38AYAl/f31/f39/f38Bf2AMf399f39/f39/f39/AX9gB399f39/f38Bf2AJf31/f39/f39/AX8CEgEDZW52Bm1lbW9yeQIDAICABANJSAASAQIDBAECExQTExUKBwgWFwEYAhkaGxwdHh8BAhkaHh4gAQIBAgECISIFBgUGHh4eHiMHCAcIJAkKCQoLDA8NDhARJSYnKAenCTQRX193YXNtX2NhbGxfY3RvcnMAAAhjX3Nkc2RvdAACEGNfc2RzZG90X25kYXJyYXkAAw9jX3Nkc2RvdF9kb3VibGUABBdjX3Nkc2RvdF9kb3VibGVfbmRhcnJheQAFFGNfc2RzZG90X2NvbXBlbnNhdGVkAAYcY19zZHNkb3RfY29tcGVuc2F0ZWRfbmRhcnJheQAHDmNfc2RzZG90X2V4YWN0AA4WY19zZHNkb3RfZXhhY3RfbmRhcnJheQAPFWNfc2RzZG90X2V4YWN0X2RvdWJsZQAQHWNfc2RzZG90X2V4YWN0X2RvdWJsZV9uZGFycmF5ABENY19zZHNkb3RfZG90MgASFWNfc2RzZG90X2RvdDJfbmRhcnJheQAUFmNfc2RzZG90X2RvdWJsZV9kb3VibGUAFR5jX3Nkc2RvdF9kb3VibGVfZG91YmxlX25kYXJyYXkAFhBjX3Nkc2RvdF9iYXRjaGVkABcYY19zZHNkb3RfYmF0Y2hlZF9uZGFycmF5ABgXY19zZHNkb3RfYWJzbWF4X25kYXJyYXkAGRdjX3Nkc2RvdF9iaW5uZWRfbmRhcnJheQAbFWNfc2RzZG90X3JlcHJvZHVjaWJsZQAcHWNfc2RzZG90X3JlcHJvZHVjaWJsZV9uZGFycmF5AB0UY19zZHNkb3RfZGlhZ25vc3RpY3MAHhxjX3Nkc2RvdF9kaWFnbm9zdGljc19uZGFycmF5AB8QY19zZHNkb3RfZmxvYXQxNgAjGGNfc2RzZG90X2Zsb2F0MTZfbmRhcnJheQAkEWNfc2RzZG90X2JmbG9hdDE2ACUZY19zZHNkb3RfYmZsb2F0MTZfbmRhcnJheQAmDmNfc2RzZG90X21peGVkACcWY19zZHNkb3RfbWl4ZWRfbmRhcnJheQAoDWNfc2RzZG90X2ludDgAKxVjX3Nkc2RvdF9pbnQ4X25kYXJyYXkALA5jX3Nkc2RvdF91aW50OAAtFmNfc2RzZG90X3VpbnQ4X25kYXJyYXkALg1jX3Nkc2RvdF9lNG0zADQVY19zZHNkb3RfZTRtM19uZGFycmF5ADUNY19zZHNkb3RfZTVtMgA2FWNfc2RzZG90X2U1bTJfbmRhcnJheQA3DmNfc2RzZG90X2Nkb3R1ADkWY19zZHNkb3RfY2RvdHVfbmRhcnJheQA6DmNfc2RzZG90X2Nkb3RjADsWY19zZHNkb3RfY2RvdGNfbmRhcnJheQA8D2Nfc2RzZG90X3NwYXJzZQA9F2Nfc2RzZG90X3NwYXJzZV9uZGFycmF5AD4ZY19zZHNkb3RfdW5zb3J0ZWRfbmRhcnJheQA/FmNfc2RzZG90X3NwYXJzZV9zcGFyc2UAQB5jX3Nkc2RvdF9zcGFyc2Vfc3BhcnNlX25kYXJyYXkAQQ9jX3Nkc2RvdF9tYXNrZWQAQhdjX3Nkc2RvdF9tYXNrZWRfbmRhcnJheQBDDGNfc2RzZG90X25hbgBEFGNfc2RzZG90X25hbl9uZGFycmF5AEUPY19zZHNkb3Rfc3RhdHVzAEYXY19zZHNkb3Rfc3RhdHVzX25kYXJyYXkARwqbK0gDAAELEgBBASAAayABbEEAIAFBAEwbCxwAIAAgASACIAMgACADEAEgBCAFIAAgBRABEAMLIAAgAEEATARAIAEPCyAAIAEgAiADIAQgBSAGIAcQBbYLHAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEQBQvHAgMCfwF8An8gAbshCiAAQQBMBEAgCg8LIANBAUYgBkEBRnEEQCAAQQVwIQkCQANAIAggCUYNASACIARBAnRqKgIAuyAFIAdBAnRqKgIAu6IgCqAhCiAIQQFqIQggBEEBaiEEIAdBAWohBwwACwsgAEEFSARAIAoPCyAJIQgCQANAIAggAE4NASACIARBAnRqIQsgBSAHQQJ0aiEMIAogCyoCELsgDCoCELuiIAsqAgy7IAwqAgy7oiALKgIIuyAMKgIIu6IgCyoCALsgDCoCALuiIAsqAgS7IAwqAgS7oqCgoKCgIQogCEEFaiEIIARBBWohBCAHQQVqIQcMAAsLIAoPCwJAA0AgCCAARg0BIAIgBEECdGoqAgC7IAUgB0ECdGoqAgC7oiAKoCEKIAhBAWohCCAEIANqIQQgByAGaiEHDAALCyAKCxwAIAAgASACIAMgACADEAEgBCAFIAAgBRABEAcLpAECAX8EfCAAQQBMBEAgAQ8LIAG7IQkCQANAIAggAEYNASACIARBAnRqKgIAuyAFIAdBAnRqKgIAu6IhCyAJIAugIQwgCZkgC5lmBEAgCiAJIAyhIAugoCEKBSAKIAsgDKEgCaCgIQoLIAwhCSAIQQFqIQggBCADaiEEIAcgBmohBwwACwsgCSAKRAAAAAAAAAAAIAkgCaFEAAAAAAAAAABhG6C2CyUBAX8CQANAIAFBqAFGDQEgACABakIANwMAIAFBCGohAQwACwsLkwIHAX4BfwF+AX8BfgF/A34gAb0hAiACQjSIQv8Pg6chAyADQf8PRgRAIAAgACsDoAEgAaA5A6ABDwsgAkL/////////B4MhBCADRQRAIARQBEAPC0EBIQMFIARCgICAgICAgAiEIQQLIANB8wVrIQUgBUEASARAIAVBQUgEQA8LIARBACAFa62IIQRBACEFCyAFQR9xrSEGIAQgBoZC/////w+DIQggBEIgIAZ9iCEJIAlCIIghCiAJQv////8PgyEJIAJCAFMEQEIAIAh9IQhCACAJfSEJQgAgCn0hCgsgACAFQQV2QQN0aiEHIAcgBykDACAIfDcDACAHIAcpAwggCXw3AwggByAHKQMQIAp8NwMQC1QCAn8CfgJAA0AgAUETRg0BIAAgAUEDdGohAiACKQMAIAR8IQMgAiADQv////8PgzcDACADQiCHIQQgAUEBaiEBDAALCyAAIAApA5gBIAR8NwOYAQtVAQJ/AkADQCABQRNGDQEgACABQQN0aiECIAIgAikDAEL/////D4U3AwAgAUEBaiEBDAALCyAAIAApA5gBQn+FNwOYASAAIAApAwBCAXw3AwAgABAKC9ECBQF8A38FfgJ/AXwgACsDoAEhAiACRAAAAAAAAAAAYgRAIAIPCyAAKQOYAUIAUyEDIAMEQCAAEAsLQRMhBAJAA0AgACAEQQN0aiEFIAUpAwBCAFINASAERQRARAAAAAAAAAAADwsgBEEBayEEDAALCyAFKQMAIQYgBEEBTgRAIAVBCGspAwAhBwsgBEECTgRAIAVBEGspAwAhCAsgBnlCIH0hCSAGIAlCIHyGIAcgCYaEIAhCICAJfYiEIQogCCAJhkL/////D4NCAFIhCyAFQRhrIQUCQANAIAUgAEgNASALIAUpAwBCAFJyIQsgBUEIayEFDAALCyAKIAuthCEKIARBAWtBBXQgCadrQcACayEMIAEEQCAKQguIIApC/w+DQgBSrYQhCiAMQQtqIQwLIAq6IAxB/wdqrUI0hr+iIQ0gAwRAIAAQCyANmiENCyANC0kBAX8CQANAIAggAE4NASAHIAEgA0ECdGoqAgC7IAQgBkECdGoqAgC7ohAJIAhBAWohCCADIAJqIQMgBiAFaiEGDAALCyAHEAoLHgAgACABIAIgAyAAIAMQASAEIAUgACAFEAEgBhAPCzEAIABBAEwEQCABDwsgCBAIIAggAbsQCSAAIAIgAyAEIAUgBiAHIAgQDSAIQQEQDLYLHgAgACABIAIgAyAAIAMQASAEIAUgACAFEAEgBhARCzEAIABBAEwEQCABuw8LIAgQCCAIIAG7EAkgACACIAMgBCAFIAYgByAIEA0gCEEAEAwLHAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEQFAuMAQIBfwV8IAG7IQkCQANAIAggAE4NASACIARBAnRqKgIAuyAFIAdBAnRqKgIAu6IhCyAJIAugIQwgDCAJoSENIAogCSAMIA2hoSALIA2hoKAhCiAMIQkgCEEBaiEIIAQgA2ohBCAHIAZqIQcMAAsLIAkgCkQAAAAAAAAAACAJIAmhRAAAAAAAAAAAYRsLIQAgAEEATARAIAEPCyAAIAEgAiADIAQgBSAGIAcQE6C2CyYAIAAgASACIAMgACADEAEgBCAFIAAgBRABIAYgB0ECIAcQARAWC20CBHwBfyAAIAEgAiADIAQgBSAGIAcQEyEMIQsgCyAMoCENIA0gC6EhDiAIIApBA3RqIQ8gDyANOQMAIA8gCUEDdGogCyANIA6hoSAMIA6hoEQAAAAAAAAAACANIA2hRAAAAAAAAAAAYRs5AwALMgAgACABIAIgAyAEIAUgASAEEAEgACAFEAFqIAYgByAIIAEgBxABIAAgCBABaiAJEBgLTgEBfwJAA0AgDCAATg0BIAsgDEECdGogASACIAxBAnRqKgIAIAMgBCAGIAcgCCAKEAM4AgAgDEEBaiEMIAYgBWohBiAKIAlqIQoMAAsLC0sCAX8BfAJAA0AgByAATg0BIAggASADQQJ0aioCALsgBCAGQQJ0aioCALuimaUhCCAHQQFqIQcgAyACaiEDIAYgBWohBgwACwsgCAsXACAAQf8HaqxCNIZCgICAgICAgASEvwvnAgIDfwh8IABBAEwgAUQAAAAAAAAAAGFyBEBEAAAAAAAAAABEAAAAAAAAAABEAAAAAAAAAAAPCyABIAGhRAAAAAAAAAAAYgRAAkADQCAJIABGDQEgESADIAVBAnRqKgIAuyAGIAhBAnRqKgIAu6KgIREgCUEBaiEJIAUgBGohBSAIIAdqIQgMAAsLIBFEAAAAAAAAAABEAAAAAAAAAAAPC0EhIAJBAWtnayEKIAG9QjSIp0H+B2sgCmohCyALEBohDiALQTRrIApqIQsgCxAaIQ8gC0E0ayAKaiELIAsQGiEQAkADQCAJIABGDQEgAyAFQQJ0aioCALsgBiAIQQJ0aioCALuiIQwgDiAMoCAOoSENIBEgDaAhESAMIA2hIQwgDyAMoCAPoSENIBIgDaAhEiAMIA2hIQwgECAMoCAQoSENIBMgDaAhEyAJQQFqIQkgBSAEaiEFIAggB2ohCAwACwsgESASIBMLHAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEQHQtEAQN8IABBAEwEQCABDwsgACAAIAIgAyAEIAUgBiAHEBkgACACIAMgBCAFIAYgBxAbIQohCSEIIAG7IAggCSAKoKCgtgsmACAAIAEgAiADIAAgAxABIAQgBSAAIAUQASAGIAdBBCAHEAEQHwvqAQMBfwR8AX8gACABIAIgAyAEIAUgBiAHEAUhDCABu5khDQJAA0AgCyAATg0BIA0gAiAEQQJ0aioCALsgBSAHQQJ0aioCALuimaAhDSALQQFqIQsgBCADaiEEIAcgBmohBwwACwsgAEEASgRAIAC3RAAAAAAAAKA8oiEOIA5EAAAAAAAA8D8gDiAOoKGjIA2iIQ8gDyAPRAAAAAAAAOA8oqAhDwsgCCAKQQN0aiEQIAlBA3QhCSAQIAw5AwAgECAJaiEQIBAgDTkDACAQIAlqIRAgECANIAyZozkDACAQIAlqIRAgECAPOQMAC30CAn8BfCAAQQp2QR9xIQEgAEH/B3EhAiABRQRAIAK4RAAAAAAAAHA+oiEDBSABQR9GBEBCgICAgICAgPj/ACACrUIqhoS/IQMFIAFB8AdqrUI0hiACrUIqhoS/IQMLCyADRAAAAAAAAPC/RAAAAAAAAPA/IABBgIACcRumCwkAIABBEHS+uwtqAwF/AXwCfyACuyEKAkADQCAJIAFODQEgAyAFQQF0ai8BACELIAYgCEEBdGovAQAhDCAKIAAEfCALECEgDBAhogUgCxAgIAwQIKILoCEKIAlBAWohCSAFIARqIQUgCCAHaiEIDAALCyAKCxwAIAAgASACIAMgACADEAEgBCAFIAAgBRABECQLIgAgAEEATARAIAEPC0EAIAAgASACIAMgBCAFIAYgBxAitgscACAAIAEgAiADIAAgAxABIAQgBSAAIAUQARAmCyIAIABBAEwEQCABDwtBASAAIAEgAiADIAQgBSAGIAcQIrYLHAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEQKAtaAgF/AXwgAEEATARAIAEPCyABuyEJAkADQCAIIABODQEgCSACIARBAnRqKgIAuyAFIAdBA3RqKwMAoqAhCSAIQQFqIQggBCADaiEEIAcgBmohBwwACwsgCbYLbQMBfwF+An8CQANAIAogAU4NASAABEAgAiAEaiwAACEMIAYgCGosAAAhDQUgAiAEai0AACEMIAYgCGotAAAhDQsgCyAMIAVrIA0gCWtsrHwhCyAKQQFqIQogBCADaiEEIAggB2ohCAwACwsgCwsSACABuyAAuSACuyADu6KioLYLJAAgACABIAIgAyAAIAMQASAEIAUgBiAHIAAgBxABIAggCRAsCysAIABBAEwEQCABDwtBASAAIAIgAyAEIAUgByAIIAkgChApIAEgBiALECoLJAAgACABIAIgAyAAIAMQASAEIAUgBiAHIAAgBxABIAggCRAuCysAIABBAEwEQCABDwtBACAAIAIgAyAEIAUgByAIIAkgChApIAEgBiALECoLDQAgAEH/B2qsQjSGvwtkAgJ/AXwgAEEDdkEPcSEBIABBB3EhAiABRQRAIAK4RAAAAAAAAGA/oiEDBSABQQ9GIAJBB0ZxBEBEAAAAAAAA+H8PCyACQQhquCABQQprEC+iIQMLIABBgAFxBHwgA5oFIAMLC28CAn8BfCAAQQJ2QR9xIQEgAEEDcSECIAFFBEAgArhEAAAAAAAA8D6iIQMFIAFBH0YEQCACBEBEAAAAAAAA+H8PC0QAAAAAAADwfyEDBSACQQRquCABQRFrEC+iIQMLCyAAQYABcQR8IAOaBSADCwsdACAAQf8BRgR8RAAAAAAAAPh/BSAAQf8AaxAvCwuVAQIBfwN8IAK7IQsCQANAIAogAU4NASAABEAgAyAFai0AABAxIQwgBiAIai0AABAxIQ0FIAMgBWotAAAQMCEMIAYgCGotAAAQMCENCyAMIAQgBSAJbmotAAAQMqIhDCANIAcgCCAJbmotAAAQMqIhDSALIAwgDaKgIQsgCkEBaiEKIAVBAWohBSAIQQFqIQgMAAsLIAsLFgAgACABIAIgA0EAIAQgBUEAIAYQNQskACAAQQBMBEAgAQ8LQQAgACABIAIgAyAEIAUgBiAHIAgQM7YLFgAgACABIAIgA0EAIAQgBUEAIAYQNwskACAAQQBMBEAgAQ8LQQEgACABIAIgAyAEIAUgBiAHIAgQM7YLnAEEAX8CfAJ/BHwCQANAIAkgAU4NASACIARBA3RqIQwgBSAHQQN0aiENIAwqAgC7IQ4gDCoCBLshDyANKgIAuyEQIA0qAgS7IREgAARAIA+aIQ8LIAogDiAQoiAPIBGioaAhCiALIA4gEaIgDyAQoqCgIQsgCUEBaiEJIAQgA2ohBCAHIAZqIQcMAAsLIAggCrY4AgAgCCALtjgCBAscACAAIAEgAiAAIAIQASADIAQgACAEEAEgBRA6CxYAQQAgACABIAIgAyAEIAUgBiAHEDgLHAAgACABIAIgACACEAEgAyAEIAAgBBABIAUQPAsWAEEBIAAgASACIAMgBCAFIAYgBxA4CyAAIAAgASACIAMgACADEAEgBCAFIAAgBRABIAZBABA+C2cCAX8BfCAAQQBMBEAgAQ8LIAG7IQsCQANAIAogAE4NASALIAIgBEECdGoqAgC7IAggCSAFIAdBAnRqKAIAakECdGoqAgC7oqAhCyAKQQFqIQogBCADaiEEIAcgBmohBwwACwsgC7YLWwEDfyAAQQFMBEBBfw8LIAEgA0ECdGooAgAhBUEBIQQCQANAIAQgAE4NASADIAJqIQMgASADQQJ0aigCACEGIAYgBUwEQCAEDwsgBiEFIARBAWohBAwACwtBfwsiACAAIAEgAiADIAQgBSAAIAUQASAGIAcgCCABIAgQARBBC5cBAgR/AXwgArshDwJAA0AgCyAATg0BIAwgAU4NASAEIAZBAnRqKAIAIQ0gCCAKQQJ0aigCACEOIA0gDkwEQCANIA5GBEAgDyADIAZBAnRqKgIAuyAHIApBAnRqKgIAu6KgIQ8gDEEBaiEMIAogCWohCgsgC0EBaiELIAYgBWohBgUgDEEBaiEMIAogCWohCgsMAAsLIA+2CyYAIAAgASACIAMgACADEAEgBCAFIAAgBRABIAYgByAAIAcQARBDC24CAX8BfCAAQQBMBEAgAQ8LIAG7IQwCQANAIAsgAE4NASAIIApqLQAARQRAIAwgAiAEQQJ0aioCALsgBSAHQQJ0aioCALuioCEMCyALQQFqIQsgBCADaiEEIAcgBmohByAKIAlqIQoMAAsLIAy2CygAIAAgASACIAMgBCABIAQQASAFIAYgASAGEAEgByAIQQIgCBABEEULqQEEAX8CfQJ/AXwgArshEQJAA0AgDCABTg0BIAMgBUECdGoqAgAhDSAGIAhBAnRqKgIAIQ4gDSANXCAOIA5cciEPIA8gAEECRnEEQCAMDwsgDyAAQQFGcQRAIBBBAWohEAUgESANuyAOu6KgIRELIAxBAWohDCAFIARqIQUgCCAHaiEIDAALCyAJIAtBA3RqIBG2uzkDACAJIAsgCmpBA3RqIBC4OQMAQX8LHgAgACABIAIgAyAAIAMQASAEIAUgACAFEAEgBhBHC4EBAwF8AX0BfyAAIAEgAiADIAQgBSAGIAcQBSEJIAm2IQogCCAKOAIAIAmZRAAAAAAAAPB/YyAKi0MAAIB/W3EEQCALQQFyIQsLIAlEAAAAAAAAAABiIAqLQwAAgABdcQRAIAtBAnIhCwsgCSAJYSAKuyAJYnEEQCALQQRyIQsLIAsL' );
+
+
+// EXPORTS //
+
+module.exports = wasm;
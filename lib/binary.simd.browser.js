@@ -0,0 +1,33 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var base64ToUint8Array = require( '@stdlib/string-base-base64-to-uint8array' );
+
+
+// MAIN //
+
+var wasm = base64ToUint8Array( 'AGFzbQEAAAAADwhkeWxpbmsuMAEEAAAAAAHSAylgAABgBn99f39/fwF9YAh/fX9/f39/fwF9YAZ/fX9/f38BfGAIf31/f39/f38BfGAKf31/f399f39/fQF9YAx/fX9/f399f39/f30BfWAHf31/f39/fwF9YAl/fX9/f39/f38BfWAGf39/f39/AGAIf39/f39/f38AYAd/fX9/f39/AX1gCn99f39/f39/f38BfWAJf399f39/f39/AX1gC39/fX9/f39/f39/AX1gBH9/f38Bf2AIf31/f39/f38BfWALf31/f39/f39/f38BfWACf38Bf2ABfwBgAn98AGACf38BfGAHf31/f39/fwF8YAl/fX9/f39/f38BfGAIf31/f39/f38CfHxgCH99f39/f39/AGALf31/f39/f39/f38AYAp/f39/f39/f39/AGAMf39/f39/f39/f39/AGAHf39/f39/fwF8YAF/AXxgCX98f39/f39/fwN8fHxgCX9/fX9/f39/fwF8YAp/f39/f39/f39/AX5gBH59fX0BfWAKf399f39/f39/fwF8YAl/f39/f39/f38AYAl/f31/f39/f38Bf2AMf399f39/f39/f39/AX9gB399f39/f38Bf2AJf31/f39/f39/AX8CDwEDZW52Bm1lbW9yeQIAAANJSAASAQIDBAECExQTExUKBwgWFwEYAhkaGxwdHh8BAhkaHh4gAQIBAgECISIFBgUGHh4eHiMHCAcIJAkKCQoLDA8NDhARJSYnKAenCTQRX193YXNtX2NhbGxfY3RvcnMAAAhjX3Nkc2RvdAACEGNfc2RzZG90X25kYXJyYXkAAw9jX3Nkc2RvdF9kb3VibGUABBdjX3Nkc2RvdF9kb3VibGVfbmRhcnJheQAFFGNfc2RzZG90X2NvbXBlbnNhdGVkAAYcY19zZHNkb3RfY29tcGVuc2F0ZWRfbmRhcnJheQAHDmNfc2RzZG90X2V4YWN0AA4WY19zZHNkb3RfZXhhY3RfbmRhcnJheQAPFWNfc2RzZG90X2V4YWN0X2RvdWJsZQAQHWNfc2RzZG90X2V4YWN0X2RvdWJsZV9uZGFycmF5ABENY19zZHNkb3RfZG90MgASFWNfc2RzZG90X2RvdDJfbmRhcnJheQAUFmNfc2RzZG90X2RvdWJsZV9kb3VibGUAFR5jX3Nkc2RvdF9kb3VibGVfZG91YmxlX25kYXJyYXkAFhBjX3Nkc2RvdF9iYXRjaGVkABcYY19zZHNkb3RfYmF0Y2hlZF9uZGFycmF5ABgXY19zZHNkb3RfYWJzbWF4X25kYXJyYXkAGRdjX3Nkc2RvdF9iaW5uZWRfbmRhcnJheQAbFWNfc2RzZG90X3JlcHJvZHVjaWJsZQAcHWNfc2RzZG90X3JlcHJvZHVjaWJsZV9uZGFycmF5AB0UY19zZHNkb3RfZGlhZ25vc3RpY3MAHhxjX3Nkc2RvdF9kaWFnbm9zdGljc19uZGFycmF5AB8QY19zZHNkb3RfZmxvYXQxNgAjGGNfc2RzZG90X2Zsb2F0MTZfbmRhcnJheQAkEWNfc2RzZG90X2JmbG9hdDE2ACUZY19zZHNkb3RfYmZsb2F0MTZfbmRhcnJheQAmDmNfc2RzZG90X21peGVkACcWY19zZHNkb3RfbWl4ZWRfbmRhcnJheQAoDWNfc2RzZG90X2ludDgAKxVjX3Nkc2RvdF9pbnQ4X25kYXJyYXkALA5jX3Nkc2RvdF91aW50OAAtFmNfc2RzZG90X3VpbnQ4X25kYXJyYXkALg1jX3Nkc2RvdF9lNG0zADQVY19zZHNkb3RfZTRtM19uZGFycmF5ADUNY19zZHNkb3RfZTVtMgA2FWNfc2RzZG90X2U1bTJfbmRhcnJheQA3DmNfc2RzZG90X2Nkb3R1ADkWY19zZHNkb3RfY2RvdHVfbmRhcnJheQA6DmNfc2RzZG90X2Nkb3RjADsWY19zZHNkb3RfY2RvdGNfbmRhcnJheQA8D2Nfc2RzZG90X3NwYXJzZQA9F2Nfc2RzZG90X3NwYXJzZV9uZGFycmF5AD4ZY19zZHNkb3RfdW5zb3J0ZWRfbmRhcnJheQA/FmNfc2RzZG90X3NwYXJzZV9zcGFyc2UAQB5jX3Nkc2RvdF9zcGFyc2Vfc3BhcnNlX25kYXJyYXkAQQ9jX3Nkc2RvdF9tYXNrZWQAQhdjX3Nkc2RvdF9tYXNrZWRfbmRhcnJheQBDDGNfc2RzZG90X25hbgBEFGNfc2RzZG90X25hbl9uZGFycmF5AEUPY19zZHNkb3Rfc3RhdHVzAEYXY19zZHNkb3Rfc3RhdHVzX25kYXJyYXkARwrQK0gDAAELEgBBASAAayABbEEAIAFBAEwbCxwAIAAgASACIAMgACADEAEgBCAFIAAgBRABEAMLIAAgAEEATARAIAEPCyAAIAEgAiADIAQgBSAGIAcQBbYLHAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEQBQv8AgMCfwF8BHsgAbshCiAAQQBMBEAgCg8LIANBAUYgBkEBRnEEQCAAQQNxIQkCQANAIAggCUYNASACIARBAnRqKgIAuyAFIAdBAnRqKgIAu6IgCqAhCiAIQQFqIQggBEEBaiEEIAdBAWohBwwACwsgAEEESARAIAoPC0QAAAAAAAAAAP0UIQ1EAAAAAAAAAAD9FCEOAkADQCAIIABODQEgAiAEQQJ0av0AAgAhCyAFIAdBAnRq/QACACEMIA0gC/1fIAz9X/3yAf3wASENIA4gCyAL/Q0ICQoLDA0ODwABAgMEBQYH/V8gDCAM/Q0ICQoLDA0ODwABAgMEBQYH/V/98gH98AEhDiAIQQRqIQggBEEEaiEEIAdBBGohBwwACwsgDSAO/fABIQ0gCiAN/SEAIA39IQGgoA8LAkADQCAIIABGDQEgAiAEQQJ0aioCALsgBSAHQQJ0aioCALuiIAqgIQogCEEBaiEIIAQgA2ohBCAHIAZqIQcMAAsLIAoLHAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEQBwukAQIBfwR8IABBAEwEQCABDwsgAbshCQJAA0AgCCAARg0BIAIgBEECdGoqAgC7IAUgB0ECdGoqAgC7oiELIAkgC6AhDCAJmSALmWYEQCAKIAkgDKEgC6CgIQoFIAogCyAMoSAJoKAhCgsgDCEJIAhBAWohCCAEIANqIQQgByAGaiEHDAALCyAJIApEAAAAAAAAAAAgCSAJoUQAAAAAAAAAAGEboLYLJQEBfwJAA0AgAUGoAUYNASAAIAFqQgA3AwAgAUEIaiEBDAALCwuTAgcBfgF/AX4BfwF+AX8DfiABvSECIAJCNIhC/w+DpyEDIANB/w9GBEAgACAAKwOgASABoDkDoAEPCyACQv////////8HgyEEIANFBEAgBFAEQA8LQQEhAwUgBEKAgICAgICACIQhBAsgA0HzBWshBSAFQQBIBEAgBUFBSARADwsgBEEAIAVrrYghBEEAIQULIAVBH3GtIQYgBCAGhkL/////D4MhCCAEQiAgBn2IIQkgCUIgiCEKIAlC/////w+DIQkgAkIAUwRAQgAgCH0hCEIAIAl9IQlCACAKfSEKCyAAIAVBBXZBA3RqIQcgByAHKQMAIAh8NwMAIAcgBykDCCAJfDcDCCAHIAcpAxAgCnw3AxALVAICfwJ+AkADQCABQRNGDQEgACABQQN0aiECIAIpAwAgBHwhAyACIANC/////w+DNwMAIANCIIchBCABQQFqIQEMAAsLIAAgACkDmAEgBHw3A5gBC1UBAn8CQANAIAFBE0YNASAAIAFBA3RqIQIgAiACKQMAQv////8PhTcDACABQQFqIQEMAAsLIAAgACkDmAFCf4U3A5gBIAAgACkDAEIBfDcDACAAEAoL0QIFAXwDfwV+An8BfCAAKwOgASECIAJEAAAAAAAAAABiBEAgAg8LIAApA5gBQgBTIQMgAwRAIAAQCwtBEyEEAkADQCAAIARBA3RqIQUgBSkDAEIAUg0BIARFBEBEAAAAAAAAAAAPCyAEQQFrIQQMAAsLIAUpAwAhBiAEQQFOBEAgBUEIaykDACEHCyAEQQJOBEAgBUEQaykDACEICyAGeUIgfSEJIAYgCUIgfIYgByAJhoQgCEIgIAl9iIQhCiAIIAmGQv////8Pg0IAUiELIAVBGGshBQJAA0AgBSAASA0BIAsgBSkDAEIAUnIhCyAFQQhrIQUMAAsLIAogC62EIQogBEEBa0EFdCAJp2tBwAJrIQwgAQRAIApCC4ggCkL/D4NCAFKthCEKIAxBC2ohDAsgCrogDEH/B2qtQjSGv6IhDSADBEAgABALIA2aIQ0LIA0LSQEBfwJAA0AgCCAATg0BIAcgASADQQJ0aioCALsgBCAGQQJ0aioCALuiEAkgCEEBaiEIIAMgAmohAyAGIAVqIQYMAAsLIAcQCgseACAAIAEgAiADIAAgAxABIAQgBSAAIAUQASAGEA8LMQAgAEEATARAIAEPCyAIEAggCCABuxAJIAAgAiADIAQgBSAGIAcgCBANIAhBARAMtgseACAAIAEgAiADIAAgAxABIAQgBSAAIAUQASAGEBELMQAgAEEATARAIAG7DwsgCBAIIAggAbsQCSAAIAIgAyAEIAUgBiAHIAgQDSAIQQAQDAscACAAIAEgAiADIAAgAxABIAQgBSAAIAUQARAUC4wBAgF/BXwgAbshCQJAA0AgCCAATg0BIAIgBEECdGoqAgC7IAUgB0ECdGoqAgC7oiELIAkgC6AhDCAMIAmhIQ0gCiAJIAwgDaGhIAsgDaGgoCEKIAwhCSAIQQFqIQggBCADaiEEIAcgBmohBwwACwsgCSAKRAAAAAAAAAAAIAkgCaFEAAAAAAAAAABhGwshACAAQQBMBEAgAQ8LIAAgASACIAMgBCAFIAYgBxAToLYLJgAgACABIAIgAyAAIAMQASAEIAUgACAFEAEgBiAHQQIgBxABEBYLbQIEfAF/IAAgASACIAMgBCAFIAYgBxATIQwhCyALIAygIQ0gDSALoSEOIAggCkEDdGohDyAPIA05AwAgDyAJQQN0aiALIA0gDqGhIAwgDqGgRAAAAAAAAAAAIA0gDaFEAAAAAAAAAABhGzkDAAsyACAAIAEgAiADIAQgBSABIAQQASAAIAUQAWogBiAHIAggASAHEAEgACAIEAFqIAkQGAtOAQF/AkADQCAMIABODQEgCyAMQQJ0aiABIAIgDEECdGoqAgAgAyAEIAYgByAIIAoQAzgCACAMQQFqIQwgBiAFaiEGIAogCWohCgwACwsLSwIBfwF8AkADQCAHIABODQEgCCABIANBAnRqKgIAuyAEIAZBAnRqKgIAu6KZpSEIIAdBAWohByADIAJqIQMgBiAFaiEGDAALCyAICxcAIABB/wdqrEI0hkKAgICAgICABIS/C+cCAgN/CHwgAEEATCABRAAAAAAAAAAAYXIEQEQAAAAAAAAAAEQAAAAAAAAAAEQAAAAAAAAAAA8LIAEgAaFEAAAAAAAAAABiBEACQANAIAkgAEYNASARIAMgBUECdGoqAgC7IAYgCEECdGoqAgC7oqAhESAJQQFqIQkgBSAEaiEFIAggB2ohCAwACwsgEUQAAAAAAAAAAEQAAAAAAAAAAA8LQSEgAkEBa2drIQogAb1CNIinQf4HayAKaiELIAsQGiEOIAtBNGsgCmohCyALEBohDyALQTRrIApqIQsgCxAaIRACQANAIAkgAEYNASADIAVBAnRqKgIAuyAGIAhBAnRqKgIAu6IhDCAOIAygIA6hIQ0gESANoCERIAwgDaEhDCAPIAygIA+hIQ0gEiANoCESIAwgDaEhDCAQIAygIBChIQ0gEyANoCETIAlBAWohCSAFIARqIQUgCCAHaiEIDAALCyARIBIgEwscACAAIAEgAiADIAAgAxABIAQgBSAAIAUQARAdC0QBA3wgAEEATARAIAEPCyAAIAAgAiADIAQgBSAGIAcQGSAAIAIgAyAEIAUgBiAHEBshCiEJIQggAbsgCCAJIAqgoKC2CyYAIAAgASACIAMgACADEAEgBCAFIAAgBRABIAYgB0EEIAcQARAfC+oBAwF/BHwBfyAAIAEgAiADIAQgBSAGIAcQBSEMIAG7mSENAkADQCALIABODQEgDSACIARBAnRqKgIAuyAFIAdBAnRqKgIAu6KZoCENIAtBAWohCyAEIANqIQQgByAGaiEHDAALCyAAQQBKBEAgALdEAAAAAAAAoDyiIQ4gDkQAAAAAAADwPyAOIA6goaMgDaIhDyAPIA9EAAAAAAAA4DyioCEPCyAIIApBA3RqIRAgCUEDdCEJIBAgDDkDACAQIAlqIRAgECANOQMAIBAgCWohECAQIA0gDJmjOQMAIBAgCWohECAQIA85AwALfQICfwF8IABBCnZBH3EhASAAQf8HcSECIAFFBEAgArhEAAAAAAAAcD6iIQMFIAFBH0YEQEKAgICAgICA+P8AIAKtQiqGhL8hAwUgAUHwB2qtQjSGIAKtQiqGhL8hAwsLIANEAAAAAAAA8L9EAAAAAAAA8D8gAEGAgAJxG6YLCQAgAEEQdL67C2oDAX8BfAJ/IAK7IQoCQANAIAkgAU4NASADIAVBAXRqLwEAIQsgBiAIQQF0ai8BACEMIAogAAR8IAsQISAMECGiBSALECAgDBAgogugIQogCUEBaiEJIAUgBGohBSAIIAdqIQgMAAsLIAoLHAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEQJAsiACAAQQBMBEAgAQ8LQQAgACABIAIgAyAEIAUgBiAHECK2CxwAIAAgASACIAMgACADEAEgBCAFIAAgBRABECYLIgAgAEEATARAIAEPC0EBIAAgASACIAMgBCAFIAYgBxAitgscACAAIAEgAiADIAAgAxABIAQgBSAAIAUQARAoC1oCAX8BfCAAQQBMBEAgAQ8LIAG7IQkCQANAIAggAE4NASAJIAIgBEECdGoqAgC7IAUgB0EDdGorAwCioCEJIAhBAWohCCAEIANqIQQgByAGaiEHDAALCyAJtgttAwF/AX4CfwJAA0AgCiABTg0BIAAEQCACIARqLAAAIQwgBiAIaiwAACENBSACIARqLQAAIQwgBiAIai0AACENCyALIAwgBWsgDSAJa2ysfCELIApBAWohCiAEIANqIQQgCCAHaiEIDAALCyALCxIAIAG7IAC5IAK7IAO7oqKgtgskACAAIAEgAiADIAAgAxABIAQgBSAGIAcgACAHEAEgCCAJECwLKwAgAEEATARAIAEPC0EBIAAgAiADIAQgBSAHIAggCSAKECkgASAGIAsQKgskACAAIAEgAiADIAAgAxABIAQgBSAGIAcgACAHEAEgCCAJEC4LKwAgAEEATARAIAEPC0EAIAAgAiADIAQgBSAHIAggCSAKECkgASAGIAsQKgsNACAAQf8HaqxCNIa/C2QCAn8BfCAAQQN2QQ9xIQEgAEEHcSECIAFFBEAgArhEAAAAAAAAYD+iIQMFIAFBD0YgAkEHRnEEQEQAAAAAAAD4fw8LIAJBCGq4IAFBCmsQL6IhAwsgAEGAAXEEfCADmgUgAwsLbwICfwF8IABBAnZBH3EhASAAQQNxIQIgAUUEQCACuEQAAAAAAADwPqIhAwUgAUEfRgRAIAIEQEQAAAAAAAD4fw8LRAAAAAAAAPB/IQMFIAJBBGq4IAFBEWsQL6IhAwsLIABBgAFxBHwgA5oFIAMLCx0AIABB/wFGBHxEAAAAAAAA+H8FIABB/wBrEC8LC5UBAgF/A3wgArshCwJAA0AgCiABTg0BIAAEQCADIAVqLQAAEDEhDCAGIAhqLQAAEDEhDQUgAyAFai0AABAwIQwgBiAIai0AABAwIQ0LIAwgBCAFIAluai0AABAyoiEMIA0gByAIIAluai0AABAyoiENIAsgDCANoqAhCyAKQQFqIQogBUEBaiEFIAhBAWohCAwACwsgCwsWACAAIAEgAiADQQAgBCAFQQAgBhA1CyQAIABBAEwEQCABDwtBACAAIAEgAiADIAQgBSAGIAcgCBAztgsWACAAIAEgAiADQQAgBCAFQQAgBhA3CyQAIABBAEwEQCABDwtBASAAIAEgAiADIAQgBSAGIAcgCBAztgucAQQBfwJ8An8EfAJAA0AgCSABTg0BIAIgBEEDdGohDCAFIAdBA3RqIQ0gDCoCALshDiAMKgIEuyEPIA0qAgC7IRAgDSoCBLshESAABEAgD5ohDwsgCiAOIBCiIA8gEaKhoCEKIAsgDiARoiAPIBCioKAhCyAJQQFqIQkgBCADaiEEIAcgBmohBwwACwsgCCAKtjgCACAIIAu2OAIECxwAIAAgASACIAAgAhABIAMgBCAAIAQQASAFEDoLFgBBACAAIAEgAiADIAQgBSAGIAcQOAscACAAIAEgAiAAIAIQASADIAQgACAEEAEgBRA8CxYAQQEgACABIAIgAyAEIAUgBiAHEDgLIAAgACABIAIgAyAAIAMQASAEIAUgACAFEAEgBkEAED4LZwIBfwF8IABBAEwEQCABDwsgAbshCwJAA0AgCiAATg0BIAsgAiAEQQJ0aioCALsgCCAJIAUgB0ECdGooAgBqQQJ0aioCALuioCELIApBAWohCiAEIANqIQQgByAGaiEHDAALCyALtgtbAQN/IABBAUwEQEF/DwsgASADQQJ0aigCACEFQQEhBAJAA0AgBCAATg0BIAMgAmohAyABIANBAnRqKAIAIQYgBiAFTARAIAQPCyAGIQUgBEEBaiEEDAALC0F/CyIAIAAgASACIAMgBCAFIAAgBRABIAYgByAIIAEgCBABEEELlwECBH8BfCACuyEPAkADQCALIABODQEgDCABTg0BIAQgBkECdGooAgAhDSAIIApBAnRqKAIAIQ4gDSAOTARAIA0gDkYEQCAPIAMgBkECdGoqAgC7IAcgCkECdGoqAgC7oqAhDyAMQQFqIQwgCiAJaiEKCyALQQFqIQsgBiAFaiEGBSAMQQFqIQwgCiAJaiEKCwwACwsgD7YLJgAgACABIAIgAyAAIAMQASAEIAUgACAFEAEgBiAHIAAgBxABEEMLbgIBfwF8IABBAEwEQCABDwsgAbshDAJAA0AgCyAATg0BIAggCmotAABFBEAgDCACIARBAnRqKgIAuyAFIAdBAnRqKgIAu6KgIQwLIAtBAWohCyAEIANqIQQgByAGaiEHIAogCWohCgwACwsgDLYLKAAgACABIAIgAyAEIAEgBBABIAUgBiABIAYQASAHIAhBAiAIEAEQRQupAQQBfwJ9An8BfCACuyERAkADQCAMIAFODQEgAyAFQQJ0aioCACENIAYgCEECdGoqAgAhDiANIA1cIA4gDlxyIQ8gDyAAQQJGcQRAIAwPCyAPIABBAUZxBEAgEEEBaiEQBSARIA27IA67oqAhEQsgDEEBaiEMIAUgBGohBSAIIAdqIQgMAAsLIAkgC0EDdGogEba7OQMAIAkgCyAKakEDdGogELg5AwBBfwseACAAIAEgAiADIAAgAxABIAQgBSAAIAUQASAGEEcLgQEDAXwBfQF/IAAgASACIAMgBCAFIAYgBxAFIQkgCbYhCiAIIAo4AgAgCZlEAAAAAAAA8H9jIAqLQwAAgH9bcQRAIAtBAXIhCwsgCUQAAAAAAAAAAGIgCotDAACAAF1xBEAgC0ECciELCyAJIAlhIAq7IAlicQRAIAtBBHIhCwsgCws=' );
+
+
+// EXPORTS //
+
+module.exports = wasm;
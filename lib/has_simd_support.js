@@ -0,0 +1,61 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var hasWebAssemblySupport = require( '@stdlib/assert-has-wasm-support' );
+var Uint8Array = require( '@stdlib/array-uint8' );
+
+
+// VARIABLES //
+
+// Minimal WebAssembly module containing a single function which returns a `v128` value (i.e., `(module (func (result v128) (i8x16.splat (i32.const 0)))))`):
+var BINARY = new Uint8Array([
+	0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 8, 1, 6, 0, 65, 0, 253, 15, 11 // eslint-disable-line max-len
+]);
+
+
+// MAIN //
+
+/**
+* Tests whether an environment supports WebAssembly fixed-width SIMD (SIMD128).
+*
+* @private
+* @returns {boolean} boolean indicating if an environment supports WebAssembly SIMD
+*
+* @example
+* var bool = hasSIMDSupport();
+* // returns <boolean>
+*/
+function hasSIMDSupport() {
+	if ( !hasWebAssemblySupport() ) {
+		return false;
+	}
+	try {
+		return WebAssembly.validate( BINARY );
+	} catch ( err ) { // eslint-disable-line no-unused-vars
+		return false;
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = hasSIMDSupport;
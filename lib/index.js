@@ -98,4 +98,4 @@ var main = require( './main.js' );
 
 module.exports = main;
 
-// exports: { "Module": "main.Module" }
+// exports: { "Module": "main.Module", "Pool": "main.Pool" }
@@ -0,0 +1,50 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MAIN //
+
+/**
+* Tests whether a WebAssembly memory instance is shared (i.e., whether its underlying buffer is a `SharedArrayBuffer`).
+*
+* @private
+* @param {Object} memory - WebAssembly memory instance
+* @returns {boolean} boolean indicating whether a memory instance is shared
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 0
+* });
+*
+* var bool = isSharedMemory( mem );
+* // returns false
+*/
+function isSharedMemory( memory ) {
+	return (
+		typeof SharedArrayBuffer === 'function' &&
+		memory.buffer instanceof SharedArrayBuffer // eslint-disable-line stdlib/require-globals
+	);
+}
+
+
+// EXPORTS //
+
+module.exports = isSharedMemory;
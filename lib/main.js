@@ -23,6 +23,7 @@
 var setReadOnly = require( '@stdlib/utils-define-nonenumerable-read-only-property' );
 var Routine = require( './routine.js' );
 var Module = require( './module.js' );
+var Pool = require( './pool.js' );
 
 
 // MAIN //
@@ -58,6 +59,7 @@ var Module = require( './module.js' );
 var sdsdot = new Routine();
 sdsdot.initializeSync(); // eslint-disable-line n/no-sync
 setReadOnly( sdsdot, 'Module', Module.bind( null ) );
+setReadOnly( sdsdot, 'Pool', Pool );
 
 
 // EXPORTS //
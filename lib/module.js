@@ -23,11 +23,424 @@
 // MODULES //
 
 var isWebAssemblyMemory = require( '@stdlib/assert-is-wasm-memory' );
+var isPositiveInteger = require( '@stdlib/assert-is-positive-integer' ).isPrimitive;
+var isNonNegativeInteger = require( '@stdlib/assert-is-nonnegative-integer' ).isPrimitive;
+var isBoolean = require( '@stdlib/assert-is-boolean' ).isPrimitive;
+var isPlainObject = require( '@stdlib/assert-is-plain-object' );
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
 var setReadOnly = require( '@stdlib/utils-define-nonenumerable-read-only-property' );
 var inherits = require( '@stdlib/utils-inherit' );
 var WasmModule = require( '@stdlib/wasm-module-wrapper' );
+var stride2offset = require( '@stdlib/strided-base-stride2offset' );
+var floor = require( '@stdlib/math-base-special-floor' );
 var format = require( '@stdlib/string-format' );
 var wasmBinary = require( './binary.js' );
+var sharedWasmBinary = require( './binary.shared.js' );
+var isSharedMemory = require( './is_shared_memory.js' );
+var isHalfFormat = require( './is_half_format.js' );
+var isQuantizedDtype = require( './is_quantized_dtype.js' );
+var isFP8Format = require( './is_fp8_format.js' );
+var isNaNPolicy = require( './is_nan_policy.js' );
+var Arena = require( './arena.js' );
+var Pointer = require( './pointer.js' );
+
+
+// VARIABLES //
+
+// Mapping from `NaN` handling policies to kernel enumeration constants:
+var NAN_POLICIES = {
+	'propagate': 0,
+	'ignore': 1,
+	'error': 2
+};
+
+// Size of a WebAssembly memory page (in bytes):
+var PAGE_SIZE = 65536;
+
+// Number of bytes per single-precision floating-point number:
+var BYTES_PER_ELEMENT = 4;
+
+// Number of double-precision floating-point numbers spanned by an exact accumulation workspace:
+var WORKSPACE_LENGTH = 21;
+
+
+// FUNCTIONS //
+
+/**
+* Validates that a pointer refers to module memory and that the indexed elements of a strided vector fall within the pointer's vector.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} arg - argument position
+* @param {integer} N - number of indexed elements
+* @param {Pointer} x - pointer
+* @param {integer} stride - stride length
+* @param {integer} offset - starting index
+* @throws {TypeError} must be a pointer to the memory of the module instance
+* @throws {RangeError} must have sufficient length for the specified number of indexed elements, stride, and offset
+*/
+function assertPointer( ctx, arg, N, x, stride, offset ) {
+	var last;
+	if ( x._memory !== ctx.memory ) {
+		throw new TypeError( format( 'invalid argument. %s argument must be a pointer to the memory of the module instance. Value: `%s`.', arg, x ) );
+	}
+	if ( N <= 0 ) {
+		return;
+	}
+	last = offset + ( ( N-1 ) * stride );
+	if ( offset < 0 || offset >= x.length || last < 0 || last >= x.length ) {
+		throw new RangeError( format( 'invalid argument. %s argument has insufficient length for the specified number of indexed elements, stride, and offset. Length: `%u`. N: `%d`. Stride: `%d`. Offset: `%d`.', arg, x.length, N, stride, offset ) );
+	}
+}
+
+/**
+* Resolves a single-precision floating-point vector argument to an array pointer (i.e., byte offset), stride, and offset.
+*
+* ## Notes
+*
+* -   When provided a pointer handle, the stride and offset index the elements of the vector described by the pointer handle and are thus scaled by the pointer handle's stride.
+* -   When a module instance is checked, the function verifies that every indexed element lies within module memory and is properly aligned.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} arg - argument position
+* @param {integer} N - number of indexed elements
+* @param {(NonNegativeInteger|Pointer)} x - array pointer (i.e., byte offset) or pointer handle
+* @param {integer} stride - stride length
+* @param {integer} offset - starting index
+* @throws {TypeError} must be a pointer to the memory of the module instance
+* @throws {RangeError} must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} array pointer must be aligned
+* @throws {RangeError} indexed elements must lie within module memory
+* @returns {Array<integer>} array pointer, stride, and offset
+*/
+function resolvePointer( ctx, arg, N, x, stride, offset ) {
+	var out;
+	if ( x instanceof Pointer ) {
+		assertPointer( ctx, arg, N, x, stride, offset );
+		out = [ x.byteOffset, stride*x.stride, offset*x.stride ];
+	} else {
+		out = [ x, stride, offset ];
+	}
+	verifyAccess( ctx, arg, N, out[ 0 ], out[ 1 ], out[ 2 ], BYTES_PER_ELEMENT );
+	return out;
+}
+
+/**
+* Validates that a pointer handle has a unit stride.
+*
+* ## Notes
+*
+* -   Arrays whose elements are not accessed according to a stride (e.g., a dense vector indexed by a sparse vector's indices) or which share a stride with another array (e.g., the values and indices of a sparse vector) can only be described by pointer handles whose elements are contiguous.
+*
+* @private
+* @param {string} arg - argument position
+* @param {(NonNegativeInteger|Pointer)} x - array pointer (i.e., byte offset) or pointer handle
+* @throws {RangeError} pointer handles must have a unit stride
+*/
+function assertUnitStride( arg, x ) {
+	if ( x instanceof Pointer && x.stride !== 1 ) {
+		throw new RangeError( format( 'invalid argument. %s argument must be a pointer handle having a unit stride. Stride: `%u`.', arg, x.stride ) );
+	}
+}
+
+/**
+* Returns the indices of the lowest and highest elements accessed by a batch of strided vectors.
+*
+* @private
+* @param {PositiveInteger} B - number of batches
+* @param {PositiveInteger} N - number of indexed elements
+* @param {integer} stride - stride length
+* @param {integer} batchStride - stride length between consecutive vectors
+* @param {integer} offset - starting index
+* @returns {Array<integer>} lowest and highest indices
+*
+* @example
+* var out = batchExtent( 3, 4, 1, 4, 0 );
+* // returns [ 0, 11 ]
+*
+* out = batchExtent( 2, 3, -1, 5, 2 );
+* // returns [ 0, 7 ]
+*/
+function batchExtent( B, N, stride, batchStride, offset ) {
+	var a = ( N-1 ) * stride;
+	var b = ( B-1 ) * batchStride;
+	return [
+		offset + ( ( a < 0 ) ? a : 0 ) + ( ( b < 0 ) ? b : 0 ),
+		offset + ( ( a > 0 ) ? a : 0 ) + ( ( b > 0 ) ? b : 0 )
+	];
+}
+
+/**
+* Resolves a batch of single-precision floating-point vectors to an array pointer (i.e., byte offset), stride, stride between consecutive vectors, and offset.
+*
+* ## Notes
+*
+* -   When provided a pointer handle, the strides and offset index the elements of the vector described by the pointer handle and are thus scaled by the pointer handle's stride.
+* -   When a module instance is checked, the function verifies that every element between the lowest and highest accessed elements lies within module memory and that the array pointer is properly aligned.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} arg - argument position
+* @param {integer} B - number of batches
+* @param {integer} N - number of indexed elements
+* @param {(NonNegativeInteger|Pointer)} x - array pointer (i.e., byte offset) or pointer handle
+* @param {integer} stride - stride length
+* @param {integer} batchStride - stride length between consecutive vectors
+* @param {integer} offset - starting index
+* @throws {TypeError} must be a pointer to the memory of the module instance
+* @throws {RangeError} must have sufficient length for the specified number of batches, indexed elements, strides, and offset
+* @throws {RangeError} array pointer must be aligned
+* @throws {RangeError} accessed elements must lie within module memory
+* @returns {Array<integer>} array pointer, stride, stride between consecutive vectors, and offset
+*/
+function resolveBatchPointer( ctx, arg, B, N, x, stride, batchStride, offset ) {
+	var out;
+	var ext;
+	var s;
+	if ( x instanceof Pointer ) {
+		if ( x._memory !== ctx.memory ) {
+			throw new TypeError( format( 'invalid argument. %s argument must be a pointer to the memory of the module instance. Value: `%s`.', arg, x ) );
+		}
+		if ( B > 0 && N > 0 ) {
+			ext = batchExtent( B, N, stride, batchStride, offset );
+			if ( ext[ 0 ] < 0 || ext[ 1 ] >= x.length ) {
+				throw new RangeError( format( 'invalid argument. %s argument has insufficient length for the specified number of batches, indexed elements, strides, and offset. Length: `%u`. Batches: `%d`. N: `%d`. Stride: `%d`. Batch stride: `%d`. Offset: `%d`.', arg, x.length, B, N, stride, batchStride, offset ) );
+			}
+		}
+		s = x.stride;
+		out = [ x.byteOffset, stride*s, batchStride*s, offset*s ];
+	} else {
+		out = [ x, stride, batchStride, offset ];
+	}
+	if ( ctx._checked && B > 0 && N > 0 ) {
+		ext = batchExtent( B, N, out[ 1 ], out[ 2 ], out[ 3 ] );
+		assertAccessible( ctx, arg, ext[ 1 ]-ext[ 0 ]+1, out[ 0 ], 1, ext[ 0 ], BYTES_PER_ELEMENT );
+	}
+	return out;
+}
+
+/**
+* Returns the minimum and maximum values of a strided array of 32-bit signed integer indices stored in module memory.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {PositiveInteger} N - number of indexed elements
+* @param {NonNegativeInteger} iptr - index array pointer (i.e., byte offset)
+* @param {integer} stride - stride length
+* @param {integer} offset - starting index
+* @returns {Array<integer>} minimum and maximum indices
+*/
+function indexExtent( ctx, N, iptr, stride, offset ) {
+	var view;
+	var min;
+	var max;
+	var v;
+	var i;
+
+	view = ctx.view;
+	min = view.getInt32( iptr + ( offset*4 ), true );
+	max = min;
+	for ( i = 1; i < N; i++ ) {
+		v = view.getInt32( iptr + ( ( offset + ( i*stride ) ) * 4 ), true );
+		if ( v < min ) {
+			min = v;
+		} else if ( v > max ) {
+			max = v;
+		}
+	}
+	return [ min, max ];
+}
+
+/**
+* Resolves a dense single-precision floating-point vector indexed by the indices of a sparse vector to an array pointer (i.e., byte offset).
+*
+* ## Notes
+*
+* -   When provided a pointer handle, every element of the dense vector which is indexed by the sparse vector's indices must be an element of the vector described by the pointer handle.
+* -   When a module instance is checked, the function verifies that every element between the elements corresponding to the minimum and maximum indices lies within module memory and that the array pointer is properly aligned. Accordingly, the index array must be verified beforehand.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} arg - argument position
+* @param {integer} N - number of indexed elements
+* @param {(NonNegativeInteger|Pointer)} y - array pointer (i.e., byte offset) or pointer handle
+* @param {integer} offsetY - index of the element corresponding to an index value of `0`
+* @param {NonNegativeInteger} iptr - index array pointer (i.e., byte offset)
+* @param {integer} strideIdx - index array stride length
+* @param {integer} offsetIdx - starting index array index
+* @throws {TypeError} must be a pointer to the memory of the module instance
+* @throws {RangeError} must have a unit stride
+* @throws {RangeError} must have sufficient length for the specified indices and offset
+* @throws {RangeError} array pointer must be aligned
+* @throws {RangeError} indexed elements must lie within module memory
+* @returns {NonNegativeInteger} array pointer
+*/
+function resolveDensePointer( ctx, arg, N, y, offsetY, iptr, strideIdx, offsetIdx ) {
+	var isPtr;
+	var out;
+	var ext;
+
+	isPtr = ( y instanceof Pointer );
+	if ( isPtr ) {
+		if ( y._memory !== ctx.memory ) {
+			throw new TypeError( format( 'invalid argument. %s argument must be a pointer to the memory of the module instance. Value: `%s`.', arg, y ) );
+		}
+		assertUnitStride( arg, y );
+		out = y.byteOffset;
+	} else {
+		out = y;
+	}
+	if ( N <= 0 || !( isPtr || ctx._checked ) ) {
+		return out;
+	}
+	ext = indexExtent( ctx, N, iptr, strideIdx, offsetIdx );
+	if ( isPtr && ( offsetY+ext[ 0 ] < 0 || offsetY+ext[ 1 ] >= y.length ) ) {
+		throw new RangeError( format( 'invalid argument. %s argument has insufficient length for the specified indices and offset. Length: `%u`. Offset: `%d`. Minimum index: `%d`. Maximum index: `%d`.', arg, y.length, offsetY, ext[ 0 ], ext[ 1 ] ) );
+	}
+	verifyAccess( ctx, arg, ext[ 1 ]-ext[ 0 ]+1, out, 1, offsetY+ext[ 0 ], BYTES_PER_ELEMENT );
+	return out;
+}
+
+/**
+* Validates that an argument is not a pointer handle.
+*
+* ## Notes
+*
+* -   Pointer handles describe vectors of real-valued single-precision floating-point numbers. Accordingly, arguments referring to data of other types (e.g., index arrays, masks, workspaces, double-precision output arrays, and half-precision, quantized, block-scaled, and complex input arrays) must be provided as byte offsets.
+*
+* @private
+* @param {string} arg - argument position
+* @param {*} value - argument value
+* @throws {TypeError} must not be a pointer handle
+*/
+function assertNotPointer( arg, value ) {
+	if ( value instanceof Pointer ) {
+		throw new TypeError( format( 'invalid argument. %s argument must be a byte offset. Pointer handles are only supported for arguments referring to real-valued single-precision floating-point data. Value: `%s`.', arg, value ) );
+	}
+}
+
+/**
+* Tests whether a value is a supported allocation alignment (i.e., a power of two which does not exceed the size of a WebAssembly memory page).
+*
+* @private
+* @param {*} value - input value
+* @returns {boolean} boolean indicating whether a value is a supported alignment
+*/
+function isAlignment( value ) {
+	var v;
+	if ( !isPositiveInteger( value ) || value > PAGE_SIZE ) {
+		return false;
+	}
+	v = value;
+	while ( v > 1 && v % 2 === 0 ) {
+		v /= 2;
+	}
+	return ( v === 1 );
+}
+
+/**
+* Validates that every indexed element of a strided array lies within module memory and is aligned to the size of an array element.
+*
+* ## Notes
+*
+* -   As element byte offsets differ from the array pointer by multiples of the element size, every indexed element is aligned if and only if the array pointer is aligned.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} arg - argument position
+* @param {integer} N - number of indexed elements
+* @param {integer} ptr - array pointer (i.e., byte offset)
+* @param {integer} stride - stride length
+* @param {integer} offset - starting index
+* @param {PositiveInteger} nbytes - number of bytes per array element
+* @throws {RangeError} array pointer must be aligned
+* @throws {RangeError} indexed elements must lie within module memory
+*/
+function assertAccessible( ctx, arg, N, ptr, stride, offset, nbytes ) {
+	var first;
+	var last;
+	var nb;
+	if ( N <= 0 ) {
+		return;
+	}
+	if ( ptr % nbytes !== 0 ) {
+		throw new RangeError( format( 'invalid argument. %s argument must be a pointer which is aligned to a multiple of %u bytes. Value: `%s`.', arg, nbytes, ptr ) );
+	}
+	first = ptr + ( offset*nbytes );
+	last = first + ( ( N-1 ) * stride * nbytes );
+	nb = ctx.memory.buffer.byteLength;
+	if ( first < 0 || last < 0 || first+nbytes > nb || last+nbytes > nb ) {
+		throw new RangeError( format( 'invalid argument. %s argument, together with the specified number of indexed elements, stride, and offset, must only access elements within module memory. Byte offset of first element: `%d`. Byte offset of last element: `%d`. Memory size: `%u`.', arg, first, last, nb ) );
+	}
+}
+
+/**
+* Validates, when a module instance is checked, that every indexed element of a strided array lies within module memory and is aligned to the size of an array element.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} arg - argument position
+* @param {integer} N - number of indexed elements
+* @param {integer} ptr - array pointer (i.e., byte offset)
+* @param {integer} stride - stride length
+* @param {integer} offset - starting index
+* @param {PositiveInteger} nbytes - number of bytes per array element
+* @throws {RangeError} array pointer must be aligned
+* @throws {RangeError} indexed elements must lie within module memory
+*/
+function verifyAccess( ctx, arg, N, ptr, stride, offset, nbytes ) {
+	if ( ctx._checked ) {
+		assertAccessible( ctx, arg, N, ptr, stride, offset, nbytes );
+	}
+}
+
+/**
+* Validates, when a module instance is checked, that every accessed element of a block-scaled array and of its block scales lies within module memory.
+*
+* ## Notes
+*
+* -   Element `i` of a block-scaled array is scaled by the block scale `floor((offset+i)/blockSize)`.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} arg - array argument position
+* @param {string} sarg - block scales argument position
+* @param {integer} N - number of indexed elements
+* @param {integer} ptr - array pointer (i.e., byte offset)
+* @param {integer} sptr - block scales pointer (i.e., byte offset)
+* @param {integer} offset - starting index
+* @param {PositiveInteger} blockSize - number of elements per block
+* @throws {RangeError} indexed elements must lie within module memory
+*/
+function verifyBlocks( ctx, arg, sarg, N, ptr, sptr, offset, blockSize ) {
+	var lo;
+	if ( !ctx._checked || N <= 0 ) {
+		return;
+	}
+	assertAccessible( ctx, arg, N, ptr, 1, offset, 1 );
+	lo = floor( offset/blockSize );
+	assertAccessible( ctx, sarg, floor( ( offset+N-1 ) / blockSize ) - lo + 1, sptr, 1, lo, 1 ); // eslint-disable-line max-len
+}
+
+/**
+* Validates that the indices of a sparse vector stored in module memory are sorted in strictly increasing order.
+*
+* @private
+* @param {Module} ctx - module instance
+* @param {string} name - vector name
+* @param {integer} N - number of indexed elements
+* @param {NonNegativeInteger} iptr - index array pointer (i.e., byte offset)
+* @param {integer} stride - index array stride length
+* @param {NonNegativeInteger} offset - starting index
+* @throws {RangeError} indices must be sorted in strictly increasing order
+*/
+function assertSorted( ctx, name, N, iptr, stride, offset ) {
+	var i = ctx._instance.exports.c_sdsdot_unsorted_ndarray( N, iptr, stride, offset ); // eslint-disable-line max-len
+	if ( i >= 0 ) {
+		throw new RangeError( format( 'invalid argument. Indices of `%s` must be sorted in strictly increasing order. Out-of-order index at position: `%d`.', name, i ) );
+	}
+}
 
 
 // MAIN //
@@ -37,7 +450,11 @@ var wasmBinary = require( './binary.js' );
 *
 * @constructor
 * @param {Object} memory - WebAssembly memory instance
+* @param {Options} [options] - module options
+* @param {boolean} [options.checked=false] - boolean indicating whether methods should verify that every accessed element of each array argument lies within module memory and is properly aligned prior to computation
 * @throws {TypeError} must provide a WebAssembly memory instance
+* @throws {TypeError} options argument must be an object
+* @throws {TypeError} must provide valid options
 * @returns {Module} module instance
 *
 * @example
@@ -78,20 +495,41 @@ var wasmBinary = require( './binary.js' );
 * var dot = sdsdot.main( N, 0.0, xptr, 1, yptr, 1 );
 * // returns 15.0
 */
-function Module( memory ) {
+function Module( memory, options ) {
+	var checked;
 	if ( !( this instanceof Module ) ) {
+		if ( arguments.length > 1 ) {
+			return new Module( memory, options );
+		}
 		return new Module( memory );
 	}
 	if ( !isWebAssemblyMemory( memory ) ) {
 		throw new TypeError( format( 'invalid argument. Must provide a WebAssembly memory instance. Value: `%s`.', memory ) );
 	}
-	// Call the parent constructor:
-	WasmModule.call( this, wasmBinary, memory, {
+	checked = false;
+	if ( arguments.length > 1 ) {
+		if ( !isPlainObject( options ) ) {
+			throw new TypeError( format( 'invalid argument. Options argument must be an object. Value: `%s`.', options ) );
+		}
+		if ( hasOwnProp( options, 'checked' ) ) {
+			if ( !isBoolean( options.checked ) ) {
+				throw new TypeError( format( 'invalid option. `%s` option must be a boolean. Option: `%s`.', 'checked', options.checked ) );
+			}
+			checked = options.checked;
+		}
+	}
+	// Call the parent constructor (using a binary which imports a shared memory instance when provided memory which is shared across threads):
+	WasmModule.call( this, ( isSharedMemory( memory ) ) ? sharedWasmBinary : wasmBinary, memory, {
 		'env': {
 			'memory': memory
 		}
 	});
 
+	// Initialize a memory arena for tracking allocated memory regions:
+	this._arena = new Arena();
+
+	// Set a flag indicating whether to verify memory accesses prior to computation:
+	this._checked = checked;
 	return this;
 }
 
@@ -107,10 +545,14 @@ inherits( Module, WasmModule );
 * @type {Function}
 * @param {PositiveInteger} N - number of indexed elements
 * @param {number} scalar - scalar constant to add to dot product
-* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
 * @param {integer} strideX - `x` stride length
-* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
 * @param {integer} strideY - `y` stride length
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
 * @returns {number} dot product
 *
 * @example
@@ -152,7 +594,11 @@ inherits( Module, WasmModule );
 * // returns 15.0
 */
 setReadOnly( Module.prototype, 'main', function sdsdot( N, scalar, xptr, strideX, yptr, strideY ) {
-	return this._instance.exports.c_sdsdot( N, scalar, xptr, strideX, yptr, strideY );
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	return this._instance.exports.c_sdsdot( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ] );
 });
 
 /**
@@ -164,12 +610,16 @@ setReadOnly( Module.prototype, 'main', function sdsdot( N, scalar, xptr, strideX
 * @type {Function}
 * @param {PositiveInteger} N - number of indexed elements
 * @param {number} scalar - scalar constant to add to dot product
-* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
 * @param {integer} strideX - `x` stride length
 * @param {NonNegativeInteger} offsetX - starting `x` index
-* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
 * @param {integer} strideY - `y` stride length
 * @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
 * @returns {number} dot product
 *
 * @example
@@ -211,7 +661,3383 @@ setReadOnly( Module.prototype, 'main', function sdsdot( N, scalar, xptr, strideX
 * // returns 15.0
 */
 setReadOnly( Module.prototype, 'ndarray', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ) {
-	return this._instance.exports.c_sdsdot_ndarray( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ); // eslint-disable-line max-len
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	return this._instance.exports.c_sdsdot_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ] ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation and returns the result as a double-precision floating-point number.
+*
+* @name mainDouble
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainDouble( N, 0.0, xptr, 1, yptr, 1 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainDouble', function sdsdot( N, scalar, xptr, strideX, yptr, strideY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	return this._instance.exports.c_sdsdot_double( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ] );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and returns the result as a double-precision floating-point number.
+*
+* @name ndarrayDouble
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayDouble( N, 0.0, xptr, 1, 0, yptr, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayDouble', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	return this._instance.exports.c_sdsdot_double_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ] ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation.
+*
+* @name mainCompensated
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainCompensated( N, 0.0, xptr, 1, yptr, 1 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainCompensated', function sdsdot( N, scalar, xptr, strideX, yptr, strideY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	return this._instance.exports.c_sdsdot_compensated( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ] );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation and alternative indexing semantics.
+*
+* @name ndarrayCompensated
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayCompensated( N, 0.0, xptr, 1, 0, yptr, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayCompensated', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	return this._instance.exports.c_sdsdot_compensated_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ] ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation.
+*
+* @name mainExact
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and a workspace:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var wptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainExact( N, 0.0, xptr, 1, yptr, 1, wptr );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainExact', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, wptr ) {
+	var x;
+	var y;
+	assertNotPointer( 'Seventh', wptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	if ( N > 0 ) {
+		verifyAccess( this, 'Seventh', WORKSPACE_LENGTH, wptr, 1, 0, 8 );
+	}
+	return this._instance.exports.c_sdsdot_exact( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ], wptr );
+});
+
+/**
+* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics.
+*
+* @name ndarrayExact
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and a workspace:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var wptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayExact( N, 0.0, xptr, 1, 0, yptr, 1, 0, wptr );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayExact', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, wptr ) {
+	var x;
+	var y;
+	assertNotPointer( 'Ninth', wptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	if ( N > 0 ) {
+		verifyAccess( this, 'Ninth', WORKSPACE_LENGTH, wptr, 1, 0, 8 );
+	}
+	return this._instance.exports.c_sdsdot_exact_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], wptr ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors using exact accumulation and returns the correctly rounded double-precision result.
+*
+* @name mainExactDouble
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and a workspace:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var wptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainExactDouble( N, 0.0, xptr, 1, yptr, 1, wptr );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainExactDouble', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, wptr ) {
+	var x;
+	var y;
+	assertNotPointer( 'Seventh', wptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	if ( N > 0 ) {
+		verifyAccess( this, 'Seventh', WORKSPACE_LENGTH, wptr, 1, 0, 8 );
+	}
+	return this._instance.exports.c_sdsdot_exact_double( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ], wptr ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics and returns the correctly rounded double-precision result.
+*
+* @name ndarrayExactDouble
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} wptr - pointer (i.e., byte offset) to a workspace of at least 168 bytes
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and a workspace:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var wptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayExactDouble( N, 0.0, xptr, 1, 0, yptr, 1, 0, wptr );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayExactDouble', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, wptr ) {
+	var x;
+	var y;
+	assertNotPointer( 'Ninth', wptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	if ( N > 0 ) {
+		verifyAccess( this, 'Ninth', WORKSPACE_LENGTH, wptr, 1, 0, 8 );
+	}
+	return this._instance.exports.c_sdsdot_exact_double_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], wptr ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm.
+*
+* @name mainDot2
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainDot2( N, 0.0, xptr, 1, yptr, 1 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainDot2', function sdsdot( N, scalar, xptr, strideX, yptr, strideY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	return this._instance.exports.c_sdsdot_dot2( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ] );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm and alternative indexing semantics.
+*
+* @name ndarrayDot2
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayDot2( N, 0.0, xptr, 1, 0, yptr, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayDot2', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	return this._instance.exports.c_sdsdot_dot2_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ] ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result to an output array as an unevaluated double-double pair.
+*
+* @name mainDoubleDouble
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} outptr - output array pointer (i.e., byte offset)
+* @param {integer} strideOut - `out` stride length
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output array pointer (i.e., byte offset)
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var Float64Array = require( '@stdlib/array-float64' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output array:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var outptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.mainDoubleDouble( N, 0.0, xptr, 1, yptr, 1, outptr, 1 );
+* // returns <number>
+*
+* // Read out the results:
+* var out = new Float64Array( 2 );
+* sdsdot.read( outptr, out );
+* // out => <Float64Array>[ 15.0, 0.0 ]
+*/
+setReadOnly( Module.prototype, 'mainDoubleDouble', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, outptr, strideOut ) {
+	var x;
+	var y;
+	assertNotPointer( 'Seventh', outptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	verifyAccess( this, 'Seventh', 2, outptr, strideOut, stride2offset( 2, strideOut ), 8 );
+	this._instance.exports.c_sdsdot_double_double( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ], outptr, strideOut ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result to an output array as an unevaluated double-double pair.
+*
+* @name ndarrayDoubleDouble
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} outptr - output array pointer (i.e., byte offset)
+* @param {integer} strideOut - `out` stride length
+* @param {NonNegativeInteger} offsetOut - starting `out` index
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output array pointer (i.e., byte offset)
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var Float64Array = require( '@stdlib/array-float64' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output array:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var outptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.ndarrayDoubleDouble( N, 0.0, xptr, 1, 0, yptr, 1, 0, outptr, 1, 0 );
+* // returns <number>
+*
+* // Read out the results:
+* var out = new Float64Array( 2 );
+* sdsdot.read( outptr, out );
+* // out => <Float64Array>[ 15.0, 0.0 ]
+*/
+setReadOnly( Module.prototype, 'ndarrayDoubleDouble', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr, strideOut, offsetOut ) {
+	var x;
+	var y;
+	assertNotPointer( 'Ninth', outptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	verifyAccess( this, 'Ninth', 2, outptr, strideOut, offsetOut, 8 );
+	this._instance.exports.c_sdsdot_double_double_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], outptr, strideOut, offsetOut ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   The `b`-th pair of vectors begins `b*batchStrideX` and `b*batchStrideY` elements, respectively, from the start of the first pair.
+* -   The `b`-th dot product uses the `b`-th element of the scalar constant array and is stored as the `b`-th element of the output array.
+*
+* @name mainBatched
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {NonNegativeInteger} B - number of batches
+* @param {PositiveInteger} N - number of indexed elements
+* @param {(NonNegativeInteger|Pointer)} sptr - scalar constant array pointer (i.e., byte offset or pointer handle)
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {integer} batchStrideX - stride length between consecutive `x` vectors
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {integer} batchStrideY - stride length between consecutive `y` vectors
+* @param {(NonNegativeInteger|Pointer)} outptr - output array pointer (i.e., byte offset or pointer handle)
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles for the scalar constant and output arrays must have a unit stride
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of batches, indexed elements, strides, and offsets
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {(NonNegativeInteger|Pointer)} output array pointer (i.e., byte offset or pointer handle)
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var zeros = require( '@stdlib/array-zeros' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify the number of batches and a vector length:
+* var B = 2;
+* var N = 3;
+*
+* // Define pointers (i.e., byte offsets) for storing the batched vectors, the scalar constants, and the output array:
+* var nbytes = bytesPerElement( dtype );
+* var xptr = 0;
+* var yptr = B * N * nbytes;
+* var sptr = 2 * B * N * nbytes;
+* var optr = sptr + ( B*nbytes );
+*
+* // Write values to module memory:
+* sdsdot.write( xptr, oneTo( B*N, dtype ) );
+* sdsdot.write( yptr, ones( B*N, dtype ) );
+* sdsdot.write( sptr, zeros( B, dtype ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.mainBatched( B, N, sptr, xptr, 1, N, yptr, 1, N, optr );
+* // returns <number>
+*
+* // Read out the results:
+* var out = zeros( B, dtype );
+* sdsdot.read( optr, out );
+* // out => <Float32Array>[ 6.0, 15.0 ]
+*/
+setReadOnly( Module.prototype, 'mainBatched', function sdsdot( B, N, sptr, xptr, strideX, batchStrideX, yptr, strideY, batchStrideY, outptr ) {
+	var ox;
+	var oy;
+	var s;
+	var x;
+	var y;
+	var o;
+	ox = stride2offset( N, strideX ) + stride2offset( B, batchStrideX );
+	oy = stride2offset( N, strideY ) + stride2offset( B, batchStrideY );
+	assertUnitStride( 'Third', sptr );
+	assertUnitStride( 'Tenth', outptr );
+	s = resolvePointer( this, 'Third', B, sptr, 1, 0 );
+	x = resolveBatchPointer( this, 'Fourth', B, N, xptr, strideX, batchStrideX, ox );
+	y = resolveBatchPointer( this, 'Seventh', B, N, yptr, strideY, batchStrideY, oy );
+	o = resolvePointer( this, 'Tenth', B, outptr, 1, 0 );
+	this._instance.exports.c_sdsdot_batched( B, N, s[ 0 ], x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], o[ 0 ] ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   The `b`-th pair of vectors begins at indices `offsetX + b*batchStrideX` and `offsetY + b*batchStrideY`, respectively.
+* -   The `b`-th dot product uses the `b`-th element of the scalar constant array and is stored as the `b`-th element of the output array.
+*
+* @name ndarrayBatched
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {NonNegativeInteger} B - number of batches
+* @param {PositiveInteger} N - number of indexed elements
+* @param {(NonNegativeInteger|Pointer)} sptr - scalar constant array pointer (i.e., byte offset or pointer handle)
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {integer} batchStrideX - stride length between consecutive `x` vectors
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {integer} batchStrideY - stride length between consecutive `y` vectors
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {(NonNegativeInteger|Pointer)} outptr - output array pointer (i.e., byte offset or pointer handle)
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles for the scalar constant and output arrays must have a unit stride
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of batches, indexed elements, strides, and offsets
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {(NonNegativeInteger|Pointer)} output array pointer (i.e., byte offset or pointer handle)
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var zeros = require( '@stdlib/array-zeros' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify the number of batches and a vector length:
+* var B = 2;
+* var N = 3;
+*
+* // Define pointers (i.e., byte offsets) for storing the batched vectors, the scalar constants, and the output array:
+* var nbytes = bytesPerElement( dtype );
+* var xptr = 0;
+* var yptr = B * N * nbytes;
+* var sptr = 2 * B * N * nbytes;
+* var optr = sptr + ( B*nbytes );
+*
+* // Write values to module memory:
+* sdsdot.write( xptr, oneTo( B*N, dtype ) );
+* sdsdot.write( yptr, ones( B*N, dtype ) );
+* sdsdot.write( sptr, zeros( B, dtype ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.ndarrayBatched( B, N, sptr, xptr, 1, N, 0, yptr, 1, N, 0, optr );
+* // returns <number>
+*
+* // Read out the results:
+* var out = zeros( B, dtype );
+* sdsdot.read( optr, out );
+* // out => <Float32Array>[ 6.0, 15.0 ]
+*/
+setReadOnly( Module.prototype, 'ndarrayBatched', function sdsdot( B, N, sptr, xptr, strideX, batchStrideX, offsetX, yptr, strideY, batchStrideY, offsetY, outptr ) {
+	var s;
+	var x;
+	var y;
+	var o;
+	assertUnitStride( 'Third', sptr );
+	assertUnitStride( 'Twelfth', outptr );
+	s = resolvePointer( this, 'Third', B, sptr, 1, 0 );
+	x = resolveBatchPointer( this, 'Fourth', B, N, xptr, strideX, batchStrideX, offsetX );
+	y = resolveBatchPointer( this, 'Eighth', B, N, yptr, strideY, batchStrideY, offsetY );
+	o = resolvePointer( this, 'Twelfth', B, outptr, 1, 0 );
+	this._instance.exports.c_sdsdot_batched_ndarray( B, N, s[ 0 ], x[ 0 ], x[ 1 ], x[ 2 ], x[ 3 ], y[ 0 ], y[ 1 ], y[ 2 ], y[ 3 ], o[ 0 ] ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation.
+*
+* @name mainReproducible
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainReproducible( N, 0.0, xptr, 1, yptr, 1 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainReproducible', function sdsdot( N, scalar, xptr, strideX, yptr, strideY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	return this._instance.exports.c_sdsdot_reproducible( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ] ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation and alternative indexing semantics.
+*
+* @name ndarrayReproducible
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayReproducible( N, 0.0, xptr, 1, 0, yptr, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayReproducible', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ) {
+	var x;
+	var y;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	return this._instance.exports.c_sdsdot_reproducible_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ] ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result, along with error diagnostics, to an output array.
+*
+* ## Notes
+*
+* -   The output array is assigned the following elements (in order):
+*
+*     -   the dot product, as computed by the `mainDouble` method (i.e., the double-precision accumulator before rounding to single-precision).
+*     -   the sum of the absolute values of the scalar constant and of all products.
+*     -   the condition number of the dot product (i.e., the ratio of the previous element to the absolute value of the dot product).
+*     -   a rigorous upper bound on the absolute error of the double-precision accumulator with respect to the exact value of `scalar + x·y`.
+*
+* @name mainDiagnostics
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} outptr - output array pointer (i.e., byte offset)
+* @param {integer} strideOut - `out` stride length
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output array pointer (i.e., byte offset)
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var Float64Array = require( '@stdlib/array-float64' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output array:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var outptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.mainDiagnostics( N, 0.0, xptr, 1, yptr, 1, outptr, 1 );
+* // returns <number>
+*
+* // Read out the results:
+* var out = new Float64Array( 4 );
+* sdsdot.read( outptr, out );
+* // out => <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+*/
+setReadOnly( Module.prototype, 'mainDiagnostics', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, outptr, strideOut ) {
+	var x;
+	var y;
+	assertNotPointer( 'Seventh', outptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	verifyAccess( this, 'Seventh', 4, outptr, strideOut, stride2offset( 4, strideOut ), 8 );
+	this._instance.exports.c_sdsdot_diagnostics( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ], outptr, strideOut ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result, along with error diagnostics, to an output array.
+*
+* ## Notes
+*
+* -   The output array is assigned the following elements (in order):
+*
+*     -   the dot product, as computed by the `ndarrayDouble` method (i.e., the double-precision accumulator before rounding to single-precision).
+*     -   the sum of the absolute values of the scalar constant and of all products.
+*     -   the condition number of the dot product (i.e., the ratio of the previous element to the absolute value of the dot product).
+*     -   a rigorous upper bound on the absolute error of the double-precision accumulator with respect to the exact value of `scalar + x·y`.
+*
+* @name ndarrayDiagnostics
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} outptr - output array pointer (i.e., byte offset)
+* @param {integer} strideOut - `out` stride length
+* @param {NonNegativeInteger} offsetOut - starting `out` index
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output array pointer (i.e., byte offset)
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var Float64Array = require( '@stdlib/array-float64' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define a vector data type:
+* var dtype = 'float32';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output array:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( dtype );
+* var outptr = 2 * N * bytesPerElement( dtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, dtype ) );
+* sdsdot.write( yptr, ones( N, dtype ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.ndarrayDiagnostics( N, 0.0, xptr, 1, 0, yptr, 1, 0, outptr, 1, 0 );
+* // returns <number>
+*
+* // Read out the results:
+* var out = new Float64Array( 4 );
+* sdsdot.read( outptr, out );
+* // out => <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+*/
+setReadOnly( Module.prototype, 'ndarrayDiagnostics', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr, strideOut, offsetOut ) {
+	var x;
+	var y;
+	assertNotPointer( 'Ninth', outptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	verifyAccess( this, 'Ninth', 4, outptr, strideOut, offsetOut, 8 );
+	this._instance.exports.c_sdsdot_diagnostics_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], outptr, strideOut, offsetOut ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot product of two 16-bit floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'float16'`: IEEE 754 half-precision floating-point numbers.
+*     -   `'bfloat16'`: "brain" floating-point numbers (i.e., the upper 16 bits of single-precision floating-point numbers).
+*
+* @name mainHalf
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} first argument must be a supported format
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Uint16Array = require( '@stdlib/array-uint16' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors of 16-bit elements:
+* var xptr = 0;
+* var yptr = N * 2;
+*
+* // Write half-precision floating-point vectors (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]) to module memory:
+* sdsdot.write( xptr, new Uint16Array( [ 0x3c00, 0x4000, 0x4200, 0x4400, 0x4500 ] ) );
+* sdsdot.write( yptr, new Uint16Array( [ 0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3c00 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainHalf( 'float16', N, 0.0, xptr, 1, yptr, 1 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainHalf', function sdsdot( fmt, N, scalar, xptr, strideX, yptr, strideY ) {
+	if ( !isHalfFormat( fmt ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported format. Value: `%s`.', fmt ) );
+	}
+	assertNotPointer( 'Fourth', xptr );
+	assertNotPointer( 'Sixth', yptr );
+	verifyAccess( this, 'Fourth', N, xptr, strideX, stride2offset( N, strideX ), 2 );
+	verifyAccess( this, 'Sixth', N, yptr, strideY, stride2offset( N, strideY ), 2 );
+	if ( fmt === 'bfloat16' ) {
+		return this._instance.exports.c_sdsdot_bfloat16( N, scalar, xptr, strideX, yptr, strideY ); // eslint-disable-line max-len
+	}
+	return this._instance.exports.c_sdsdot_float16( N, scalar, xptr, strideX, yptr, strideY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two 16-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'float16'`: IEEE 754 half-precision floating-point numbers.
+*     -   `'bfloat16'`: "brain" floating-point numbers (i.e., the upper 16 bits of single-precision floating-point numbers).
+*
+* @name ndarrayHalf
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} first argument must be a supported format
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Uint16Array = require( '@stdlib/array-uint16' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors of 16-bit elements:
+* var xptr = 0;
+* var yptr = N * 2;
+*
+* // Write half-precision floating-point vectors (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]) to module memory:
+* sdsdot.write( xptr, new Uint16Array( [ 0x3c00, 0x4000, 0x4200, 0x4400, 0x4500 ] ) );
+* sdsdot.write( yptr, new Uint16Array( [ 0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3c00 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayHalf( 'float16', N, 0.0, xptr, 1, 0, yptr, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayHalf', function sdsdot( fmt, N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ) {
+	if ( !isHalfFormat( fmt ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported format. Value: `%s`.', fmt ) );
+	}
+	assertNotPointer( 'Fourth', xptr );
+	assertNotPointer( 'Seventh', yptr );
+	verifyAccess( this, 'Fourth', N, xptr, strideX, offsetX, 2 );
+	verifyAccess( this, 'Seventh', N, yptr, strideY, offsetY, 2 );
+	if ( fmt === 'bfloat16' ) {
+		return this._instance.exports.c_sdsdot_bfloat16_ndarray( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ); // eslint-disable-line max-len
+	}
+	return this._instance.exports.c_sdsdot_float16_ndarray( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation.
+*
+* @name mainMixed
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset) to double-precision floating-point numbers
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define vector data types:
+* var xdtype = 'float32';
+* var ydtype = 'float64';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( ydtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, xdtype ) );
+* sdsdot.write( yptr, ones( N, ydtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainMixed( N, 0.0, xptr, 1, yptr, 1 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainMixed', function sdsdot( N, scalar, xptr, strideX, yptr, strideY ) {
+	var x;
+	assertNotPointer( 'Fifth', yptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	verifyAccess( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ), 8 );
+	return this._instance.exports.c_sdsdot_mixed( N, scalar, x[ 0 ], x[ 1 ], yptr, strideY );
+});
+
+/**
+* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+*
+* @name ndarrayMixed
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset) to double-precision floating-point numbers
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var oneTo = require( '@stdlib/array-one-to' );
+* var ones = require( '@stdlib/array-ones' );
+* var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define vector data types:
+* var xdtype = 'float32';
+* var ydtype = 'float64';
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors:
+* var xptr = 0;
+* var yptr = N * bytesPerElement( ydtype );
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, oneTo( N, xdtype ) );
+* sdsdot.write( yptr, ones( N, ydtype ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayMixed( N, 0.0, xptr, 1, 0, yptr, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayMixed', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY ) {
+	var x;
+	assertNotPointer( 'Sixth', yptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	verifyAccess( this, 'Sixth', N, yptr, strideY, offsetY, 8 );
+	return this._instance.exports.c_sdsdot_mixed_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], yptr, strideY, offsetY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation.
+*
+* ## Notes
+*
+* -   Supported data types:
+*
+*     -   `'int8'`: signed 8-bit integers.
+*     -   `'uint8'`: unsigned 8-bit integers.
+*
+* -   The function computes `scalar + scaleX*scaleY*Σ(x[i]-zeroX)*(y[i]-zeroY)`, where the sum is accumulated exactly using integer arithmetic before applying the scales. Zero points should lie within the range of the data type.
+*
+* @name mainQuantized
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} dtype - input array data type
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {integer} zeroX - `x` zero point
+* @param {number} scaleX - `x` scale
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {integer} zeroY - `y` zero point
+* @param {number} scaleY - `y` scale
+* @throws {TypeError} first argument must be a supported data type
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors of 8-bit elements:
+* var xptr = 0;
+* var yptr = N;
+*
+* // Write quantized vectors to module memory:
+* sdsdot.write( xptr, new Uint8Array( [ 129, 130, 131, 132, 133 ] ) );
+* sdsdot.write( yptr, new Uint8Array( [ 130, 130, 130, 130, 130 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainQuantized( 'uint8', N, 0.0, xptr, 1, 128, 0.5, yptr, 1, 128, 0.25 );
+* // returns 3.75
+*/
+setReadOnly( Module.prototype, 'mainQuantized', function sdsdot( dtype, N, scalar, xptr, strideX, zeroX, scaleX, yptr, strideY, zeroY, scaleY ) {
+	if ( !isQuantizedDtype( dtype ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported data type. Value: `%s`.', dtype ) );
+	}
+	assertNotPointer( 'Fourth', xptr );
+	assertNotPointer( 'Eighth', yptr );
+	verifyAccess( this, 'Fourth', N, xptr, strideX, stride2offset( N, strideX ), 1 );
+	verifyAccess( this, 'Eighth', N, yptr, strideY, stride2offset( N, strideY ), 1 );
+	if ( dtype === 'uint8' ) {
+		return this._instance.exports.c_sdsdot_uint8( N, scalar, xptr, strideX, zeroX, scaleX, yptr, strideY, zeroY, scaleY ); // eslint-disable-line max-len
+	}
+	return this._instance.exports.c_sdsdot_int8( N, scalar, xptr, strideX, zeroX, scaleX, yptr, strideY, zeroY, scaleY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Supported data types:
+*
+*     -   `'int8'`: signed 8-bit integers.
+*     -   `'uint8'`: unsigned 8-bit integers.
+*
+* -   The function computes `scalar + scaleX*scaleY*Σ(x[i]-zeroX)*(y[i]-zeroY)`, where the sum is accumulated exactly using integer arithmetic before applying the scales. Zero points should lie within the range of the data type.
+*
+* @name ndarrayQuantized
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} dtype - input array data type
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {integer} zeroX - `x` zero point
+* @param {number} scaleX - `x` scale
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {integer} zeroY - `y` zero point
+* @param {number} scaleY - `y` scale
+* @throws {TypeError} first argument must be a supported data type
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Int8Array = require( '@stdlib/array-int8' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors of 8-bit elements:
+* var xptr = 0;
+* var yptr = N;
+*
+* // Write quantized vectors to module memory:
+* sdsdot.write( xptr, new Int8Array( [ 1, 2, 3, 4, 5 ] ) );
+* sdsdot.write( yptr, new Int8Array( [ 2, 2, 2, 2, 2 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayQuantized( 'int8', N, 0.0, xptr, 1, 0, 0, 0.5, yptr, 1, 0, 0, 0.25 );
+* // returns 3.75
+*/
+setReadOnly( Module.prototype, 'ndarrayQuantized', function sdsdot( dtype, N, scalar, xptr, strideX, offsetX, zeroX, scaleX, yptr, strideY, offsetY, zeroY, scaleY ) {
+	if ( !isQuantizedDtype( dtype ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported data type. Value: `%s`.', dtype ) );
+	}
+	assertNotPointer( 'Fourth', xptr );
+	assertNotPointer( 'Ninth', yptr );
+	verifyAccess( this, 'Fourth', N, xptr, strideX, offsetX, 1 );
+	verifyAccess( this, 'Ninth', N, yptr, strideY, offsetY, 1 );
+	if ( dtype === 'uint8' ) {
+		return this._instance.exports.c_sdsdot_uint8_ndarray( N, scalar, xptr, strideX, offsetX, zeroX, scaleX, yptr, strideY, offsetY, zeroY, scaleY ); // eslint-disable-line max-len
+	}
+	return this._instance.exports.c_sdsdot_int8_ndarray( N, scalar, xptr, strideX, offsetX, zeroX, scaleX, yptr, strideY, offsetY, zeroY, scaleY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'e4m3'`: OCP FP8 E4M3 floating-point numbers (4 exponent bits and 3 mantissa bits, no infinities).
+*     -   `'e5m2'`: OCP FP8 E5M2 floating-point numbers (5 exponent bits and 2 mantissa bits).
+*
+* -   Each block of `blockSize` contiguous elements shares a scale, which is stored as an OCP E8M0 number (i.e., an unsigned biased exponent `e` representing `2^(e-127)`, where `e = 255` represents `NaN`).
+*
+* @name mainBlockScaled
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {NonNegativeInteger} sxptr - first input array block scales pointer (i.e., byte offset)
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {NonNegativeInteger} syptr - second input array block scales pointer (i.e., byte offset)
+* @param {PositiveInteger} blockSize - number of elements per block
+* @throws {TypeError} first argument must be a supported format
+* @throws {TypeError} eighth argument must be a positive integer
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors of 8-bit elements and their block scales:
+* var xptr = 0;
+* var yptr = N;
+* var sxptr = 2 * N;
+* var syptr = sxptr + 1;
+*
+* // Write E4M3 vectors (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]) to module memory:
+* sdsdot.write( xptr, new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a ] ) );
+* sdsdot.write( yptr, new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38 ] ) );
+*
+* // Write block scales (i.e., 2^1 and 2^-1) to module memory:
+* sdsdot.write( sxptr, new Uint8Array( [ 128 ] ) );
+* sdsdot.write( syptr, new Uint8Array( [ 126 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainBlockScaled( 'e4m3', N, 0.0, xptr, sxptr, yptr, syptr, 32 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'mainBlockScaled', function sdsdot( fmt, N, scalar, xptr, sxptr, yptr, syptr, blockSize ) {
+	if ( !isFP8Format( fmt ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported format. Value: `%s`.', fmt ) );
+	}
+	if ( !isPositiveInteger( blockSize ) ) {
+		throw new TypeError( format( 'invalid argument. Eighth argument must be a positive integer. Value: `%s`.', blockSize ) );
+	}
+	assertNotPointer( 'Fourth', xptr );
+	assertNotPointer( 'Fifth', sxptr );
+	assertNotPointer( 'Sixth', yptr );
+	assertNotPointer( 'Seventh', syptr );
+	verifyBlocks( this, 'Fourth', 'Fifth', N, xptr, sxptr, 0, blockSize );
+	verifyBlocks( this, 'Sixth', 'Seventh', N, yptr, syptr, 0, blockSize );
+	if ( fmt === 'e5m2' ) {
+		return this._instance.exports.c_sdsdot_e5m2( N, scalar, xptr, sxptr, yptr, syptr, blockSize ); // eslint-disable-line max-len
+	}
+	return this._instance.exports.c_sdsdot_e4m3( N, scalar, xptr, sxptr, yptr, syptr, blockSize ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'e4m3'`: OCP FP8 E4M3 floating-point numbers (4 exponent bits and 3 mantissa bits, no infinities).
+*     -   `'e5m2'`: OCP FP8 E5M2 floating-point numbers (5 exponent bits and 2 mantissa bits).
+*
+* -   Each block of `blockSize` contiguous elements shares a scale, which is stored as an OCP E8M0 number (i.e., an unsigned biased exponent `e` representing `2^(e-127)`, where `e = 255` represents `NaN`).
+* -   Offsets are relative to the start of the first block. Accordingly, the `i`-th indexed element of `x` is scaled by the scale of block `floor((offsetX+i)/blockSize)`.
+*
+* @name ndarrayBlockScaled
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {NonNegativeInteger} sxptr - first input array block scales pointer (i.e., byte offset)
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {NonNegativeInteger} syptr - second input array block scales pointer (i.e., byte offset)
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {PositiveInteger} blockSize - number of elements per block
+* @throws {TypeError} first argument must be a supported format
+* @throws {TypeError} tenth argument must be a positive integer
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors of 8-bit elements and their block scales:
+* var xptr = 0;
+* var yptr = N;
+* var sxptr = 2 * N;
+* var syptr = sxptr + 1;
+*
+* // Write E5M2 vectors (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]) to module memory:
+* sdsdot.write( xptr, new Uint8Array( [ 0x3c, 0x40, 0x42, 0x44, 0x45 ] ) );
+* sdsdot.write( yptr, new Uint8Array( [ 0x3c, 0x3c, 0x3c, 0x3c, 0x3c ] ) );
+*
+* // Write block scales (i.e., 2^1 and 2^-1) to module memory:
+* sdsdot.write( sxptr, new Uint8Array( [ 128 ] ) );
+* sdsdot.write( syptr, new Uint8Array( [ 126 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayBlockScaled( 'e5m2', N, 0.0, xptr, sxptr, 0, yptr, syptr, 0, 32 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'ndarrayBlockScaled', function sdsdot( fmt, N, scalar, xptr, sxptr, offsetX, yptr, syptr, offsetY, blockSize ) {
+	if ( !isFP8Format( fmt ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported format. Value: `%s`.', fmt ) );
+	}
+	if ( !isPositiveInteger( blockSize ) ) {
+		throw new TypeError( format( 'invalid argument. Tenth argument must be a positive integer. Value: `%s`.', blockSize ) );
+	}
+	assertNotPointer( 'Fourth', xptr );
+	assertNotPointer( 'Fifth', sxptr );
+	assertNotPointer( 'Seventh', yptr );
+	assertNotPointer( 'Eighth', syptr );
+	verifyBlocks( this, 'Fourth', 'Fifth', N, xptr, sxptr, offsetX, blockSize );
+	verifyBlocks( this, 'Seventh', 'Eighth', N, yptr, syptr, offsetY, blockSize );
+	if ( fmt === 'e5m2' ) {
+		return this._instance.exports.c_sdsdot_e5m2_ndarray( N, scalar, xptr, sxptr, offsetX, yptr, syptr, offsetY, blockSize ); // eslint-disable-line max-len
+	}
+	return this._instance.exports.c_sdsdot_e4m3_ndarray( N, scalar, xptr, sxptr, offsetX, yptr, syptr, offsetY, blockSize ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   The result is stored in module memory as interleaved real and imaginary single-precision floating-point components.
+*
+* @name mainCdotu
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} outptr - output pointer (i.e., byte offset)
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output pointer
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Complex64Array = require( '@stdlib/array-complex64' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 2;
+*
+* // Define pointers (i.e., byte offsets) for storing two complex vectors and the result:
+* var xptr = 0;
+* var yptr = N * 8;
+* var outptr = 2 * N * 8;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+* sdsdot.write( yptr, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.mainCdotu( N, xptr, 1, yptr, 1, outptr );
+* // returns <number>
+*
+* // Read out the result:
+* var out = new Float32Array( 2 );
+* sdsdot.read( outptr, out );
+* // out => <Float32Array>[ -18.0, 68.0 ]
+*/
+setReadOnly( Module.prototype, 'mainCdotu', function sdsdot( N, xptr, strideX, yptr, strideY, outptr ) {
+	assertNotPointer( 'Second', xptr );
+	assertNotPointer( 'Fourth', yptr );
+	assertNotPointer( 'Sixth', outptr );
+	verifyAccess( this, 'Second', N, xptr, strideX, stride2offset( N, strideX ), 8 );
+	verifyAccess( this, 'Fourth', N, yptr, strideY, stride2offset( N, strideY ), 8 );
+	verifyAccess( this, 'Sixth', 1, outptr, 1, 0, 8 );
+	this._instance.exports.c_sdsdot_cdotu( N, xptr, strideX, yptr, strideY, outptr );
+	return outptr;
+});
+
+/**
+* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   The result is stored in module memory as interleaved real and imaginary single-precision floating-point components.
+*
+* @name ndarrayCdotu
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} outptr - output pointer (i.e., byte offset)
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output pointer
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Complex64Array = require( '@stdlib/array-complex64' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 2;
+*
+* // Define pointers (i.e., byte offsets) for storing two complex vectors and the result:
+* var xptr = 0;
+* var yptr = N * 8;
+* var outptr = 2 * N * 8;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+* sdsdot.write( yptr, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.ndarrayCdotu( N, xptr, 1, 0, yptr, 1, 0, outptr );
+* // returns <number>
+*
+* // Read out the result:
+* var out = new Float32Array( 2 );
+* sdsdot.read( outptr, out );
+* // out => <Float32Array>[ -18.0, 68.0 ]
+*/
+setReadOnly( Module.prototype, 'ndarrayCdotu', function sdsdot( N, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr ) {
+	assertNotPointer( 'Second', xptr );
+	assertNotPointer( 'Fifth', yptr );
+	assertNotPointer( 'Eighth', outptr );
+	verifyAccess( this, 'Second', N, xptr, strideX, offsetX, 8 );
+	verifyAccess( this, 'Fifth', N, yptr, strideY, offsetY, 8 );
+	verifyAccess( this, 'Eighth', 1, outptr, 1, 0, 8 );
+	this._instance.exports.c_sdsdot_cdotu_ndarray( N, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation.
+*
+* ## Notes
+*
+* -   The result is stored in module memory as interleaved real and imaginary single-precision floating-point components.
+*
+* @name mainCdotc
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} outptr - output pointer (i.e., byte offset)
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output pointer
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Complex64Array = require( '@stdlib/array-complex64' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 2;
+*
+* // Define pointers (i.e., byte offsets) for storing two complex vectors and the result:
+* var xptr = 0;
+* var yptr = N * 8;
+* var outptr = 2 * N * 8;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+* sdsdot.write( yptr, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.mainCdotc( N, xptr, 1, yptr, 1, outptr );
+* // returns <number>
+*
+* // Read out the result:
+* var out = new Float32Array( 2 );
+* sdsdot.read( outptr, out );
+* // out => <Float32Array>[ 70.0, -8.0 ]
+*/
+setReadOnly( Module.prototype, 'mainCdotc', function sdsdot( N, xptr, strideX, yptr, strideY, outptr ) {
+	assertNotPointer( 'Second', xptr );
+	assertNotPointer( 'Fourth', yptr );
+	assertNotPointer( 'Sixth', outptr );
+	verifyAccess( this, 'Second', N, xptr, strideX, stride2offset( N, strideX ), 8 );
+	verifyAccess( this, 'Fourth', N, yptr, strideY, stride2offset( N, strideY ), 8 );
+	verifyAccess( this, 'Sixth', 1, outptr, 1, 0, 8 );
+	this._instance.exports.c_sdsdot_cdotc( N, xptr, strideX, yptr, strideY, outptr );
+	return outptr;
+});
+
+/**
+* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   The result is stored in module memory as interleaved real and imaginary single-precision floating-point components.
+*
+* @name ndarrayCdotc
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} outptr - output pointer (i.e., byte offset)
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output pointer
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Complex64Array = require( '@stdlib/array-complex64' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 2;
+*
+* // Define pointers (i.e., byte offsets) for storing two complex vectors and the result:
+* var xptr = 0;
+* var yptr = N * 8;
+* var outptr = 2 * N * 8;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] ) );
+* sdsdot.write( yptr, new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.ndarrayCdotc( N, xptr, 1, 0, yptr, 1, 0, outptr );
+* // returns <number>
+*
+* // Read out the result:
+* var out = new Float32Array( 2 );
+* sdsdot.read( outptr, out );
+* // out => <Float32Array>[ 70.0, -8.0 ]
+*/
+setReadOnly( Module.prototype, 'ndarrayCdotc', function sdsdot( N, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr ) {
+	assertNotPointer( 'Second', xptr );
+	assertNotPointer( 'Fifth', yptr );
+	assertNotPointer( 'Eighth', outptr );
+	verifyAccess( this, 'Second', N, xptr, strideX, offsetX, 8 );
+	verifyAccess( this, 'Fifth', N, yptr, strideY, offsetY, 8 );
+	verifyAccess( this, 'Eighth', 1, outptr, 1, 0, 8 );
+	this._instance.exports.c_sdsdot_cdotc_ndarray( N, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr ); // eslint-disable-line max-len
+	return outptr;
+});
+
+/**
+* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation.
+*
+* ## Notes
+*
+* -   The sparse vector is represented by a compressed array of non-zero values and a corresponding array of 32-bit signed integer indices into `y`. Accordingly, the method computes `scalar + Σ x[i]*y[idx[i]]`.
+* -   Unless `y` is a pointer handle, indices are not bounds checked, and, unless the module instance is checked, the caller is responsible for ensuring that every indexed element of `y` resides in module memory. When `y` is a pointer handle, the pointer handle must have a unit stride and must contain every indexed element of `y`.
+*
+* @name mainSparse
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - compressed input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} iptr - index array pointer (i.e., byte offset)
+* @param {integer} strideIdx - `idx` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - dense input array pointer (i.e., byte offset or pointer handle)
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} a pointer handle for the dense input array must have a unit stride
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} a pointer handle for the dense input array must contain every element indexed by the index array
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify the number of non-zero elements:
+* var N = 3;
+*
+* // Define pointers (i.e., byte offsets) for storing the sparse vector and a dense vector of length 5:
+* var xptr = 0;
+* var iptr = N * 4;
+* var yptr = 2 * N * 4;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+* sdsdot.write( iptr, new Int32Array( [ 0, 2, 4 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainSparse( N, 0.0, xptr, 1, iptr, 1, yptr );
+* // returns 22.0
+*/
+setReadOnly( Module.prototype, 'mainSparse', function sdsdot( N, scalar, xptr, strideX, iptr, strideIdx, yptr ) {
+	var x;
+	var y;
+	assertNotPointer( 'Fifth', iptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	verifyAccess( this, 'Fifth', N, iptr, strideIdx, stride2offset( N, strideIdx ), 4 );
+	y = resolveDensePointer( this, 'Seventh', N, yptr, 0, iptr, strideIdx, stride2offset( N, strideIdx ) );
+	return this._instance.exports.c_sdsdot_sparse( N, scalar, x[ 0 ], x[ 1 ], iptr, strideIdx, y ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   The sparse vector is represented by a compressed array of non-zero values and a corresponding array of 32-bit signed integer indices into `y`. Accordingly, the method computes `scalar + Σ x[i]*y[offsetY+idx[i]]`.
+* -   Unless `y` is a pointer handle, indices are not bounds checked, and, unless the module instance is checked, the caller is responsible for ensuring that every indexed element of `y` resides in module memory. When `y` is a pointer handle, the pointer handle must have a unit stride and must contain every indexed element of `y`.
+*
+* @name ndarraySparse
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - compressed input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} iptr - index array pointer (i.e., byte offset)
+* @param {integer} strideIdx - `idx` stride length
+* @param {NonNegativeInteger} offsetIdx - starting `idx` index
+* @param {(NonNegativeInteger|Pointer)} yptr - dense input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} offsetY - index of the `y` element corresponding to an index value of `0`
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} a pointer handle for the dense input array must have a unit stride
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} a pointer handle for the dense input array must contain every element indexed by the index array
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify the number of non-zero elements:
+* var N = 3;
+*
+* // Define pointers (i.e., byte offsets) for storing the sparse vector and a dense vector of length 5:
+* var xptr = 0;
+* var iptr = N * 4;
+* var yptr = 2 * N * 4;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+* sdsdot.write( iptr, new Int32Array( [ 0, 2, 4 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarraySparse( N, 0.0, xptr, 1, 0, iptr, 1, 0, yptr, 0 );
+* // returns 22.0
+*/
+setReadOnly( Module.prototype, 'ndarraySparse', function sdsdot( N, scalar, xptr, strideX, offsetX, iptr, strideIdx, offsetIdx, yptr, offsetY ) {
+	var x;
+	var y;
+	assertNotPointer( 'Sixth', iptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	verifyAccess( this, 'Sixth', N, iptr, strideIdx, offsetIdx, 4 );
+	y = resolveDensePointer( this, 'Ninth', N, yptr, offsetY, iptr, strideIdx, offsetIdx );
+	return this._instance.exports.c_sdsdot_sparse_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], iptr, strideIdx, offsetIdx, y, offsetY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   Each sparse vector is represented by an array of non-zero values and a parallel array of 32-bit signed integer indices, which share a stride. Indices must be sorted in strictly increasing order with respect to the order in which elements are indexed.
+* -   The method computes the sum of the scalar constant and the products of values having matching indices.
+*
+* @name mainSparseSparse
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {NonNegativeInteger} NX - number of non-zero elements in `x`
+* @param {NonNegativeInteger} NY - number of non-zero elements in `y`
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {NonNegativeInteger} ixptr - first index array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {NonNegativeInteger} iyptr - second index array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have a unit stride
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of non-zero elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @throws {RangeError} indices of `x` must be sorted in strictly increasing order
+* @throws {RangeError} indices of `y` must be sorted in strictly increasing order
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define pointers (i.e., byte offsets) for storing two sparse vectors having three non-zero elements each:
+* var xptr = 0;
+* var ixptr = 12;
+* var yptr = 24;
+* var iyptr = 36;
+*
+* // Write vector values and indices to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+* sdsdot.write( ixptr, new Int32Array( [ 0, 3, 7 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 4.0, 5.0, 6.0 ] ) );
+* sdsdot.write( iyptr, new Int32Array( [ 3, 5, 7 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainSparseSparse( 3, 3, 0.0, xptr, ixptr, 1, yptr, iyptr, 1 );
+* // returns 26.0
+*/
+setReadOnly( Module.prototype, 'mainSparseSparse', function sdsdot( NX, NY, scalar, xptr, ixptr, strideX, yptr, iyptr, strideY ) {
+	var x;
+	var y;
+	assertNotPointer( 'Fifth', ixptr );
+	assertNotPointer( 'Eighth', iyptr );
+	assertUnitStride( 'Fourth', xptr );
+	assertUnitStride( 'Seventh', yptr );
+	x = resolvePointer( this, 'Fourth', NX, xptr, strideX, stride2offset( NX, strideX ) );
+	verifyAccess( this, 'Fifth', NX, ixptr, strideX, stride2offset( NX, strideX ), 4 );
+	y = resolvePointer( this, 'Seventh', NY, yptr, strideY, stride2offset( NY, strideY ) );
+	verifyAccess( this, 'Eighth', NY, iyptr, strideY, stride2offset( NY, strideY ), 4 );
+	assertSorted( this, 'x', NX, ixptr, strideX, stride2offset( NX, strideX ) );
+	assertSorted( this, 'y', NY, iyptr, strideY, stride2offset( NY, strideY ) );
+	return this._instance.exports.c_sdsdot_sparse_sparse( NX, NY, scalar, x[ 0 ], ixptr, strideX, y[ 0 ], iyptr, strideY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Each sparse vector is represented by an array of non-zero values and a parallel array of 32-bit signed integer indices, which share a stride and an offset. Indices must be sorted in strictly increasing order with respect to the order in which elements are indexed.
+* -   The method computes the sum of the scalar constant and the products of values having matching indices.
+*
+* @name ndarraySparseSparse
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {NonNegativeInteger} NX - number of non-zero elements in `x`
+* @param {NonNegativeInteger} NY - number of non-zero elements in `y`
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {NonNegativeInteger} ixptr - first index array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {NonNegativeInteger} iyptr - second index array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have a unit stride
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of non-zero elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @throws {RangeError} indices of `x` must be sorted in strictly increasing order
+* @throws {RangeError} indices of `y` must be sorted in strictly increasing order
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Define pointers (i.e., byte offsets) for storing two sparse vectors having three non-zero elements each:
+* var xptr = 0;
+* var ixptr = 12;
+* var yptr = 24;
+* var iyptr = 36;
+*
+* // Write vector values and indices to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+* sdsdot.write( ixptr, new Int32Array( [ 0, 3, 7 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 4.0, 5.0, 6.0 ] ) );
+* sdsdot.write( iyptr, new Int32Array( [ 3, 5, 7 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarraySparseSparse( 3, 3, 0.0, xptr, ixptr, 1, 0, yptr, iyptr, 1, 0 );
+* // returns 26.0
+*/
+setReadOnly( Module.prototype, 'ndarraySparseSparse', function sdsdot( NX, NY, scalar, xptr, ixptr, strideX, offsetX, yptr, iyptr, strideY, offsetY ) {
+	var x;
+	var y;
+	assertNotPointer( 'Fifth', ixptr );
+	assertNotPointer( 'Ninth', iyptr );
+	assertUnitStride( 'Fourth', xptr );
+	assertUnitStride( 'Eighth', yptr );
+	x = resolvePointer( this, 'Fourth', NX, xptr, strideX, offsetX );
+	verifyAccess( this, 'Fifth', NX, ixptr, strideX, offsetX, 4 );
+	y = resolvePointer( this, 'Eighth', NY, yptr, strideY, offsetY );
+	verifyAccess( this, 'Ninth', NY, iyptr, strideY, offsetY, 4 );
+	assertSorted( this, 'x', NX, ixptr, strideX, offsetX );
+	assertSorted( this, 'y', NY, iyptr, strideY, offsetY );
+	return this._instance.exports.c_sdsdot_sparse_sparse_ndarray( NX, NY, scalar, x[ 0 ], ixptr, strideX, offsetX, y[ 0 ], iyptr, strideY, offsetY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask.
+*
+* ## Notes
+*
+* -   If a mask array element is `0`, the corresponding elements in `x` and `y` are considered valid and included in computation.
+* -   If a mask array element is non-zero, the corresponding elements in `x` and `y` are considered invalid/missing and excluded from computation.
+*
+* @name mainMasked
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} mptr - mask array pointer (i.e., byte offset)
+* @param {integer} strideMask - `mask` stride length
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and a mask:
+* var xptr = 0;
+* var yptr = N * 4;
+* var mptr = 2 * N * 4;
+*
+* // Write vector values and mask values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] ) );
+* sdsdot.write( mptr, new Uint8Array( [ 0, 1, 0, 0, 1 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.mainMasked( N, 0.0, xptr, 1, yptr, 1, mptr, 1 );
+* // returns 8.0
+*/
+setReadOnly( Module.prototype, 'mainMasked', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, mptr, strideMask ) {
+	var x;
+	var y;
+	assertNotPointer( 'Seventh', mptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	verifyAccess( this, 'Seventh', N, mptr, strideMask, stride2offset( N, strideMask ), 1 );
+	return this._instance.exports.c_sdsdot_masked( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ], mptr, strideMask ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   If a mask array element is `0`, the corresponding elements in `x` and `y` are considered valid and included in computation.
+* -   If a mask array element is non-zero, the corresponding elements in `x` and `y` are considered invalid/missing and excluded from computation.
+*
+* @name ndarrayMasked
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} mptr - mask array pointer (i.e., byte offset)
+* @param {integer} strideMask - `mask` stride length
+* @param {NonNegativeInteger} offsetMask - starting `mask` index
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {number} dot product
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and a mask:
+* var xptr = 0;
+* var yptr = N * 4;
+* var mptr = 2 * N * 4;
+*
+* // Write vector values and mask values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] ) );
+* sdsdot.write( mptr, new Uint8Array( [ 0, 1, 0, 0, 1 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.ndarrayMasked( N, 0.0, xptr, 1, 0, yptr, 1, 0, mptr, 1, 0 );
+* // returns 8.0
+*/
+setReadOnly( Module.prototype, 'ndarrayMasked', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, mptr, strideMask, offsetMask ) {
+	var x;
+	var y;
+	assertNotPointer( 'Ninth', mptr );
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	verifyAccess( this, 'Ninth', N, mptr, strideMask, offsetMask, 1 );
+	return this._instance.exports.c_sdsdot_masked_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], mptr, strideMask, offsetMask ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy and writes the result, along with the number of skipped pairs, to an output array.
+*
+* ## Notes
+*
+* -   Supported policies:
+*
+*     -   `'propagate'`: include pairs containing `NaN` in computation, such that the result is `NaN`.
+*     -   `'ignore'`: exclude pairs containing `NaN` from computation.
+*     -   `'error'`: throw an error upon encountering a pair containing `NaN`.
+*
+* -   A pair is considered to contain `NaN` if either element is `NaN`. Infinities are treated as ordinary values.
+* -   The output array contains the dot product, rounded to single-precision, followed by the number of skipped pairs.
+*
+* @name mainNaN
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} policy - `NaN` handling policy
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} outptr - output array pointer (i.e., byte offset) to double-precision floating-point numbers
+* @param {integer} strideOut - `out` stride length
+* @throws {TypeError} first argument must be a supported policy
+* @throws {RangeError} input arrays must not contain `NaN` values when the policy is `'error'`
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output array pointer
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output array:
+* var xptr = 0;
+* var yptr = N * 4;
+* var outptr = 2 * N * 4;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.mainNaN( 'ignore', N, 0.0, xptr, 1, yptr, 1, outptr, 1 );
+* // returns <number>
+*
+* // Read out the results:
+* var out = new Float64Array( 2 );
+* sdsdot.read( ptr, out );
+* // out => <Float64Array>[ 8.0, 2.0 ]
+*/
+setReadOnly( Module.prototype, 'mainNaN', function sdsdot( policy, N, scalar, xptr, strideX, yptr, strideY, outptr, strideOut ) {
+	var x;
+	var y;
+	var i;
+	if ( !isNaNPolicy( policy ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported policy. Value: `%s`.', policy ) );
+	}
+	assertNotPointer( 'Eighth', outptr );
+	x = resolvePointer( this, 'Fourth', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, stride2offset( N, strideY ) );
+	verifyAccess( this, 'Eighth', 2, outptr, strideOut, stride2offset( 2, strideOut ), 8 );
+	i = this._instance.exports.c_sdsdot_nan( NAN_POLICIES[ policy ], N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ], outptr, strideOut ); // eslint-disable-line max-len
+	if ( i >= 0 ) {
+		throw new RangeError( format( 'invalid argument. Input arrays must not contain NaN values. Encountered NaN at position: `%d`.', i ) );
+	}
+	return outptr;
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy using alternative indexing semantics and writes the result, along with the number of skipped pairs, to an output array.
+*
+* ## Notes
+*
+* -   Supported policies:
+*
+*     -   `'propagate'`: include pairs containing `NaN` in computation, such that the result is `NaN`.
+*     -   `'ignore'`: exclude pairs containing `NaN` from computation.
+*     -   `'error'`: throw an error upon encountering a pair containing `NaN`.
+*
+* -   A pair is considered to contain `NaN` if either element is `NaN`. Infinities are treated as ordinary values.
+* -   The output array contains the dot product, rounded to single-precision, followed by the number of skipped pairs.
+*
+* @name ndarrayNaN
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {string} policy - `NaN` handling policy
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {NonNegativeInteger} outptr - output array pointer (i.e., byte offset) to double-precision floating-point numbers
+* @param {integer} strideOut - `out` stride length
+* @param {NonNegativeInteger} offsetOut - starting `out` index
+* @throws {TypeError} first argument must be a supported policy
+* @throws {RangeError} input arrays must not contain `NaN` values when the policy is `'error'`
+* @throws {TypeError} pointer handles are only supported for arguments referring to real-valued single-precision floating-point data
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} output array pointer
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output array:
+* var xptr = 0;
+* var yptr = N * 4;
+* var outptr = 2 * N * 4;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] ) );
+*
+* // Perform computation:
+* var ptr = sdsdot.ndarrayNaN( 'ignore', N, 0.0, xptr, 1, 0, yptr, 1, 0, outptr, 1, 0 );
+* // returns <number>
+*
+* // Read out the results:
+* var out = new Float64Array( 2 );
+* sdsdot.read( ptr, out );
+* // out => <Float64Array>[ 8.0, 2.0 ]
+*/
+setReadOnly( Module.prototype, 'ndarrayNaN', function sdsdot( policy, N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr, strideOut, offsetOut ) {
+	var x;
+	var y;
+	var i;
+	if ( !isNaNPolicy( policy ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported policy. Value: `%s`.', policy ) );
+	}
+	assertNotPointer( 'Tenth', outptr );
+	x = resolvePointer( this, 'Fourth', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Seventh', N, yptr, strideY, offsetY );
+	verifyAccess( this, 'Tenth', 2, outptr, strideOut, offsetOut, 8 );
+	i = this._instance.exports.c_sdsdot_nan_ndarray( NAN_POLICIES[ policy ], N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], outptr, strideOut, offsetOut ); // eslint-disable-line max-len
+	if ( i >= 0 ) {
+		throw new RangeError( format( 'invalid argument. Input arrays must not contain NaN values. Encountered NaN at position: `%d`.', i ) );
+	}
+	return outptr;
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation, writes the result to module memory, and returns status flags describing the rounding of the result to single-precision.
+*
+* ## Notes
+*
+* -   The returned status is a bit mask having the following flags:
+*
+*     -   `1`: overflow. The double-precision accumulator is finite, but its magnitude exceeds the largest finite single-precision floating-point number, such that the result is infinite.
+*     -   `2`: underflow. The double-precision accumulator is non-zero, but its magnitude is less than the smallest normal single-precision floating-point number, such that the result is either zero or subnormal.
+*     -   `4`: inexact. The result differs from the double-precision accumulator (i.e., rounding to single-precision lost digits).
+*
+* -   A status of `0` indicates that the double-precision accumulator is exactly representable as a single-precision floating-point number (or is `NaN`).
+*
+* @name mainStatus
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {(NonNegativeInteger|Pointer)} outptr - output pointer (i.e., byte offset or pointer handle) to a single-precision floating-point number
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements and stride
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} status flags
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 2;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output value:
+* var xptr = 0;
+* var yptr = N * 4;
+* var outptr = 2 * N * 4;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 16777216.0, 1.0 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 1.0 ] ) );
+*
+* // Perform computation:
+* var status = sdsdot.mainStatus( N, 0.0, xptr, 1, yptr, 1, outptr );
+* // returns 4
+*
+* // Read out the result:
+* var out = new Float32Array( 1 );
+* sdsdot.read( outptr, out );
+* // out => <Float32Array>[ 16777216.0 ]
+*/
+setReadOnly( Module.prototype, 'mainStatus', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, outptr ) {
+	var x;
+	var y;
+	var o;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, stride2offset( N, strideX ) );
+	y = resolvePointer( this, 'Fifth', N, yptr, strideY, stride2offset( N, strideY ) );
+	o = resolvePointer( this, 'Seventh', 1, outptr, 1, 0 );
+	return this._instance.exports.c_sdsdot_status( N, scalar, x[ 0 ], x[ 1 ], y[ 0 ], y[ 1 ], o[ 0 ] ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics, writes the result to module memory, and returns status flags describing the rounding of the result to single-precision.
+*
+* ## Notes
+*
+* -   The returned status is a bit mask having the following flags:
+*
+*     -   `1`: overflow. The double-precision accumulator is finite, but its magnitude exceeds the largest finite single-precision floating-point number, such that the result is infinite.
+*     -   `2`: underflow. The double-precision accumulator is non-zero, but its magnitude is less than the smallest normal single-precision floating-point number, such that the result is either zero or subnormal.
+*     -   `4`: inexact. The result differs from the double-precision accumulator (i.e., rounding to single-precision lost digits).
+*
+* -   A status of `0` indicates that the double-precision accumulator is exactly representable as a single-precision floating-point number (or is `NaN`).
+*
+* @name ndarrayStatus
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(NonNegativeInteger|Pointer)} xptr - first input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {(NonNegativeInteger|Pointer)} yptr - second input array pointer (i.e., byte offset or pointer handle)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {(NonNegativeInteger|Pointer)} outptr - output pointer (i.e., byte offset or pointer handle) to a single-precision floating-point number
+* @throws {TypeError} pointer handles must refer to the memory of the module instance
+* @throws {RangeError} pointer handles must have sufficient length for the specified number of indexed elements, stride, and offset
+* @throws {RangeError} in checked mode, array pointers must be aligned
+* @throws {RangeError} in checked mode, indexed elements must lie within module memory
+* @returns {NonNegativeInteger} status flags
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 2;
+*
+* // Define pointers (i.e., byte offsets) for storing two vectors and the output value:
+* var xptr = 0;
+* var yptr = N * 4;
+* var outptr = 2 * N * 4;
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 16777216.0, 1.0 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 1.0 ] ) );
+*
+* // Perform computation:
+* var status = sdsdot.ndarrayStatus( N, 0.0, xptr, 1, 0, yptr, 1, 0, outptr );
+* // returns 4
+*
+* // Read out the result:
+* var out = new Float32Array( 1 );
+* sdsdot.read( outptr, out );
+* // out => <Float32Array>[ 16777216.0 ]
+*/
+setReadOnly( Module.prototype, 'ndarrayStatus', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, outptr ) {
+	var x;
+	var y;
+	var o;
+	x = resolvePointer( this, 'Third', N, xptr, strideX, offsetX );
+	y = resolvePointer( this, 'Sixth', N, yptr, strideY, offsetY );
+	o = resolvePointer( this, 'Ninth', 1, outptr, 1, 0 );
+	return this._instance.exports.c_sdsdot_status_ndarray( N, scalar, x[ 0 ], x[ 1 ], x[ 2 ], y[ 0 ], y[ 1 ], y[ 2 ], o[ 0 ] ); // eslint-disable-line max-len
+});
+
+
+/**
+* Allocates a region of module memory.
+*
+* ## Notes
+*
+* -   The returned pointer is aligned to at least eight bytes (i.e., is suitable for storing double-precision floating-point numbers).
+* -   Allocations are tracked by the module's memory arena and are placed using a first-fit strategy, such that memory released by `free` is reused.
+* -   If module memory is too small to hold an allocation, module memory is grown. Growing module memory results in `ArrayBuffer` detachment and the invalidation of any typed array views which were views of the previously allocated memory.
+*
+* @name malloc
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} nbytes - number of bytes
+* @param {PositiveInteger} [alignment=8] - byte alignment
+* @throws {TypeError} first argument must be a positive integer
+* @throws {TypeError} second argument must be a power of two which does not exceed the size of a WebAssembly memory page
+* @throws {Error} unable to grow module memory
+* @returns {NonNegativeInteger} pointer (i.e., byte offset)
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 0 pages and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 0,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Specify a vector length:
+* var N = 5;
+*
+* // Allocate memory for storing two vectors:
+* var xptr = sdsdot.malloc( N*4 );
+* // returns 0
+*
+* var yptr = sdsdot.malloc( N*4 );
+* // returns 24
+*
+* // Write vector values to module memory:
+* sdsdot.write( xptr, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+* sdsdot.write( yptr, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] ) );
+*
+* // Perform computation:
+* var dot = sdsdot.main( N, 0.0, xptr, 1, yptr, 1 );
+* // returns 15.0
+*
+* // Release the allocated memory:
+* sdsdot.free( xptr );
+* sdsdot.free( yptr );
+*/
+setReadOnly( Module.prototype, 'malloc', function malloc( nbytes, alignment ) {
+	var region;
+	var end;
+	if ( !isPositiveInteger( nbytes ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a positive integer. Value: `%s`.', nbytes ) );
+	}
+	if ( arguments.length > 1 ) {
+		if ( !isAlignment( alignment ) ) {
+			throw new TypeError( format( 'invalid argument. Second argument must be a power of two which does not exceed %u. Value: `%s`.', PAGE_SIZE, alignment ) );
+		}
+		region = this._arena.alloc( null, nbytes, alignment );
+	} else {
+		region = this._arena.alloc( null, nbytes );
+	}
+	// Grow module memory, if necessary, to hold the allocation:
+	end = region.ptr + nbytes;
+	this.realloc( end );
+	if ( this.memory.buffer.byteLength < end ) {
+		this._arena.remove( region.ptr );
+		throw new Error( format( 'invalid operation. Unable to grow module memory to accommodate an allocation of %u bytes.', nbytes ) );
+	}
+	return region.ptr;
+});
+
+/**
+* Releases a region of module memory allocated by `malloc`.
+*
+* @name free
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {(NonNegativeInteger|Pointer)} ptr - pointer (i.e., byte offset) returned by `malloc` or pointer handle returned by `alloc`
+* @throws {TypeError} must provide a nonnegative integer or a pointer handle
+* @throws {Error} must provide a pointer to a live allocation
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* // Create a new memory instance with an initial size of 1 page (64KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Allocate memory:
+* var ptr = sdsdot.malloc( 20 );
+* // returns 0
+*
+* // Release the allocated memory:
+* sdsdot.free( ptr );
+*
+* // Allocate memory, reusing the released region:
+* ptr = sdsdot.malloc( 8 );
+* // returns 0
+*/
+setReadOnly( Module.prototype, 'free', function free( ptr ) {
+	var region;
+	if ( ptr instanceof Pointer ) {
+		ptr = ptr.byteOffset;
+	} else if ( !isNonNegativeInteger( ptr ) ) {
+		throw new TypeError( format( 'invalid argument. Must provide a nonnegative integer or a pointer handle. Value: `%s`.', ptr ) );
+	}
+	region = this._arena.find( ptr );
+	if ( region === null || region.data !== null ) {
+		throw new Error( format( 'invalid argument. Must provide a pointer to a live allocation returned by `malloc` or `alloc`. Value: `%s`.', ptr ) );
+	}
+	this._arena.remove( ptr );
+});
+
+/**
+* Returns module memory usage statistics.
+*
+* ## Notes
+*
+* -   The returned object has the following properties:
+*
+*     -   **capacity**: total number of bytes of module memory.
+*     -   **allocations**: number of live allocations (including, for routines, pinned arrays).
+*     -   **allocated**: total number of allocated bytes.
+*     -   **free**: total number of unallocated bytes, including alignment padding and gaps left by released allocations.
+*     -   **largestFree**: number of bytes in the largest contiguous block of unallocated memory.
+*     -   **fragmentation**: one minus the ratio of `largestFree` to `free`. A value of `0` indicates that unallocated memory is contiguous, while values approaching `1` indicate that unallocated memory is scattered across many small gaps.
+*
+* @name heapStats
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @returns {Object} statistics
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* // Create a new memory instance with an initial size of 1 page (64KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Allocate memory:
+* var p1 = sdsdot.malloc( 32 );
+* var p2 = sdsdot.malloc( 32 );
+*
+* // Release memory, leaving a gap:
+* sdsdot.free( p1 );
+*
+* var stats = sdsdot.heapStats();
+* // returns { 'capacity': 65536, 'allocations': 1, 'allocated': 32, 'free': 65504, 'largestFree': 65472, 'fragmentation': ~0.0005 }
+*/
+setReadOnly( Module.prototype, 'heapStats', function heapStats() {
+	return this._arena.stats( this.memory.buffer.byteLength );
+});
+
+/**
+* Allocates module memory for a strided vector of single-precision floating-point numbers and returns a pointer handle.
+*
+* ## Notes
+*
+* -   Memory is allocated using `malloc` and should be released by providing the returned pointer handle to `free`.
+*
+* @name alloc
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of vector elements
+* @param {PositiveInteger} [stride=1] - number of elements between consecutive vector elements
+* @throws {TypeError} first argument must be a positive integer
+* @throws {TypeError} second argument must be a positive integer
+* @throws {Error} unable to grow module memory
+* @returns {Pointer} pointer handle
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var gfill = require( '@stdlib/blas-ext-base-gfill' );
+* var gfillBy = require( '@stdlib/blas-ext-base-gfill-by' );
+*
+* // Create a new memory instance with an initial size of 0 pages and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 0,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Allocate memory for storing two vectors:
+* var x = sdsdot.alloc( 5 );
+* var y = sdsdot.alloc( 5 );
+*
+* // Write vector values to module memory:
+* gfillBy( 5, x.view(), 1, function clbk( v, i ) {
+*     return i + 1;
+* });
+* gfill( 5, 1.0, y.view(), 1 );
+*
+* // Perform computation:
+* var dot = sdsdot.main( 5, 0.0, x, 1, y, 1 );
+* // returns 15.0
+*
+* // Release the allocated memory:
+* sdsdot.free( x );
+* sdsdot.free( y );
+*/
+setReadOnly( Module.prototype, 'alloc', function alloc( N, stride ) {
+	var ptr;
+	if ( !isPositiveInteger( N ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a positive integer. Value: `%s`.', N ) );
+	}
+	if ( arguments.length > 1 ) {
+		if ( !isPositiveInteger( stride ) ) {
+			throw new TypeError( format( 'invalid argument. Second argument must be a positive integer. Value: `%s`.', stride ) );
+		}
+	} else {
+		stride = 1;
+	}
+	ptr = this.malloc( ( ( ( N-1 ) * stride ) + 1 ) * BYTES_PER_ELEMENT );
+	return new Pointer( this.memory, ptr, N, stride );
+});
+
+/**
+* Returns a pointer handle for a strided vector of single-precision floating-point numbers stored at a provided byte offset in module memory.
+*
+* ## Notes
+*
+* -   The method does not allocate memory. Accordingly, the returned pointer handle should not be provided to `free`.
+*
+* @name pointer
+* @memberof Module.prototype
+* @readonly
+* @type {Function}
+* @param {NonNegativeInteger} byteOffset - byte offset of the first vector element
+* @param {NonNegativeInteger} N - number of vector elements
+* @param {PositiveInteger} [stride=1] - number of elements between consecutive vector elements
+* @throws {TypeError} first argument must be a nonnegative integer
+* @throws {RangeError} first argument must be a multiple of the number of bytes per vector element
+* @throws {TypeError} second argument must be a nonnegative integer
+* @throws {TypeError} third argument must be a positive integer
+* @returns {Pointer} pointer handle
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100
+* });
+*
+* // Create a BLAS routine:
+* var sdsdot = new Module( mem );
+* // returns <Module>
+*
+* // Initialize the routine:
+* sdsdot.initializeSync();
+*
+* // Write vector values to module memory:
+* sdsdot.write( 0, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+* sdsdot.write( 20, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] ) );
+*
+* // Create pointer handles:
+* var x = sdsdot.pointer( 0, 5 );
+* var y = sdsdot.pointer( 20, 5 );
+*
+* // Perform computation:
+* var dot = sdsdot.main( 5, 0.0, x, 1, y, 1 );
+* // returns 15.0
+*/
+setReadOnly( Module.prototype, 'pointer', function pointer( byteOffset, N, stride ) {
+	if ( !isNonNegativeInteger( byteOffset ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a nonnegative integer. Value: `%s`.', byteOffset ) );
+	}
+	if ( byteOffset % BYTES_PER_ELEMENT !== 0 ) {
+		throw new RangeError( format( 'invalid argument. First argument must be a multiple of %u. Value: `%s`.', BYTES_PER_ELEMENT, byteOffset ) );
+	}
+	if ( !isNonNegativeInteger( N ) ) {
+		throw new TypeError( format( 'invalid argument. Second argument must be a nonnegative integer. Value: `%s`.', N ) );
+	}
+	if ( arguments.length > 2 ) {
+		if ( !isPositiveInteger( stride ) ) {
+			throw new TypeError( format( 'invalid argument. Third argument must be a positive integer. Value: `%s`.', stride ) );
+		}
+	} else {
+		stride = 1;
+	}
+	return new Pointer( this.memory, byteOffset, N, stride );
 });
 
 
@@ -0,0 +1,285 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var setReadOnly = require( '@stdlib/utils-define-nonenumerable-read-only-property' );
+var setReadOnlyAccessor = require( '@stdlib/utils-define-nonenumerable-read-only-accessor' );
+var Float32ArrayLE = require( '@stdlib/array-little-endian-float32' );
+
+
+// VARIABLES //
+
+var BYTES_PER_ELEMENT = 4;
+
+
+// MAIN //
+
+/**
+* Pointer constructor.
+*
+* ## Notes
+*
+* -   A pointer describes a strided vector of single-precision floating-point numbers stored in module memory. Vector elements are stored at byte offsets `byteOffset + i*stride*4`, where `i` is an element index satisfying `0 <= i < length`.
+*
+* @private
+* @constructor
+* @param {WebAssembly.Memory} memory - WebAssembly memory instance
+* @param {NonNegativeInteger} byteOffset - byte offset of the first vector element
+* @param {NonNegativeInteger} length - number of vector elements
+* @param {PositiveInteger} stride - number of elements between consecutive vector elements
+* @returns {Pointer} pointer instance
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 1 );
+* // returns <Pointer>
+*
+* var v = p.view();
+* // returns <Float32ArrayLE>
+*
+* var len = v.length;
+* // returns 5
+*/
+function Pointer( memory, byteOffset, length, stride ) {
+	if ( !( this instanceof Pointer ) ) {
+		return new Pointer( memory, byteOffset, length, stride );
+	}
+	this._memory = memory;
+	this._byteOffset = byteOffset;
+	this._length = length;
+	this._stride = stride;
+	return this;
+}
+
+/**
+* Byte offset of the first vector element.
+*
+* @name byteOffset
+* @memberof Pointer.prototype
+* @readonly
+* @type {NonNegativeInteger}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 1 );
+*
+* var v = p.byteOffset;
+* // returns 16
+*/
+setReadOnlyAccessor( Pointer.prototype, 'byteOffset', function get() {
+	return this._byteOffset;
+});
+
+/**
+* Number of vector elements.
+*
+* @name length
+* @memberof Pointer.prototype
+* @readonly
+* @type {NonNegativeInteger}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 1 );
+*
+* var v = p.length;
+* // returns 5
+*/
+setReadOnlyAccessor( Pointer.prototype, 'length', function get() {
+	return this._length;
+});
+
+/**
+* Vector element data type.
+*
+* @name dtype
+* @memberof Pointer.prototype
+* @readonly
+* @type {string}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 1 );
+*
+* var v = p.dtype;
+* // returns 'float32'
+*/
+setReadOnlyAccessor( Pointer.prototype, 'dtype', function get() {
+	return 'float32';
+});
+
+/**
+* Number of elements between consecutive vector elements.
+*
+* @name stride
+* @memberof Pointer.prototype
+* @readonly
+* @type {PositiveInteger}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 2 );
+*
+* var v = p.stride;
+* // returns 2
+*/
+setReadOnlyAccessor( Pointer.prototype, 'stride', function get() {
+	return this._stride;
+});
+
+/**
+* Size (in bytes) of each vector element.
+*
+* @name BYTES_PER_ELEMENT
+* @memberof Pointer.prototype
+* @readonly
+* @type {PositiveInteger}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 1 );
+*
+* var v = p.BYTES_PER_ELEMENT;
+* // returns 4
+*/
+setReadOnlyAccessor( Pointer.prototype, 'BYTES_PER_ELEMENT', function get() {
+	return BYTES_PER_ELEMENT;
+});
+
+/**
+* Number of bytes spanned by the vector (i.e., from the first vector element to the end of the last vector element).
+*
+* @name byteLength
+* @memberof Pointer.prototype
+* @readonly
+* @type {NonNegativeInteger}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 2 );
+*
+* var v = p.byteLength;
+* // returns 36
+*/
+setReadOnlyAccessor( Pointer.prototype, 'byteLength', function get() {
+	if ( this._length === 0 ) {
+		return 0;
+	}
+	return ( ( ( this._length-1 ) * this._stride ) + 1 ) * BYTES_PER_ELEMENT;
+});
+
+/**
+* Returns a little-endian typed array view over the memory spanned by the vector.
+*
+* ## Notes
+*
+* -   The returned view spans from the first vector element to the last vector element. Accordingly, for a vector having a stride greater than one, vector elements should be accessed using the vector stride (i.e., view index `i*stride`).
+* -   As growing module memory detaches the underlying `ArrayBuffer`, a view should be created after any operation which may grow module memory (e.g., allocating memory).
+*
+* @name view
+* @memberof Pointer.prototype
+* @readonly
+* @type {Function}
+* @returns {Float32ArrayLE} typed array view
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 3, 2 );
+*
+* var v = p.view();
+* // returns <Float32ArrayLE>
+*
+* var len = v.length;
+* // returns 5
+*/
+setReadOnly( Pointer.prototype, 'view', function view() {
+	return new Float32ArrayLE( this._memory.buffer, this._byteOffset, this.byteLength/BYTES_PER_ELEMENT ); // eslint-disable-line max-len
+});
+
+/**
+* Serializes a pointer as a string.
+*
+* @name toString
+* @memberof Pointer.prototype
+* @readonly
+* @type {Function}
+* @returns {string} serialized pointer
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1
+* });
+*
+* var p = new Pointer( mem, 16, 5, 1 );
+*
+* var str = p.toString();
+* // returns 'Pointer<float32>( byteOffset=16, length=5, stride=1 )'
+*/
+setReadOnly( Pointer.prototype, 'toString', function toString() {
+	return 'Pointer<float32>( byteOffset=' + this._byteOffset + ', length=' + this._length + ', stride=' + this._stride + ' )';
+});
+
+
+// EXPORTS //
+
+module.exports = Pointer;
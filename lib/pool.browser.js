@@ -0,0 +1,45 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var format = require( '@stdlib/string-format' );
+
+
+// MAIN //
+
+/**
+* Worker pool constructor for computing the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads.
+*
+* ## Notes
+*
+* -   Worker pools rely on Node.js worker threads and are not supported in browser environments.
+*
+* @constructor
+* @throws {Error} not supported in browser environments
+*/
+function Pool() {
+	throw new Error( format( 'not supported. The current environment does not support %s.', 'worker threads' ) );
+}
+
+
+// EXPORTS //
+
+module.exports = Pool;
@@ -0,0 +1,1017 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable no-restricted-syntax, no-invalid-this */
+
+'use strict';
+
+// MODULES //
+
+var resolve = require( 'path' ).resolve;
+var Worker = require( 'worker_threads' ).Worker;
+var cpus = require( 'os' ).cpus;
+var isWebAssemblyMemory = require( '@stdlib/assert-is-wasm-memory' );
+var isPlainObject = require( '@stdlib/assert-is-plain-object' );
+var isPositiveInteger = require( '@stdlib/assert-is-positive-integer' ).isPrimitive;
+var isFunction = require( '@stdlib/assert-is-function' );
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
+var setReadOnly = require( '@stdlib/utils-define-nonenumerable-read-only-property' );
+var setReadOnlyAccessor = require( '@stdlib/utils-define-nonenumerable-read-only-accessor' );
+var stride2offset = require( '@stdlib/strided-base-stride2offset' );
+var float64ToFloat32 = require( '@stdlib/number-float64-base-to-float32' );
+var nextTick = require( '@stdlib/utils-next-tick' );
+var ceil = require( '@stdlib/math-base-special-ceil' );
+var floor = require( '@stdlib/math-base-special-floor' );
+var max = require( '@stdlib/math-base-special-max' );
+var format = require( '@stdlib/string-format' );
+var isSharedMemory = require( './is_shared_memory.js' );
+
+
+// VARIABLES //
+
+var WORKER = resolve( __dirname, 'worker.js' );
+
+// Minimum number of indexed elements assigned to a worker (below which messaging overhead outweighs the cost of the computation):
+var MIN_CHUNK_SIZE = 4096;
+
+
+// FUNCTIONS //
+
+/**
+* Splits indexed elements into contiguous chunks (at most one per worker).
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {PositiveInteger} N - number of indexed elements
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {Array<Object>} list of chunks
+*/
+function chunks( pool, N, strideX, offsetX, strideY, offsetY ) {
+	var out;
+	var n;
+	var q;
+	var r;
+	var K;
+	var i;
+
+	K = ceil( N / MIN_CHUNK_SIZE );
+	if ( K > pool._workers.length ) {
+		K = pool._workers.length;
+	}
+	q = floor( N / K );
+	r = N - ( q*K );
+
+	out = [];
+	for ( i = 0; i < K; i++ ) {
+		n = ( i < r ) ? q+1 : q;
+		out.push({
+			'N': n,
+			'offsetX': offsetX,
+			'offsetY': offsetY
+		});
+		offsetX += n * strideX;
+		offsetY += n * strideY;
+	}
+	return out;
+}
+
+/**
+* Executes a task for each chunk, with the `i`-th chunk being processed by the `i`-th worker.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {string} type - task type
+* @param {Array<Object>} list - list of chunks
+* @param {Object} args - task arguments shared by all chunks
+* @param {Callback} clbk - callback to invoke with the list of chunk results (in chunk order)
+*/
+function execute( pool, type, list, args, clbk ) {
+	var msg;
+	var id;
+	var i;
+
+	id = pool._counter;
+	pool._counter += 1;
+	pool._jobs[ id ] = {
+		'results': [],
+		'remaining': list.length,
+		'workers': pool._workers.slice( 0, list.length ),
+		'clbk': clbk
+	};
+	if ( pool._pending === 0 ) {
+		ref( pool );
+	}
+	pool._pending += 1;
+
+	for ( i = 0; i < list.length; i++ ) {
+		msg = {
+			'id': id,
+			'index': i,
+			'type': type,
+			'N': list[ i ].N,
+			'offsetX': list[ i ].offsetX,
+			'offsetY': list[ i ].offsetY
+		};
+		msg.xptr = args.xptr;
+		msg.strideX = args.strideX;
+		msg.yptr = args.yptr;
+		msg.strideY = args.strideY;
+		msg.max = args.max;
+		msg.total = args.total;
+		pool._workers[ i ].postMessage( msg );
+	}
+}
+
+/**
+* Dispatches a dot product computation across a pool of workers.
+*
+* ## Notes
+*
+* -   In `'single'` and `'double'` modes, each worker computes a double-precision partial sum for its chunk, and the partial sums are combined in chunk order before the final rounding.
+* -   In `'reproducible'` mode, workers first compute the maximum absolute product for each chunk. Each worker then splits the products of its chunk into folds whose boundaries only depend on the overall maximum and on `N` (see `c_sdsdot_binned_ndarray`). As each fold is summed exactly, combining the folds in the same order as `c_sdsdot_reproducible_ndarray` yields a result which does not depend on the number of workers.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {string} mode - accumulation mode (either `'single'`, `'double'`, or `'reproducible'`)
+* @param {integer} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Callback} clbk - callback to invoke upon completion
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*/
+function dispatch( pool, mode, N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, clbk ) { // eslint-disable-line max-params
+	var list;
+	var args;
+	if ( !isFunction( clbk ) ) {
+		throw new TypeError( format( 'invalid argument. Callback argument must be a function. Value: `%s`.', clbk ) );
+	}
+	if ( pool._closed ) {
+		return nextTick( onClosed );
+	}
+	if ( N <= 0 ) {
+		return nextTick( onEmpty );
+	}
+	list = chunks( pool, N, strideX, offsetX, strideY, offsetY );
+	args = {
+		'xptr': xptr,
+		'strideX': strideX,
+		'yptr': yptr,
+		'strideY': strideY,
+		'max': 0.0,
+		'total': N
+	};
+	if ( mode === 'reproducible' ) {
+		return execute( pool, 'absmax', list, args, onMax );
+	}
+	execute( pool, 'dot', list, args, onPartials );
+
+	/**
+	* Callback invoked when a pool has been closed.
+	*
+	* @private
+	*/
+	function onClosed() {
+		clbk( new Error( 'invalid operation. Cannot perform a computation using a pool which has been closed.' ) );
+	}
+
+	/**
+	* Callback invoked when provided an empty vector.
+	*
+	* @private
+	*/
+	function onEmpty() {
+		clbk( null, float64ToFloat32( scalar ) );
+	}
+
+	/**
+	* Callback invoked upon computing double-precision partial sums.
+	*
+	* @private
+	* @param {(Error|null)} error - error object
+	* @param {NumericArray} results - partial sums
+	* @returns {void}
+	*/
+	function onPartials( error, results ) {
+		var dot;
+		var i;
+		if ( error ) {
+			return clbk( error );
+		}
+		dot = float64ToFloat32( scalar );
+		for ( i = 0; i < results.length; i++ ) {
+			dot += results[ i ];
+		}
+		if ( mode === 'single' ) {
+			dot = float64ToFloat32( dot );
+		}
+		clbk( null, dot );
+	}
+
+	/**
+	* Callback invoked upon computing the maximum absolute product of each chunk.
+	*
+	* @private
+	* @param {(Error|null)} error - error object
+	* @param {NumericArray} results - maximum absolute products
+	* @returns {void}
+	*/
+	function onMax( error, results ) {
+		var i;
+		if ( error ) {
+			return clbk( error );
+		}
+		for ( i = 0; i < results.length; i++ ) {
+			args.max = max( args.max, results[ i ] );
+		}
+		execute( pool, 'binned', list, args, onFolds );
+	}
+
+	/**
+	* Callback invoked upon computing the folds of each chunk.
+	*
+	* @private
+	* @param {(Error|null)} error - error object
+	* @param {Array<NumericArray>} results - folds
+	* @returns {void}
+	*/
+	function onFolds( error, results ) {
+		var s1;
+		var s2;
+		var s3;
+		var i;
+		if ( error ) {
+			return clbk( error );
+		}
+		s1 = 0.0;
+		s2 = 0.0;
+		s3 = 0.0;
+		for ( i = 0; i < results.length; i++ ) {
+			s1 += results[ i ][ 0 ];
+			s2 += results[ i ][ 1 ];
+			s3 += results[ i ][ 2 ];
+		}
+		clbk( null, float64ToFloat32( float64ToFloat32( scalar ) + ( s1 + ( s2 + s3 ) ) ) ); // eslint-disable-line max-len
+	}
+}
+
+/**
+* References all workers in a pool, thus preventing the process from exiting while computations are pending.
+*
+* @private
+* @param {Pool} pool - worker pool
+*/
+function ref( pool ) {
+	var i;
+	for ( i = 0; i < pool._workers.length; i++ ) {
+		pool._workers[ i ].ref();
+	}
+}
+
+/**
+* Unreferences all workers in a pool, thus allowing the process to exit when a pool is idle.
+*
+* @private
+* @param {Pool} pool - worker pool
+*/
+function unref( pool ) {
+	var i;
+	for ( i = 0; i < pool._workers.length; i++ ) {
+		pool._workers[ i ].unref();
+	}
+}
+
+/**
+* Removes a job from a pool.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {NonNegativeInteger} id - job identifier
+* @returns {Object} job
+*/
+function remove( pool, id ) {
+	var job = pool._jobs[ id ];
+	delete pool._jobs[ id ];
+	pool._pending -= 1;
+	if ( pool._pending === 0 ) {
+		unref( pool );
+	}
+	return job;
+}
+
+/**
+* Removes a job from a pool and invokes its callback.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {NonNegativeInteger} id - job identifier
+* @param {(Error|null)} error - error object
+* @param {Array} [results] - chunk results
+* @returns {void}
+*/
+function complete( pool, id, error, results ) {
+	var job = remove( pool, id );
+	if ( error ) {
+		return job.clbk( error );
+	}
+	job.clbk( null, results );
+}
+
+/**
+* Removes a list of jobs from a pool and returns their callbacks.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {Array<string>} ids - job identifiers
+* @returns {Array<Function>} callbacks
+*/
+function removeAll( pool, ids ) {
+	var out;
+	var i;
+
+	out = [];
+	for ( i = 0; i < ids.length; i++ ) {
+		out.push( remove( pool, ids[ i ] ).clbk );
+	}
+	return out;
+}
+
+/**
+* Creates a worker thread and adds it to a pool at a specified index.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {NonNegativeInteger} idx - worker index
+*/
+function spawn( pool, idx ) {
+	var w = new Worker( WORKER, {
+		'workerData': {
+			'memory': pool._memory
+		}
+	});
+	w.on( 'message', onMessage( pool ) );
+	w.on( 'error', onError( pool, w ) );
+
+	// Allow the process to exit while the pool is idle:
+	if ( pool._pending === 0 ) {
+		w.unref();
+	}
+	pool._workers[ idx ] = w;
+}
+
+/**
+* Returns a callback which handles messages received from a worker.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @returns {Function} callback
+*/
+function onMessage( pool ) {
+	return handler;
+
+	/**
+	* Callback invoked upon receiving a chunk result from a worker.
+	*
+	* @private
+	* @param {Object} msg - message
+	* @param {NonNegativeInteger} msg.id - job identifier
+	* @param {NonNegativeInteger} msg.index - chunk index
+	* @param {(number|NumericArray)} [msg.value] - chunk result
+	* @param {Object} [msg.error] - description of an error encountered while processing a chunk
+	* @returns {void}
+	*/
+	function handler( msg ) {
+		var job;
+		var err;
+
+		job = pool._jobs[ msg.id ];
+		if ( job === void 0 ) {
+			return;
+		}
+		// If a worker failed to process a chunk, fail the entire job (results for any remaining chunks are ignored):
+		if ( msg.error ) {
+			err = new Error( msg.error.message );
+			err.name = msg.error.name;
+			return complete( pool, msg.id, err );
+		}
+		job.results[ msg.index ] = msg.value;
+		job.workers[ msg.index ] = null;
+		job.remaining -= 1;
+		if ( job.remaining > 0 ) {
+			return;
+		}
+		complete( pool, msg.id, null, job.results );
+	}
+}
+
+/**
+* Returns a callback which handles worker errors.
+*
+* @private
+* @param {Pool} pool - worker pool
+* @param {Worker} worker - worker thread
+* @returns {Function} callback
+*/
+function onError( pool, worker ) {
+	return handler;
+
+	/**
+	* Callback invoked upon encountering a worker error.
+	*
+	* ## Notes
+	*
+	* -   As an uncaught error terminates a worker thread, the worker is replaced in order to ensure that subsequent computations assigned to the worker complete.
+	* -   Only jobs having a chunk which was assigned to the worker and which has yet to be processed fail. Other pending jobs are unaffected.
+	*
+	* @private
+	* @param {Error} error - error object
+	*/
+	function handler( error ) {
+		var clbks;
+		var keys;
+		var ids;
+		var idx;
+		var i;
+
+		keys = Object.keys( pool._jobs );
+		ids = [];
+		for ( i = 0; i < keys.length; i++ ) {
+			if ( pool._jobs[ keys[ i ] ].workers.indexOf( worker ) >= 0 ) {
+				ids.push( keys[ i ] );
+			}
+		}
+		clbks = removeAll( pool, ids );
+
+		idx = pool._workers.indexOf( worker );
+		if ( idx >= 0 ) {
+			// Ensure the worker has terminated before replacing it:
+			worker.terminate();
+			if ( !pool._closed ) {
+				spawn( pool, idx );
+			}
+		}
+		for ( i = 0; i < clbks.length; i++ ) {
+			clbks[ i ]( error );
+		}
+	}
+}
+
+
+// MAIN //
+
+/**
+* Worker pool constructor for computing the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads.
+*
+* @constructor
+* @param {Object} memory - shared WebAssembly memory instance
+* @param {Options} [options] - pool options
+* @param {PositiveInteger} [options.threads] - number of worker threads
+* @throws {TypeError} must provide a shared WebAssembly memory instance
+* @throws {TypeError} options argument must be an object
+* @throws {TypeError} must provide valid options
+* @returns {Pool} pool instance
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new shared memory instance with an initial size of 10 pages (640KiB) and a maximum size of 100 pages (6.4MiB):
+* var mem = new Memory({
+*     'initial': 10,
+*     'maximum': 100,
+*     'shared': true
+* });
+*
+* // Write vector values to shared memory:
+* var x = new Float32Array( mem.buffer, 0, 5 );
+* var y = new Float32Array( mem.buffer, 20, 5 );
+* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* // Create a pool of worker threads:
+* var pool = new Pool( mem, {
+*     'threads': 2
+* });
+*
+* // Perform computation:
+* pool.main( 5, 0.0, 0, 1, 20, 1, done );
+*
+* function done( error, dot ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( dot );
+*     // => 15.0
+*
+*     pool.close();
+* }
+*/
+function Pool( memory, options ) {
+	var threads;
+	var i;
+	if ( !( this instanceof Pool ) ) {
+		if ( arguments.length > 1 ) {
+			return new Pool( memory, options );
+		}
+		return new Pool( memory );
+	}
+	if ( !isWebAssemblyMemory( memory ) || !isSharedMemory( memory ) ) {
+		throw new TypeError( format( 'invalid argument. Must provide a shared WebAssembly memory instance. Value: `%s`.', memory ) );
+	}
+	threads = cpus().length || 1;
+	if ( arguments.length > 1 ) {
+		if ( !isPlainObject( options ) ) {
+			throw new TypeError( format( 'invalid argument. Options argument must be an object. Value: `%s`.', options ) );
+		}
+		if ( hasOwnProp( options, 'threads' ) ) {
+			if ( !isPositiveInteger( options.threads ) ) {
+				throw new TypeError( format( 'invalid option. `%s` option must be a positive integer. Option: `%s`.', 'threads', options.threads ) );
+			}
+			threads = options.threads;
+		}
+	}
+	this._memory = memory;
+	this._workers = [];
+	this._jobs = {};
+	this._counter = 0;
+	this._pending = 0;
+	this._closed = false;
+	for ( i = 0; i < threads; i++ ) {
+		spawn( this, i );
+	}
+	return this;
+}
+
+/**
+* Returns the number of worker threads.
+*
+* @name threads
+* @memberof Pool.prototype
+* @readonly
+* @type {PositiveInteger}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var pool = new Pool( mem, {
+*     'threads': 2
+* });
+*
+* var n = pool.threads;
+* // returns 2
+*
+* pool.close();
+*/
+setReadOnlyAccessor( Pool.prototype, 'threads', function get() {
+	return this._workers.length;
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads.
+*
+* @name main
+* @memberof Pool.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {Callback} clbk - callback to invoke upon completion
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var x = new Float32Array( mem.buffer, 0, 5 );
+* var y = new Float32Array( mem.buffer, 20, 5 );
+* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* var pool = new Pool( mem );
+*
+* pool.main( 5, 0.0, 0, 1, 20, 1, done );
+*
+* function done( error, dot ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( dot );
+*     // => 15.0
+*
+*     pool.close();
+* }
+*/
+setReadOnly( Pool.prototype, 'main', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, clbk ) {
+	var ox = stride2offset( N, strideX );
+	var oy = stride2offset( N, strideY );
+	dispatch( this, 'single', N, scalar, xptr, strideX, ox, yptr, strideY, oy, clbk );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and alternative indexing semantics.
+*
+* @name ndarray
+* @memberof Pool.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Callback} clbk - callback to invoke upon completion
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var x = new Float32Array( mem.buffer, 0, 5 );
+* var y = new Float32Array( mem.buffer, 20, 5 );
+* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* var pool = new Pool( mem );
+*
+* pool.ndarray( 5, 0.0, 0, 1, 0, 20, 1, 0, done );
+*
+* function done( error, dot ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( dot );
+*     // => 15.0
+*
+*     pool.close();
+* }
+*/
+setReadOnly( Pool.prototype, 'ndarray', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, clbk ) {
+	dispatch( this, 'single', N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, clbk );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and returns the result as a double-precision floating-point number.
+*
+* @name mainDouble
+* @memberof Pool.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {Callback} clbk - callback to invoke upon completion
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var x = new Float32Array( mem.buffer, 0, 5 );
+* var y = new Float32Array( mem.buffer, 20, 5 );
+* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* var pool = new Pool( mem );
+*
+* pool.mainDouble( 5, 0.0, 0, 1, 20, 1, done );
+*
+* function done( error, dot ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( dot );
+*     // => 15.0
+*
+*     pool.close();
+* }
+*/
+setReadOnly( Pool.prototype, 'mainDouble', function dsdot( N, scalar, xptr, strideX, yptr, strideY, clbk ) {
+	var ox = stride2offset( N, strideX );
+	var oy = stride2offset( N, strideY );
+	dispatch( this, 'double', N, scalar, xptr, strideX, ox, yptr, strideY, oy, clbk );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and alternative indexing semantics and returns the result as a double-precision floating-point number.
+*
+* @name ndarrayDouble
+* @memberof Pool.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Callback} clbk - callback to invoke upon completion
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var x = new Float32Array( mem.buffer, 0, 5 );
+* var y = new Float32Array( mem.buffer, 20, 5 );
+* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* var pool = new Pool( mem );
+*
+* pool.ndarrayDouble( 5, 0.0, 0, 1, 0, 20, 1, 0, done );
+*
+* function done( error, dot ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( dot );
+*     // => 15.0
+*
+*     pool.close();
+* }
+*/
+setReadOnly( Pool.prototype, 'ndarrayDouble', function dsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, clbk ) {
+	dispatch( this, 'double', N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, clbk );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads and reproducible summation.
+*
+* ## Notes
+*
+* -   The result is bit-identical to the result of `Module.prototype.mainReproducible`, irrespective of the number of worker threads.
+*
+* @name mainReproducible
+* @memberof Pool.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {Callback} clbk - callback to invoke upon completion
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var x = new Float32Array( mem.buffer, 0, 5 );
+* var y = new Float32Array( mem.buffer, 20, 5 );
+* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* var pool = new Pool( mem );
+*
+* pool.mainReproducible( 5, 0.0, 0, 1, 20, 1, done );
+*
+* function done( error, dot ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( dot );
+*     // => 15.0
+*
+*     pool.close();
+* }
+*/
+setReadOnly( Pool.prototype, 'mainReproducible', function sdsdot( N, scalar, xptr, strideX, yptr, strideY, clbk ) {
+	var ox = stride2offset( N, strideX );
+	var oy = stride2offset( N, strideY );
+	dispatch( this, 'reproducible', N, scalar, xptr, strideX, ox, yptr, strideY, oy, clbk );
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using multiple threads, reproducible summation, and alternative indexing semantics.
+*
+* ## Notes
+*
+* -   The result is bit-identical to the result of `Module.prototype.ndarrayReproducible`, irrespective of the number of worker threads.
+*
+* @name ndarrayReproducible
+* @memberof Pool.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {NonNegativeInteger} xptr - first input array pointer (i.e., byte offset)
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {NonNegativeInteger} yptr - second input array pointer (i.e., byte offset)
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Callback} clbk - callback to invoke upon completion
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var x = new Float32Array( mem.buffer, 0, 5 );
+* var y = new Float32Array( mem.buffer, 20, 5 );
+* x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* var pool = new Pool( mem );
+*
+* pool.ndarrayReproducible( 5, 0.0, 0, 1, 0, 20, 1, 0, done );
+*
+* function done( error, dot ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( dot );
+*     // => 15.0
+*
+*     pool.close();
+* }
+*/
+setReadOnly( Pool.prototype, 'ndarrayReproducible', function sdsdot( N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, clbk ) {
+	dispatch( this, 'reproducible', N, scalar, xptr, strideX, offsetX, yptr, strideY, offsetY, clbk );
+});
+
+/**
+* Terminates all worker threads.
+*
+* ## Notes
+*
+* -   The callbacks of any pending computations are invoked with an error.
+*
+* @name close
+* @memberof Pool.prototype
+* @readonly
+* @type {Function}
+* @param {Callback} [clbk] - callback to invoke once all worker threads have terminated
+* @throws {TypeError} callback argument must be a function
+* @returns {void}
+*
+* @example
+* var Memory = require( '@stdlib/wasm-memory' );
+*
+* var mem = new Memory({
+*     'initial': 1,
+*     'maximum': 10,
+*     'shared': true
+* });
+*
+* var pool = new Pool( mem );
+*
+* pool.close( done );
+*
+* function done( error ) {
+*     if ( error ) {
+*         throw error;
+*     }
+*     console.log( 'Closed.' );
+* }
+*/
+setReadOnly( Pool.prototype, 'close', function close( clbk ) {
+	var remaining;
+	var workers;
+	var clbks;
+	var err;
+	var i;
+	if ( arguments.length > 0 && !isFunction( clbk ) ) {
+		throw new TypeError( format( 'invalid argument. Callback argument must be a function. Value: `%s`.', clbk ) );
+	}
+	// Remove pending jobs before terminating the workers processing them:
+	clbks = removeAll( this, Object.keys( this._jobs ) );
+
+	workers = this._workers;
+	remaining = workers.length;
+	this._closed = true;
+	for ( i = 0; i < workers.length; i++ ) {
+		workers[ i ].terminate().then( onTerminate, onFailure );
+	}
+	if ( clbks.length > 0 ) {
+		nextTick( onAbort );
+	}
+
+	/**
+	* Callback invoked to notify pending computations that the pool has been closed.
+	*
+	* @private
+	*/
+	function onAbort() {
+		var e;
+		var j;
+
+		e = new Error( 'invalid operation. Pool was closed before the computation completed.' );
+		for ( j = 0; j < clbks.length; j++ ) {
+			clbks[ j ]( e );
+		}
+	}
+
+	/**
+	* Callback invoked upon terminating a worker.
+	*
+	* @private
+	*/
+	function onTerminate() {
+		remaining -= 1;
+		if ( remaining === 0 && clbk ) {
+			clbk( err || null );
+		}
+	}
+
+	/**
+	* Callback invoked upon failing to terminate a worker.
+	*
+	* @private
+	* @param {Error} error - error object
+	*/
+	function onFailure( error ) {
+		err = error;
+		onTerminate();
+	}
+});
+
+
+// EXPORTS //
+
+module.exports = Pool;
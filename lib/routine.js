@@ -24,13 +24,135 @@
 
 var setReadOnly = require( '@stdlib/utils-define-nonenumerable-read-only-property' );
 var inherits = require( '@stdlib/utils-inherit' );
+var isPositiveInteger = require( '@stdlib/assert-is-positive-integer' ).isPrimitive;
+var isTypedArray = require( '@stdlib/assert-is-typed-array' );
+var isComplexTypedArray = require( '@stdlib/assert-is-complex-typed-array' );
 var stride2offset = require( '@stdlib/strided-base-stride2offset' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Int32Array = require( '@stdlib/array-int32' );
+var Complex64 = require( '@stdlib/complex-float32-ctor' );
 var Memory = require( '@stdlib/wasm-memory' );
-var arrays2ptrs = require( '@stdlib/wasm-base-arrays2ptrs' );
 var strided2object = require( '@stdlib/wasm-base-strided2object' );
+var bytesPerElement = require( '@stdlib/ndarray-base-bytes-per-element' );
+var readDataView = require( '@stdlib/strided-base-read-dataview' ).ndarray;
+var writeDataView = require( '@stdlib/strided-base-write-dataview' ).ndarray;
+var format = require( '@stdlib/string-format' );
 var Module = require( './module.js' );
+var arrays2ptrs = require( './arrays2ptrs.js' );
+var scratchOffset = require( './scratch_offset.js' );
+var isHalfFormat = require( './is_half_format.js' );
+var isQuantizedDtype = require( './is_quantized_dtype.js' );
+var isFP8Format = require( './is_fp8_format.js' );
 
 
+// VARIABLES //
+
+// Zero-filled buffer for reserving a superaccumulator workspace (168 bytes) in module memory:
+var WORKSPACE = new Float64Array( 21 );
+
+// Number of bytes per single-precision floating-point number:
+var BYTES_PER_ELEMENT = 4;
+
+
+// FUNCTIONS //
+
+/**
+* Returns the byte offset at which an array resides in module memory.
+*
+* ## Notes
+*
+* -   An array resides in module memory if the array is either a view over module memory or has been pinned to the routine's memory arena.
+*
+* @private
+* @param {Routine} ctx - routine instance
+* @param {Collection} x - input array
+* @returns {integer} byte offset or `-1` if the array does not reside in module memory
+*/
+function residence( ctx, x ) {
+	var region;
+	if ( ctx.isView( x ) ) {
+		return x.byteOffset;
+	}
+	region = ctx._arena.get( x );
+	return ( region === null ) ? -1 : region.ptr;
+}
+
+/**
+* Copies the indexed elements of an array residing in module memory to a new contiguous array.
+*
+* @private
+* @param {Routine} ctx - routine instance
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {NonNegativeInteger} ptr - byte offset at which the input array resides in module memory
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Function} Ctor - output array constructor
+* @returns {TypedArray} output array
+*/
+function copyResident( ctx, N, ptr, stride, offset, Ctor ) {
+	var out = new Ctor( N );
+	return readDataView( N, ctx.view, stride*BYTES_PER_ELEMENT, ptr+(offset*BYTES_PER_ELEMENT), out, 1, 0, true ); // eslint-disable-line max-len
+}
+
+
+/**
+* Validates that the indices of a sparse vector resolve to elements of a dense vector.
+*
+* @private
+* @param {Routine} ctx - routine instance
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {NonNegativeInteger} ptr - byte offset at which the index array resides in module memory
+* @param {integer} stride - index array stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {integer} offsetY - index of the dense vector element corresponding to an index value of `0`
+* @param {NonNegativeInteger} len - dense vector length
+* @throws {RangeError} indices must resolve to elements of the dense vector
+*/
+function assertIndices( ctx, N, ptr, stride, offset, offsetY, len ) {
+	var view;
+	var idx;
+	var ix;
+	var i;
+
+	view = ctx.view;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		idx = view.getInt32( ptr + ( ix*BYTES_PER_ELEMENT ), true );
+		if ( offsetY+idx < 0 || offsetY+idx >= len ) {
+			throw new RangeError( format( 'invalid argument. Indices must resolve to elements of `y`. Out-of-bounds index at position: `%d`. Value: `%d`. Length of `y`: `%u`.', i, idx, len ) );
+		}
+		ix += stride;
+	}
+}
+
+/**
+* Validates that every array in a list of strided arrays has sufficient length for a specified number of indexed elements, stride, and offset.
+*
+* @private
+* @param {string} name - list name
+* @param {integer} N - number of indexed elements
+* @param {ArrayLikeObject<Collection>} list - list of arrays
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @throws {RangeError} each array must have sufficient length
+*/
+function assertBatch( name, N, list, stride, offset ) {
+	var last;
+	var len;
+	var i;
+	if ( N <= 0 ) {
+		return;
+	}
+	last = offset + ( ( N-1 ) * stride );
+	for ( i = 0; i < list.length; i++ ) {
+		len = list[ i ].length;
+		if ( offset < 0 || offset >= len || last < 0 || last >= len ) {
+			throw new RangeError( format( 'invalid argument. Each array in `%s` must have sufficient length for the specified number of indexed elements, stride, and offset. Array index: `%u`. Length: `%u`. N: `%d`. Stride: `%d`. Offset: `%d`.', name, i, len, N, stride, offset ) );
+		}
+	}
+}
+
 // MAIN //
 
 /**
@@ -174,6 +296,2327 @@ setReadOnly( Routine.prototype, 'ndarray', function sdsdot( N, scalar, x, stride
 	return Module.prototype.ndarray.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset ); // eslint-disable-line max-len
 });
 
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation and returns the result as a double-precision floating-point number.
+*
+* @name mainDouble
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainDouble( x.length, 0.0, x, 1, y, 1 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'mainDouble', function sdsdot( N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayDouble( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and returns the result as a double-precision floating-point number.
+*
+* @name ndarrayDouble
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayDouble( x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayDouble', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayDouble.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation.
+*
+* @name mainCompensated
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'mainCompensated', function sdsdot( N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayCompensated( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using compensated summation and alternative indexing semantics.
+*
+* @name ndarrayCompensated
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayCompensated', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayCompensated.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation.
+*
+* @name mainExact
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainExact( x.length, 0.0, x, 1, y, 1 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'mainExact', function sdsdot( N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayExact( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the correctly rounded dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics.
+*
+* @name ndarrayExact
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayExact( x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayExact', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input arrays and the accumulator workspace to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( WORKSPACE.length, WORKSPACE, 1, 0 )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayExact.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors using exact accumulation and returns the correctly rounded double-precision result.
+*
+* @name mainExactDouble
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainExactDouble( x.length, 0.0, x, 1, y, 1 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'mainExactDouble', function sdsdot( N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayExactDouble( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors using exact accumulation and alternative indexing semantics and returns the correctly rounded double-precision result.
+*
+* @name ndarrayExactDouble
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayExactDouble( x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayExactDouble', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input arrays and the accumulator workspace to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( WORKSPACE.length, WORKSPACE, 1, 0 )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayExactDouble.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm.
+*
+* @name mainDot2
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainDot2( x.length, 0.0, x, 1, y, 1 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'mainDot2', function sdsdot( N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayDot2( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using the Ogita-Rump-Oishi "Dot2" algorithm and alternative indexing semantics.
+*
+* @name ndarrayDot2
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+* var y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayDot2( x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 1.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayDot2', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayDot2.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result to an output array as an unevaluated double-double pair.
+*
+* @name mainDoubleDouble
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {Float64Array} out - output array
+* @param {integer} strideOut - `out` stride length
+* @returns {Float64Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+* var out = new Float64Array( 2 );
+*
+* // Perform operation:
+* var v = sdsdot.mainDoubleDouble( x.length, 0.0, x, 1, y, 1, out, 1 );
+* // returns <Float64Array>[ 15.0, 0.0 ]
+*/
+setReadOnly( Routine.prototype, 'mainDoubleDouble', function sdsdot( N, scalar, x, strideX, y, strideY, out, strideOut ) {
+	return this.ndarrayDoubleDouble( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ), out, strideOut, stride2offset( 2, strideOut ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result to an output array as an unevaluated double-double pair.
+*
+* @name ndarrayDoubleDouble
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Float64Array} out - output array
+* @param {integer} strideOut - `out` stride length
+* @param {NonNegativeInteger} offsetOut - starting `out` index
+* @returns {Float64Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+* var out = new Float64Array( 2 );
+*
+* // Perform operation:
+* var v = sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+* // returns <Float64Array>[ 15.0, 0.0 ]
+*/
+setReadOnly( Routine.prototype, 'ndarrayDoubleDouble', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY, out, strideOut, offsetOut ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input and output arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( 2, out, strideOut, offsetOut )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	Module.prototype.ndarrayDoubleDouble.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr, p2.stride, p2.offset ); // eslint-disable-line max-len
+
+	// If output data was copied to module memory or resides in a pinned memory region, copy back to the output array:
+	if ( p2.copy || p2.pinned ) {
+		readDataView( 2, this.view, p2.stride*p2.BYTES_PER_ELEMENT, p2.ptr+(p2.offset*p2.BYTES_PER_ELEMENT), out, strideOut, offsetOut, true ); // eslint-disable-line max-len
+	}
+	return out;
+});
+
+/**
+* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation.
+*
+* @name mainBatched
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {Float32Array} scalars - scalar constants to add to the respective dot products
+* @param {ArrayLikeObject<Float32Array>} X - list of first input arrays
+* @param {integer} strideX - stride length for each array in `X`
+* @param {ArrayLikeObject<Float32Array>} Y - list of second input arrays
+* @param {integer} strideY - stride length for each array in `Y`
+* @param {Float32Array} out - output array
+* @throws {RangeError} `X` and `Y` must contain the same number of arrays
+* @throws {RangeError} `scalars` and `out` must have at least as many elements as there are pairs of input arrays
+* @throws {RangeError} each array in `X` and `Y` must have sufficient length for the specified number of indexed elements, stride, and offset
+* @returns {Float32Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define lists of strided arrays:
+* var X = [
+*     new Float32Array( [ 1.0, 2.0, 3.0 ] ),
+*     new Float32Array( [ 4.0, 5.0, 6.0 ] )
+* ];
+* var Y = [
+*     new Float32Array( [ 1.0, 1.0, 1.0 ] ),
+*     new Float32Array( [ 1.0, 1.0, 1.0 ] )
+* ];
+*
+* // Define scalar constants and an output array:
+* var scalars = new Float32Array( [ 0.0, 10.0 ] );
+* var out = new Float32Array( 2 );
+*
+* // Perform operation:
+* var v = sdsdot.mainBatched( 3, scalars, X, 1, Y, 1, out );
+* // returns <Float32Array>[ 6.0, 25.0 ]
+*/
+setReadOnly( Routine.prototype, 'mainBatched', function sdsdot( N, scalars, X, strideX, Y, strideY, out ) {
+	return this.ndarrayBatched( N, scalars, X, strideX, stride2offset( N, strideX ), Y, strideY, stride2offset( N, strideY ), out ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot products of a batch of pairs of single-precision floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* @name ndarrayBatched
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {Float32Array} scalars - scalar constants to add to the respective dot products
+* @param {ArrayLikeObject<Float32Array>} X - list of first input arrays
+* @param {integer} strideX - stride length for each array in `X`
+* @param {NonNegativeInteger} offsetX - starting index for each array in `X`
+* @param {ArrayLikeObject<Float32Array>} Y - list of second input arrays
+* @param {integer} strideY - stride length for each array in `Y`
+* @param {NonNegativeInteger} offsetY - starting index for each array in `Y`
+* @param {Float32Array} out - output array
+* @throws {RangeError} `X` and `Y` must contain the same number of arrays
+* @throws {RangeError} `scalars` and `out` must have at least as many elements as there are pairs of input arrays
+* @throws {RangeError} each array in `X` and `Y` must have sufficient length for the specified number of indexed elements, stride, and offset
+* @returns {Float32Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define lists of strided arrays:
+* var X = [
+*     new Float32Array( [ 1.0, 2.0, 3.0 ] ),
+*     new Float32Array( [ 4.0, 5.0, 6.0 ] )
+* ];
+* var Y = [
+*     new Float32Array( [ 1.0, 1.0, 1.0 ] ),
+*     new Float32Array( [ 1.0, 1.0, 1.0 ] )
+* ];
+*
+* // Define scalar constants and an output array:
+* var scalars = new Float32Array( [ 0.0, 10.0 ] );
+* var out = new Float32Array( 2 );
+*
+* // Perform operation:
+* var v = sdsdot.ndarrayBatched( 3, scalars, X, 1, 0, Y, 1, 0, out );
+* // returns <Float32Array>[ 6.0, 25.0 ]
+*/
+setReadOnly( Routine.prototype, 'ndarrayBatched', function sdsdot( N, scalars, X, strideX, offsetX, Y, strideY, offsetY, out ) {
+	var view;
+	var list;
+	var xptr;
+	var yptr;
+	var sptr;
+	var optr;
+	var nb;
+	var B;
+	var i;
+
+	B = X.length;
+	if ( Y.length !== B ) {
+		throw new RangeError( format( 'invalid arguments. `X` and `Y` must contain the same number of arrays. `X`: `%u`. `Y`: `%u`.', B, Y.length ) );
+	}
+	if ( scalars.length < B ) {
+		throw new RangeError( format( 'invalid argument. `scalars` must have at least as many elements as there are pairs of input arrays. Length: `%u`. Pairs: `%u`.', scalars.length, B ) );
+	}
+	if ( out.length < B ) {
+		throw new RangeError( format( 'invalid argument. `out` must have at least as many elements as there are pairs of input arrays. Length: `%u`. Pairs: `%u`.', out.length, B ) );
+	}
+	assertBatch( 'X', N, X, strideX, offsetX );
+	assertBatch( 'Y', N, Y, strideY, offsetY );
+	nb = ( N > 0 ) ? N * BYTES_PER_ELEMENT : 0;
+
+	// Resolve the list of provided arrays (including the output array, which may be a view over module memory which must not be overwritten prior to copying the results):
+	list = [];
+	for ( i = 0; i < B; i++ ) {
+		list.push( X[ i ], Y[ i ] );
+	}
+	list.push( scalars, out );
+
+	// Pack the input vectors into contiguous blocks of module memory (following any pinned arrays and without overlapping any provided memory views), followed by the scalar constants and the output array:
+	xptr = scratchOffset( this, list, ( 2*B*nb ) + ( 2*B*BYTES_PER_ELEMENT ) ); // eslint-disable-line max-len
+	yptr = xptr + ( B*nb );
+	sptr = yptr + ( B*nb );
+	optr = sptr + ( B*BYTES_PER_ELEMENT );
+	this.realloc( optr + ( B*BYTES_PER_ELEMENT ) );
+
+	view = this.view;
+	if ( nb > 0 ) {
+		for ( i = 0; i < B; i++ ) {
+			writeDataView( N, X[ i ], strideX, offsetX, view, BYTES_PER_ELEMENT, xptr + ( i*nb ), true ); // eslint-disable-line max-len
+			writeDataView( N, Y[ i ], strideY, offsetY, view, BYTES_PER_ELEMENT, yptr + ( i*nb ), true ); // eslint-disable-line max-len
+		}
+	}
+	writeDataView( B, scalars, 1, 0, view, BYTES_PER_ELEMENT, sptr, true );
+
+	// Perform computation by calling the corresponding parent method:
+	Module.prototype.ndarrayBatched.call( this, B, N, sptr, xptr, 1, N, 0, yptr, 1, N, 0, optr ); // eslint-disable-line max-len
+
+	// Copy the results to the output array:
+	return readDataView( B, this.view, BYTES_PER_ELEMENT, optr, out, 1, 0, true ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation.
+*
+* @name mainReproducible
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1073741824.0, 1.0, -1073741824.0, 1.0 ] );
+* var y = new Float32Array( [ 1073741824.0, 1.0, 1073741824.0, 1.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainReproducible( x.length, 0.0, x, 1, y, 1 );
+* // returns 2.0
+*/
+setReadOnly( Routine.prototype, 'mainReproducible', function sdsdot( N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayReproducible( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using reproducible summation and alternative indexing semantics.
+*
+* @name ndarrayReproducible
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1073741824.0, 1.0, -1073741824.0, 1.0 ] );
+* var y = new Float32Array( [ 1073741824.0, 1.0, 1073741824.0, 1.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayReproducible( x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 2.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayReproducible', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayReproducible.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation and writes the result, along with error diagnostics, to an output array.
+*
+* ## Notes
+*
+* -   The output array is assigned the following elements (in order):
+*
+*     -   the dot product, as computed by the `mainDouble` method (i.e., the double-precision accumulator before rounding to single-precision).
+*     -   the sum of the absolute values of the scalar constant and of all products.
+*     -   the condition number of the dot product (i.e., the ratio of the previous element to the absolute value of the dot product).
+*     -   a rigorous upper bound on the absolute error of the double-precision accumulator with respect to the exact value of `scalar + x·y`.
+*
+* @name mainDiagnostics
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {Float64Array} out - output array
+* @param {integer} strideOut - `out` stride length
+* @returns {Float64Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+* var out = new Float64Array( 4 );
+*
+* // Perform operation:
+* var v = sdsdot.mainDiagnostics( x.length, 0.0, x, 1, y, 1, out, 1 );
+* // returns <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+*/
+setReadOnly( Routine.prototype, 'mainDiagnostics', function sdsdot( N, scalar, x, strideX, y, strideY, out, strideOut ) {
+	return this.ndarrayDiagnostics( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ), out, strideOut, stride2offset( 4, strideOut ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics and writes the result, along with error diagnostics, to an output array.
+*
+* ## Notes
+*
+* -   The output array is assigned the following elements (in order):
+*
+*     -   the dot product, as computed by the `ndarrayDouble` method (i.e., the double-precision accumulator before rounding to single-precision).
+*     -   the sum of the absolute values of the scalar constant and of all products.
+*     -   the condition number of the dot product (i.e., the ratio of the previous element to the absolute value of the dot product).
+*     -   a rigorous upper bound on the absolute error of the double-precision accumulator with respect to the exact value of `scalar + x·y`.
+*
+* @name ndarrayDiagnostics
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Float64Array} out - output array
+* @param {integer} strideOut - `out` stride length
+* @param {NonNegativeInteger} offsetOut - starting `out` index
+* @returns {Float64Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+* var out = new Float64Array( 4 );
+*
+* // Perform operation:
+* var v = sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+* // returns <Float64Array>[ 15.0, 15.0, 1.0, ~8.33e-15 ]
+*/
+setReadOnly( Routine.prototype, 'ndarrayDiagnostics', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY, out, strideOut, offsetOut ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input and output arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( 4, out, strideOut, offsetOut )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	Module.prototype.ndarrayDiagnostics.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr, p2.stride, p2.offset ); // eslint-disable-line max-len
+
+	// If output data was copied to module memory or resides in a pinned memory region, copy back to the output array:
+	if ( p2.copy || p2.pinned ) {
+		readDataView( 4, this.view, p2.stride*p2.BYTES_PER_ELEMENT, p2.ptr+(p2.offset*p2.BYTES_PER_ELEMENT), out, strideOut, offsetOut, true ); // eslint-disable-line max-len
+	}
+	return out;
+});
+
+/**
+* Computes the dot product of two 16-bit floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'float16'`: IEEE 754 half-precision floating-point numbers.
+*     -   `'bfloat16'`: "brain" floating-point numbers (i.e., the upper 16 bits of single-precision floating-point numbers).
+*
+* @name mainHalf
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Uint16Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Uint16Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @throws {TypeError} first argument must be a supported format
+* @returns {number} dot product
+*
+* @example
+* var Uint16Array = require( '@stdlib/array-uint16' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays of half-precision floating-point numbers (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]):
+* var x = new Uint16Array( [ 0x3c00, 0x4000, 0x4200, 0x4400, 0x4500 ] );
+* var y = new Uint16Array( [ 0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3c00 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainHalf( 'float16', x.length, 0.0, x, 1, y, 1 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'mainHalf', function sdsdot( fmt, N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayHalf( fmt, N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two 16-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'float16'`: IEEE 754 half-precision floating-point numbers.
+*     -   `'bfloat16'`: "brain" floating-point numbers (i.e., the upper 16 bits of single-precision floating-point numbers).
+*
+* @name ndarrayHalf
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Uint16Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Uint16Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {TypeError} first argument must be a supported format
+* @returns {number} dot product
+*
+* @example
+* var Uint16Array = require( '@stdlib/array-uint16' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays of half-precision floating-point numbers (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]):
+* var x = new Uint16Array( [ 0x3c00, 0x4000, 0x4200, 0x4400, 0x4500 ] );
+* var y = new Uint16Array( [ 0x3c00, 0x3c00, 0x3c00, 0x3c00, 0x3c00 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayHalf( 'float16', x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayHalf', function sdsdot( fmt, N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+
+	if ( !isHalfFormat( fmt ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported format. Value: `%s`.', fmt ) );
+	}
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayHalf.call( this, fmt, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation.
+*
+* @name mainMixed
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float64Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float64Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainMixed( x.length, 0.0, x, 1, y, 1 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'mainMixed', function sdsdot( N, scalar, x, strideX, y, strideY ) {
+	return this.ndarrayMixed( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of a single-precision floating-point vector `x` and a double-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+*
+* @name ndarrayMixed
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float64Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float64Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayMixed( x.length, 0.0, x, 1, 0, y, 1, 0 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayMixed', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayMixed.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation.
+*
+* ## Notes
+*
+* -   Supported data types:
+*
+*     -   `'int8'`: signed 8-bit integers.
+*     -   `'uint8'`: unsigned 8-bit integers.
+*
+* -   The function computes `scalar + scaleX*scaleY*Σ(x[i]-zeroX)*(y[i]-zeroY)`, where the sum is accumulated exactly using integer arithmetic before applying the scales. Zero points should lie within the range of the data type.
+*
+* @name mainQuantized
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} dtype - input array data type
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(Int8Array|Uint8Array)} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {integer} zeroX - `x` zero point
+* @param {number} scaleX - `x` scale
+* @param {(Int8Array|Uint8Array)} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {integer} zeroY - `y` zero point
+* @param {number} scaleY - `y` scale
+* @throws {TypeError} first argument must be a supported data type
+* @returns {number} dot product
+*
+* @example
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays of quantized values:
+* var x = new Uint8Array( [ 129, 130, 131, 132, 133 ] );
+* var y = new Uint8Array( [ 130, 130, 130, 130, 130 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainQuantized( 'uint8', x.length, 0.0, x, 1, 128, 0.5, y, 1, 128, 0.25 );
+* // returns 3.75
+*/
+setReadOnly( Routine.prototype, 'mainQuantized', function sdsdot( dtype, N, scalar, x, strideX, zeroX, scaleX, y, strideY, zeroY, scaleY ) {
+	return this.ndarrayQuantized( dtype, N, scalar, x, strideX, stride2offset( N, strideX ), zeroX, scaleX, y, strideY, stride2offset( N, strideY ), zeroY, scaleY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two quantized 8-bit integer vectors with exact integer accumulation and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Supported data types:
+*
+*     -   `'int8'`: signed 8-bit integers.
+*     -   `'uint8'`: unsigned 8-bit integers.
+*
+* -   The function computes `scalar + scaleX*scaleY*Σ(x[i]-zeroX)*(y[i]-zeroY)`, where the sum is accumulated exactly using integer arithmetic before applying the scales. Zero points should lie within the range of the data type.
+*
+* @name ndarrayQuantized
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} dtype - input array data type
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {(Int8Array|Uint8Array)} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {integer} zeroX - `x` zero point
+* @param {number} scaleX - `x` scale
+* @param {(Int8Array|Uint8Array)} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {integer} zeroY - `y` zero point
+* @param {number} scaleY - `y` scale
+* @throws {TypeError} first argument must be a supported data type
+* @returns {number} dot product
+*
+* @example
+* var Int8Array = require( '@stdlib/array-int8' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays of quantized values:
+* var x = new Int8Array( [ 1, 2, 3, 4, 5 ] );
+* var y = new Int8Array( [ 2, 2, 2, 2, 2 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayQuantized( 'int8', x.length, 0.0, x, 1, 0, 0, 0.5, y, 1, 0, 0, 0.25 );
+* // returns 3.75
+*/
+setReadOnly( Routine.prototype, 'ndarrayQuantized', function sdsdot( dtype, N, scalar, x, strideX, offsetX, zeroX, scaleX, y, strideY, offsetY, zeroY, scaleY ) {
+	var ptrs;
+	var p0;
+	var p1;
+
+	if ( !isQuantizedDtype( dtype ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported data type. Value: `%s`.', dtype ) );
+	}
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayQuantized.call( this, dtype, N, scalar, p0.ptr, p0.stride, p0.offset, zeroX, scaleX, p1.ptr, p1.stride, p1.offset, zeroY, scaleY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'e4m3'`: OCP FP8 E4M3 floating-point numbers (4 exponent bits and 3 mantissa bits, no infinities).
+*     -   `'e5m2'`: OCP FP8 E5M2 floating-point numbers (5 exponent bits and 2 mantissa bits).
+*
+* -   Each block of `blockSize` contiguous elements shares a scale, which is stored as an OCP E8M0 number (i.e., an unsigned biased exponent `e` representing `2^(e-127)`, where `e = 255` represents `NaN`).
+*
+* @name mainBlockScaled
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Uint8Array} x - first input array
+* @param {Uint8Array} scalesX - first input array block scales
+* @param {Uint8Array} y - second input array
+* @param {Uint8Array} scalesY - second input array block scales
+* @param {PositiveInteger} blockSize - number of elements per block
+* @throws {TypeError} first argument must be a supported format
+* @throws {TypeError} eighth argument must be a positive integer
+* @returns {number} dot product
+*
+* @example
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define E4M3 arrays (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]):
+* var x = new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a ] );
+* var y = new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38 ] );
+*
+* // Define block scales (i.e., 2^1 and 2^-1):
+* var sx = new Uint8Array( [ 128 ] );
+* var sy = new Uint8Array( [ 126 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, sx, y, sy, 32 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'mainBlockScaled', function sdsdot( fmt, N, scalar, x, scalesX, y, scalesY, blockSize ) {
+	if ( !isPositiveInteger( blockSize ) ) {
+		throw new TypeError( format( 'invalid argument. Eighth argument must be a positive integer. Value: `%s`.', blockSize ) );
+	}
+	return this.ndarrayBlockScaled( fmt, N, scalar, x, scalesX, 0, y, scalesY, 0, blockSize ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two block-scaled 8-bit floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Supported formats:
+*
+*     -   `'e4m3'`: OCP FP8 E4M3 floating-point numbers (4 exponent bits and 3 mantissa bits, no infinities).
+*     -   `'e5m2'`: OCP FP8 E5M2 floating-point numbers (5 exponent bits and 2 mantissa bits).
+*
+* -   Each block of `blockSize` contiguous elements shares a scale, which is stored as an OCP E8M0 number (i.e., an unsigned biased exponent `e` representing `2^(e-127)`, where `e = 255` represents `NaN`).
+* -   Offsets are relative to the start of the first block. Accordingly, the `i`-th indexed element of `x` is scaled by `scalesX[floor((offsetX+i)/blockSize)]`.
+*
+* @name ndarrayBlockScaled
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} fmt - input array element format
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Uint8Array} x - first input array
+* @param {Uint8Array} scalesX - first input array block scales
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Uint8Array} y - second input array
+* @param {Uint8Array} scalesY - second input array block scales
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {PositiveInteger} blockSize - number of elements per block
+* @throws {TypeError} first argument must be a supported format
+* @throws {TypeError} tenth argument must be a positive integer
+* @returns {number} dot product
+*
+* @example
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define E5M2 arrays (i.e., [ 1.0, 2.0, 3.0, 4.0, 5.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0 ]):
+* var x = new Uint8Array( [ 0x3c, 0x40, 0x42, 0x44, 0x45 ] );
+* var y = new Uint8Array( [ 0x3c, 0x3c, 0x3c, 0x3c, 0x3c ] );
+*
+* // Define block scales (i.e., 2^1 and 2^-1):
+* var sx = new Uint8Array( [ 128 ] );
+* var sy = new Uint8Array( [ 126 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayBlockScaled( 'e5m2', x.length, 0.0, x, sx, 0, y, sy, 0, 32 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayBlockScaled', function sdsdot( fmt, N, scalar, x, scalesX, offsetX, y, scalesY, offsetY, blockSize ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+	var p3;
+
+	if ( !isFP8Format( fmt ) ) {
+		throw new TypeError( format( 'invalid argument. First argument must be a supported format. Value: `%s`.', fmt ) );
+	}
+	if ( !isPositiveInteger( blockSize ) ) {
+		throw new TypeError( format( 'invalid argument. Tenth argument must be a positive integer. Value: `%s`.', blockSize ) );
+	}
+	// Convert the input arrays to "pointers" in the module's memory (copying each array in its entirety in order to preserve the mapping between elements and blocks):
+	ptrs = arrays2ptrs( this, [
+		strided2object( x.length, x, 1, 0 ),
+		strided2object( scalesX.length, scalesX, 1, 0 ),
+		strided2object( y.length, y, 1, 0 ),
+		strided2object( scalesY.length, scalesY, 1, 0 )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+	p3 = ptrs[ 3 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayBlockScaled.call( this, fmt, N, scalar, p0.ptr, p1.ptr, offsetX, p2.ptr, p3.ptr, offsetY, blockSize ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation.
+*
+* @name mainCdotu
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {Complex64Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Complex64Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {Complex64} dot product
+*
+* @example
+* var Complex64Array = require( '@stdlib/array-complex64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+*
+* // Perform operation:
+* var z = sdsdot.mainCdotu( x.length, x, 1, y, 1 );
+* // returns <Complex64>[ -18.0, 68.0 ]
+*/
+setReadOnly( Routine.prototype, 'mainCdotu', function sdsdot( N, x, strideX, y, strideY ) {
+	return this.ndarrayCdotu( N, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision complex floating-point vectors with extended accumulation using alternative indexing semantics.
+*
+* @name ndarrayCdotu
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {Complex64Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Complex64Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {Complex64} dot product
+*
+* @example
+* var Complex64Array = require( '@stdlib/array-complex64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+*
+* // Perform operation:
+* var z = sdsdot.ndarrayCdotu( x.length, x, 1, 0, y, 1, 0 );
+* // returns <Complex64>[ -18.0, 68.0 ]
+*/
+setReadOnly( Routine.prototype, 'ndarrayCdotu', function sdsdot( N, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var out;
+	var p0;
+	var p1;
+	var p2;
+
+	// Define an output array for storing the real and imaginary components of the result:
+	out = new Float32Array( 2 );
+
+	// Convert the input and output arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( 2, out, 1, 0 )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	Module.prototype.ndarrayCdotu.call( this, N, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr ); // eslint-disable-line max-len
+
+	// Read the result from module memory:
+	readDataView( 2, this.view, p2.BYTES_PER_ELEMENT, p2.ptr, out, 1, 0, true );
+	return new Complex64( out[ 0 ], out[ 1 ] );
+});
+
+/**
+* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation.
+*
+* @name mainCdotc
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {Complex64Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Complex64Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @returns {Complex64} dot product
+*
+* @example
+* var Complex64Array = require( '@stdlib/array-complex64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+*
+* // Perform operation:
+* var z = sdsdot.mainCdotc( x.length, x, 1, y, 1 );
+* // returns <Complex64>[ 70.0, -8.0 ]
+*/
+setReadOnly( Routine.prototype, 'mainCdotc', function sdsdot( N, x, strideX, y, strideY ) {
+	return this.ndarrayCdotc( N, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of the conjugate of a single-precision complex floating-point vector `x` and a single-precision complex floating-point vector `y` with extended accumulation using alternative indexing semantics.
+*
+* @name ndarrayCdotc
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {Complex64Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Complex64Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @returns {Complex64} dot product
+*
+* @example
+* var Complex64Array = require( '@stdlib/array-complex64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+* var y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+*
+* // Perform operation:
+* var z = sdsdot.ndarrayCdotc( x.length, x, 1, 0, y, 1, 0 );
+* // returns <Complex64>[ 70.0, -8.0 ]
+*/
+setReadOnly( Routine.prototype, 'ndarrayCdotc', function sdsdot( N, x, strideX, offsetX, y, strideY, offsetY ) {
+	var ptrs;
+	var out;
+	var p0;
+	var p1;
+	var p2;
+
+	// Define an output array for storing the real and imaginary components of the result:
+	out = new Float32Array( 2 );
+
+	// Convert the input and output arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( 2, out, 1, 0 )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	Module.prototype.ndarrayCdotc.call( this, N, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr ); // eslint-disable-line max-len
+
+	// Read the result from module memory:
+	readDataView( 2, this.view, p2.BYTES_PER_ELEMENT, p2.ptr, out, 1, 0, true );
+	return new Complex64( out[ 0 ], out[ 1 ] );
+});
+
+/**
+* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation.
+*
+* ## Notes
+*
+* -   The sparse vector is represented by a compressed array of non-zero values and a corresponding array of indices into `y`. Accordingly, the method computes `scalar + Σ x[i]*y[idx[i]]`.
+*
+* @name mainSparse
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - compressed input array
+* @param {integer} strideX - `x` stride length
+* @param {Int32Array} idx - index array
+* @param {integer} strideIdx - `idx` stride length
+* @param {Float32Array} y - dense input array
+* @throws {RangeError} indices must resolve to elements of `y`
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define a sparse vector and a dense vector:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+* var idx = new Int32Array( [ 0, 2, 4 ] );
+* var y = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y );
+* // returns 22.0
+*/
+setReadOnly( Routine.prototype, 'mainSparse', function sdsdot( N, scalar, x, strideX, idx, strideIdx, y ) {
+	return this.ndarraySparse( N, scalar, x, strideX, stride2offset( N, strideX ), idx, strideIdx, stride2offset( N, strideIdx ), y, 0 ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of a sparse single-precision floating-point vector `x` and a dense single-precision floating-point vector `y` with extended accumulation and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   The sparse vector is represented by a compressed array of non-zero values and a corresponding array of indices into `y`. Accordingly, the method computes `scalar + Σ x[i]*y[offsetY+idx[i]]`.
+*
+* @name ndarraySparse
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - compressed input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Int32Array} idx - index array
+* @param {integer} strideIdx - `idx` stride length
+* @param {NonNegativeInteger} offsetIdx - starting `idx` index
+* @param {Float32Array} y - dense input array
+* @param {integer} offsetY - index of the `y` element corresponding to an index value of `0`
+* @throws {RangeError} indices must resolve to elements of `y`
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define a sparse vector and a dense vector:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+* var idx = new Int32Array( [ 0, 2, 4 ] );
+* var y = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y, 0 );
+* // returns 22.0
+*/
+setReadOnly( Routine.prototype, 'ndarraySparse', function sdsdot( N, scalar, x, strideX, offsetX, idx, strideIdx, offsetIdx, y, offsetY ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input arrays to "pointers" in the module's memory, copying the dense array in its entirety, as the set of gathered elements is only known to the kernel:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, idx, strideIdx, offsetIdx ),
+		strided2object( y.length, y, 1, 0 )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Ensure that the kernel only gathers elements of the dense array:
+	assertIndices( this, N, p1.ptr, p1.stride, p1.offset, offsetY, y.length );
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarraySparse.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr, offsetY ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation.
+*
+* ## Notes
+*
+* -   Each sparse vector is represented by an array of non-zero values and a parallel array of indices, which share a stride. Indices must be sorted in strictly increasing order with respect to the order in which elements are indexed.
+* -   The method computes the sum of the scalar constant and the products of values having matching indices.
+*
+* @name mainSparseSparse
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {NonNegativeInteger} NX - number of non-zero elements in `x`
+* @param {NonNegativeInteger} NY - number of non-zero elements in `y`
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {Int32Array} idxX - first index array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {Int32Array} idxY - second index array
+* @param {integer} strideY - `y` stride length
+* @throws {RangeError} indices of `x` must be sorted in strictly increasing order
+* @throws {RangeError} indices of `y` must be sorted in strictly increasing order
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define two sparse vectors:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+* var ix = new Int32Array( [ 0, 3, 7 ] );
+* var y = new Float32Array( [ 4.0, 5.0, 6.0 ] );
+* var iy = new Int32Array( [ 3, 5, 7 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy, 1 );
+* // returns 26.0
+*/
+setReadOnly( Routine.prototype, 'mainSparseSparse', function sdsdot( NX, NY, scalar, x, idxX, strideX, y, idxY, strideY ) {
+	return this.ndarraySparseSparse( NX, NY, scalar, x, idxX, strideX, stride2offset( NX, strideX ), y, idxY, strideY, stride2offset( NY, strideY ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two sparse single-precision floating-point vectors with extended accumulation and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   Each sparse vector is represented by an array of non-zero values and a parallel array of indices, which share a stride and an offset. Indices must be sorted in strictly increasing order with respect to the order in which elements are indexed.
+* -   The method computes the sum of the scalar constant and the products of values having matching indices.
+*
+* @name ndarraySparseSparse
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {NonNegativeInteger} NX - number of non-zero elements in `x`
+* @param {NonNegativeInteger} NY - number of non-zero elements in `y`
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {Int32Array} idxX - first index array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {Int32Array} idxY - second index array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @throws {RangeError} indices of `x` must be sorted in strictly increasing order
+* @throws {RangeError} indices of `y` must be sorted in strictly increasing order
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Int32Array = require( '@stdlib/array-int32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define two sparse vectors:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+* var ix = new Int32Array( [ 0, 3, 7 ] );
+* var y = new Float32Array( [ 4.0, 5.0, 6.0 ] );
+* var iy = new Int32Array( [ 3, 5, 7 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, ix, 1, 0, y, iy, 1, 0 );
+* // returns 26.0
+*/
+setReadOnly( Routine.prototype, 'ndarraySparseSparse', function sdsdot( NX, NY, scalar, x, idxX, strideX, offsetX, y, idxY, strideY, offsetY ) {
+	var ptrs;
+	var px;
+	var pi;
+	var py;
+	var pj;
+	var ox;
+	var oi;
+	var oy;
+	var oj;
+
+	ox = strided2object( NX, x, strideX, offsetX );
+	oi = strided2object( NX, idxX, strideX, offsetX );
+	oy = strided2object( NY, y, strideY, offsetY );
+	oj = strided2object( NY, idxY, strideY, offsetY );
+
+	// As values and indices share a stride and an offset, which are only preserved when both arrays reside in module memory (as views or pinned arrays) or both arrays are copied, copy any array residing in module memory whose counterpart does not:
+	px = residence( this, x );
+	pi = residence( this, idxX );
+	py = residence( this, y );
+	pj = residence( this, idxY );
+	if ( ( px < 0 ) !== ( pi < 0 ) ) {
+		if ( px >= 0 ) {
+			ox = strided2object( NX, copyResident( this, NX, px, strideX, offsetX, Float32Array ), 1, 0 ); // eslint-disable-line max-len
+		} else {
+			oi = strided2object( NX, copyResident( this, NX, pi, strideX, offsetX, Int32Array ), 1, 0 ); // eslint-disable-line max-len
+		}
+	}
+	if ( ( py < 0 ) !== ( pj < 0 ) ) {
+		if ( py >= 0 ) {
+			oy = strided2object( NY, copyResident( this, NY, py, strideY, offsetY, Float32Array ), 1, 0 ); // eslint-disable-line max-len
+		} else {
+			oj = strided2object( NY, copyResident( this, NY, pj, strideY, offsetY, Int32Array ), 1, 0 ); // eslint-disable-line max-len
+		}
+	}
+	// Convert the input arrays to "pointers" in the module's memory, noting that positions within the copied arrays match positions within the provided arrays:
+	ptrs = arrays2ptrs( this, [ ox, oi, oy, oj ] );
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarraySparseSparse.call( this, NX, NY, scalar, ptrs[ 0 ].ptr, ptrs[ 1 ].ptr, ptrs[ 0 ].stride, ptrs[ 0 ].offset, ptrs[ 2 ].ptr, ptrs[ 3 ].ptr, ptrs[ 2 ].stride, ptrs[ 2 ].offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask.
+*
+* ## Notes
+*
+* -   If a mask array element is `0`, the corresponding elements in `x` and `y` are considered valid and included in computation.
+* -   If a mask array element is non-zero, the corresponding elements in `x` and `y` are considered invalid/missing and excluded from computation.
+*
+* @name mainMasked
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {Uint8Array} mask - mask array
+* @param {integer} strideMask - `mask` stride length
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+* var mask = new Uint8Array( [ 0, 1, 0, 0, 1 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask, 1 );
+* // returns 8.0
+*/
+setReadOnly( Routine.prototype, 'mainMasked', function sdsdot( N, scalar, x, strideX, y, strideY, mask, strideMask ) {
+	return this.ndarrayMasked( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ), mask, strideMask, stride2offset( N, strideMask ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a mask and using alternative indexing semantics.
+*
+* ## Notes
+*
+* -   If a mask array element is `0`, the corresponding elements in `x` and `y` are considered valid and included in computation.
+* -   If a mask array element is non-zero, the corresponding elements in `x` and `y` are considered invalid/missing and excluded from computation.
+*
+* @name ndarrayMasked
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Uint8Array} mask - mask array
+* @param {integer} strideMask - `mask` stride length
+* @param {NonNegativeInteger} offsetMask - starting `mask` index
+* @returns {number} dot product
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Uint8Array = require( '@stdlib/array-uint8' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+* var mask = new Uint8Array( [ 0, 1, 0, 0, 1 ] );
+*
+* // Perform operation:
+* var dot = sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, mask, 1, 0 );
+* // returns 8.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayMasked', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY, mask, strideMask, offsetMask ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( N, mask, strideMask, offsetMask )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	return Module.prototype.ndarrayMasked.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr, p2.stride, p2.offset ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy and writes the result, along with the number of skipped pairs, to an output array.
+*
+* ## Notes
+*
+* -   Supported policies:
+*
+*     -   `'propagate'`: include pairs containing `NaN` in computation, such that the result is `NaN`.
+*     -   `'ignore'`: exclude pairs containing `NaN` from computation.
+*     -   `'error'`: throw an error upon encountering a pair containing `NaN`.
+*
+* -   A pair is considered to contain `NaN` if either element is `NaN`. Infinities are treated as ordinary values.
+* -   The output array contains the dot product, rounded to single-precision, followed by the number of skipped pairs.
+*
+* @name mainNaN
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} policy - `NaN` handling policy
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {Float64Array} out - output array
+* @param {integer} strideOut - `out` stride length
+* @throws {TypeError} first argument must be a supported policy
+* @throws {RangeError} input arrays must not contain `NaN` values when the policy is `'error'`
+* @returns {Float64Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] );
+* var out = new Float64Array( 2 );
+*
+* // Perform operation:
+* var v = sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1 );
+* // returns <Float64Array>[ 8.0, 2.0 ]
+*/
+setReadOnly( Routine.prototype, 'mainNaN', function sdsdot( policy, N, scalar, x, strideX, y, strideY, out, strideOut ) {
+	return this.ndarrayNaN( policy, N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ), out, strideOut, stride2offset( 2, strideOut ) ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation according to a `NaN` handling policy using alternative indexing semantics and writes the result, along with the number of skipped pairs, to an output array.
+*
+* ## Notes
+*
+* -   Supported policies:
+*
+*     -   `'propagate'`: include pairs containing `NaN` in computation, such that the result is `NaN`.
+*     -   `'ignore'`: exclude pairs containing `NaN` from computation.
+*     -   `'error'`: throw an error upon encountering a pair containing `NaN`.
+*
+* -   A pair is considered to contain `NaN` if either element is `NaN`. Infinities are treated as ordinary values.
+* -   The output array contains the dot product, rounded to single-precision, followed by the number of skipped pairs.
+*
+* @name ndarrayNaN
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {string} policy - `NaN` handling policy
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Float64Array} out - output array
+* @param {integer} strideOut - `out` stride length
+* @param {NonNegativeInteger} offsetOut - starting `out` index
+* @throws {TypeError} first argument must be a supported policy
+* @throws {RangeError} input arrays must not contain `NaN` values when the policy is `'error'`
+* @returns {Float64Array} output array
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] );
+* var out = new Float64Array( 2 );
+*
+* // Perform operation:
+* var v = sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+* // returns <Float64Array>[ 8.0, 2.0 ]
+*/
+setReadOnly( Routine.prototype, 'ndarrayNaN', function sdsdot( policy, N, scalar, x, strideX, offsetX, y, strideY, offsetY, out, strideOut, offsetOut ) {
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input and output arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( 2, out, strideOut, offsetOut )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	Module.prototype.ndarrayNaN.call( this, policy, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr, p2.stride, p2.offset ); // eslint-disable-line max-len
+
+	// If output data was copied to module memory or resides in a pinned memory region, copy back to the output array:
+	if ( p2.copy || p2.pinned ) {
+		readDataView( 2, this.view, p2.stride*p2.BYTES_PER_ELEMENT, p2.ptr+(p2.offset*p2.BYTES_PER_ELEMENT), out, strideOut, offsetOut, true ); // eslint-disable-line max-len
+	}
+	return out;
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation, writes the result to an output array, and returns status flags describing the rounding of the result to single-precision.
+*
+* ## Notes
+*
+* -   The returned status is a bit mask having the following flags:
+*
+*     -   `1`: overflow. The double-precision accumulator is finite, but its magnitude exceeds the largest finite single-precision floating-point number, such that the result is infinite.
+*     -   `2`: underflow. The double-precision accumulator is non-zero, but its magnitude is less than the smallest normal single-precision floating-point number, such that the result is either zero or subnormal.
+*     -   `4`: inexact. The result differs from the double-precision accumulator (i.e., rounding to single-precision lost digits).
+*
+* -   A status of `0` indicates that the double-precision accumulator is exactly representable as a single-precision floating-point number (or is `NaN`).
+*
+* @name mainStatus
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {Float32Array} out - output array
+* @returns {NonNegativeInteger} status flags
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 16777216.0, 1.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0 ] );
+* var out = new Float32Array( 1 );
+*
+* // Perform operation:
+* var status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+* // returns 4
+*
+* var v = out[ 0 ];
+* // returns 16777216.0
+*/
+setReadOnly( Routine.prototype, 'mainStatus', function sdsdot( N, scalar, x, strideX, y, strideY, out ) {
+	return this.ndarrayStatus( N, scalar, x, strideX, stride2offset( N, strideX ), y, strideY, stride2offset( N, strideY ), out, 0 ); // eslint-disable-line max-len
+});
+
+/**
+* Computes the dot product of two single-precision floating-point vectors with extended accumulation using alternative indexing semantics, writes the result to an output array, and returns status flags describing the rounding of the result to single-precision.
+*
+* ## Notes
+*
+* -   The returned status is a bit mask having the following flags:
+*
+*     -   `1`: overflow. The double-precision accumulator is finite, but its magnitude exceeds the largest finite single-precision floating-point number, such that the result is infinite.
+*     -   `2`: underflow. The double-precision accumulator is non-zero, but its magnitude is less than the smallest normal single-precision floating-point number, such that the result is either zero or subnormal.
+*     -   `4`: inexact. The result differs from the double-precision accumulator (i.e., rounding to single-precision lost digits).
+*
+* -   A status of `0` indicates that the double-precision accumulator is exactly representable as a single-precision floating-point number (or is `NaN`).
+*
+* @name ndarrayStatus
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {PositiveInteger} N - number of indexed elements
+* @param {number} scalar - scalar constant to add to dot product
+* @param {Float32Array} x - first input array
+* @param {integer} strideX - `x` stride length
+* @param {NonNegativeInteger} offsetX - starting `x` index
+* @param {Float32Array} y - second input array
+* @param {integer} strideY - `y` stride length
+* @param {NonNegativeInteger} offsetY - starting `y` index
+* @param {Float32Array} out - output array
+* @param {NonNegativeInteger} offsetOut - `out` index at which to write the result
+* @returns {NonNegativeInteger} status flags
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 16777216.0, 1.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0 ] );
+* var out = new Float32Array( 1 );
+*
+* // Perform operation:
+* var status = sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, out, 0 );
+* // returns 4
+*
+* var v = out[ 0 ];
+* // returns 16777216.0
+*/
+setReadOnly( Routine.prototype, 'ndarrayStatus', function sdsdot( N, scalar, x, strideX, offsetX, y, strideY, offsetY, out, offsetOut ) {
+	var status;
+	var ptrs;
+	var p0;
+	var p1;
+	var p2;
+
+	// Convert the input and output arrays to "pointers" in the module's memory:
+	ptrs = arrays2ptrs( this, [
+		strided2object( N, x, strideX, offsetX ),
+		strided2object( N, y, strideY, offsetY ),
+		strided2object( 1, out, 1, offsetOut )
+	]);
+	p0 = ptrs[ 0 ];
+	p1 = ptrs[ 1 ];
+	p2 = ptrs[ 2 ];
+
+	// Perform computation by calling the corresponding parent method:
+	status = Module.prototype.ndarrayStatus.call( this, N, scalar, p0.ptr, p0.stride, p0.offset, p1.ptr, p1.stride, p1.offset, p2.ptr + ( p2.offset*p2.BYTES_PER_ELEMENT ) ); // eslint-disable-line max-len
+
+	// If output data was copied to module memory or resides in a pinned memory region, copy back to the output array:
+	if ( p2.copy || p2.pinned ) {
+		readDataView( 1, this.view, p2.BYTES_PER_ELEMENT, p2.ptr+(p2.offset*p2.BYTES_PER_ELEMENT), out, 1, offsetOut, true ); // eslint-disable-line max-len
+	}
+	return status;
+});
+
+/**
+* Pins an array to the routine's memory arena, such that the array remains resident in module memory across invocations.
+*
+* ## Notes
+*
+* -   Pinning an array copies the array's contents to a reserved region of module memory. When a pinned array is subsequently provided to a routine method, the array is resolved to its reserved region, and its contents are not copied.
+* -   As contents are only copied when pinning, if a pinned array is mutated, the array must be pinned again in order to update module memory. When the number of elements is unchanged, re-pinning an array reuses its reserved region.
+* -   When a pinned array is provided as an output array, results are written to the reserved region and copied back to the array.
+* -   Arrays which are views over module memory already reside in module memory and are left unchanged.
+* -   Empty arrays do not require module memory and are left unchanged (i.e., are not pinned).
+* -   The routine's memory arena only tracks regions reserved for pinned arrays and for allocations made using `malloc`. Accordingly, pinning an array may overwrite the contents of other views over module memory (e.g., views created at manually computed byte offsets). To ensure that pinning an array does not overwrite a view, create the view over a region allocated using `malloc`.
+* -   Pinning an array may reallocate module memory, resulting in `ArrayBuffer` detachment and the invalidation of any typed array views which were views of the previously allocated memory.
+*
+* @name pin
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {(TypedArray|ComplexTypedArray)} x - input array
+* @throws {TypeError} must provide a typed array
+* @throws {Error} unable to grow module memory
+* @returns {Routine} routine instance
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Define strided arrays:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* var y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+*
+* // Pin an array which is reused across invocations:
+* sdsdot.pin( y );
+*
+* // Perform operation:
+* var dot = sdsdot.main( x.length, 0.0, x, 1, y, 1 );
+* // returns 15.0
+*/
+setReadOnly( Routine.prototype, 'pin', function pin( x ) {
+	var region;
+	var nbytes;
+	var o;
+	if ( !isTypedArray( x ) && !isComplexTypedArray( x ) ) {
+		throw new TypeError( format( 'invalid argument. Must provide a typed array. Value: `%s`.', x ) );
+	}
+	if ( this.isView( x ) ) {
+		return this;
+	}
+	o = strided2object( x.length, x, 1, 0 );
+	o.BYTES_PER_ELEMENT = bytesPerElement( o.wdtype );
+	nbytes = o.length * o.BYTES_PER_ELEMENT;
+	if ( nbytes === 0 ) {
+		return this;
+	}
+
+	// Reserve a memory region, reusing an existing region if the array was previously pinned and has the same size:
+	region = this._arena.get( x );
+	if ( region === null || region.nbytes !== nbytes ) {
+		this._arena.free( x );
+		region = this._arena.alloc( x, nbytes );
+
+		// Grow module memory, if necessary, to hold the reserved region:
+		this.realloc( region.ptr+nbytes );
+		if ( this.memory.buffer.byteLength < region.ptr+nbytes ) {
+			this._arena.free( x );
+			throw new Error( format( 'invalid operation. Unable to grow module memory to accommodate pinning an array of %u bytes.', nbytes ) );
+		}
+	}
+	// Copy the array contents to the reserved region:
+	writeDataView( o.length, o.data, o.stride, o.offset, this.view, o.BYTES_PER_ELEMENT, region.ptr, true ); // eslint-disable-line max-len
+	return this;
+});
+
+/**
+* Unpins an array from the routine's memory arena, releasing its reserved region of module memory for reuse.
+*
+* ## Notes
+*
+* -   If an array is not pinned, the method is a no-op.
+*
+* @name unpin
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {(TypedArray|ComplexTypedArray)} x - input array
+* @returns {Routine} routine instance
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* // Pin an array:
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+* sdsdot.pin( x );
+*
+* // Unpin the array:
+* sdsdot.unpin( x );
+*
+* var bool = sdsdot.isPinned( x );
+* // returns false
+*/
+setReadOnly( Routine.prototype, 'unpin', function unpin( x ) {
+	this._arena.free( x );
+	return this;
+});
+
+/**
+* Tests whether an array is pinned to the routine's memory arena.
+*
+* @name isPinned
+* @memberof Routine.prototype
+* @readonly
+* @type {Function}
+* @param {*} x - input value
+* @returns {boolean} boolean indicating whether an array is pinned
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+*
+* // Create a new routine:
+* var sdsdot = new Routine();
+*
+* // Initialize the module:
+* sdsdot.initializeSync();
+*
+* var x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+*
+* var bool = sdsdot.isPinned( x );
+* // returns false
+*
+* sdsdot.pin( x );
+*
+* bool = sdsdot.isPinned( x );
+* // returns true
+*/
+setReadOnly( Routine.prototype, 'isPinned', function isPinned( x ) {
+	return ( this._arena.get( x ) !== null );
+});
+
 
 // EXPORTS //
 
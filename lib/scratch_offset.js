@@ -0,0 +1,123 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var ceil = require( '@stdlib/math-base-special-ceil' );
+
+
+// VARIABLES //
+
+// Byte alignment of the scratch space (matching the alignment of memory arena regions):
+var ALIGNMENT = 8;
+
+
+// FUNCTIONS //
+
+/**
+* Rounds a byte offset up to the nearest multiple of the scratch space alignment.
+*
+* @private
+* @param {NonNegativeInteger} ptr - byte offset
+* @returns {NonNegativeInteger} aligned byte offset
+*/
+function align( ptr ) {
+	return ceil( ptr/ALIGNMENT ) * ALIGNMENT;
+}
+
+/**
+* Comparison function for sorting memory extents in ascending order of byte offset.
+*
+* @private
+* @param {Array<NonNegativeInteger>} a - first memory extent
+* @param {Array<NonNegativeInteger>} b - second memory extent
+* @returns {integer} comparison result
+*/
+function ascending( a, b ) {
+	return a[ 0 ] - b[ 0 ];
+}
+
+
+// MAIN //
+
+/**
+* Returns the byte offset at which scratch space begins for a routine invocation.
+*
+* ## Notes
+*
+* -   Arrays which are views over module memory are accessed in place (i.e., without copying) and must not be overwritten when copying other arrays to module memory. Accordingly, scratch space begins at the first aligned byte offset following the memory regions reserved by the routine's memory arena for which the scratch space does not overlap any provided view.
+*
+* @private
+* @param {Routine} ctx - routine instance
+* @param {Array<Collection>} list - list of arrays provided to a routine invocation
+* @param {NonNegativeInteger} nbytes - scratch space size (in bytes)
+* @returns {NonNegativeInteger} byte offset
+*
+* @example
+* var Float32Array = require( '@stdlib/array-float32' );
+* var Routine = require( './routine.js' );
+*
+* var ctx = new Routine();
+* ctx.initializeSync();
+* ctx.realloc( 64 );
+*
+* var x = new Float32Array( ctx.memory.buffer, 8, 3 );
+*
+* var ptr = scratchOffset( ctx, [ x, new Float32Array( 3 ) ], 12 );
+* // returns 24
+*
+* ptr = scratchOffset( ctx, [ x, new Float32Array( 2 ) ], 8 );
+* // returns 0
+*/
+function scratchOffset( ctx, list, nbytes ) {
+	var views;
+	var out;
+	var end;
+	var x;
+	var i;
+
+	// Resolve the memory extents of any provided views, sorted by byte offset:
+	views = [];
+	for ( i = 0; i < list.length; i++ ) {
+		x = list[ i ];
+		if ( ctx.isView( x ) && x.byteLength > 0 ) {
+			views.push( [ x.byteOffset, x.byteOffset+x.byteLength ] );
+		}
+	}
+	views.sort( ascending );
+
+	// Find the first gap following reserved memory regions which is large enough to hold the scratch space...
+	out = ctx._arena.end();
+	for ( i = 0; i < views.length; i++ ) {
+		if ( out+nbytes <= views[ i ][ 0 ] ) {
+			break;
+		}
+		end = align( views[ i ][ 1 ] );
+		if ( end > out ) {
+			out = end;
+		}
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = scratchOffset;
@@ -0,0 +1,94 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var workerThreads = require( 'worker_threads' );
+var Module = require( './module.js' );
+
+
+// VARIABLES //
+
+var parentPort = workerThreads.parentPort;
+
+// Each worker thread instantiates its own module on the shared memory instance:
+var mod = new Module( workerThreads.workerData.memory );
+
+
+// FUNCTIONS //
+
+/**
+* Callback invoked upon receiving a message from the parent thread.
+*
+* @private
+* @param {Object} job - job description
+* @param {NonNegativeInteger} job.id - job identifier
+* @param {NonNegativeInteger} job.index - chunk index
+* @param {string} job.type - task type (either `'dot'`, `'absmax'`, or `'binned'`)
+* @param {PositiveInteger} job.N - number of indexed elements in the chunk
+* @param {NonNegativeInteger} job.xptr - first input array pointer (i.e., byte offset)
+* @param {integer} job.strideX - `x` stride length
+* @param {NonNegativeInteger} job.offsetX - starting `x` index
+* @param {NonNegativeInteger} job.yptr - second input array pointer (i.e., byte offset)
+* @param {integer} job.strideY - `y` stride length
+* @param {NonNegativeInteger} job.offsetY - starting `y` index
+* @param {number} job.max - maximum absolute product over all chunks (`'binned'` tasks only)
+* @param {PositiveInteger} job.total - total number of indexed elements over all chunks (`'binned'` tasks only)
+* @returns {void}
+*/
+function onMessage( job ) {
+	var exports;
+	var v;
+	try {
+		if ( job.type === 'absmax' ) {
+			exports = mod._instance.exports;
+			v = exports.c_sdsdot_absmax_ndarray( job.N, job.xptr, job.strideX, job.offsetX, job.yptr, job.strideY, job.offsetY ); // eslint-disable-line max-len
+		} else if ( job.type === 'binned' ) {
+			exports = mod._instance.exports;
+			v = exports.c_sdsdot_binned_ndarray( job.N, job.max, job.total, job.xptr, job.strideX, job.offsetX, job.yptr, job.strideY, job.offsetY ); // eslint-disable-line max-len
+		} else {
+			v = mod.ndarrayDouble( job.N, 0.0, job.xptr, job.strideX, job.offsetX, job.yptr, job.strideY, job.offsetY ); // eslint-disable-line max-len
+		}
+	} catch ( err ) {
+		// Report kernel errors (e.g., out-of-bounds memory accesses) to the parent thread, rather than letting them terminate the worker:
+		return parentPort.postMessage({
+			'id': job.id,
+			'index': job.index,
+			'error': {
+				'name': err.name,
+				'message': err.message
+			}
+		});
+	}
+	parentPort.postMessage({
+		'id': job.id,
+		'index': job.index,
+		'value': v
+	});
+}
+
+
+// MAIN //
+
+mod.initializeSync();
+
+parentPort.on( 'message', onMessage );
@@ -31,9 +31,15 @@ var currentYear = require( '@stdlib/time-current-year' );
 
 // VARIABLES //
 
-var wpath = resolve( __dirname, '..', 'src', 'main.wasm' );
 var tpath = resolve( __dirname, 'template.txt' );
-var opath = resolve( __dirname, '..', 'lib', 'binary.browser.js' );
+
+// List of WebAssembly binaries and their corresponding inline builds:
+var TARGETS = [
+	[ resolve( __dirname, '..', 'src', 'main.wasm' ), resolve( __dirname, '..', 'lib', 'binary.scalar.browser.js' ) ],
+	[ resolve( __dirname, '..', 'src', 'main.simd.wasm' ), resolve( __dirname, '..', 'lib', 'binary.simd.browser.js' ) ],
+	[ resolve( __dirname, '..', 'src', 'main.shared.wasm' ), resolve( __dirname, '..', 'lib', 'binary.shared.scalar.browser.js' ) ],
+	[ resolve( __dirname, '..', 'src', 'main.simd.shared.wasm' ), resolve( __dirname, '..', 'lib', 'binary.shared.simd.browser.js' ) ]
+];
 
 var opts = {
 	'encoding': 'utf8'
@@ -53,14 +59,17 @@ var YEAR = '{{YEAR}}';
 function main() {
 	var wasm;
 	var tmpl;
+	var out;
+	var i;
 
-	wasm = readFile( wpath );
 	tmpl = readFile( tpath, opts );
-
 	tmpl = replace( tmpl, YEAR, currentYear().toString() );
-	tmpl = replace( tmpl, PLACEHOLDER, wasm.toString( 'base64' ) );
 
-	writeFile( opath, tmpl, opts );
+	for ( i = 0; i < TARGETS.length; i++ ) {
+		wasm = readFile( TARGETS[ i ][ 0 ] );
+		out = replace( tmpl, PLACEHOLDER, wasm.toString( 'base64' ) );
+		writeFile( TARGETS[ i ][ 1 ], out, opts );
+	}
 }
 
 main();
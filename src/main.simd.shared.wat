@@ -0,0 +1,2993 @@
+;; @license Apache-2.0
+;;
+;; Copyright (c) 2025 The Stdlib Authors.
+;;
+;; Licensed under the Apache License, Version 2.0 (the "License");
+;; you may not use this file except in compliance with the License.
+;; You may obtain a copy of the License at
+;;
+;;    http://www.apache.org/licenses/LICENSE-2.0
+;;
+;; Unless required by applicable law or agreed to in writing, software
+;; distributed under the License is distributed on an "AS IS" BASIS,
+;; WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+;; See the License for the specific language governing permissions and
+;; limitations under the License.
+
+
+(module
+  (type (;0;) (func))
+  (type (;1;) (func (param i32 f32 i32 i32 i32 i32) (result f32)))
+  (type (;2;) (func (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;3;) (func (param i32 f32 i32 i32 i32 i32) (result f64)))
+  (type (;4;) (func (param i32 f32 i32 i32 i32 i32 i32 i32) (result f64)))
+  (type (;5;) (func (param i32 f32 i32 i32 i32 f32 i32 i32 i32 f32) (result f32)))
+  (type (;6;) (func (param i32 f32 i32 i32 i32 i32 f32 i32 i32 i32 i32 f32) (result f32)))
+  (type (;7;) (func (param i32 f32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;8;) (func (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;9;) (func (param i32 i32 i32 i32 i32 i32)))
+  (type (;10;) (func (param i32 i32 i32 i32 i32 i32 i32 i32)))
+  (type (;11;) (func (param i32 f32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;12;) (func (param i32 f32 i32 i32 i32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;13;) (func (param i32 i32 f32 i32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;14;) (func (param i32 i32 f32 i32 i32 i32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;15;) (func (param i32 i32 i32 i32) (result i32)))
+  (type (;16;) (func (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;17;) (func (param i32 f32 i32 i32 i32 i32 i32 i32 i32 i32 i32) (result f32)))
+  (type (;18;) (func (param i32 i32) (result i32)))
+  (type (;19;) (func (param i32)))
+  (type (;20;) (func (param i32 f64)))
+  (type (;21;) (func (param i32 i32) (result f64)))
+  (type (;22;) (func (param i32 f32 i32 i32 i32 i32 i32) (result f64)))
+  (type (;23;) (func (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f64)))
+  (type (;24;) (func (param i32 f32 i32 i32 i32 i32 i32 i32) (result f64 f64)))
+  (type (;25;) (func (param i32 f32 i32 i32 i32 i32 i32 i32)))
+  (type (;26;) (func (param i32 f32 i32 i32 i32 i32 i32 i32 i32 i32 i32)))
+  (type (;27;) (func (param i32 i32 i32 i32 i32 i32 i32 i32 i32 i32)))
+  (type (;28;) (func (param i32 i32 i32 i32 i32 i32 i32 i32 i32 i32 i32 i32)))
+  (type (;29;) (func (param i32 i32 i32 i32 i32 i32 i32) (result f64)))
+  (type (;30;) (func (param i32) (result f64)))
+  (type (;31;) (func (param i32 f64 i32 i32 i32 i32 i32 i32 i32) (result f64 f64 f64)))
+  (type (;32;) (func (param i32 i32 f32 i32 i32 i32 i32 i32 i32) (result f64)))
+  (type (;33;) (func (param i32 i32 i32 i32 i32 i32 i32 i32 i32 i32) (result i64)))
+  (type (;34;) (func (param i64 f32 f32 f32) (result f32)))
+  (type (;35;) (func (param i32 i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f64)))
+  (type (;36;) (func (param i32 i32 i32 i32 i32 i32 i32 i32 i32)))
+  (type (;37;) (func (param i32 i32 f32 i32 i32 i32 i32 i32 i32) (result i32)))
+  (type (;38;) (func (param i32 i32 f32 i32 i32 i32 i32 i32 i32 i32 i32 i32) (result i32)))
+  (type (;39;) (func (param i32 f32 i32 i32 i32 i32 i32) (result i32)))
+  (type (;40;) (func (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result i32)))
+  (import "env" "memory" (memory (;0;) 0 65536 shared))
+  (func (;0;) (type 0)
+    nop)
+  (func (;1;) (type 18) (param i32 i32) (result i32)
+    i32.const 1
+    local.get 0
+    i32.sub
+    local.get 1
+    i32.mul
+    i32.const 0
+    local.get 1
+    i32.const 0
+    i32.le_s
+    select)
+  (func (;2;) (type 1) (param i32 f32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 3)
+  (func (;3;) (type 2) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 5
+    f32.demote_f64)
+  (func (;4;) (type 3) (param i32 f32 i32 i32 i32 i32) (result f64)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 5)
+  (func (;5;) (type 4) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f64)
+    (local i32 i32 f64 v128 v128 v128 v128)
+    local.get 1
+    f64.promote_f32
+    local.set 10
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 10
+      return
+    end
+    local.get 3
+    i32.const 1
+    i32.eq
+    local.get 6
+    i32.const 1
+    i32.eq
+    i32.and
+    if  ;; label = @1
+      local.get 0
+      i32.const 3
+      i32.and
+      local.set 9
+      block  ;; label = @2
+        loop  ;; label = @3
+          local.get 8
+          local.get 9
+          i32.eq
+          br_if 1 (;@2;)
+          local.get 2
+          local.get 4
+          i32.const 2
+          i32.shl
+          i32.add
+          f32.load
+          f64.promote_f32
+          local.get 5
+          local.get 7
+          i32.const 2
+          i32.shl
+          i32.add
+          f32.load
+          f64.promote_f32
+          f64.mul
+          local.get 10
+          f64.add
+          local.set 10
+          local.get 8
+          i32.const 1
+          i32.add
+          local.set 8
+          local.get 4
+          i32.const 1
+          i32.add
+          local.set 4
+          local.get 7
+          i32.const 1
+          i32.add
+          local.set 7
+          br 0 (;@3;)
+        end
+      end
+      local.get 0
+      i32.const 4
+      i32.lt_s
+      if  ;; label = @2
+        local.get 10
+        return
+      end
+      f64.const 0x0p+0 (;=0;)
+      f64x2.splat
+      local.set 13
+      f64.const 0x0p+0 (;=0;)
+      f64x2.splat
+      local.set 14
+      block  ;; label = @2
+        loop  ;; label = @3
+          local.get 8
+          local.get 0
+          i32.ge_s
+          br_if 1 (;@2;)
+          local.get 2
+          local.get 4
+          i32.const 2
+          i32.shl
+          i32.add
+          v128.load align=4
+          local.set 11
+          local.get 5
+          local.get 7
+          i32.const 2
+          i32.shl
+          i32.add
+          v128.load align=4
+          local.set 12
+          local.get 13
+          local.get 11
+          f64x2.promote_low_f32x4
+          local.get 12
+          f64x2.promote_low_f32x4
+          f64x2.mul
+          f64x2.add
+          local.set 13
+          local.get 14
+          local.get 11
+          local.get 11
+          i8x16.shuffle 8 9 10 11 12 13 14 15 0 1 2 3 4 5 6 7
+          f64x2.promote_low_f32x4
+          local.get 12
+          local.get 12
+          i8x16.shuffle 8 9 10 11 12 13 14 15 0 1 2 3 4 5 6 7
+          f64x2.promote_low_f32x4
+          f64x2.mul
+          f64x2.add
+          local.set 14
+          local.get 8
+          i32.const 4
+          i32.add
+          local.set 8
+          local.get 4
+          i32.const 4
+          i32.add
+          local.set 4
+          local.get 7
+          i32.const 4
+          i32.add
+          local.set 7
+          br 0 (;@3;)
+        end
+      end
+      local.get 13
+      local.get 14
+      f64x2.add
+      local.set 13
+      local.get 10
+      local.get 13
+      f64x2.extract_lane 0
+      local.get 13
+      f64x2.extract_lane 1
+      f64.add
+      f64.add
+      return
+    end
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 8
+        local.get 0
+        i32.eq
+        br_if 1 (;@1;)
+        local.get 2
+        local.get 4
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 5
+        local.get 7
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        local.get 10
+        f64.add
+        local.set 10
+        local.get 8
+        i32.const 1
+        i32.add
+        local.set 8
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        br 0 (;@2;)
+      end
+    end
+    local.get 10)
+  (func (;6;) (type 1) (param i32 f32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 7)
+  (func (;7;) (type 2) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    (local i32 f64 f64 f64 f64)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 1
+    f64.promote_f32
+    local.set 9
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 8
+        local.get 0
+        i32.eq
+        br_if 1 (;@1;)
+        local.get 2
+        local.get 4
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 5
+        local.get 7
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        local.set 11
+        local.get 9
+        local.get 11
+        f64.add
+        local.set 12
+        local.get 9
+        f64.abs
+        local.get 11
+        f64.abs
+        f64.ge
+        if  ;; label = @3
+          local.get 10
+          local.get 9
+          local.get 12
+          f64.sub
+          local.get 11
+          f64.add
+          f64.add
+          local.set 10
+        else
+          local.get 10
+          local.get 11
+          local.get 12
+          f64.sub
+          local.get 9
+          f64.add
+          f64.add
+          local.set 10
+        end
+        local.get 12
+        local.set 9
+        local.get 8
+        i32.const 1
+        i32.add
+        local.set 8
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        br 0 (;@2;)
+      end
+    end
+    local.get 9
+    local.get 10
+    f64.const 0x0p+0 (;=0;)
+    local.get 9
+    local.get 9
+    f64.sub
+    f64.const 0x0p+0 (;=0;)
+    f64.eq
+    select
+    f64.add
+    f32.demote_f64)
+  (func (;8;) (type 19) (param i32)
+    (local i32)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 1
+        i32.const 168
+        i32.eq
+        br_if 1 (;@1;)
+        local.get 0
+        local.get 1
+        i32.add
+        i64.const 0
+        i64.store
+        local.get 1
+        i32.const 8
+        i32.add
+        local.set 1
+        br 0 (;@2;)
+      end
+    end)
+  (func (;9;) (type 20) (param i32 f64)
+    (local i64 i32 i64 i32 i64 i32 i64 i64 i64)
+    local.get 1
+    i64.reinterpret_f64
+    local.set 2
+    local.get 2
+    i64.const 52
+    i64.shr_u
+    i64.const 2047
+    i64.and
+    i32.wrap_i64
+    local.set 3
+    local.get 3
+    i32.const 2047
+    i32.eq
+    if  ;; label = @1
+      local.get 0
+      local.get 0
+      f64.load offset=160
+      local.get 1
+      f64.add
+      f64.store offset=160
+      return
+    end
+    local.get 2
+    i64.const 4503599627370495
+    i64.and
+    local.set 4
+    local.get 3
+    i32.eqz
+    if  ;; label = @1
+      local.get 4
+      i64.eqz
+      if  ;; label = @2
+        return
+      end
+      i32.const 1
+      local.set 3
+    else
+      local.get 4
+      i64.const 4503599627370496
+      i64.or
+      local.set 4
+    end
+    local.get 3
+    i32.const 755
+    i32.sub
+    local.set 5
+    local.get 5
+    i32.const 0
+    i32.lt_s
+    if  ;; label = @1
+      local.get 5
+      i32.const -63
+      i32.lt_s
+      if  ;; label = @2
+        return
+      end
+      local.get 4
+      i32.const 0
+      local.get 5
+      i32.sub
+      i64.extend_i32_u
+      i64.shr_u
+      local.set 4
+      i32.const 0
+      local.set 5
+    end
+    local.get 5
+    i32.const 31
+    i32.and
+    i64.extend_i32_u
+    local.set 6
+    local.get 4
+    local.get 6
+    i64.shl
+    i64.const 4294967295
+    i64.and
+    local.set 8
+    local.get 4
+    i64.const 32
+    local.get 6
+    i64.sub
+    i64.shr_u
+    local.set 9
+    local.get 9
+    i64.const 32
+    i64.shr_u
+    local.set 10
+    local.get 9
+    i64.const 4294967295
+    i64.and
+    local.set 9
+    local.get 2
+    i64.const 0
+    i64.lt_s
+    if  ;; label = @1
+      i64.const 0
+      local.get 8
+      i64.sub
+      local.set 8
+      i64.const 0
+      local.get 9
+      i64.sub
+      local.set 9
+      i64.const 0
+      local.get 10
+      i64.sub
+      local.set 10
+    end
+    local.get 0
+    local.get 5
+    i32.const 5
+    i32.shr_u
+    i32.const 3
+    i32.shl
+    i32.add
+    local.set 7
+    local.get 7
+    local.get 7
+    i64.load
+    local.get 8
+    i64.add
+    i64.store
+    local.get 7
+    local.get 7
+    i64.load offset=8
+    local.get 9
+    i64.add
+    i64.store offset=8
+    local.get 7
+    local.get 7
+    i64.load offset=16
+    local.get 10
+    i64.add
+    i64.store offset=16)
+  (func (;10;) (type 19) (param i32)
+    (local i32 i32 i64 i64)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 1
+        i32.const 19
+        i32.eq
+        br_if 1 (;@1;)
+        local.get 0
+        local.get 1
+        i32.const 3
+        i32.shl
+        i32.add
+        local.set 2
+        local.get 2
+        i64.load
+        local.get 4
+        i64.add
+        local.set 3
+        local.get 2
+        local.get 3
+        i64.const 4294967295
+        i64.and
+        i64.store
+        local.get 3
+        i64.const 32
+        i64.shr_s
+        local.set 4
+        local.get 1
+        i32.const 1
+        i32.add
+        local.set 1
+        br 0 (;@2;)
+      end
+    end
+    local.get 0
+    local.get 0
+    i64.load offset=152
+    local.get 4
+    i64.add
+    i64.store offset=152)
+  (func (;11;) (type 19) (param i32)
+    (local i32 i32)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 1
+        i32.const 19
+        i32.eq
+        br_if 1 (;@1;)
+        local.get 0
+        local.get 1
+        i32.const 3
+        i32.shl
+        i32.add
+        local.set 2
+        local.get 2
+        local.get 2
+        i64.load
+        i64.const 4294967295
+        i64.xor
+        i64.store
+        local.get 1
+        i32.const 1
+        i32.add
+        local.set 1
+        br 0 (;@2;)
+      end
+    end
+    local.get 0
+    local.get 0
+    i64.load offset=152
+    i64.const -1
+    i64.xor
+    i64.store offset=152
+    local.get 0
+    local.get 0
+    i64.load
+    i64.const 1
+    i64.add
+    i64.store
+    local.get 0
+    call 10)
+  (func (;12;) (type 21) (param i32 i32) (result f64)
+    (local f64 i32 i32 i32 i64 i64 i64 i64 i64 i32 i32 f64)
+    local.get 0
+    f64.load offset=160
+    local.set 2
+    local.get 2
+    f64.const 0x0p+0 (;=0;)
+    f64.ne
+    if  ;; label = @1
+      local.get 2
+      return
+    end
+    local.get 0
+    i64.load offset=152
+    i64.const 0
+    i64.lt_s
+    local.set 3
+    local.get 3
+    if  ;; label = @1
+      local.get 0
+      call 11
+    end
+    i32.const 19
+    local.set 4
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 0
+        local.get 4
+        i32.const 3
+        i32.shl
+        i32.add
+        local.set 5
+        local.get 5
+        i64.load
+        i64.const 0
+        i64.ne
+        br_if 1 (;@1;)
+        local.get 4
+        i32.eqz
+        if  ;; label = @3
+          f64.const 0x0p+0 (;=0;)
+          return
+        end
+        local.get 4
+        i32.const 1
+        i32.sub
+        local.set 4
+        br 0 (;@2;)
+      end
+    end
+    local.get 5
+    i64.load
+    local.set 6
+    local.get 4
+    i32.const 1
+    i32.ge_s
+    if  ;; label = @1
+      local.get 5
+      i32.const 8
+      i32.sub
+      i64.load
+      local.set 7
+    end
+    local.get 4
+    i32.const 2
+    i32.ge_s
+    if  ;; label = @1
+      local.get 5
+      i32.const 16
+      i32.sub
+      i64.load
+      local.set 8
+    end
+    local.get 6
+    i64.clz
+    i64.const 32
+    i64.sub
+    local.set 9
+    local.get 6
+    local.get 9
+    i64.const 32
+    i64.add
+    i64.shl
+    local.get 7
+    local.get 9
+    i64.shl
+    i64.or
+    local.get 8
+    i64.const 32
+    local.get 9
+    i64.sub
+    i64.shr_u
+    i64.or
+    local.set 10
+    local.get 8
+    local.get 9
+    i64.shl
+    i64.const 4294967295
+    i64.and
+    i64.const 0
+    i64.ne
+    local.set 11
+    local.get 5
+    i32.const 24
+    i32.sub
+    local.set 5
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 5
+        local.get 0
+        i32.lt_s
+        br_if 1 (;@1;)
+        local.get 11
+        local.get 5
+        i64.load
+        i64.const 0
+        i64.ne
+        i32.or
+        local.set 11
+        local.get 5
+        i32.const 8
+        i32.sub
+        local.set 5
+        br 0 (;@2;)
+      end
+    end
+    local.get 10
+    local.get 11
+    i64.extend_i32_u
+    i64.or
+    local.set 10
+    local.get 4
+    i32.const 1
+    i32.sub
+    i32.const 5
+    i32.shl
+    local.get 9
+    i32.wrap_i64
+    i32.sub
+    i32.const 320
+    i32.sub
+    local.set 12
+    local.get 1
+    if  ;; label = @1
+      local.get 10
+      i64.const 11
+      i64.shr_u
+      local.get 10
+      i64.const 2047
+      i64.and
+      i64.const 0
+      i64.ne
+      i64.extend_i32_u
+      i64.or
+      local.set 10
+      local.get 12
+      i32.const 11
+      i32.add
+      local.set 12
+    end
+    local.get 10
+    f64.convert_i64_u
+    local.get 12
+    i32.const 1023
+    i32.add
+    i64.extend_i32_u
+    i64.const 52
+    i64.shl
+    f64.reinterpret_i64
+    f64.mul
+    local.set 13
+    local.get 3
+    if  ;; label = @1
+      local.get 0
+      call 11
+      local.get 13
+      f64.neg
+      local.set 13
+    end
+    local.get 13)
+  (func (;13;) (type 10) (param i32 i32 i32 i32 i32 i32 i32 i32)
+    (local i32)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 8
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 7
+        local.get 1
+        local.get 3
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 4
+        local.get 6
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        call 9
+        local.get 8
+        i32.const 1
+        i32.add
+        local.set 8
+        local.get 3
+        local.get 2
+        i32.add
+        local.set 3
+        local.get 6
+        local.get 5
+        i32.add
+        local.set 6
+        br 0 (;@2;)
+      end
+    end
+    local.get 7
+    call 10)
+  (func (;14;) (type 7) (param i32 f32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    call 15)
+  (func (;15;) (type 8) (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 8
+    call 8
+    local.get 8
+    local.get 1
+    f64.promote_f32
+    call 9
+    local.get 0
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    local.get 8
+    call 13
+    local.get 8
+    i32.const 1
+    call 12
+    f32.demote_f64)
+  (func (;16;) (type 22) (param i32 f32 i32 i32 i32 i32 i32) (result f64)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    call 17)
+  (func (;17;) (type 23) (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f64)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      f64.promote_f32
+      return
+    end
+    local.get 8
+    call 8
+    local.get 8
+    local.get 1
+    f64.promote_f32
+    call 9
+    local.get 0
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    local.get 8
+    call 13
+    local.get 8
+    i32.const 0
+    call 12)
+  (func (;18;) (type 1) (param i32 f32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 20)
+  (func (;19;) (type 24) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f64 f64)
+    (local i32 f64 f64 f64 f64 f64)
+    local.get 1
+    f64.promote_f32
+    local.set 9
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 8
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 2
+        local.get 4
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 5
+        local.get 7
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        local.set 11
+        local.get 9
+        local.get 11
+        f64.add
+        local.set 12
+        local.get 12
+        local.get 9
+        f64.sub
+        local.set 13
+        local.get 10
+        local.get 9
+        local.get 12
+        local.get 13
+        f64.sub
+        f64.sub
+        local.get 11
+        local.get 13
+        f64.sub
+        f64.add
+        f64.add
+        local.set 10
+        local.get 12
+        local.set 9
+        local.get 8
+        i32.const 1
+        i32.add
+        local.set 8
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        br 0 (;@2;)
+      end
+    end
+    local.get 9
+    local.get 10
+    f64.const 0x0p+0 (;=0;)
+    local.get 9
+    local.get 9
+    f64.sub
+    f64.const 0x0p+0 (;=0;)
+    f64.eq
+    select)
+  (func (;20;) (type 2) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 19
+    f64.add
+    f32.demote_f64)
+  (func (;21;) (type 25) (param i32 f32 i32 i32 i32 i32 i32 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    local.get 7
+    i32.const 2
+    local.get 7
+    call 1
+    call 22)
+  (func (;22;) (type 26) (param i32 f32 i32 i32 i32 i32 i32 i32 i32 i32 i32)
+    (local f64 f64 f64 f64 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 19
+    local.set 12
+    local.set 11
+    local.get 11
+    local.get 12
+    f64.add
+    local.set 13
+    local.get 13
+    local.get 11
+    f64.sub
+    local.set 14
+    local.get 8
+    local.get 10
+    i32.const 3
+    i32.shl
+    i32.add
+    local.set 15
+    local.get 15
+    local.get 13
+    f64.store
+    local.get 15
+    local.get 9
+    i32.const 3
+    i32.shl
+    i32.add
+    local.get 11
+    local.get 13
+    local.get 14
+    f64.sub
+    f64.sub
+    local.get 12
+    local.get 14
+    f64.sub
+    f64.add
+    f64.const 0x0p+0 (;=0;)
+    local.get 13
+    local.get 13
+    f64.sub
+    f64.const 0x0p+0 (;=0;)
+    f64.eq
+    select
+    f64.store)
+  (func (;23;) (type 27) (param i32 i32 i32 i32 i32 i32 i32 i32 i32 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 1
+    local.get 4
+    call 1
+    local.get 0
+    local.get 5
+    call 1
+    i32.add
+    local.get 6
+    local.get 7
+    local.get 8
+    local.get 1
+    local.get 7
+    call 1
+    local.get 0
+    local.get 8
+    call 1
+    i32.add
+    local.get 9
+    call 24)
+  (func (;24;) (type 28) (param i32 i32 i32 i32 i32 i32 i32 i32 i32 i32 i32 i32)
+    (local i32)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 12
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 11
+        local.get 12
+        i32.const 2
+        i32.shl
+        i32.add
+        local.get 1
+        local.get 2
+        local.get 12
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        local.get 3
+        local.get 4
+        local.get 6
+        local.get 7
+        local.get 8
+        local.get 10
+        call 3
+        f32.store
+        local.get 12
+        i32.const 1
+        i32.add
+        local.set 12
+        local.get 6
+        local.get 5
+        i32.add
+        local.set 6
+        local.get 10
+        local.get 9
+        i32.add
+        local.set 10
+        br 0 (;@2;)
+      end
+    end)
+  (func (;25;) (type 29) (param i32 i32 i32 i32 i32 i32 i32) (result f64)
+    (local i32 f64)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 7
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 8
+        local.get 1
+        local.get 3
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 4
+        local.get 6
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        f64.abs
+        f64.max
+        local.set 8
+        local.get 7
+        i32.const 1
+        i32.add
+        local.set 7
+        local.get 3
+        local.get 2
+        i32.add
+        local.set 3
+        local.get 6
+        local.get 5
+        i32.add
+        local.set 6
+        br 0 (;@2;)
+      end
+    end
+    local.get 8)
+  (func (;26;) (type 30) (param i32) (result f64)
+    local.get 0
+    i32.const 1023
+    i32.add
+    i64.extend_i32_s
+    i64.const 52
+    i64.shl
+    i64.const 2251799813685248
+    i64.or
+    f64.reinterpret_i64)
+  (func (;27;) (type 31) (param i32 f64 i32 i32 i32 i32 i32 i32 i32) (result f64 f64 f64)
+    (local i32 i32 i32 f64 f64 f64 f64 f64 f64 f64 f64)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    local.get 1
+    f64.const 0x0p+0 (;=0;)
+    f64.eq
+    i32.or
+    if  ;; label = @1
+      f64.const 0x0p+0 (;=0;)
+      f64.const 0x0p+0 (;=0;)
+      f64.const 0x0p+0 (;=0;)
+      return
+    end
+    local.get 1
+    local.get 1
+    f64.sub
+    f64.const 0x0p+0 (;=0;)
+    f64.ne
+    if  ;; label = @1
+      block  ;; label = @2
+        loop  ;; label = @3
+          local.get 9
+          local.get 0
+          i32.eq
+          br_if 1 (;@2;)
+          local.get 17
+          local.get 3
+          local.get 5
+          i32.const 2
+          i32.shl
+          i32.add
+          f32.load
+          f64.promote_f32
+          local.get 6
+          local.get 8
+          i32.const 2
+          i32.shl
+          i32.add
+          f32.load
+          f64.promote_f32
+          f64.mul
+          f64.add
+          local.set 17
+          local.get 9
+          i32.const 1
+          i32.add
+          local.set 9
+          local.get 5
+          local.get 4
+          i32.add
+          local.set 5
+          local.get 8
+          local.get 7
+          i32.add
+          local.set 8
+          br 0 (;@3;)
+        end
+      end
+      local.get 17
+      f64.const 0x0p+0 (;=0;)
+      f64.const 0x0p+0 (;=0;)
+      return
+    end
+    i32.const 33
+    local.get 2
+    i32.const 1
+    i32.sub
+    i32.clz
+    i32.sub
+    local.set 10
+    local.get 1
+    i64.reinterpret_f64
+    i64.const 52
+    i64.shr_u
+    i32.wrap_i64
+    i32.const 1022
+    i32.sub
+    local.get 10
+    i32.add
+    local.set 11
+    local.get 11
+    call 26
+    local.set 14
+    local.get 11
+    i32.const 52
+    i32.sub
+    local.get 10
+    i32.add
+    local.set 11
+    local.get 11
+    call 26
+    local.set 15
+    local.get 11
+    i32.const 52
+    i32.sub
+    local.get 10
+    i32.add
+    local.set 11
+    local.get 11
+    call 26
+    local.set 16
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 9
+        local.get 0
+        i32.eq
+        br_if 1 (;@1;)
+        local.get 3
+        local.get 5
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 6
+        local.get 8
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        local.set 12
+        local.get 14
+        local.get 12
+        f64.add
+        local.get 14
+        f64.sub
+        local.set 13
+        local.get 17
+        local.get 13
+        f64.add
+        local.set 17
+        local.get 12
+        local.get 13
+        f64.sub
+        local.set 12
+        local.get 15
+        local.get 12
+        f64.add
+        local.get 15
+        f64.sub
+        local.set 13
+        local.get 18
+        local.get 13
+        f64.add
+        local.set 18
+        local.get 12
+        local.get 13
+        f64.sub
+        local.set 12
+        local.get 16
+        local.get 12
+        f64.add
+        local.get 16
+        f64.sub
+        local.set 13
+        local.get 19
+        local.get 13
+        f64.add
+        local.set 19
+        local.get 9
+        i32.const 1
+        i32.add
+        local.set 9
+        local.get 5
+        local.get 4
+        i32.add
+        local.set 5
+        local.get 8
+        local.get 7
+        i32.add
+        local.set 8
+        br 0 (;@2;)
+      end
+    end
+    local.get 17
+    local.get 18
+    local.get 19)
+  (func (;28;) (type 1) (param i32 f32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 29)
+  (func (;29;) (type 2) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    (local f64 f64 f64)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 0
+    local.get 0
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 25
+    local.get 0
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 27
+    local.set 10
+    local.set 9
+    local.set 8
+    local.get 1
+    f64.promote_f32
+    local.get 8
+    local.get 9
+    local.get 10
+    f64.add
+    f64.add
+    f64.add
+    f32.demote_f64)
+  (func (;30;) (type 25) (param i32 f32 i32 i32 i32 i32 i32 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    local.get 7
+    i32.const 4
+    local.get 7
+    call 1
+    call 31)
+  (func (;31;) (type 26) (param i32 f32 i32 i32 i32 i32 i32 i32 i32 i32 i32)
+    (local i32 f64 f64 f64 f64 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 5
+    local.set 12
+    local.get 1
+    f64.promote_f32
+    f64.abs
+    local.set 13
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 11
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 13
+        local.get 2
+        local.get 4
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 5
+        local.get 7
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        f64.abs
+        f64.add
+        local.set 13
+        local.get 11
+        i32.const 1
+        i32.add
+        local.set 11
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        br 0 (;@2;)
+      end
+    end
+    local.get 0
+    i32.const 0
+    i32.gt_s
+    if  ;; label = @1
+      local.get 0
+      f64.convert_i32_s
+      f64.const 0x1p-53 (;=1.11022e-16;)
+      f64.mul
+      local.set 14
+      local.get 14
+      f64.const 0x1p+0 (;=1;)
+      local.get 14
+      local.get 14
+      f64.add
+      f64.sub
+      f64.div
+      local.get 13
+      f64.mul
+      local.set 15
+      local.get 15
+      local.get 15
+      f64.const 0x1p-49 (;=1.77636e-15;)
+      f64.mul
+      f64.add
+      local.set 15
+    end
+    local.get 8
+    local.get 10
+    i32.const 3
+    i32.shl
+    i32.add
+    local.set 16
+    local.get 9
+    i32.const 3
+    i32.shl
+    local.set 9
+    local.get 16
+    local.get 12
+    f64.store
+    local.get 16
+    local.get 9
+    i32.add
+    local.set 16
+    local.get 16
+    local.get 13
+    f64.store
+    local.get 16
+    local.get 9
+    i32.add
+    local.set 16
+    local.get 16
+    local.get 13
+    local.get 12
+    f64.abs
+    f64.div
+    f64.store
+    local.get 16
+    local.get 9
+    i32.add
+    local.set 16
+    local.get 16
+    local.get 15
+    f64.store)
+  (func (;32;) (type 30) (param i32) (result f64)
+    (local i32 i32 f64)
+    local.get 0
+    i32.const 10
+    i32.shr_u
+    i32.const 31
+    i32.and
+    local.set 1
+    local.get 0
+    i32.const 1023
+    i32.and
+    local.set 2
+    local.get 1
+    i32.eqz
+    if  ;; label = @1
+      local.get 2
+      f64.convert_i32_u
+      f64.const 0x1p-24 (;=5.96046e-08;)
+      f64.mul
+      local.set 3
+    else
+      local.get 1
+      i32.const 31
+      i32.eq
+      if  ;; label = @2
+        i64.const 9218868437227405312
+        local.get 2
+        i64.extend_i32_u
+        i64.const 42
+        i64.shl
+        i64.or
+        f64.reinterpret_i64
+        local.set 3
+      else
+        local.get 1
+        i32.const 1008
+        i32.add
+        i64.extend_i32_u
+        i64.const 52
+        i64.shl
+        local.get 2
+        i64.extend_i32_u
+        i64.const 42
+        i64.shl
+        i64.or
+        f64.reinterpret_i64
+        local.set 3
+      end
+    end
+    local.get 3
+    f64.const -0x1p+0 (;=-1;)
+    f64.const 0x1p+0 (;=1;)
+    local.get 0
+    i32.const 32768
+    i32.and
+    select
+    f64.copysign)
+  (func (;33;) (type 30) (param i32) (result f64)
+    local.get 0
+    i32.const 16
+    i32.shl
+    f32.reinterpret_i32
+    f64.promote_f32)
+  (func (;34;) (type 32) (param i32 i32 f32 i32 i32 i32 i32 i32 i32) (result f64)
+    (local i32 f64 i32 i32)
+    local.get 2
+    f64.promote_f32
+    local.set 10
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 9
+        local.get 1
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 3
+        local.get 5
+        i32.const 1
+        i32.shl
+        i32.add
+        i32.load16_u
+        local.set 11
+        local.get 6
+        local.get 8
+        i32.const 1
+        i32.shl
+        i32.add
+        i32.load16_u
+        local.set 12
+        local.get 10
+        local.get 0
+        if (result f64)  ;; label = @3
+          local.get 11
+          call 33
+          local.get 12
+          call 33
+          f64.mul
+        else
+          local.get 11
+          call 32
+          local.get 12
+          call 32
+          f64.mul
+        end
+        f64.add
+        local.set 10
+        local.get 9
+        i32.const 1
+        i32.add
+        local.set 9
+        local.get 5
+        local.get 4
+        i32.add
+        local.set 5
+        local.get 8
+        local.get 7
+        i32.add
+        local.set 8
+        br 0 (;@2;)
+      end
+    end
+    local.get 10)
+  (func (;35;) (type 1) (param i32 f32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 36)
+  (func (;36;) (type 2) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    i32.const 0
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 34
+    f32.demote_f64)
+  (func (;37;) (type 1) (param i32 f32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 38)
+  (func (;38;) (type 2) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    i32.const 1
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 34
+    f32.demote_f64)
+  (func (;39;) (type 1) (param i32 f32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    call 40)
+  (func (;40;) (type 2) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    (local i32 f64)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 1
+    f64.promote_f32
+    local.set 9
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 8
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 9
+        local.get 2
+        local.get 4
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 5
+        local.get 7
+        i32.const 3
+        i32.shl
+        i32.add
+        f64.load
+        f64.mul
+        f64.add
+        local.set 9
+        local.get 8
+        i32.const 1
+        i32.add
+        local.set 8
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        br 0 (;@2;)
+      end
+    end
+    local.get 9
+    f32.demote_f64)
+  (func (;41;) (type 33) (param i32 i32 i32 i32 i32 i32 i32 i32 i32 i32) (result i64)
+    (local i32 i64 i32 i32)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 10
+        local.get 1
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 0
+        if  ;; label = @3
+          local.get 2
+          local.get 4
+          i32.add
+          i32.load8_s
+          local.set 12
+          local.get 6
+          local.get 8
+          i32.add
+          i32.load8_s
+          local.set 13
+        else
+          local.get 2
+          local.get 4
+          i32.add
+          i32.load8_u
+          local.set 12
+          local.get 6
+          local.get 8
+          i32.add
+          i32.load8_u
+          local.set 13
+        end
+        local.get 11
+        local.get 12
+        local.get 5
+        i32.sub
+        local.get 13
+        local.get 9
+        i32.sub
+        i32.mul
+        i64.extend_i32_s
+        i64.add
+        local.set 11
+        local.get 10
+        i32.const 1
+        i32.add
+        local.set 10
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 8
+        local.get 7
+        i32.add
+        local.set 8
+        br 0 (;@2;)
+      end
+    end
+    local.get 11)
+  (func (;42;) (type 34) (param i64 f32 f32 f32) (result f32)
+    local.get 1
+    f64.promote_f32
+    local.get 0
+    f64.convert_i64_s
+    local.get 2
+    f64.promote_f32
+    local.get 3
+    f64.promote_f32
+    f64.mul
+    f64.mul
+    f64.add
+    f32.demote_f64)
+  (func (;43;) (type 5) (param i32 f32 i32 i32 i32 f32 i32 i32 i32 f32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    local.get 0
+    local.get 7
+    call 1
+    local.get 8
+    local.get 9
+    call 44)
+  (func (;44;) (type 6) (param i32 f32 i32 i32 i32 i32 f32 i32 i32 i32 i32 f32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    i32.const 1
+    local.get 0
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 7
+    local.get 8
+    local.get 9
+    local.get 10
+    call 41
+    local.get 1
+    local.get 6
+    local.get 11
+    call 42)
+  (func (;45;) (type 5) (param i32 f32 i32 i32 i32 f32 i32 i32 i32 f32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    local.get 0
+    local.get 7
+    call 1
+    local.get 8
+    local.get 9
+    call 46)
+  (func (;46;) (type 6) (param i32 f32 i32 i32 i32 i32 f32 i32 i32 i32 i32 f32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    i32.const 0
+    local.get 0
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 7
+    local.get 8
+    local.get 9
+    local.get 10
+    call 41
+    local.get 1
+    local.get 6
+    local.get 11
+    call 42)
+  (func (;47;) (type 30) (param i32) (result f64)
+    local.get 0
+    i32.const 1023
+    i32.add
+    i64.extend_i32_s
+    i64.const 52
+    i64.shl
+    f64.reinterpret_i64)
+  (func (;48;) (type 30) (param i32) (result f64)
+    (local i32 i32 f64)
+    local.get 0
+    i32.const 3
+    i32.shr_u
+    i32.const 15
+    i32.and
+    local.set 1
+    local.get 0
+    i32.const 7
+    i32.and
+    local.set 2
+    local.get 1
+    i32.eqz
+    if  ;; label = @1
+      local.get 2
+      f64.convert_i32_u
+      f64.const 0x1p-9 (;=0.00195312;)
+      f64.mul
+      local.set 3
+    else
+      local.get 1
+      i32.const 15
+      i32.eq
+      local.get 2
+      i32.const 7
+      i32.eq
+      i32.and
+      if  ;; label = @2
+        f64.const nan (;=nan;)
+        return
+      end
+      local.get 2
+      i32.const 8
+      i32.add
+      f64.convert_i32_u
+      local.get 1
+      i32.const 10
+      i32.sub
+      call 47
+      f64.mul
+      local.set 3
+    end
+    local.get 0
+    i32.const 128
+    i32.and
+    if (result f64)  ;; label = @1
+      local.get 3
+      f64.neg
+    else
+      local.get 3
+    end)
+  (func (;49;) (type 30) (param i32) (result f64)
+    (local i32 i32 f64)
+    local.get 0
+    i32.const 2
+    i32.shr_u
+    i32.const 31
+    i32.and
+    local.set 1
+    local.get 0
+    i32.const 3
+    i32.and
+    local.set 2
+    local.get 1
+    i32.eqz
+    if  ;; label = @1
+      local.get 2
+      f64.convert_i32_u
+      f64.const 0x1p-16 (;=1.52588e-05;)
+      f64.mul
+      local.set 3
+    else
+      local.get 1
+      i32.const 31
+      i32.eq
+      if  ;; label = @2
+        local.get 2
+        if  ;; label = @3
+          f64.const nan (;=nan;)
+          return
+        end
+        f64.const inf (;=inf;)
+        local.set 3
+      else
+        local.get 2
+        i32.const 4
+        i32.add
+        f64.convert_i32_u
+        local.get 1
+        i32.const 17
+        i32.sub
+        call 47
+        f64.mul
+        local.set 3
+      end
+    end
+    local.get 0
+    i32.const 128
+    i32.and
+    if (result f64)  ;; label = @1
+      local.get 3
+      f64.neg
+    else
+      local.get 3
+    end)
+  (func (;50;) (type 30) (param i32) (result f64)
+    local.get 0
+    i32.const 255
+    i32.eq
+    if (result f64)  ;; label = @1
+      f64.const nan (;=nan;)
+    else
+      local.get 0
+      i32.const 127
+      i32.sub
+      call 47
+    end)
+  (func (;51;) (type 35) (param i32 i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f64)
+    (local i32 f64 f64 f64)
+    local.get 2
+    f64.promote_f32
+    local.set 11
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 10
+        local.get 1
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 0
+        if  ;; label = @3
+          local.get 3
+          local.get 5
+          i32.add
+          i32.load8_u
+          call 49
+          local.set 12
+          local.get 6
+          local.get 8
+          i32.add
+          i32.load8_u
+          call 49
+          local.set 13
+        else
+          local.get 3
+          local.get 5
+          i32.add
+          i32.load8_u
+          call 48
+          local.set 12
+          local.get 6
+          local.get 8
+          i32.add
+          i32.load8_u
+          call 48
+          local.set 13
+        end
+        local.get 12
+        local.get 4
+        local.get 5
+        local.get 9
+        i32.div_u
+        i32.add
+        i32.load8_u
+        call 50
+        f64.mul
+        local.set 12
+        local.get 13
+        local.get 7
+        local.get 8
+        local.get 9
+        i32.div_u
+        i32.add
+        i32.load8_u
+        call 50
+        f64.mul
+        local.set 13
+        local.get 11
+        local.get 12
+        local.get 13
+        f64.mul
+        f64.add
+        local.set 11
+        local.get 10
+        i32.const 1
+        i32.add
+        local.set 10
+        local.get 5
+        i32.const 1
+        i32.add
+        local.set 5
+        local.get 8
+        i32.const 1
+        i32.add
+        local.set 8
+        br 0 (;@2;)
+      end
+    end
+    local.get 11)
+  (func (;52;) (type 7) (param i32 f32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    i32.const 0
+    local.get 4
+    local.get 5
+    i32.const 0
+    local.get 6
+    call 53)
+  (func (;53;) (type 8) (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    i32.const 0
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    local.get 8
+    call 51
+    f32.demote_f64)
+  (func (;54;) (type 7) (param i32 f32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    i32.const 0
+    local.get 4
+    local.get 5
+    i32.const 0
+    local.get 6
+    call 55)
+  (func (;55;) (type 8) (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    i32.const 1
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    local.get 8
+    call 51
+    f32.demote_f64)
+  (func (;56;) (type 36) (param i32 i32 i32 i32 i32 i32 i32 i32 i32)
+    (local i32 f64 f64 i32 i32 f64 f64 f64 f64)
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 9
+        local.get 1
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 2
+        local.get 4
+        i32.const 3
+        i32.shl
+        i32.add
+        local.set 12
+        local.get 5
+        local.get 7
+        i32.const 3
+        i32.shl
+        i32.add
+        local.set 13
+        local.get 12
+        f32.load
+        f64.promote_f32
+        local.set 14
+        local.get 12
+        f32.load offset=4
+        f64.promote_f32
+        local.set 15
+        local.get 13
+        f32.load
+        f64.promote_f32
+        local.set 16
+        local.get 13
+        f32.load offset=4
+        f64.promote_f32
+        local.set 17
+        local.get 0
+        if  ;; label = @3
+          local.get 15
+          f64.neg
+          local.set 15
+        end
+        local.get 10
+        local.get 14
+        local.get 16
+        f64.mul
+        local.get 15
+        local.get 17
+        f64.mul
+        f64.sub
+        f64.add
+        local.set 10
+        local.get 11
+        local.get 14
+        local.get 17
+        f64.mul
+        local.get 15
+        local.get 16
+        f64.mul
+        f64.add
+        f64.add
+        local.set 11
+        local.get 9
+        i32.const 1
+        i32.add
+        local.set 9
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        br 0 (;@2;)
+      end
+    end
+    local.get 8
+    local.get 10
+    f32.demote_f64
+    f32.store
+    local.get 8
+    local.get 11
+    f32.demote_f64
+    f32.store offset=4)
+  (func (;57;) (type 9) (param i32 i32 i32 i32 i32 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 0
+    local.get 2
+    call 1
+    local.get 3
+    local.get 4
+    local.get 0
+    local.get 4
+    call 1
+    local.get 5
+    call 58)
+  (func (;58;) (type 10) (param i32 i32 i32 i32 i32 i32 i32 i32)
+    i32.const 0
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 56)
+  (func (;59;) (type 9) (param i32 i32 i32 i32 i32 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 0
+    local.get 2
+    call 1
+    local.get 3
+    local.get 4
+    local.get 0
+    local.get 4
+    call 1
+    local.get 5
+    call 60)
+  (func (;60;) (type 10) (param i32 i32 i32 i32 i32 i32 i32 i32)
+    i32.const 1
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 56)
+  (func (;61;) (type 11) (param i32 f32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    i32.const 0
+    call 62)
+  (func (;62;) (type 12) (param i32 f32 i32 i32 i32 i32 i32 i32 i32 i32) (result f32)
+    (local i32 f64)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 1
+    f64.promote_f32
+    local.set 11
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 10
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 11
+        local.get 2
+        local.get 4
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        local.get 8
+        local.get 9
+        local.get 5
+        local.get 7
+        i32.const 2
+        i32.shl
+        i32.add
+        i32.load
+        i32.add
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        f64.promote_f32
+        f64.mul
+        f64.add
+        local.set 11
+        local.get 10
+        i32.const 1
+        i32.add
+        local.set 10
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        br 0 (;@2;)
+      end
+    end
+    local.get 11
+    f32.demote_f64)
+  (func (;63;) (type 15) (param i32 i32 i32 i32) (result i32)
+    (local i32 i32 i32)
+    local.get 0
+    i32.const 1
+    i32.le_s
+    if  ;; label = @1
+      i32.const -1
+      return
+    end
+    local.get 1
+    local.get 3
+    i32.const 2
+    i32.shl
+    i32.add
+    i32.load
+    local.set 5
+    i32.const 1
+    local.set 4
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 4
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 3
+        local.get 2
+        i32.add
+        local.set 3
+        local.get 1
+        local.get 3
+        i32.const 2
+        i32.shl
+        i32.add
+        i32.load
+        local.set 6
+        local.get 6
+        local.get 5
+        i32.le_s
+        if  ;; label = @3
+          local.get 4
+          return
+        end
+        local.get 6
+        local.set 5
+        local.get 4
+        i32.const 1
+        i32.add
+        local.set 4
+        br 0 (;@2;)
+      end
+    end
+    i32.const -1)
+  (func (;64;) (type 13) (param i32 i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    local.get 7
+    local.get 8
+    local.get 1
+    local.get 8
+    call 1
+    call 65)
+  (func (;65;) (type 14) (param i32 i32 f32 i32 i32 i32 i32 i32 i32 i32 i32) (result f32)
+    (local i32 i32 i32 i32 f64)
+    local.get 2
+    f64.promote_f32
+    local.set 15
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 11
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 12
+        local.get 1
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 4
+        local.get 6
+        i32.const 2
+        i32.shl
+        i32.add
+        i32.load
+        local.set 13
+        local.get 8
+        local.get 10
+        i32.const 2
+        i32.shl
+        i32.add
+        i32.load
+        local.set 14
+        local.get 13
+        local.get 14
+        i32.le_s
+        if  ;; label = @3
+          local.get 13
+          local.get 14
+          i32.eq
+          if  ;; label = @4
+            local.get 15
+            local.get 3
+            local.get 6
+            i32.const 2
+            i32.shl
+            i32.add
+            f32.load
+            f64.promote_f32
+            local.get 7
+            local.get 10
+            i32.const 2
+            i32.shl
+            i32.add
+            f32.load
+            f64.promote_f32
+            f64.mul
+            f64.add
+            local.set 15
+            local.get 12
+            i32.const 1
+            i32.add
+            local.set 12
+            local.get 10
+            local.get 9
+            i32.add
+            local.set 10
+          end
+          local.get 11
+          i32.const 1
+          i32.add
+          local.set 11
+          local.get 6
+          local.get 5
+          i32.add
+          local.set 6
+        else
+          local.get 12
+          i32.const 1
+          i32.add
+          local.set 12
+          local.get 10
+          local.get 9
+          i32.add
+          local.set 10
+        end
+        br 0 (;@2;)
+      end
+    end
+    local.get 15
+    f32.demote_f64)
+  (func (;66;) (type 16) (param i32 f32 i32 i32 i32 i32 i32 i32) (result f32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    local.get 7
+    local.get 0
+    local.get 7
+    call 1
+    call 67)
+  (func (;67;) (type 17) (param i32 f32 i32 i32 i32 i32 i32 i32 i32 i32 i32) (result f32)
+    (local i32 f64)
+    local.get 0
+    i32.const 0
+    i32.le_s
+    if  ;; label = @1
+      local.get 1
+      return
+    end
+    local.get 1
+    f64.promote_f32
+    local.set 12
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 11
+        local.get 0
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 8
+        local.get 10
+        i32.add
+        i32.load8_u
+        i32.eqz
+        if  ;; label = @3
+          local.get 12
+          local.get 2
+          local.get 4
+          i32.const 2
+          i32.shl
+          i32.add
+          f32.load
+          f64.promote_f32
+          local.get 5
+          local.get 7
+          i32.const 2
+          i32.shl
+          i32.add
+          f32.load
+          f64.promote_f32
+          f64.mul
+          f64.add
+          local.set 12
+        end
+        local.get 11
+        i32.const 1
+        i32.add
+        local.set 11
+        local.get 4
+        local.get 3
+        i32.add
+        local.set 4
+        local.get 7
+        local.get 6
+        i32.add
+        local.set 7
+        local.get 10
+        local.get 9
+        i32.add
+        local.set 10
+        br 0 (;@2;)
+      end
+    end
+    local.get 12
+    f32.demote_f64)
+  (func (;68;) (type 37) (param i32 i32 f32 i32 i32 i32 i32 i32 i32) (result i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 1
+    local.get 4
+    call 1
+    local.get 5
+    local.get 6
+    local.get 1
+    local.get 6
+    call 1
+    local.get 7
+    local.get 8
+    i32.const 2
+    local.get 8
+    call 1
+    call 69)
+  (func (;69;) (type 38) (param i32 i32 f32 i32 i32 i32 i32 i32 i32 i32 i32 i32) (result i32)
+    (local i32 f32 f32 i32 i32 f64)
+    local.get 2
+    f64.promote_f32
+    local.set 17
+    block  ;; label = @1
+      loop  ;; label = @2
+        local.get 12
+        local.get 1
+        i32.ge_s
+        br_if 1 (;@1;)
+        local.get 3
+        local.get 5
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        local.set 13
+        local.get 6
+        local.get 8
+        i32.const 2
+        i32.shl
+        i32.add
+        f32.load
+        local.set 14
+        local.get 13
+        local.get 13
+        f32.ne
+        local.get 14
+        local.get 14
+        f32.ne
+        i32.or
+        local.set 15
+        local.get 15
+        local.get 0
+        i32.const 2
+        i32.eq
+        i32.and
+        if  ;; label = @3
+          local.get 12
+          return
+        end
+        local.get 15
+        local.get 0
+        i32.const 1
+        i32.eq
+        i32.and
+        if  ;; label = @3
+          local.get 16
+          i32.const 1
+          i32.add
+          local.set 16
+        else
+          local.get 17
+          local.get 13
+          f64.promote_f32
+          local.get 14
+          f64.promote_f32
+          f64.mul
+          f64.add
+          local.set 17
+        end
+        local.get 12
+        i32.const 1
+        i32.add
+        local.set 12
+        local.get 5
+        local.get 4
+        i32.add
+        local.set 5
+        local.get 8
+        local.get 7
+        i32.add
+        local.set 8
+        br 0 (;@2;)
+      end
+    end
+    local.get 9
+    local.get 11
+    i32.const 3
+    i32.shl
+    i32.add
+    local.get 17
+    f32.demote_f64
+    f64.promote_f32
+    f64.store
+    local.get 9
+    local.get 11
+    local.get 10
+    i32.add
+    i32.const 3
+    i32.shl
+    i32.add
+    local.get 16
+    f64.convert_i32_u
+    f64.store
+    i32.const -1)
+  (func (;70;) (type 39) (param i32 f32 i32 i32 i32 i32 i32) (result i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 0
+    local.get 3
+    call 1
+    local.get 4
+    local.get 5
+    local.get 0
+    local.get 5
+    call 1
+    local.get 6
+    call 71)
+  (func (;71;) (type 40) (param i32 f32 i32 i32 i32 i32 i32 i32 i32) (result i32)
+    (local f64 f32 i32)
+    local.get 0
+    local.get 1
+    local.get 2
+    local.get 3
+    local.get 4
+    local.get 5
+    local.get 6
+    local.get 7
+    call 5
+    local.set 9
+    local.get 9
+    f32.demote_f64
+    local.set 10
+    local.get 8
+    local.get 10
+    f32.store
+    local.get 9
+    f64.abs
+    f64.const inf (;=inf;)
+    f64.lt
+    local.get 10
+    f32.abs
+    f32.const inf (;=inf;)
+    f32.eq
+    i32.and
+    if  ;; label = @1
+      local.get 11
+      i32.const 1
+      i32.or
+      local.set 11
+    end
+    local.get 9
+    f64.const 0x0p+0 (;=0;)
+    f64.ne
+    local.get 10
+    f32.abs
+    f32.const 0x1p-126 (;=1.17549e-38;)
+    f32.lt
+    i32.and
+    if  ;; label = @1
+      local.get 11
+      i32.const 2
+      i32.or
+      local.set 11
+    end
+    local.get 9
+    local.get 9
+    f64.eq
+    local.get 10
+    f64.promote_f32
+    local.get 9
+    f64.ne
+    i32.and
+    if  ;; label = @1
+      local.get 11
+      i32.const 4
+      i32.or
+      local.set 11
+    end
+    local.get 11)
+  (export "__wasm_call_ctors" (func 0))
+  (export "c_sdsdot" (func 2))
+  (export "c_sdsdot_ndarray" (func 3))
+  (export "c_sdsdot_double" (func 4))
+  (export "c_sdsdot_double_ndarray" (func 5))
+  (export "c_sdsdot_compensated" (func 6))
+  (export "c_sdsdot_compensated_ndarray" (func 7))
+  (export "c_sdsdot_exact" (func 14))
+  (export "c_sdsdot_exact_ndarray" (func 15))
+  (export "c_sdsdot_exact_double" (func 16))
+  (export "c_sdsdot_exact_double_ndarray" (func 17))
+  (export "c_sdsdot_dot2" (func 18))
+  (export "c_sdsdot_dot2_ndarray" (func 20))
+  (export "c_sdsdot_double_double" (func 21))
+  (export "c_sdsdot_double_double_ndarray" (func 22))
+  (export "c_sdsdot_batched" (func 23))
+  (export "c_sdsdot_batched_ndarray" (func 24))
+  (export "c_sdsdot_absmax_ndarray" (func 25))
+  (export "c_sdsdot_binned_ndarray" (func 27))
+  (export "c_sdsdot_reproducible" (func 28))
+  (export "c_sdsdot_reproducible_ndarray" (func 29))
+  (export "c_sdsdot_diagnostics" (func 30))
+  (export "c_sdsdot_diagnostics_ndarray" (func 31))
+  (export "c_sdsdot_float16" (func 35))
+  (export "c_sdsdot_float16_ndarray" (func 36))
+  (export "c_sdsdot_bfloat16" (func 37))
+  (export "c_sdsdot_bfloat16_ndarray" (func 38))
+  (export "c_sdsdot_mixed" (func 39))
+  (export "c_sdsdot_mixed_ndarray" (func 40))
+  (export "c_sdsdot_int8" (func 43))
+  (export "c_sdsdot_int8_ndarray" (func 44))
+  (export "c_sdsdot_uint8" (func 45))
+  (export "c_sdsdot_uint8_ndarray" (func 46))
+  (export "c_sdsdot_e4m3" (func 52))
+  (export "c_sdsdot_e4m3_ndarray" (func 53))
+  (export "c_sdsdot_e5m2" (func 54))
+  (export "c_sdsdot_e5m2_ndarray" (func 55))
+  (export "c_sdsdot_cdotu" (func 57))
+  (export "c_sdsdot_cdotu_ndarray" (func 58))
+  (export "c_sdsdot_cdotc" (func 59))
+  (export "c_sdsdot_cdotc_ndarray" (func 60))
+  (export "c_sdsdot_sparse" (func 61))
+  (export "c_sdsdot_sparse_ndarray" (func 62))
+  (export "c_sdsdot_unsorted_ndarray" (func 63))
+  (export "c_sdsdot_sparse_sparse" (func 64))
+  (export "c_sdsdot_sparse_sparse_ndarray" (func 65))
+  (export "c_sdsdot_masked" (func 66))
+  (export "c_sdsdot_masked_ndarray" (func 67))
+  (export "c_sdsdot_nan" (func 68))
+  (export "c_sdsdot_nan_ndarray" (func 69))
+  (export "c_sdsdot_status" (func 70))
+  (export "c_sdsdot_status_ndarray" (func 71)))
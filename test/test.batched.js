@@ -0,0 +1,266 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainBatched` method has an arity of 7', function test( t ) {
+	t.strictEqual( sdsdot.mainBatched.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayBatched` method has an arity of 9', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayBatched.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainBatched` method computes the dot products of a batch of vectors', function test( t ) {
+	var scalars;
+	var out;
+	var X;
+	var Y;
+	var v;
+
+	X = [
+		new Float32Array( [ 4.0, 2.0, -3.0, 5.0 ] ),
+		new Float32Array( [ -1.0, 2.0, -5.0, 6.0 ] ),
+		new Float32Array( [ 1.0, 1.0, 1.0, 1.0 ] )
+	];
+	Y = [
+		new Float32Array( [ 2.0, 6.0, -1.0, -4.0 ] ),
+		new Float32Array( [ 8.0, 8.0, 2.0, -3.0 ] ),
+		new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] )
+	];
+	scalars = new Float32Array( [ 10.0, 0.0, -1.0 ] );
+	out = new Float32Array( 3 );
+
+	v = sdsdot.mainBatched( 4, scalars, X, 1, Y, 1, out );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ 13.0, -20.0, 9.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	out = new Float32Array( 3 );
+	v = sdsdot.mainBatched( 2, scalars, X, 2, Y, -2, out );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ 0.0, -42.0, 3.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'the `ndarrayBatched` method computes the dot products of a batch of vectors', function test( t ) {
+	var scalars;
+	var out;
+	var X;
+	var Y;
+	var v;
+
+	X = [
+		new Float32Array( [ 4.0, 2.0, -3.0, 5.0 ] ),
+		new Float32Array( [ -1.0, 2.0, -5.0, 6.0 ] ),
+		new Float32Array( [ 1.0, 1.0, 1.0, 1.0 ] )
+	];
+	Y = [
+		new Float32Array( [ 2.0, 6.0, -1.0, -4.0 ] ),
+		new Float32Array( [ 8.0, 8.0, 2.0, -3.0 ] ),
+		new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] )
+	];
+	scalars = new Float32Array( [ 10.0, 0.0, -1.0 ] );
+	out = new Float32Array( 3 );
+
+	v = sdsdot.ndarrayBatched( 2, scalars, X, 1, 2, Y, -1, 3, out );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ 17.0, 27.0, 6.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainBatched` and `ndarrayBatched` methods return the scalar constants', function test( t ) {
+	var scalars;
+	var out;
+	var X;
+	var Y;
+
+	X = [
+		new Float32Array( [ 1.0, 2.0, 3.0 ] ),
+		new Float32Array( [ 4.0, 5.0, 6.0 ] )
+	];
+	Y = [
+		new Float32Array( [ 1.0, 2.0, 3.0 ] ),
+		new Float32Array( [ 4.0, 5.0, 6.0 ] )
+	];
+	scalars = new Float32Array( [ 3.0, -2.0 ] );
+
+	out = new Float32Array( 2 );
+	sdsdot.mainBatched( 0, scalars, X, 1, Y, 1, out );
+	t.deepEqual( out, new Float32Array( [ 3.0, -2.0 ] ), 'returns expected value' );
+
+	out = new Float32Array( 2 );
+	sdsdot.ndarrayBatched( -1, scalars, X, 1, 0, Y, 1, 0, out );
+	t.deepEqual( out, new Float32Array( [ 3.0, -2.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided empty lists of arrays, the `mainBatched` and `ndarrayBatched` methods leave the output array unchanged', function test( t ) {
+	var scalars;
+	var out;
+	var v;
+
+	scalars = new Float32Array( 0 );
+	out = new Float32Array( [ 7.0 ] );
+
+	v = sdsdot.mainBatched( 3, scalars, [], 1, [], 1, out );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ 7.0 ] ), 'returns expected value' );
+
+	v = sdsdot.ndarrayBatched( 3, scalars, [], 1, 0, [], 1, 0, out );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ 7.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainBatched` and `ndarrayBatched` methods throw an error if `X` and `Y` contain different numbers of arrays', function test( t ) {
+	var scalars;
+	var out;
+	var X;
+	var Y;
+
+	X = [
+		new Float32Array( [ 1.0, 2.0 ] ),
+		new Float32Array( [ 3.0, 4.0 ] )
+	];
+	Y = [
+		new Float32Array( [ 1.0, 2.0 ] )
+	];
+	scalars = new Float32Array( 2 );
+	out = new Float32Array( 2 );
+
+	t.throws( function badValue() {
+		sdsdot.mainBatched( 2, scalars, X, 1, Y, 1, out );
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		sdsdot.ndarrayBatched( 2, scalars, Y, 1, 0, X, 1, 0, out );
+	}, RangeError, 'throws an error' );
+	t.end();
+});
+
+tape( 'the `mainBatched` and `ndarrayBatched` methods throw an error if provided a `scalars` or `out` array having fewer elements than there are pairs of input arrays', function test( t ) {
+	var X;
+	var Y;
+
+	X = [
+		new Float32Array( [ 1.0, 2.0 ] ),
+		new Float32Array( [ 3.0, 4.0 ] )
+	];
+	Y = [
+		new Float32Array( [ 1.0, 2.0 ] ),
+		new Float32Array( [ 3.0, 4.0 ] )
+	];
+
+	t.throws( function badValue() {
+		sdsdot.mainBatched( 2, new Float32Array( 1 ), X, 1, Y, 1, new Float32Array( 2 ) ); // eslint-disable-line max-len
+	}, /`scalars`/, 'throws an error' );
+	t.throws( function badValue() {
+		sdsdot.mainBatched( 2, new Float32Array( 2 ), X, 1, Y, 1, new Float32Array( 1 ) ); // eslint-disable-line max-len
+	}, /`out`/, 'throws an error' );
+	t.throws( function badValue() {
+		sdsdot.ndarrayBatched( 2, new Float32Array( 1 ), X, 1, 0, Y, 1, 0, new Float32Array( 2 ) ); // eslint-disable-line max-len
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		sdsdot.ndarrayBatched( 2, new Float32Array( 2 ), X, 1, 0, Y, 1, 0, new Float32Array( 0 ) ); // eslint-disable-line max-len
+	}, RangeError, 'throws an error' );
+	t.end();
+});
+
+tape( 'the `mainBatched` and `ndarrayBatched` methods throw an error if an input array has insufficient length for the specified number of indexed elements, stride, and offset', function test( t ) {
+	var scalars;
+	var out;
+	var X;
+	var Y;
+
+	X = [
+		new Float32Array( [ 1.0, 2.0, 3.0 ] ),
+		new Float32Array( [ 4.0, 5.0 ] )
+	];
+	Y = [
+		new Float32Array( [ 1.0, 2.0, 3.0 ] ),
+		new Float32Array( [ 4.0, 5.0, 6.0 ] )
+	];
+	scalars = new Float32Array( 2 );
+	out = new Float32Array( 2 );
+
+	t.throws( function badValue() {
+		sdsdot.mainBatched( 3, scalars, X, 1, Y, 1, out );
+	}, /`X`/, 'throws an error' );
+	t.throws( function badValue() {
+		sdsdot.mainBatched( 2, scalars, Y, 1, X, 2, out );
+	}, /`Y`/, 'throws an error' );
+	t.throws( function badValue() {
+		sdsdot.ndarrayBatched( 2, scalars, Y, 1, 2, X, 1, 0, out );
+	}, /`X`/, 'throws an error' );
+	t.throws( function badValue() {
+		sdsdot.ndarrayBatched( 2, scalars, Y, -1, 0, X, 1, 0, out );
+	}, RangeError, 'throws an error' );
+
+	// If `N <= 0`, no elements are accessed:
+	sdsdot.ndarrayBatched( 0, scalars, X, 1, 5, Y, 1, 5, out );
+	t.deepEqual( out, new Float32Array( [ 0.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainBatched` and `ndarrayBatched` methods support array-like objects containing input arrays', function test( t ) {
+	var scalars;
+	var out;
+	var X;
+	var Y;
+
+	X = {
+		'length': 2,
+		'0': new Float32Array( [ 1.0, 2.0, 3.0 ] ),
+		'1': new Float32Array( [ 4.0, 5.0, 6.0 ] )
+	};
+	Y = {
+		'length': 2,
+		'0': new Float32Array( [ 1.0, 1.0, 1.0 ] ),
+		'1': new Float32Array( [ 1.0, 1.0, 1.0 ] )
+	};
+	scalars = new Float32Array( [ 0.0, 10.0 ] );
+
+	out = sdsdot.mainBatched( 3, scalars, X, 1, Y, 1, new Float32Array( 2 ) );
+	t.deepEqual( out, new Float32Array( [ 6.0, 25.0 ] ), 'returns expected value' );
+
+	out = sdsdot.ndarrayBatched( 2, scalars, X, 1, 1, Y, 1, 0, new Float32Array( 2 ) ); // eslint-disable-line max-len
+	t.deepEqual( out, new Float32Array( [ 5.0, 21.0 ] ), 'returns expected value' );
+
+	t.end();
+});
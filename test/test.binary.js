@@ -0,0 +1,82 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var resolve = require( 'path' ).resolve;
+var readWASM = require( '@stdlib/fs-read-wasm' ).sync;
+var hasSIMDSupport = require( './../lib/has_simd_support.js' );
+var binary = require( './../lib/binary.js' );
+
+
+// VARIABLES //
+
+var SCALAR = readWASM( resolve( __dirname, '..', 'src', 'main.wasm' ) );
+var SIMD = readWASM( resolve( __dirname, '..', 'src', 'main.simd.wasm' ) );
+
+
+// FUNCTIONS //
+
+/**
+* Tests whether two byte arrays have the same contents.
+*
+* @private
+* @param {Uint8Array} a - first array
+* @param {Uint8Array} b - second array
+* @returns {boolean} boolean indicating whether the arrays are equal
+*/
+function isEqual( a, b ) {
+	var i;
+	if ( a.length !== b.length ) {
+		return false;
+	}
+	for ( i = 0; i < a.length; i++ ) {
+		if ( a[ i ] !== b[ i ] ) {
+			return false;
+		}
+	}
+	return true;
+}
+
+
+// TESTS //
+
+tape( 'main export is a Uint8Array', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( binary instanceof Uint8Array, true, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the SIMD support check returns a boolean', function test( t ) {
+	t.strictEqual( typeof hasSIMDSupport(), 'boolean', 'returns expected value' );
+	t.end();
+});
+
+tape( 'the main export is the SIMD128 binary if the environment supports WebAssembly SIMD and the scalar binary otherwise', function test( t ) {
+	if ( hasSIMDSupport() ) {
+		t.strictEqual( isEqual( binary, SIMD ), true, 'returns expected value' );
+	} else {
+		t.strictEqual( isEqual( binary, SCALAR ), true, 'returns expected value' );
+	}
+	t.end();
+});
@@ -0,0 +1,201 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Uint8Array = require( '@stdlib/array-uint8' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainBlockScaled` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.mainBlockScaled.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayBlockScaled` method has an arity of 10', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayBlockScaled.length, 10, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainBlockScaled` and `ndarrayBlockScaled` methods throw an error if provided an unsupported format', function test( t ) {
+	var values;
+	var x;
+	var s;
+	var i;
+
+	x = new Uint8Array( [ 0x38, 0x38 ] );
+	s = new Uint8Array( [ 127 ] );
+	values = [
+		'float8',
+		'uint8',
+		'beep',
+		5,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			sdsdot.mainBlockScaled( value, x.length, 0.0, x, s, x, s, 32 );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			sdsdot.ndarrayBlockScaled( value, x.length, 0.0, x, s, 0, x, s, 0, 32 );
+		};
+	}
+});
+
+tape( 'the `mainBlockScaled` and `ndarrayBlockScaled` methods throw an error if provided a block size which is not a positive integer', function test( t ) {
+	var values;
+	var x;
+	var s;
+	var i;
+
+	x = new Uint8Array( [ 0x38, 0x38 ] );
+	s = new Uint8Array( [ 127 ] );
+	values = [
+		'32',
+		0,
+		-32,
+		3.14,
+		NaN,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, s, x, s, value );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			sdsdot.ndarrayBlockScaled( 'e4m3', x.length, 0.0, x, s, 0, x, s, 0, value );
+		};
+	}
+});
+
+tape( 'the `mainBlockScaled` method computes the dot product of block-scaled vectors `x` and `y`', function test( t ) {
+	var dot;
+	var sx;
+	var sy;
+	var x;
+	var y;
+
+	// E8M0 block scales [ 2^0, 2^1 ] and [ 2^0, 2^-1 ]:
+	sx = new Uint8Array( [ 127, 128 ] );
+	sy = new Uint8Array( [ 127, 126 ] );
+
+	// E4M3 numbers [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0 ]:
+	x = new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a, 0x4c, 0x4e, 0x50 ] );
+	y = new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38, 0x38, 0x38, 0x38 ] );
+
+	dot = sdsdot.mainBlockScaled( 'e4m3', x.length, 10.0, x, sx, y, sy, 4 );
+	t.strictEqual( dot, 46.0, 'returns expected value' );
+
+	dot = sdsdot.mainBlockScaled( 'e4m3', x.length, 0.0, x, sx, y, sy, 8 );
+	t.strictEqual( dot, 36.0, 'returns expected value' );
+
+	// E5M2 numbers with the same values:
+	x = new Uint8Array( [ 0x3c, 0x40, 0x42, 0x44, 0x45, 0x46, 0x47, 0x48 ] );
+	y = new Uint8Array( [ 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c ] );
+
+	dot = sdsdot.mainBlockScaled( 'e5m2', x.length, 10.0, x, sx, y, sy, 4 );
+	t.strictEqual( dot, 46.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayBlockScaled` method computes the dot product of block-scaled vectors `x` and `y`', function test( t ) {
+	var dot;
+	var sx;
+	var sy;
+	var x;
+	var y;
+
+	// E8M0 block scales [ 2^0, 2^1 ] and [ 2^0, 2^-1 ]:
+	sx = new Uint8Array( [ 127, 128 ] );
+	sy = new Uint8Array( [ 127, 126 ] );
+
+	// E4M3 numbers [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0 ] and [ 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0 ]:
+	x = new Uint8Array( [ 0x38, 0x40, 0x44, 0x48, 0x4a, 0x4c, 0x4e, 0x50 ] );
+	y = new Uint8Array( [ 0x38, 0x38, 0x38, 0x38, 0x38, 0x38, 0x38, 0x38 ] );
+
+	dot = sdsdot.ndarrayBlockScaled( 'e4m3', 4, 0.0, x, sx, 2, y, sy, 2, 4 );
+	t.strictEqual( dot, 18.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayBlockScaled( 'e4m3', 2, 0.0, x, sx, 4, y, sy, 0, 4 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	// E5M2 numbers with the same values:
+	x = new Uint8Array( [ 0x3c, 0x40, 0x42, 0x44, 0x45, 0x46, 0x47, 0x48 ] );
+	y = new Uint8Array( [ 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c ] );
+
+	dot = sdsdot.ndarrayBlockScaled( 'e5m2', 4, 0.0, x, sx, 2, y, sy, 2, 4 );
+	t.strictEqual( dot, 18.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayBlockScaled( 'e5m2', 2, 0.0, x, sx, 4, y, sy, 0, 4 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainBlockScaled` and `ndarrayBlockScaled` methods return the scalar constant', function test( t ) {
+	var dot;
+	var x;
+	var s;
+
+	x = new Uint8Array( [ 0x38, 0x40, 0x44 ] );
+	s = new Uint8Array( [ 127 ] );
+
+	dot = sdsdot.mainBlockScaled( 'e4m3', 0, 3.0, x, s, x, s, 32 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayBlockScaled( 'e5m2', -1, 3.0, x, s, 0, x, s, 0, 32 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,179 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Complex64Array = require( '@stdlib/array-complex64' );
+var real = require( '@stdlib/complex-float32-real' );
+var imag = require( '@stdlib/complex-float32-imag' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainCdotu` method has an arity of 5', function test( t ) {
+	t.strictEqual( sdsdot.mainCdotu.length, 5, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayCdotu` method has an arity of 7', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayCdotu.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainCdotc` method has an arity of 5', function test( t ) {
+	t.strictEqual( sdsdot.mainCdotc.length, 5, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayCdotc` method has an arity of 7', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayCdotc.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainCdotu` method computes the dot product of `x` and `y`', function test( t ) {
+	var z;
+	var x;
+	var y;
+
+	x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] );
+	y = new Complex64Array( [ 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+
+	z = sdsdot.mainCdotu( x.length, x, 1, y, 1 );
+	t.strictEqual( real( z ), -39.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 214.0, 'returns expected value' );
+
+	z = sdsdot.mainCdotu( 2, x, 2, y, -1 );
+	t.strictEqual( real( z ), -24.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 110.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayCdotu` method computes the dot product of `x` and `y`', function test( t ) {
+	var z;
+	var x;
+	var y;
+
+	x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] );
+	y = new Complex64Array( [ 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+
+	z = sdsdot.ndarrayCdotu( x.length, x, 1, 0, y, 1, 0 );
+	t.strictEqual( real( z ), -39.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 214.0, 'returns expected value' );
+
+	z = sdsdot.ndarrayCdotu( 2, x, 1, 1, y, 1, 1 );
+	t.strictEqual( real( z ), -30.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 192.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainCdotc` method computes the dot product of the conjugate of `x` and `y`', function test( t ) {
+	var z;
+	var x;
+	var y;
+
+	x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] );
+	y = new Complex64Array( [ 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+
+	z = sdsdot.mainCdotc( x.length, x, 1, y, 1 );
+	t.strictEqual( real( z ), 217.0, 'returns expected value' );
+	t.strictEqual( imag( z ), -18.0, 'returns expected value' );
+
+	z = sdsdot.mainCdotc( 2, x, 2, y, -1 );
+	t.strictEqual( real( z ), 112.0, 'returns expected value' );
+	t.strictEqual( imag( z ), -10.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayCdotc` method computes the dot product of the conjugate of `x` and `y`', function test( t ) {
+	var z;
+	var x;
+	var y;
+
+	x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] );
+	y = new Complex64Array( [ 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+
+	z = sdsdot.ndarrayCdotc( x.length, x, 1, 0, y, 1, 0 );
+	t.strictEqual( real( z ), 217.0, 'returns expected value' );
+	t.strictEqual( imag( z ), -18.0, 'returns expected value' );
+
+	z = sdsdot.ndarrayCdotc( 2, x, -2, 2, y, 1, 1 );
+	t.strictEqual( real( z ), 140.0, 'returns expected value' );
+	t.strictEqual( imag( z ), -14.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainCdotu` and `mainCdotc` methods accumulate in double-precision', function test( t ) {
+	var z;
+	var x;
+	var y;
+
+	// Partial sums of the real components are not representable in single-precision:
+	x = new Complex64Array( [ 16777216.0, 0.0, 1.0, 0.0, -16777216.0, 0.0 ] );
+	y = new Complex64Array( [ 1.0, 0.0, 1.0, 0.0, 1.0, 0.0 ] );
+
+	z = sdsdot.mainCdotu( x.length, x, 1, y, 1 );
+	t.strictEqual( real( z ), 1.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 0.0, 'returns expected value' );
+
+	z = sdsdot.mainCdotc( x.length, x, 1, y, 1 );
+	t.strictEqual( real( z ), 1.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 0.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the complex dot product methods return zero', function test( t ) {
+	var z;
+	var x;
+	var y;
+
+	x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y = new Complex64Array( [ 5.0, 6.0, 7.0, 8.0 ] );
+
+	z = sdsdot.mainCdotu( 0, x, 1, y, 1 );
+	t.strictEqual( real( z ), 0.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 0.0, 'returns expected value' );
+
+	z = sdsdot.ndarrayCdotu( -1, x, 1, 0, y, 1, 0 );
+	t.strictEqual( real( z ), 0.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 0.0, 'returns expected value' );
+
+	z = sdsdot.mainCdotc( 0, x, 1, y, 1 );
+	t.strictEqual( real( z ), 0.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 0.0, 'returns expected value' );
+
+	z = sdsdot.ndarrayCdotc( -1, x, 1, 0, y, 1, 0 );
+	t.strictEqual( real( z ), 0.0, 'returns expected value' );
+	t.strictEqual( imag( z ), 0.0, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,155 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var isnanf = require( '@stdlib/math-base-assert-is-nanf' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainCompensated` method has an arity of 6', function test( t ) {
+	t.strictEqual( sdsdot.mainCompensated.length, 6, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayCompensated` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayCompensated.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainCompensated` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.mainCompensated( x.length, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainCompensated( 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayCompensated` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.ndarrayCompensated( x.length, 10.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayCompensated( 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayCompensated( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainCompensated` and `ndarrayCompensated` methods return the scalar constant', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	dot = sdsdot.mainCompensated( 0, 3.0, x, 1, y, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayCompensated( -1, 3.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainCompensated` and `ndarrayCompensated` methods compensate for rounding errors incurred during accumulation', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	// 2^54 + 1 - 2^54 = 1:
+	x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+
+	dot = sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = sdsdot.ndarray( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 0.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainCompensated` and `ndarrayCompensated` methods propagate non-finite values', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ Infinity, 1.0 ] );
+	y = new Float32Array( [ 1.0, 1.0 ] );
+
+	dot = sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, Infinity, 'returns expected value' );
+
+	dot = sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, Infinity, 'returns expected value' );
+
+	x = new Float32Array( [ 1.0, -Infinity, 2.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0 ] );
+
+	dot = sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, -Infinity, 'returns expected value' );
+
+	x = new Float32Array( [ Infinity, -Infinity ] );
+	y = new Float32Array( [ 1.0, 1.0 ] );
+
+	dot = sdsdot.mainCompensated( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( isnanf( dot ), true, 'returns expected value' );
+
+	x = new Float32Array( [ 1.0, NaN, 2.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0 ] );
+
+	dot = sdsdot.ndarrayCompensated( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( isnanf( dot ), true, 'returns expected value' );
+
+	t.end();
+});
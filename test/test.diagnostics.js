@@ -0,0 +1,124 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainDiagnostics` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.mainDiagnostics.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayDiagnostics` method has an arity of 11', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayDiagnostics.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainDiagnostics` method computes the dot product of `x` and `y` along with error diagnostics', function test( t ) {
+	var out;
+	var v;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	out = new Float64Array( 4 );
+	v = sdsdot.mainDiagnostics( x.length, 10.0, x, 1, y, 1, out, 1 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.strictEqual( out[ 0 ], -7.0, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 105.0, 'returns expected value' );
+	t.strictEqual( out[ 2 ], 15.0, 'returns expected value' );
+	t.strictEqual( out[ 3 ] > 0.0, true, 'returns expected value' );
+
+	out = new Float64Array( 8 );
+	v = sdsdot.mainDiagnostics( 4, 0.0, x, 2, y, -2, out, -2 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.strictEqual( out[ 6 ], -25.0, 'returns expected value' );
+	t.strictEqual( out[ 4 ], 43.0, 'returns expected value' );
+	t.strictEqual( out[ 2 ], 43.0 / 25.0, 'returns expected value' );
+	t.strictEqual( out[ 0 ] > 0.0, true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayDiagnostics` method computes the dot product of `x` and `y` along with error diagnostics', function test( t ) {
+	var out;
+	var v;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	out = new Float64Array( 5 );
+	v = sdsdot.ndarrayDiagnostics( 3, 0.0, x, 1, 1, y, 2, 1, out, 1, 1 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.strictEqual( out[ 0 ], 0.0, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 64.0, 'returns expected value' );
+	t.strictEqual( out[ 2 ], 64.0, 'returns expected value' );
+	t.strictEqual( out[ 3 ], 1.0, 'returns expected value' );
+	t.strictEqual( out[ 4 ] > 0.0, true, 'returns expected value' );
+
+	// 2^54 + 1 - 2^54:
+	x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+
+	out = new Float64Array( 4 );
+	sdsdot.ndarrayDiagnostics( x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	t.strictEqual( out[ 0 ], 0.0, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 36028797018963970.0, 'returns expected value' );
+	t.strictEqual( out[ 2 ], Infinity, 'returns expected value' );
+	t.strictEqual( out[ 3 ] >= 1.0, true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainDiagnostics` and `ndarrayDiagnostics` methods write the scalar constant and a zero error bound to the output array', function test( t ) {
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	out = new Float64Array( 4 );
+	sdsdot.mainDiagnostics( 0, 3.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ 3.0, 3.0, 1.0, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	out = new Float64Array( 4 );
+	sdsdot.ndarrayDiagnostics( -1, -5.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	t.deepEqual( out, new Float64Array( [ -5.0, 5.0, 1.0, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
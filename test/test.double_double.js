@@ -0,0 +1,121 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainDoubleDouble` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.mainDoubleDouble.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayDoubleDouble` method has an arity of 11', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayDoubleDouble.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainDoubleDouble` method computes the dot product of `x` and `y` as a double-double pair', function test( t ) {
+	var out;
+	var x;
+	var y;
+	var v;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+	out = new Float64Array( 2 );
+
+	v = sdsdot.mainDoubleDouble( x.length, 10.0, x, 1, y, 1, out, 1 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ -7.0, 0.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 2 );
+	v = sdsdot.mainDoubleDouble( 4, 0.0, x, 2, y, -2, out, 1 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ -25.0, 0.0 ] ), 'returns expected value' );
+
+	// 1 + 2^-24 + 2^-60:
+	x = new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] );
+	y = new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] );
+	out = new Float64Array( 4 );
+
+	v = sdsdot.mainDoubleDouble( x.length, 1.0, x, 1, y, 1, out, -2 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 8.673617379884035e-19, 0.0, 1.0000000596046448, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'the `ndarrayDoubleDouble` method computes the dot product of `x` and `y` as a double-double pair', function test( t ) {
+	var out;
+	var x;
+	var y;
+	var v;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+	out = new Float64Array( 2 );
+
+	v = sdsdot.ndarrayDoubleDouble( 3, 0.0, x, 1, 1, y, 2, 1, out, 1, 0 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 64.0, 0.0 ] ), 'returns expected value' );
+
+	// 2^54 + 2^-40 - 2^54 = 2^-40:
+	x = new Float32Array( [ 134217728.0, 9.5367431640625e-7, -134217728.0 ] );
+	y = new Float32Array( [ 134217728.0, 9.5367431640625e-7, 134217728.0 ] );
+	out = new Float64Array( 4 );
+
+	v = sdsdot.ndarrayDoubleDouble( x.length, 0.0, x, 1, 0, y, 1, 0, out, 2, 1 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 0.0, 9.094947017729282e-13, 0.0, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainDoubleDouble` and `ndarrayDoubleDouble` methods write the scalar constant to the output array', function test( t ) {
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	out = new Float64Array( 2 );
+	sdsdot.mainDoubleDouble( 0, 3.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ 3.0, 0.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 2 );
+	sdsdot.ndarrayDoubleDouble( -1, 5.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	t.deepEqual( out, new Float64Array( [ 5.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,155 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainExact` method has an arity of 6', function test( t ) {
+	t.strictEqual( sdsdot.mainExact.length, 6, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayExact` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayExact.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainExact` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.mainExact( x.length, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainExact( 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayExact` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.ndarrayExact( x.length, 10.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayExact( 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayExact( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainExact` and `ndarrayExact` methods return the scalar constant', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	dot = sdsdot.mainExact( 0, 3.0, x, 1, y, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayExact( -1, 3.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainExact` and `ndarrayExact` methods return the correctly rounded dot product', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	// 2^54 + 1 - 2^54 = 1:
+	x = new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] );
+	y = new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] );
+
+	dot = sdsdot.mainExact( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayExact( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = sdsdot.ndarray( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 0.0, 'returns expected value' );
+
+	// 1 + 2^-24 + 2^-60 rounds up to 1 + 2^-23 (rounding through float64 would yield a tie which rounds down to 1):
+	x = new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] );
+	y = new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] );
+
+	dot = sdsdot.mainExact( x.length, 1.0, x, 1, y, 1 );
+	t.strictEqual( dot, 1.0000001192092896, 'returns expected value' );
+
+	dot = sdsdot.ndarrayExact( x.length, 1.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 1.0000001192092896, 'returns expected value' );
+
+	dot = sdsdot.ndarray( x.length, 1.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainExact` and `ndarrayExact` methods return results which do not depend on the order of summation', function test( t ) {
+	var expected;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0e20, 3.0, -1.0e20, 0.1, 7.0e-10, -2.5 ] );
+	y = new Float32Array( [ 1.0e10, 5.0, 1.0e10, -0.3, 3.0e-10, 1.5 ] );
+
+	expected = sdsdot.mainExact( x.length, 0.0, x, 1, y, 1 );
+
+	dot = sdsdot.mainExact( x.length, 0.0, x, -1, y, -1 );
+	t.strictEqual( dot, expected, 'returns expected value' );
+
+	x = new Float32Array( [ 0.1, -2.5, 1.0e20, 7.0e-10, -1.0e20, 3.0 ] );
+	y = new Float32Array( [ -0.3, 1.5, 1.0e10, 3.0e-10, 1.0e10, 5.0 ] );
+
+	dot = sdsdot.ndarrayExact( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, expected, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,150 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Uint16Array = require( '@stdlib/array-uint16' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainHalf` method has an arity of 7', function test( t ) {
+	t.strictEqual( sdsdot.mainHalf.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayHalf` method has an arity of 9', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayHalf.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainHalf` and `ndarrayHalf` methods throw an error if provided an unsupported format', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = new Uint16Array( [ 0x3c00, 0x3c00 ] );
+	values = [
+		'float32',
+		'uint16',
+		'beep',
+		5,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			sdsdot.mainHalf( value, x.length, 0.0, x, 1, x, 1 );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			sdsdot.ndarrayHalf( value, x.length, 0.0, x, 1, 0, x, 1, 0 );
+		};
+	}
+});
+
+tape( 'the `mainHalf` method computes the dot product of 16-bit floating-point vectors `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	// Half-precision floating-point numbers [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] and [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ]:
+	x = new Uint16Array( [ 0x4400, 0x4000, 0xc200, 0x4500, 0xbc00, 0x4000, 0xc500, 0x4600 ] ); // eslint-disable-line max-len
+	y = new Uint16Array( [ 0x4000, 0x4600, 0xbc00, 0xc400, 0x4800, 0x4800, 0x4000, 0xc200 ] ); // eslint-disable-line max-len
+
+	dot = sdsdot.mainHalf( 'float16', x.length, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainHalf( 'float16', 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	// bfloat16 numbers with the same values:
+	x = new Uint16Array( [ 0x4080, 0x4000, 0xc040, 0x40a0, 0xbf80, 0x4000, 0xc0a0, 0x40c0 ] ); // eslint-disable-line max-len
+	y = new Uint16Array( [ 0x4000, 0x40c0, 0xbf80, 0xc080, 0x4100, 0x4100, 0x4000, 0xc040 ] ); // eslint-disable-line max-len
+
+	dot = sdsdot.mainHalf( 'bfloat16', x.length, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainHalf( 'bfloat16', 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayHalf` method computes the dot product of 16-bit floating-point vectors `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	// Half-precision floating-point numbers [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] and [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ]:
+	x = new Uint16Array( [ 0x4400, 0x4000, 0xc200, 0x4500, 0xbc00, 0x4000, 0xc500, 0x4600 ] ); // eslint-disable-line max-len
+	y = new Uint16Array( [ 0x4000, 0x4600, 0xbc00, 0xc400, 0x4800, 0x4800, 0x4000, 0xc200 ] ); // eslint-disable-line max-len
+
+	dot = sdsdot.ndarrayHalf( 'float16', 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayHalf( 'float16', 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	// bfloat16 numbers with the same values:
+	x = new Uint16Array( [ 0x4080, 0x4000, 0xc040, 0x40a0, 0xbf80, 0x4000, 0xc0a0, 0x40c0 ] ); // eslint-disable-line max-len
+	y = new Uint16Array( [ 0x4000, 0x40c0, 0xbf80, 0xc080, 0x4100, 0x4100, 0x4000, 0xc040 ] ); // eslint-disable-line max-len
+
+	dot = sdsdot.ndarrayHalf( 'bfloat16', 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayHalf( 'bfloat16', 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainHalf` and `ndarrayHalf` methods return the scalar constant', function test( t ) {
+	var dot;
+	var x;
+
+	x = new Uint16Array( [ 0x3c00, 0x4000, 0x4200 ] );
+
+	dot = sdsdot.mainHalf( 'float16', 0, 3.0, x, 1, x, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayHalf( 'bfloat16', -1, 3.0, x, 1, 0, x, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
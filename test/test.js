@@ -47,7 +47,252 @@ tape( 'attached to the main export is a `Module` constructor', function test( t
 	t.end();
 });
 
+tape( 'attached to the main export is a `Pool` constructor', function test( t ) {
+	t.strictEqual( typeof sdsdot.Pool, 'function', 'returns expected value' );
+	t.end();
+});
+
 tape( 'the main export is a `Module` instance', function test( t ) {
 	t.strictEqual( sdsdot instanceof sdsdot.Module, true, 'returns expected value' );
 	t.end();
 });
+
+tape( 'attached to the main export is a `mainDouble` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayDouble` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainCompensated` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainCompensated, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayCompensated` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayCompensated, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainExact` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainExact, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayExact` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayExact, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainExactDouble` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainExactDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayExactDouble` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayExactDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainDot2` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainDot2, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayDot2` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayDot2, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainDoubleDouble` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainDoubleDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayDoubleDouble` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayDoubleDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainBatched` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainBatched, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayBatched` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayBatched, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainReproducible` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainReproducible, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayReproducible` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayReproducible, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainDiagnostics` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainDiagnostics, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayDiagnostics` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayDiagnostics, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainHalf` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainHalf, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayHalf` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayHalf, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainMixed` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainMixed, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayMixed` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayMixed, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainQuantized` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainQuantized, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayQuantized` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayQuantized, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainBlockScaled` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainBlockScaled, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayBlockScaled` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayBlockScaled, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainCdotu` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainCdotu, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayCdotu` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayCdotu, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainCdotc` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainCdotc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayCdotc` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayCdotc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainSparse` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainSparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarraySparse` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarraySparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainSparseSparse` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainSparseSparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarraySparseSparse` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarraySparseSparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainMasked` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainMasked, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayMasked` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayMasked, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainNaN` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainNaN, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayNaN` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayNaN, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `mainStatus` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.mainStatus, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `ndarrayStatus` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.ndarrayStatus, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `pin` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.pin, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `unpin` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.unpin, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `isPinned` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.isPinned, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `malloc` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.malloc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `free` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.free, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `heapStats` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.heapStats, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `alloc` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.alloc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to the main export is a `pointer` method', function test( t ) {
+	t.strictEqual( typeof sdsdot.pointer, 'function', 'returns expected value' );
+	t.end();
+});
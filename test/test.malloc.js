@@ -0,0 +1,139 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Routine = require( './../lib/routine.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized routine instance.
+*
+* @private
+* @returns {Routine} routine instance
+*/
+function setup() {
+	var r = new Routine();
+	r.initializeSync();
+	return r;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Routine, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'allocations and pinned arrays do not overlap', function test( t ) {
+	var region;
+	var ptr;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	ptr = r.malloc( 16 );
+	r.pin( x );
+	region = r._arena.get( x );
+	t.strictEqual( region.ptr >= ptr+16, true, 'returns expected value' );
+
+	r.free( ptr );
+	ptr = r.malloc( 32 );
+	t.strictEqual( ptr >= region.ptr+region.nbytes, true, 'returns expected value' );
+
+	// Released allocations are reused by pinned arrays:
+	r.pin( y );
+	t.strictEqual( r._arena.get( y ).ptr, 0, 'returns expected value' );
+
+	t.strictEqual( r.heapStats().allocations, 3, 'returns expected value' );
+	t.end();
+});
+
+tape( 'routine methods do not overwrite allocated memory when copying arrays to module memory', function test( t ) {
+	var view;
+	var dot;
+	var ptr;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	ptr = r.malloc( 16 );
+	r.write( ptr, new Float32Array( [ 5.0, 6.0, 7.0, 8.0 ] ) );
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	dot = r.main( 4, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 10.0, 'returns expected value' );
+
+	view = new Float32Array( 4 );
+	r.read( ptr, view );
+	t.deepEqual( view, new Float32Array( [ 5.0, 6.0, 7.0, 8.0 ] ), 'returns expected value' );
+
+	// Views over allocated memory are accessed in place:
+	view = new Float32Array( r.memory.buffer, ptr, 4 );
+	dot = r.main( 4, 0.0, view, 1, y, 1 );
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `free` method does not release memory reserved for pinned arrays', function test( t ) {
+	var r;
+	var x;
+
+	r = setup();
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	r.pin( x );
+
+	t.throws( free, Error, 'throws an error' );
+	t.strictEqual( r.isPinned( x ), true, 'returns expected value' );
+	t.end();
+
+	function free() {
+		r.free( r._arena.get( x ).ptr );
+	}
+});
+
+tape( 'the `unpin` method does not release allocated memory', function test( t ) {
+	var ptr;
+	var r;
+
+	r = setup();
+	ptr = r.malloc( 16 );
+	r.unpin( null );
+	t.strictEqual( r.heapStats().allocations, 1, 'returns expected value' );
+	r.free( ptr );
+	t.strictEqual( r.heapStats().allocations, 0, 'returns expected value' );
+	t.end();
+});
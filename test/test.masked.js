@@ -0,0 +1,150 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Uint8Array = require( '@stdlib/array-uint8' );
+var isnanf = require( '@stdlib/math-base-assert-is-nanf' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainMasked` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.mainMasked.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayMasked` method has an arity of 11', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayMasked.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainMasked` method computes the dot product of `x` and `y` according to a mask', function test( t ) {
+	var mask;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	mask = new Uint8Array( [ 0, 1, 0, 0, 1 ] );
+
+	dot = sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask, 1 );
+	t.strictEqual( dot, 8.0, 'returns expected value' );
+
+	dot = sdsdot.mainMasked( 3, 0.0, x, 2, y, 1, mask, -2 );
+	t.strictEqual( dot, 8.0, 'returns expected value' );
+
+	// Any non-zero mask value excludes the corresponding elements:
+	mask = new Uint8Array( [ 0, 255, 0, 0, 7 ] );
+	dot = sdsdot.mainMasked( x.length, 10.0, x, 1, y, 1, mask, 1 );
+	t.strictEqual( dot, 18.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayMasked` method computes the dot product of `x` and `y` according to a mask', function test( t ) {
+	var mask;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	mask = new Uint8Array( [ 0, 1, 0, 0, 1 ] );
+
+	dot = sdsdot.ndarrayMasked( x.length, 0.0, x, 1, 0, y, 1, 0, mask, 1, 0 );
+	t.strictEqual( dot, 8.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayMasked( 2, 1.0, x, 1, 3, y, 1, 0, mask, 1, 3 );
+	t.strictEqual( dot, 5.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayMasked( 2, 0.0, x, -1, 4, y, 1, 0, mask, -2, 2 );
+	t.strictEqual( dot, 9.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainMasked` method excludes masked elements containing non-finite values', function test( t ) {
+	var mask;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, NaN, 3.0, 4.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, Infinity ] );
+	mask = new Uint8Array( [ 0, 1, 0, 1 ] );
+
+	dot = sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask, 1 );
+	t.strictEqual( dot, 4.0, 'returns expected value' );
+
+	mask = new Uint8Array( [ 0, 0, 0, 1 ] );
+	dot = sdsdot.mainMasked( x.length, 0.0, x, 1, y, 1, mask, 1 );
+	t.strictEqual( isnanf( dot ), true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if all elements are masked, the `mainMasked` and `ndarrayMasked` methods return the scalar constant', function test( t ) {
+	var mask;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	mask = new Uint8Array( [ 1, 1, 1 ] );
+
+	dot = sdsdot.mainMasked( x.length, 3.0, x, 1, y, 1, mask, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayMasked( x.length, 3.0, x, 1, 0, y, 1, 0, mask, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainMasked` and `ndarrayMasked` methods return the scalar constant', function test( t ) {
+	var mask;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	mask = new Uint8Array( [ 0, 0, 0 ] );
+
+	dot = sdsdot.mainMasked( 0, 3.0, x, 1, y, 1, mask, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayMasked( -1, 3.0, x, 1, 0, y, 1, 0, mask, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,121 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var float64ToFloat32 = require( '@stdlib/number-float64-base-to-float32' );
+var pow = require( '@stdlib/math-base-special-pow' );
+var sdsdot = require( './../lib' );
+
+
+// VARIABLES //
+
+var EPS24 = pow( 2.0, -24 );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainMixed` method has an arity of 6', function test( t ) {
+	t.strictEqual( sdsdot.mainMixed.length, 6, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayMixed` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayMixed.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainMixed` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float64Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.mainMixed( x.length, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainMixed( 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayMixed` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float64Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.ndarrayMixed( x.length, 10.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayMixed( 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayMixed( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainMixed` and `ndarrayMixed` methods return the scalar constant', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float64Array( [ 1.0, 2.0, 3.0 ] );
+
+	dot = sdsdot.mainMixed( 0, 3.0, x, 1, y, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayMixed( -1, 3.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayMixed` method does not round `y` to single-precision before accumulating', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	// Rounding `1+2^-24` to single-precision would yield `1.0`, and the dot product would round to `1.0`:
+	x = new Float32Array( [ 1.0, 1.0 ] );
+	y = new Float64Array( [ 1.0+EPS24, EPS24 ] );
+
+	dot = sdsdot.ndarrayMixed( x.length, 0.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, float64ToFloat32( 1.0+(2.0*EPS24) ), 'returns expected value' );
+
+	t.end();
+});
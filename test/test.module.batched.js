@@ -0,0 +1,202 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainBatched` method which has an arity of 10', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainBatched.length, 10, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayBatched` method which has an arity of 12', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayBatched.length, 12, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainBatched` method which computes the dot products of a batch of vectors', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var sp;
+	var op;
+	var v;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	sp = 128;
+	op = 144;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+	mod.write( sp, new Float32Array( [ 10.0, 0.0, 1.0, -1.0 ] ) );
+
+	out = new Float32Array( 4 );
+	v = mod.mainBatched( 4, 2, sp, xp, 1, 2, yp, 1, 2, op );
+	t.strictEqual( v, op, 'returns expected value' );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float32Array( [ 30.0, -17.0, 9.0, -29.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	out = new Float32Array( 2 );
+	mod.mainBatched( 2, 4, sp, xp, 2, 1, yp, -2, 1, op );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float32Array( [ -15.0, 62.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	out = new Float32Array( 2 );
+	mod.mainBatched( 2, 4, sp, xp, 1, -4, yp, 1, 4, op );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float32Array( [ 1.0, 27.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayBatched` method which computes the dot products of a batch of vectors', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var sp;
+	var op;
+	var v;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	sp = 128;
+	op = 144;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+	mod.write( sp, new Float32Array( [ 10.0, 0.0, 1.0, -1.0 ] ) );
+
+	out = new Float32Array( 3 );
+	v = mod.ndarrayBatched( 3, 2, sp, xp, 1, 2, 1, yp, 1, 2, 1, op );
+	t.strictEqual( v, op, 'returns expected value' );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float32Array( [ 25.0, -28.0, 7.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	out = new Float32Array( 2 );
+	mod.ndarrayBatched( 2, 3, sp, xp, 2, 1, 1, yp, -2, 1, 5, op );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float32Array( [ 18.0, -9.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainBatched` and `ndarrayBatched` methods which return the scalar constants', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 128, new Float32Array( [ 3.0, -2.0 ] ) );
+
+	out = new Float32Array( 2 );
+	mod.mainBatched( 2, 0, 128, 0, 1, 0, 64, 1, 0, 144 );
+	mod.read( 144, out );
+	t.deepEqual( out, new Float32Array( [ 3.0, -2.0 ] ), 'returns expected value' );
+
+	out = new Float32Array( 2 );
+	mod.write( 144, out );
+	mod.ndarrayBatched( 2, -1, 128, 0, 1, 0, 0, 64, 1, 0, 0, 144 );
+	mod.read( 144, out );
+	t.deepEqual( out, new Float32Array( [ 3.0, -2.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided a `B` parameter equal to `0`, a module instance has `mainBatched` and `ndarrayBatched` methods which leave the output array unchanged', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	mod.write( 144, new Float32Array( [ 7.0 ] ) );
+
+	out = new Float32Array( 1 );
+	mod.mainBatched( 0, 3, 128, 0, 1, 3, 0, 1, 3, 144 );
+	mod.read( 144, out );
+	t.deepEqual( out, new Float32Array( [ 7.0 ] ), 'returns expected value' );
+
+	mod.ndarrayBatched( 0, 3, 128, 0, 1, 3, 0, 0, 1, 3, 0, 144 );
+	mod.read( 144, out );
+	t.deepEqual( out, new Float32Array( [ 7.0 ] ), 'returns expected value' );
+
+	t.end();
+});
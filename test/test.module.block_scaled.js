@@ -0,0 +1,302 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Uint8Array = require( '@stdlib/array-uint8' );
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+var Module = require( './../lib' ).Module;
+
+
+// VARIABLES //
+
+// E4M3 numbers [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0 ]:
+var XE4M3 = [ 0x38, 0x40, 0x44, 0x48, 0x4a, 0x4c, 0x4e, 0x50 ];
+
+// E4M3 numbers [ 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0 ]:
+var YE4M3 = [ 0x38, 0x38, 0x38, 0x38, 0x38, 0x38, 0x38, 0x38 ];
+
+// E5M2 numbers [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0 ]:
+var XE5M2 = [ 0x3c, 0x40, 0x42, 0x44, 0x45, 0x46, 0x47, 0x48 ];
+
+// E5M2 numbers [ 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0 ]:
+var YE5M2 = [ 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c, 0x3c ];
+
+// E8M0 block scales [ 2^0, 2^1 ] and [ 2^0, 2^-1 ]:
+var SX = [ 127, 128 ];
+var SY = [ 127, 126 ];
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance containing the provided data.
+*
+* @private
+* @param {Array} x - first input array
+* @param {Array} sx - first input array block scales
+* @param {Array} y - second input array
+* @param {Array} sy - second input array block scales
+* @returns {Module} module instance
+*/
+function setup( x, sx, y, sy ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Uint8Array( x ) );
+	mod.write( 16, new Uint8Array( sx ) );
+	mod.write( 32, new Uint8Array( y ) );
+	mod.write( 48, new Uint8Array( sy ) );
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainBlockScaled` method which has an arity of 8', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainBlockScaled.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayBlockScaled` method which has an arity of 10', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayBlockScaled.length, 10, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has `mainBlockScaled` and `ndarrayBlockScaled` methods which throw an error if provided an unsupported format', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( XE4M3, SX, YE4M3, SY );
+
+	values = [
+		'float8',
+		'e3m4',
+		'uint8',
+		'beep',
+		5,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			mod.mainBlockScaled( value, 8, 0.0, 0, 16, 32, 48, 4 );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			mod.ndarrayBlockScaled( value, 8, 0.0, 0, 16, 0, 32, 48, 0, 4 );
+		};
+	}
+});
+
+tape( 'a module instance has `mainBlockScaled` and `ndarrayBlockScaled` methods which throw an error if provided a block size which is not a positive integer', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( XE4M3, SX, YE4M3, SY );
+
+	values = [
+		'4',
+		0,
+		-4,
+		3.14,
+		NaN,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			mod.mainBlockScaled( 'e4m3', 8, 0.0, 0, 16, 32, 48, value );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			mod.ndarrayBlockScaled( 'e4m3', 8, 0.0, 0, 16, 0, 32, 48, 0, value );
+		};
+	}
+});
+
+tape( 'a module instance has a `mainBlockScaled` method which computes the dot product of block-scaled vectors `x` and `y`', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup( XE4M3, SX, YE4M3, SY );
+
+	dot = mod.mainBlockScaled( 'e4m3', 8, 10.0, 0, 16, 32, 48, 4 );
+	t.strictEqual( dot, 46.0, 'returns expected value' );
+
+	dot = mod.mainBlockScaled( 'e4m3', 8, 0.0, 0, 16, 32, 48, 8 );
+	t.strictEqual( dot, 36.0, 'returns expected value' );
+
+	dot = mod.mainBlockScaled( 'e4m3', 4, 0.0, 0, 16, 32, 48, 2 );
+	t.strictEqual( dot, 10.0, 'returns expected value' );
+
+	mod = setup( XE5M2, SX, YE5M2, SY );
+
+	dot = mod.mainBlockScaled( 'e5m2', 8, 10.0, 0, 16, 32, 48, 4 );
+	t.strictEqual( dot, 46.0, 'returns expected value' );
+
+	dot = mod.mainBlockScaled( 'e5m2', 8, 0.0, 0, 16, 32, 48, 8 );
+	t.strictEqual( dot, 36.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayBlockScaled` method which computes the dot product of block-scaled vectors `x` and `y`', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup( XE4M3, SX, YE4M3, SY );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 8, 10.0, 0, 16, 0, 32, 48, 0, 4 );
+	t.strictEqual( dot, 46.0, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 4, 0.0, 0, 16, 2, 32, 48, 2, 4 );
+	t.strictEqual( dot, 18.0, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 2, 0.0, 0, 16, 4, 32, 48, 0, 4 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	mod = setup( XE5M2, SX, YE5M2, SY );
+
+	dot = mod.ndarrayBlockScaled( 'e5m2', 4, 0.0, 0, 16, 2, 32, 48, 2, 4 );
+	t.strictEqual( dot, 18.0, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e5m2', 2, 0.0, 0, 16, 4, 32, 48, 0, 4 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayBlockScaled` method which decodes subnormal, extreme, and non-finite 8-bit floating-point numbers', function test( t ) {
+	var dot;
+	var mod;
+
+	// E4M3: smallest subnormal (2^-9), largest finite number (448), and NaN:
+	mod = setup( [ 0x01, 0x7e, 0x7f ], [ 127 ], [ 0x38, 0x7e, 0x38 ], [ 127 ] );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 1, 0.0, 0, 16, 0, 32, 48, 0, 32 );
+	t.strictEqual( dot, 0.001953125, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 1, 0.0, 0, 16, 1, 32, 48, 1, 32 );
+	t.strictEqual( dot, 200704.0, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 1, 0.0, 0, 16, 2, 32, 48, 2, 32 );
+	t.strictEqual( isnan( dot ), true, 'returns expected value' );
+
+	// E5M2: smallest subnormal (2^-16), negative infinity, and NaN:
+	mod = setup( [ 0x01, 0xfc, 0x7d ], [ 127 ], [ 0x3c, 0x3c, 0x3c ], [ 127 ] );
+
+	dot = mod.ndarrayBlockScaled( 'e5m2', 1, 0.0, 0, 16, 0, 32, 48, 0, 32 );
+	t.strictEqual( dot, 0.0000152587890625, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e5m2', 1, 0.0, 0, 16, 1, 32, 48, 1, 32 );
+	t.strictEqual( dot, -Infinity, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e5m2', 1, 0.0, 0, 16, 2, 32, 48, 2, 32 );
+	t.strictEqual( isnan( dot ), true, 'returns expected value' );
+
+	// A NaN block scale:
+	mod = setup( XE4M3, [ 255 ], YE4M3, [ 127 ] );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 8, 0.0, 0, 16, 0, 32, 48, 0, 32 );
+	t.strictEqual( isnan( dot ), true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayBlockScaled` method which applies block scales without intermediate overflow', function test( t ) {
+	var dot;
+	var mod;
+
+	// Block scales 2^100 and 2^-100:
+	mod = setup( XE4M3, [ 227 ], YE4M3, [ 27 ] );
+
+	dot = mod.ndarrayBlockScaled( 'e4m3', 8, 0.0, 0, 16, 0, 32, 48, 0, 32 );
+	t.strictEqual( dot, 36.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainBlockScaled` and `ndarrayBlockScaled` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup( XE4M3, SX, YE4M3, SY );
+
+	dot = mod.mainBlockScaled( 'e4m3', 0, 3.0, 0, 16, 32, 48, 4 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayBlockScaled( 'e5m2', -1, 3.0, 0, 16, 0, 32, 48, 0, 4 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
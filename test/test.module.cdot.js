@@ -0,0 +1,188 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Complex64Array = require( '@stdlib/array-complex64' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance with two complex vectors written to memory.
+*
+* @private
+* @returns {Module} module instance
+*/
+function setup() {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Complex64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ) );
+	mod.write( 24, new Complex64Array( [ 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ) ); // eslint-disable-line max-len
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has `mainCdotu` and `mainCdotc` methods which have an arity of 6', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainCdotu.length, 6, 'returns expected value' );
+	t.strictEqual( mod.mainCdotc.length, 6, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has `ndarrayCdotu` and `ndarrayCdotc` methods which have an arity of 8', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayCdotu.length, 8, 'returns expected value' );
+	t.strictEqual( mod.ndarrayCdotc.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainCdotu` method which computes the dot product of `x` and `y`', function test( t ) {
+	var out;
+	var mod;
+	var p;
+
+	mod = setup();
+	out = new Float32Array( 2 );
+
+	p = mod.mainCdotu( 3, 0, 1, 24, 1, 48 );
+	t.strictEqual( p, 48, 'returns expected value' );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ -39.0, 214.0 ] ), 'returns expected value' );
+
+	mod.mainCdotu( 2, 0, 2, 24, -1, 48 );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ -24.0, 110.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayCdotu` method which computes the dot product of `x` and `y`', function test( t ) {
+	var out;
+	var mod;
+	var p;
+
+	mod = setup();
+	out = new Float32Array( 2 );
+
+	p = mod.ndarrayCdotu( 3, 0, 1, 0, 24, 1, 0, 48 );
+	t.strictEqual( p, 48, 'returns expected value' );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ -39.0, 214.0 ] ), 'returns expected value' );
+
+	mod.ndarrayCdotu( 2, 0, 1, 1, 24, 1, 1, 48 );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ -30.0, 192.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has a `mainCdotc` method which computes the dot product of the conjugate of `x` and `y`', function test( t ) {
+	var out;
+	var mod;
+	var p;
+
+	mod = setup();
+	out = new Float32Array( 2 );
+
+	p = mod.mainCdotc( 3, 0, 1, 24, 1, 48 );
+	t.strictEqual( p, 48, 'returns expected value' );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ 217.0, -18.0 ] ), 'returns expected value' );
+
+	mod.mainCdotc( 2, 0, 2, 24, -1, 48 );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ 112.0, -10.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayCdotc` method which computes the dot product of the conjugate of `x` and `y`', function test( t ) {
+	var out;
+	var mod;
+	var p;
+
+	mod = setup();
+	out = new Float32Array( 2 );
+
+	p = mod.ndarrayCdotc( 3, 0, 1, 0, 24, 1, 0, 48 );
+	t.strictEqual( p, 48, 'returns expected value' );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ 217.0, -18.0 ] ), 'returns expected value' );
+
+	mod.ndarrayCdotc( 2, 0, -2, 2, 24, 1, 1, 48 );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ 140.0, -14.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the complex dot product methods of a module instance write zero to the output pointer', function test( t ) {
+	var out;
+	var mod;
+
+	mod = setup();
+	out = new Float32Array( 2 );
+
+	mod.write( 48, new Float32Array( [ 9.0, 9.0 ] ) );
+	mod.mainCdotu( 0, 0, 1, 24, 1, 48 );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ 0.0, 0.0 ] ), 'returns expected value' );
+
+	mod.write( 48, new Float32Array( [ 9.0, 9.0 ] ) );
+	mod.ndarrayCdotc( -1, 0, 1, 0, 24, 1, 0, 48 );
+	mod.read( 48, out );
+	t.deepEqual( out, new Float32Array( [ 0.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
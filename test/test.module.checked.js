@@ -0,0 +1,542 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Int32Array = require( '@stdlib/array-int32' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance.
+*
+* @private
+* @param {boolean} checked - boolean indicating whether to verify memory accesses
+* @returns {Module} module instance
+*/
+function setup( checked ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem, {
+		'checked': checked
+	});
+	mod.initializeSync();
+	mod.write( 0, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( 64, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'the constructor throws an error if provided an options argument which is not an object', function test( t ) {
+	var values;
+	var mem;
+	var i;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	values = [
+		'5',
+		5,
+		NaN,
+		true,
+		false,
+		null,
+		void 0,
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			return new Module( mem, value );
+		};
+	}
+});
+
+tape( 'the constructor throws an error if provided a `checked` option which is not a boolean', function test( t ) {
+	var values;
+	var mem;
+	var i;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	values = [
+		'5',
+		5,
+		NaN,
+		null,
+		void 0,
+		[],
+		{}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			return new Module( mem, {
+				'checked': value
+			});
+		};
+	}
+});
+
+tape( 'the constructor does not require the `new` keyword when provided options', function test( t ) {
+	var mod;
+	var mem;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = Module( mem, {} ); // eslint-disable-line new-cap
+	t.strictEqual( mod instanceof Module, true, 'returns expected value' );
+	t.end();
+});
+
+tape( 'in checked mode, the `main` and `ndarray` methods compute the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup( true );
+
+	dot = mod.main( 8, 10.0, 0, 1, 64, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.main( 4, 0.0, 0, 2, 64, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarray( 4, 0.0, 0, 2, 0, 64, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarray( 3, 0.0, 0, 1, 1, 64, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'in checked mode, the `main` and `ndarray` methods support accessing the last element of module memory', function test( t ) {
+	var mod = setup( true );
+	mod.write( 65528, new Float32Array( [ 3.0, 2.0 ] ) );
+
+	t.strictEqual( mod.main( 1, 0.0, 65532, 1, 65532, 1 ), 4.0, 'returns expected value' );
+	t.strictEqual( mod.ndarray( 2, 0.0, 65528, 1, 0, 65528, -1, 1 ), 12.0, 'returns expected value' );
+	t.end();
+});
+
+tape( 'in checked mode, the `main` and `ndarray` methods throw an error if provided an array pointer which is not aligned', function test( t ) {
+	var mod = setup( true );
+
+	t.throws( main( 8, 2, 1, 64, 1 ), /Third argument must be a pointer which is aligned/, 'throws an error' );
+	t.throws( main( 8, 0, 1, 65, 1 ), /Fifth argument must be a pointer which is aligned/, 'throws an error' );
+	t.throws( ndarray( 8, 1, 1, 0, 64, 1, 0 ), /Third argument must be a pointer which is aligned/, 'throws an error' );
+	t.throws( ndarray( 8, 0, 1, 0, 66, 1, 0 ), /Sixth argument must be a pointer which is aligned/, 'throws an error' );
+	t.end();
+
+	function main( N, xp, sx, yp, sy ) {
+		return function main() {
+			mod.main( N, 0.0, xp, sx, yp, sy );
+		};
+	}
+
+	function ndarray( N, xp, sx, ox, yp, sy, oy ) {
+		return function ndarray() {
+			mod.ndarray( N, 0.0, xp, sx, ox, yp, sy, oy );
+		};
+	}
+});
+
+tape( 'in checked mode, the `main` and `ndarray` methods throw an error if an accessed element lies outside of module memory', function test( t ) {
+	var mod = setup( true );
+
+	t.throws( main( 8, 65520, 1, 64, 1 ), /Third argument/, 'throws an error' );
+	t.throws( main( 8, 0, 1, 65536, 1 ), /Fifth argument/, 'throws an error' );
+	t.throws( main( 3, 0, 40000, 64, 1 ), /Third argument/, 'throws an error' );
+	t.throws( main( 3, 0, 1, 64, -40000 ), /Fifth argument/, 'throws an error' );
+
+	t.throws( ndarray( 8, 0, 1, -1, 64, 1, 0 ), /Third argument/, 'throws an error' );
+	t.throws( ndarray( 2, 0, -1, 0, 64, 1, 0 ), /Third argument/, 'throws an error' );
+	t.throws( ndarray( 8, 0, 1, 0, 64, 1, 16380 ), /Sixth argument/, 'throws an error' );
+	t.throws( ndarray( 8, 0, 1, 0, 64, 1, 1e10 ), RangeError, 'throws an error' );
+	t.end();
+
+	function main( N, xp, sx, yp, sy ) {
+		return function main() {
+			mod.main( N, 0.0, xp, sx, yp, sy );
+		};
+	}
+
+	function ndarray( N, xp, sx, ox, yp, sy, oy ) {
+		return function ndarray() {
+			mod.ndarray( N, 0.0, xp, sx, ox, yp, sy, oy );
+		};
+	}
+});
+
+tape( 'in checked mode, the `main` and `ndarray` methods do not validate pointers if `N <= 0`', function test( t ) {
+	var mod = setup( true );
+
+	t.strictEqual( mod.main( 0, 3.0, 1, 1, 1e10, 1 ), 3.0, 'returns expected value' );
+	t.strictEqual( mod.ndarray( -1, 3.0, 1, 1, -1, 1e10, 1, 0 ), 3.0, 'returns expected value' );
+	t.end();
+});
+
+tape( 'by default, the `main` and `ndarray` methods do not validate pointers', function test( t ) {
+	var mod = setup( false );
+
+	// Unaligned pointers are passed directly to the kernel:
+	t.doesNotThrow( function noThrow() {
+		mod.main( 4, 0.0, 2, 1, 64, 1 );
+	}, 'does not throw an error' );
+
+	t.throws( function badValue() {
+		mod.ndarray( 8, 0.0, 0, 1, 0, 65536, 1, 0 );
+	}, /out of bounds/, 'throws an error' );
+
+	t.end();
+});
+
+tape( 'in checked mode, the `main` and `ndarray` methods validate memory accesses of pointer handles', function test( t ) {
+	var mem;
+	var mod;
+	var x;
+	var y;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem, {
+		'checked': true
+	});
+	mod.initializeSync();
+
+	x = mod.pointer( 65520, 4 );
+	y = mod.pointer( 65528, 4 );
+
+	t.doesNotThrow( function noThrow() {
+		mod.main( 4, 0.0, x, 1, x, 1 );
+	}, 'does not throw an error' );
+
+	t.throws( function badValue() {
+		mod.main( 4, 0.0, x, 1, y, 1 );
+	}, /Fifth argument, together with/, 'throws an error' );
+	t.end();
+});
+
+tape( 'in checked mode, methods other than `main` and `ndarray` compute the dot product of `x` and `y`', function test( t ) {
+	var mod = setup( true );
+
+	t.strictEqual( mod.mainDouble( 8, 10.0, 0, 1, 64, 1 ), -7.0, 'returns expected value' );
+	t.strictEqual( mod.ndarrayCompensated( 4, 0.0, 0, 2, 0, 64, -2, 6 ), -25.0, 'returns expected value' );
+	t.strictEqual( mod.mainExact( 8, 10.0, 0, 1, 64, 1, 128 ), -7.0, 'returns expected value' );
+	t.strictEqual( mod.ndarrayReproducible( 3, 0.0, 0, 1, 1, 64, 2, 1 ), 64.0, 'returns expected value' );
+	t.end();
+});
+
+tape( 'in checked mode, methods other than `main` and `ndarray` throw an error if a single-precision floating-point input vector argument has an accessed element which lies outside of module memory or is not aligned', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( true );
+	values = [
+		[ 'mainDouble', [ 8, 0.0, 2, 1, 64, 1 ], /Third argument must be a pointer which is aligned/ ],
+		[ 'ndarrayDouble', [ 8, 0.0, 0, 1, 0, 65536, 1, 0 ], /Sixth argument, together with/ ],
+		[ 'mainCompensated', [ 8, 0.0, 0, 1, 65520, 1 ], /Fifth argument, together with/ ],
+		[ 'ndarrayCompensated', [ 8, 0.0, 0, 1, 0, 64, 1, 16380 ], /Sixth argument, together with/ ],
+		[ 'mainExact', [ 8, 0.0, 65520, 1, 64, 1, 128 ], /Third argument, together with/ ],
+		[ 'ndarrayExact', [ 8, 0.0, 0, 1, -1, 64, 1, 0, 128 ], /Third argument, together with/ ],
+		[ 'mainExactDouble', [ 8, 0.0, 0, 1, 66, 1, 128 ], /Fifth argument must be a pointer which is aligned/ ],
+		[ 'ndarrayExactDouble', [ 8, 0.0, 0, 1, 0, 64, 1, 16380, 128 ], /Sixth argument, together with/ ],
+		[ 'mainDot2', [ 3, 0.0, 0, 40000, 64, 1 ], /Third argument, together with/ ],
+		[ 'ndarrayDot2', [ 8, 0.0, 0, 1, 0, 64, 1, 16380 ], /Sixth argument, together with/ ],
+		[ 'mainDoubleDouble', [ 8, 0.0, 0, 1, 65536, 1, 128, 1 ], /Fifth argument, together with/ ],
+		[ 'ndarrayDoubleDouble', [ 8, 0.0, 0, 1, 16380, 64, 1, 0, 128, 1, 0 ], /Third argument, together with/ ],
+		[ 'mainReproducible', [ 3, 0.0, 0, 1, 64, -40000 ], /Fifth argument, together with/ ],
+		[ 'ndarrayReproducible', [ 8, 0.0, 1, 1, 0, 64, 1, 0 ], /Third argument must be a pointer which is aligned/ ],
+		[ 'mainDiagnostics', [ 8, 0.0, 65520, 1, 64, 1, 128, 1 ], /Third argument, together with/ ],
+		[ 'ndarrayDiagnostics', [ 8, 0.0, 0, 1, 0, 64, 1, 16380, 128, 1, 0 ], /Sixth argument, together with/ ],
+		[ 'mainMixed', [ 8, 0.0, 65520, 1, 128, 1 ], /Third argument, together with/ ],
+		[ 'ndarrayMixed', [ 8, 0.0, 0, 1, 16380, 128, 1, 0 ], /Third argument, together with/ ],
+		[ 'mainSparse', [ 8, 0.0, 65520, 1, 128, 1, 64 ], /Third argument, together with/ ],
+		[ 'ndarraySparse', [ 8, 0.0, 0, 1, 16380, 128, 1, 0, 64, 0 ], /Third argument, together with/ ],
+		[ 'mainMasked', [ 8, 0.0, 0, 1, 65520, 1, 128, 1 ], /Fifth argument, together with/ ],
+		[ 'ndarrayMasked', [ 8, 0.0, 0, 1, 0, 64, 1, 16380, 128, 1, 0 ], /Sixth argument, together with/ ],
+		[ 'mainNaN', [ 'ignore', 8, 0.0, 65520, 1, 64, 1, 128, 1 ], /Fourth argument, together with/ ],
+		[ 'ndarrayNaN', [ 'ignore', 8, 0.0, 0, 1, 0, 64, 1, 16380, 128, 1, 0 ], /Seventh argument, together with/ ],
+		[ 'mainStatus', [ 8, 0.0, 0, 1, 65520, 1, 128 ], /Fifth argument, together with/ ],
+		[ 'ndarrayStatus', [ 8, 0.0, 0, 1, 0, 66, 1, 0, 128 ], /Sixth argument must be a pointer which is aligned/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'in checked mode, the sparse methods throw an error if an index array or the dense vector has an accessed element which lies outside of module memory or is not aligned', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( true );
+	mod.write( 128, new Int32Array( [ 0, 2, 40000 ] ) );
+	mod.write( 144, new Int32Array( [ 0, 1, 2 ] ) );
+
+	t.strictEqual( mod.mainSparse( 3, 0.0, 0, 1, 144, 1, 64 ), 23.0, 'returns expected value' );
+	t.strictEqual( mod.ndarraySparse( 3, 0.0, 0, 1, 0, 144, 1, 0, 64, 5 ), 45.0, 'returns expected value' );
+
+	values = [
+		[ 'mainSparse', [ 3, 0.0, 0, 1, 65532, 1, 64 ], /Fifth argument, together with/ ],
+		[ 'mainSparse', [ 3, 0.0, 0, 1, 130, 1, 64 ], /Fifth argument must be a pointer which is aligned/ ],
+		[ 'mainSparse', [ 3, 0.0, 0, 1, 128, 1, 64 ], /Seventh argument, together with/ ],
+		[ 'mainSparse', [ 3, 0.0, 0, 1, 144, 1, 66 ], /Seventh argument must be a pointer which is aligned/ ],
+		[ 'ndarraySparse', [ 3, 0.0, 0, 1, 0, 144, 1, 0, 64, 16370 ], /Ninth argument, together with/ ],
+		[ 'ndarraySparse', [ 3, 0.0, 0, 1, 0, 144, 1, 0, 64, -17 ], /Ninth argument, together with/ ],
+		[ 'ndarraySparse', [ 3, 0.0, 0, 1, 0, 144, 1, 16383, 64, 0 ], /Sixth argument, together with/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'in checked mode, the sparse-sparse methods throw an error if a value or index array has an accessed element which lies outside of module memory or is not aligned', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( true );
+	mod.write( 128, new Int32Array( [ 0, 1, 2 ] ) );
+
+	t.strictEqual( mod.mainSparseSparse( 3, 3, 0.0, 0, 128, 1, 64, 128, 1 ), 23.0, 'returns expected value' );
+
+	values = [
+		[ 'mainSparseSparse', [ 3, 3, 0.0, 65532, 128, 1, 64, 128, 1 ], /Fourth argument, together with/ ],
+		[ 'mainSparseSparse', [ 3, 3, 0.0, 0, 65532, 1, 64, 128, 1 ], /Fifth argument, together with/ ],
+		[ 'mainSparseSparse', [ 3, 3, 0.0, 0, 128, 1, 66, 128, 1 ], /Seventh argument must be a pointer which is aligned/ ],
+		[ 'mainSparseSparse', [ 3, 3, 0.0, 0, 128, 1, 64, 130, 1 ], /Eighth argument must be a pointer which is aligned/ ],
+		[ 'ndarraySparseSparse', [ 3, 3, 0.0, 0, 128, 1, 0, 64, 128, 1, 16383 ], /Eighth argument, together with/ ],
+		[ 'ndarraySparseSparse', [ 3, 3, 0.0, 0, 128, 1, -1, 64, 128, 1, 0 ], /Fourth argument, together with/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'in checked mode, the batched methods throw an error if an array argument has an accessed element which lies outside of module memory or is not aligned', function test( t ) {
+	var values;
+	var out;
+	var mod;
+	var i;
+
+	mod = setup( true );
+
+	t.strictEqual( mod.mainBatched( 2, 4, 192, 0, 1, 4, 64, 1, 4, 200 ), 200, 'returns expected value' );
+	out = new Float32Array( 2 );
+	mod.read( 200, out );
+	t.deepEqual( out, new Float32Array( [ 3.0, -20.0 ] ), 'returns expected value' );
+
+	values = [
+		[ 'mainBatched', [ 2, 4, 65532, 0, 1, 4, 64, 1, 4, 200 ], /Third argument, together with/ ],
+		[ 'mainBatched', [ 2, 4, 192, 0, 1, 16381, 64, 1, 4, 200 ], /Fourth argument, together with/ ],
+		[ 'mainBatched', [ 2, 4, 192, 0, 1, 4, 66, 1, 4, 200 ], /Seventh argument must be a pointer which is aligned/ ],
+		[ 'mainBatched', [ 2, 4, 192, 0, 1, 4, 64, 1, 4, 65532 ], /Tenth argument, together with/ ],
+		[ 'ndarrayBatched', [ 2, 4, 192, 0, 1, 4, -1, 64, 1, 4, 0, 200 ], /Fourth argument, together with/ ],
+		[ 'ndarrayBatched', [ 2, 4, 192, 0, 1, 4, 0, 0, -1, 4, 2, 200 ], /Eighth argument, together with/ ],
+		[ 'ndarrayBatched', [ 2, 4, 192, 0, 1, 4, 0, 64, 1, 4, 0, 202 ], /Twelfth argument must be a pointer which is aligned/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'in checked mode, the complex methods throw an error if an array argument has an accessed element which lies outside of module memory or is not aligned to a multiple of 8 bytes', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( true );
+
+	t.strictEqual( mod.mainCdotu( 4, 0, 1, 64, 1, 128 ), 128, 'returns expected value' );
+
+	values = [
+		[ 'mainCdotu', [ 4, 4, 1, 64, 1, 128 ], /Second argument must be a pointer which is aligned to a multiple of 8 bytes/ ],
+		[ 'mainCdotu', [ 4, 0, 1, 65520, 1, 128 ], /Fourth argument, together with/ ],
+		[ 'mainCdotu', [ 4, 0, 1, 64, 1, 65536 ], /Sixth argument, together with/ ],
+		[ 'ndarrayCdotu', [ 4, 0, 1, 8190, 64, 1, 0, 128 ], /Second argument, together with/ ],
+		[ 'mainCdotc', [ 4, 0, 1, 68, 1, 128 ], /Fourth argument must be a pointer which is aligned/ ],
+		[ 'mainCdotc', [ 4, 0, 1, 64, 1, 132 ], /Sixth argument must be a pointer which is aligned/ ],
+		[ 'ndarrayCdotc', [ 4, 0, 1, 0, 0, -1, 0, 128 ], /Fifth argument, together with/ ],
+		[ 'ndarrayCdotc', [ 0, 0, 1, 0, 64, 1, 0, 65536 ], /Eighth argument, together with/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'in checked mode, the mixed-precision methods throw an error if the double-precision vector has an accessed element which lies outside of module memory or is not aligned to a multiple of 8 bytes', function test( t ) {
+	var mod = setup( true );
+
+	t.throws( function badValue() {
+		mod.mainMixed( 4, 0.0, 0, 1, 65520, 1 );
+	}, /Fifth argument, together with/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainMixed( 4, 0.0, 0, 1, 68, 1 );
+	}, /Fifth argument must be a pointer which is aligned to a multiple of 8 bytes/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarrayMixed( 4, 0.0, 0, 1, 0, 64, 1, 8189 );
+	}, /Sixth argument, together with/, 'throws an error' );
+	t.end();
+});
+
+tape( 'in checked mode, the half-precision, quantized, and block-scaled methods throw an error if an array argument has an accessed element which lies outside of module memory or is not aligned', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( true );
+
+	t.doesNotThrow( function validValue() {
+		mod.ndarrayBlockScaled( 'e5m2', 4, 0.0, 0, 65534, 4, 64, 128, 0, 4 );
+	}, 'does not throw an error' );
+
+	values = [
+		[ 'mainHalf', [ 'float16', 8, 0.0, 65530, 1, 64, 1 ], /Fourth argument, together with/ ],
+		[ 'ndarrayHalf', [ 'bfloat16', 4, 0.0, 0, 1, 0, 65, 1, 0 ], /Seventh argument must be a pointer which is aligned to a multiple of 2 bytes/ ],
+		[ 'mainQuantized', [ 'int8', 8, 0.0, 65530, 1, 0, 1.0, 64, 1, 0, 1.0 ], /Fourth argument, together with/ ],
+		[ 'ndarrayQuantized', [ 'uint8', 4, 0.0, 0, 1, 0, 0, 1.0, 64, 1, 65470, 0, 1.0 ], /Ninth argument, together with/ ],
+		[ 'mainBlockScaled', [ 'e4m3', 8, 0.0, 65530, 128, 64, 128, 4 ], /Fourth argument, together with/ ],
+		[ 'mainBlockScaled', [ 'e4m3', 8, 0.0, 0, 65535, 64, 128, 4 ], /Fifth argument, together with/ ],
+		[ 'ndarrayBlockScaled', [ 'e5m2', 4, 0.0, 0, 65534, 8, 64, 128, 0, 4 ], /Fifth argument, together with/ ],
+		[ 'ndarrayBlockScaled', [ 'e5m2', 8, 0.0, 0, 128, 0, 64, 65535, 0, 4 ], /Eighth argument, together with/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'in checked mode, methods throw an error if a workspace, output array, or mask has an accessed element which lies outside of module memory or is not aligned', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( true );
+
+	t.strictEqual( mod.mainExact( 0, 1.0, 0, 1, 64, 1, 65532 ), 1.0, 'returns expected value' );
+
+	values = [
+		[ 'mainExact', [ 8, 0.0, 0, 1, 64, 1, 65400 ], /Seventh argument, together with/ ],
+		[ 'ndarrayExactDouble', [ 8, 0.0, 0, 1, 0, 64, 1, 0, 132 ], /Ninth argument must be a pointer which is aligned to a multiple of 8 bytes/ ],
+		[ 'mainDoubleDouble', [ 8, 0.0, 0, 1, 64, 1, 65528, 1 ], /Seventh argument, together with/ ],
+		[ 'ndarrayDoubleDouble', [ 8, 0.0, 0, 1, 0, 64, 1, 0, 0, -1, 0 ], /Ninth argument, together with/ ],
+		[ 'mainDiagnostics', [ 8, 0.0, 0, 1, 64, 1, 132, 1 ], /Seventh argument must be a pointer which is aligned/ ],
+		[ 'ndarrayDiagnostics', [ 8, 0.0, 0, 1, 0, 64, 1, 0, 128, 1, 8188 ], /Ninth argument, together with/ ],
+		[ 'mainNaN', [ 'ignore', 8, 0.0, 0, 1, 64, 1, 132, 1 ], /Eighth argument must be a pointer which is aligned/ ],
+		[ 'ndarrayNaN', [ 'ignore', 8, 0.0, 0, 1, 0, 64, 1, 0, 65528, 1, 0 ], /Tenth argument, together with/ ],
+		[ 'mainStatus', [ 8, 0.0, 0, 1, 64, 1, 65536 ], /Seventh argument, together with/ ],
+		[ 'ndarrayStatus', [ 8, 0.0, 0, 1, 0, 64, 1, 0, 130 ], /Ninth argument must be a pointer which is aligned/ ],
+		[ 'mainMasked', [ 8, 0.0, 0, 1, 64, 1, 65530, 1 ], /Seventh argument, together with/ ],
+		[ 'ndarrayMasked', [ 8, 0.0, 0, 1, 0, 64, 1, 0, 0, 1, -1 ], /Ninth argument, together with/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'by default, methods other than `main` and `ndarray` do not validate pointers', function test( t ) {
+	var mod = setup( false );
+
+	t.throws( function badValue() {
+		mod.ndarrayDouble( 8, 0.0, 0, 1, 0, 65536, 1, 0 );
+	}, /out of bounds/, 'throws an error' );
+	t.end();
+});
@@ -0,0 +1,232 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var uniform = require( '@stdlib/random-base-uniform' );
+var discreteUniform = require( '@stdlib/random-base-discrete-uniform' );
+var pow = require( '@stdlib/math-base-special-pow' );
+var abs = require( '@stdlib/math-base-special-abs' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainDiagnostics` method which has an arity of 8', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainDiagnostics.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayDiagnostics` method which has an arity of 11', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayDiagnostics.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainDiagnostics` method which computes the dot product of `x` and `y` along with error diagnostics', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var op;
+	var v;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	op = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	out = new Float64Array( 4 );
+	v = mod.mainDiagnostics( 8, 10.0, xp, 1, yp, 1, op, 1 );
+	t.strictEqual( v, op, 'returns expected value' );
+
+	mod.read( op, out );
+	t.strictEqual( out[ 0 ], -7.0, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 105.0, 'returns expected value' );
+	t.strictEqual( out[ 2 ], 15.0, 'returns expected value' );
+	t.strictEqual( out[ 3 ] > 0.0, true, 'returns expected value' );
+	t.strictEqual( out[ 3 ] < 105.0 * 8.0 * pow( 2.0, -52 ), true, 'returns expected value' ); // eslint-disable-line max-len
+
+	out = new Float64Array( 8 );
+	mod.write( op, out );
+	mod.mainDiagnostics( 4, 0.0, xp, 2, yp, -2, op, -2 );
+
+	mod.read( op, out );
+	t.strictEqual( out[ 6 ], -25.0, 'returns expected value' );
+	t.strictEqual( out[ 4 ], 43.0, 'returns expected value' );
+	t.strictEqual( out[ 2 ], 43.0 / 25.0, 'returns expected value' );
+	t.strictEqual( out[ 0 ] > 0.0, true, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 0.0, 'returns expected value' );
+	t.strictEqual( out[ 3 ], 0.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayDiagnostics` method which computes the dot product of `x` and `y` along with error diagnostics', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var op;
+	var v;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	op = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	out = new Float64Array( 4 );
+	v = mod.ndarrayDiagnostics( 3, 0.0, xp, 1, 1, yp, 2, 1, op, 1, 0 );
+	t.strictEqual( v, op, 'returns expected value' );
+
+	mod.read( op, out );
+	t.strictEqual( out[ 0 ], 64.0, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 64.0, 'returns expected value' );
+	t.strictEqual( out[ 2 ], 1.0, 'returns expected value' );
+
+	// 2^54 + 1 - 2^54:
+	mod.write( xp, new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] ) );
+	mod.write( yp, new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] ) );
+
+	out = new Float64Array( 9 );
+	mod.write( op, out );
+	mod.ndarrayDiagnostics( 3, 0.0, xp, 1, 0, yp, 1, 0, op, 2, 1 );
+
+	mod.read( op, out );
+	t.strictEqual( out[ 1 ], 0.0, 'returns expected value' );
+	t.strictEqual( out[ 3 ], 36028797018963970.0, 'returns expected value' );
+	t.strictEqual( out[ 5 ], Infinity, 'returns expected value' );
+	t.strictEqual( out[ 7 ] >= 1.0, true, 'returns expected value' );
+	t.strictEqual( out[ 0 ], 0.0, 'returns expected value' );
+	t.strictEqual( out[ 8 ], 0.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayDiagnostics` method which returns a bound on the absolute error of the double-precision dot product', function test( t ) {
+	var expected;
+	var out;
+	var mem;
+	var mod;
+	var wp;
+	var op;
+	var x;
+	var y;
+	var N;
+	var i;
+	var k;
+
+	N = 500;
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	x = new Float32Array( mem.buffer, 0, N );
+	y = new Float32Array( mem.buffer, N*4, N );
+	op = N * 8;
+	wp = op + 32;
+	out = new Float64Array( mem.buffer, op, 4 );
+
+	for ( k = 0; k < 10; k++ ) {
+		// Generate ill-conditioned vectors whose products nearly cancel:
+		for ( i = 0; i < N; i += 2 ) {
+			x[ i ] = uniform( -1.0, 1.0 ) * pow( 2.0, discreteUniform( -30, 30 ) );
+			y[ i ] = uniform( -1.0, 1.0 );
+			x[ i+1 ] = -x[ i ];
+			y[ i+1 ] = y[ i ] + ( uniform( -1.0, 1.0 ) * pow( 2.0, -20 ) );
+		}
+		expected = mod.ndarrayExactDouble( N, 1.0, 0, 1, 0, N*4, 1, 0, wp );
+		mod.ndarrayDiagnostics( N, 1.0, 0, 1, 0, N*4, 1, 0, op, 1, 0 );
+
+		t.strictEqual( out[ 0 ], mod.ndarrayDouble( N, 1.0, 0, 1, 0, N*4, 1, 0 ), 'returns expected value' ); // eslint-disable-line max-len
+		t.strictEqual( abs( out[ 0 ] - expected ) <= out[ 3 ], true, 'returns expected value' ); // eslint-disable-line max-len
+		t.strictEqual( out[ 2 ], out[ 1 ] / abs( out[ 0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+	}
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainDiagnostics` and `ndarrayDiagnostics` methods which write the scalar constant and a zero error bound to the output array', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	out = new Float64Array( 4 );
+	mod.mainDiagnostics( 0, 3.0, 0, 1, 40, 1, 80, 1 );
+	mod.read( 80, out );
+	t.deepEqual( out, new Float64Array( [ 3.0, 3.0, 1.0, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	out = new Float64Array( 4 );
+	mod.ndarrayDiagnostics( -1, -5.0, 0, 1, 0, 40, 1, 0, 80, 1, 0 );
+	mod.read( 80, out );
+	t.deepEqual( out, new Float64Array( [ -5.0, 5.0, 1.0, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
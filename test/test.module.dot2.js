@@ -0,0 +1,182 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainDot2` method which has an arity of 6', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainDot2.length, 6, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayDot2` method which has an arity of 8', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayDot2.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainDot2` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.mainDot2( 8, 10.0, xp, 1, yp, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainDot2( 4, 0.0, xp, 2, yp, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayDot2` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.ndarrayDot2( 8, 10.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarrayDot2( 4, 0.0, xp, 2, 0, yp, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayDot2( 3, 0.0, xp, 1, 1, yp, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainDot2` and `ndarrayDot2` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	dot = mod.mainDot2( 0, 3.0, 0, 1, 40, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayDot2( -1, 3.0, 0, 1, 0, 40, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has `mainDot2` and `ndarrayDot2` methods which compensate for rounding errors incurred during accumulation', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	// 2^54 + 1 - 2^54 = 1:
+	mod.write( xp, new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] ) );
+	mod.write( yp, new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] ) );
+
+	dot = mod.mainDot2( 3, 0.0, xp, 1, yp, 1 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = mod.ndarrayDot2( 3, 0.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = mod.ndarray( 3, 0.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, 0.0, 'returns expected value' );
+
+	// 2^70 + 3 - 2^70 - 2 = 1:
+	mod.write( xp, new Float32Array( [ 1099511627776.0, 3.0, -1099511627776.0, -1.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 1073741824.0, 1.0, 1073741824.0, 2.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.mainDot2( 4, 0.0, xp, 1, yp, 1 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = mod.ndarrayDot2( 4, 0.0, xp, -1, 3, yp, -1, 3 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	t.end();
+});
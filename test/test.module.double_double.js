@@ -0,0 +1,194 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainDoubleDouble` method which has an arity of 8', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainDoubleDouble.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayDoubleDouble` method which has an arity of 11', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayDoubleDouble.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainDoubleDouble` method which computes the dot product of `x` and `y` as a double-double pair', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var op;
+	var v;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	op = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	out = new Float64Array( 2 );
+	v = mod.mainDoubleDouble( 8, 10.0, xp, 1, yp, 1, op, 1 );
+	t.strictEqual( v, op, 'returns expected value' );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float64Array( [ -7.0, 0.0 ] ), 'returns expected value' );
+
+	// 1 + 2^-24 + 2^-60:
+	mod.write( xp, new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] ) );
+	mod.write( yp, new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] ) );
+
+	out = new Float64Array( 4 );
+	mod.write( op, out );
+	mod.mainDoubleDouble( 2, 1.0, xp, 1, yp, 1, op, -2 );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float64Array( [ 8.673617379884035e-19, 0.0, 1.0000000596046448, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayDoubleDouble` method which computes the dot product of `x` and `y` as a double-double pair', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var op;
+	var v;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	op = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	out = new Float64Array( 2 );
+	v = mod.ndarrayDoubleDouble( 4, 0.0, xp, 2, 0, yp, -2, 6, op, 1, 0 );
+	t.strictEqual( v, op, 'returns expected value' );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float64Array( [ -25.0, 0.0 ] ), 'returns expected value' );
+
+	// 2^54 + 2^-40 - 2^54 = 2^-40:
+	mod.write( xp, new Float32Array( [ 134217728.0, 9.5367431640625e-7, -134217728.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 134217728.0, 9.5367431640625e-7, 134217728.0 ] ) ); // eslint-disable-line max-len
+
+	out = new Float64Array( 4 );
+	mod.write( op, out );
+	mod.ndarrayDoubleDouble( 3, 0.0, xp, 1, 0, yp, 1, 0, op, 2, 1 );
+
+	mod.read( op, out );
+	t.deepEqual( out, new Float64Array( [ 0.0, 9.094947017729282e-13, 0.0, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainDoubleDouble` and `ndarrayDoubleDouble` methods which write the scalar constant to the output array', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	out = new Float64Array( 2 );
+	mod.mainDoubleDouble( 0, 3.0, 0, 1, 40, 1, 80, 1 );
+	mod.read( 80, out );
+	t.deepEqual( out, new Float64Array( [ 3.0, 0.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 2 );
+	mod.ndarrayDoubleDouble( -1, 5.0, 0, 1, 0, 40, 1, 0, 80, 1, 0 );
+	mod.read( 80, out );
+	t.deepEqual( out, new Float64Array( [ 5.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if the dot product is not finite, a module instance has a `mainDoubleDouble` method which sets the trailing component to zero', function test( t ) {
+	var out;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ Infinity, 1.0, 2.0 ] ) );
+	mod.write( 64, new Float32Array( [ 1.0, 1.0, 1.0 ] ) );
+
+	out = new Float64Array( 2 );
+	mod.mainDoubleDouble( 3, 0.0, 0, 1, 64, 1, 128, 1 );
+	mod.read( 128, out );
+	t.deepEqual( out, new Float64Array( [ Infinity, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+});
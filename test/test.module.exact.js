@@ -0,0 +1,227 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainExact` method which has an arity of 7', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainExact.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayExact` method which has an arity of 9', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayExact.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainExact` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var wp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	wp = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.mainExact( 8, 10.0, xp, 1, yp, 1, wp );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainExact( 4, 0.0, xp, 2, yp, -2, wp );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayExact` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var wp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	wp = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.ndarrayExact( 8, 10.0, xp, 1, 0, yp, 1, 0, wp );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarrayExact( 4, 0.0, xp, 2, 0, yp, -2, 6, wp );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayExact( 3, 0.0, xp, 1, 1, yp, 2, 1, wp );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainExact` and `ndarrayExact` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	dot = mod.mainExact( 0, 3.0, 0, 1, 40, 1, 80 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayExact( -1, 3.0, 0, 1, 0, 40, 1, 0, 80 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has `mainExact` and `ndarrayExact` methods which return the correctly rounded dot product', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var wp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	wp = 128;
+
+	// 2^54 + 1 - 2^54 = 1:
+	mod.write( xp, new Float32Array( [ 134217728.0, 1.0, -134217728.0 ] ) );
+	mod.write( yp, new Float32Array( [ 134217728.0, 1.0, 134217728.0 ] ) );
+
+	dot = mod.mainExact( 3, 0.0, xp, 1, yp, 1, wp );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = mod.ndarrayExact( 3, 0.0, xp, 1, 0, yp, 1, 0, wp );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	dot = mod.ndarray( 3, 0.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, 0.0, 'returns expected value' );
+
+	// 1 + 2^-24 + 2^-60 rounds up to 1 + 2^-23 (rounding through float64 would yield a tie which rounds down to 1):
+	mod.write( xp, new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] ) );
+	mod.write( yp, new Float32Array( [ 0.000244140625, 9.313225746154785e-10 ] ) );
+
+	dot = mod.mainExact( 2, 1.0, xp, 1, yp, 1, wp );
+	t.strictEqual( dot, 1.0000001192092896, 'returns expected value' );
+
+	dot = mod.ndarrayExact( 2, 1.0, xp, 1, 0, yp, 1, 0, wp );
+	t.strictEqual( dot, 1.0000001192092896, 'returns expected value' );
+
+	dot = mod.ndarray( 2, 1.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has `mainExact` and `ndarrayExact` methods which return results which do not depend on the order of summation', function test( t ) {
+	var expected;
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var wp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	wp = 128;
+
+	mod.write( xp, new Float32Array( [ 1.0e20, 3.0, -1.0e20, 0.1, 7.0e-10, -2.5 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 1.0e10, 5.0, 1.0e10, -0.3, 3.0e-10, 1.5 ] ) ); // eslint-disable-line max-len
+
+	expected = mod.mainExact( 6, 0.0, xp, 1, yp, 1, wp );
+
+	dot = mod.mainExact( 6, 0.0, xp, -1, yp, -1, wp );
+	t.strictEqual( dot, expected, 'returns expected value' );
+
+	mod.write( xp, new Float32Array( [ 0.1, -2.5, 1.0e20, 7.0e-10, -1.0e20, 3.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ -0.3, 1.5, 1.0e10, 3.0e-10, 1.0e10, 5.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.ndarrayExact( 6, 0.0, xp, 1, 0, yp, 1, 0, wp );
+	t.strictEqual( dot, expected, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,188 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainExactDouble` method which has an arity of 7', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainExactDouble.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayExactDouble` method which has an arity of 9', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayExactDouble.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainExactDouble` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var wp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	wp = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.mainExactDouble( 8, 10.0, xp, 1, yp, 1, wp );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainExactDouble( 4, 0.0, xp, 2, yp, -2, wp );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayExactDouble` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var wp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	wp = 128;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.ndarrayExactDouble( 8, 10.0, xp, 1, 0, yp, 1, 0, wp );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarrayExactDouble( 4, 0.0, xp, 2, 0, yp, -2, 6, wp );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayExactDouble( 3, 0.0, xp, 1, 1, yp, 2, 1, wp );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainExactDouble` and `ndarrayExactDouble` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	dot = mod.mainExactDouble( 0, 3.0, 0, 1, 40, 1, 80 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayExactDouble( -1, 3.0, 0, 1, 0, 40, 1, 0, 80 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has `mainExactDouble` and `ndarrayExactDouble` methods which return the correctly rounded dot product', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+	var wp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+	wp = 128;
+
+	// 2^54 + 2^-40 - 2^54 = 2^-40:
+	mod.write( xp, new Float32Array( [ 134217728.0, 9.5367431640625e-7, -134217728.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 134217728.0, 9.5367431640625e-7, 134217728.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.mainExactDouble( 3, 0.0, xp, 1, yp, 1, wp );
+	t.strictEqual( dot, 9.094947017729282e-13, 'returns expected value' );
+
+	dot = mod.ndarrayExactDouble( 3, 0.0, xp, 1, 0, yp, 1, 0, wp );
+	t.strictEqual( dot, 9.094947017729282e-13, 'returns expected value' );
+
+	dot = mod.ndarrayDouble( 3, 0.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, 0.0, 'returns expected value' );
+
+	// 2^64 * 2^64 + 2^64 * 2^64 = 2^129 (which overflows single-precision):
+	mod.write( xp, new Float32Array( [ 18446744073709552000.0, 18446744073709552000.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 18446744073709552000.0, 18446744073709552000.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.mainExactDouble( 2, 0.0, xp, 1, yp, 1, wp );
+	t.strictEqual( dot, 6.80564733841877e+38, 'returns expected value' );
+
+	dot = mod.mainExact( 2, 0.0, xp, 1, yp, 1, wp );
+	t.strictEqual( dot, Infinity, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,268 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Uint16Array = require( '@stdlib/array-uint16' );
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+var Module = require( './../lib' ).Module;
+
+
+// VARIABLES //
+
+// Half-precision floating-point numbers [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ]:
+var XF16 = [ 0x4400, 0x4000, 0xc200, 0x4500, 0xbc00, 0x4000, 0xc500, 0x4600 ];
+
+// Half-precision floating-point numbers [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ]:
+var YF16 = [ 0x4000, 0x4600, 0xbc00, 0xc400, 0x4800, 0x4800, 0x4000, 0xc200 ];
+
+// bfloat16 numbers [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ]:
+var XBF16 = [ 0x4080, 0x4000, 0xc040, 0x40a0, 0xbf80, 0x4000, 0xc0a0, 0x40c0 ];
+
+// bfloat16 numbers [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ]:
+var YBF16 = [ 0x4000, 0x40c0, 0xbf80, 0xc080, 0x4100, 0x4100, 0x4000, 0xc040 ];
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainHalf` method which has an arity of 7', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainHalf.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayHalf` method which has an arity of 9', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayHalf.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has `mainHalf` and `ndarrayHalf` methods which throw an error if provided an unsupported format', function test( t ) {
+	var values;
+	var mem;
+	var mod;
+	var i;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	values = [
+		'float32',
+		'float64',
+		'uint16',
+		'beep',
+		5,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			mod.mainHalf( value, 1, 0.0, 0, 1, 8, 1 );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			mod.ndarrayHalf( value, 1, 0.0, 0, 1, 0, 8, 1, 0 );
+		};
+	}
+});
+
+tape( 'a module instance has a `mainHalf` method which computes the dot product of half-precision floating-point vectors `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Uint16Array( XF16 ) );
+	mod.write( yp, new Uint16Array( YF16 ) );
+
+	dot = mod.mainHalf( 'float16', 8, 10.0, xp, 1, yp, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainHalf( 'float16', 4, 0.0, xp, 2, yp, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has a `mainHalf` method which computes the dot product of bfloat16 vectors `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Uint16Array( XBF16 ) );
+	mod.write( yp, new Uint16Array( YBF16 ) );
+
+	dot = mod.mainHalf( 'bfloat16', 8, 10.0, xp, 1, yp, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainHalf( 'bfloat16', 4, 0.0, xp, 2, yp, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayHalf` method which computes the dot product of 16-bit floating-point vectors `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Uint16Array( XF16 ) );
+	mod.write( yp, new Uint16Array( YF16 ) );
+
+	dot = mod.ndarrayHalf( 'float16', 8, 10.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarrayHalf( 'float16', 4, 0.0, xp, 2, 0, yp, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayHalf( 'float16', 3, 0.0, xp, 1, 1, yp, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	mod.write( xp, new Uint16Array( XBF16 ) );
+	mod.write( yp, new Uint16Array( YBF16 ) );
+
+	dot = mod.ndarrayHalf( 'bfloat16', 4, 0.0, xp, 2, 0, yp, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayHalf( 'bfloat16', 3, 0.0, xp, 1, 1, yp, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayHalf` method which widens subnormal, extreme, and non-finite half-precision floating-point numbers', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	// Smallest subnormal (2^-24) times one:
+	mod.write( 0, new Uint16Array( [ 0x0001, 0x7bff, 0x7c00, 0x7e00 ] ) );
+	mod.write( 64, new Uint16Array( [ 0x3c00, 0x7bff, 0x3c00, 0x3c00 ] ) );
+
+	dot = mod.ndarrayHalf( 'float16', 1, 0.0, 0, 1, 0, 64, 1, 0 );
+	t.strictEqual( dot, 5.960464477539063e-8, 'returns expected value' );
+
+	// Largest finite number squared (which overflows half-precision, but not the accumulator):
+	dot = mod.ndarrayHalf( 'float16', 1, 0.0, 0, 1, 1, 64, 1, 1 );
+	t.strictEqual( dot, 4290774016.0, 'returns expected value' );
+
+	// Infinity:
+	dot = mod.ndarrayHalf( 'float16', 1, 0.0, 0, 1, 2, 64, 1, 2 );
+	t.strictEqual( dot, Infinity, 'returns expected value' );
+
+	// NaN:
+	dot = mod.ndarrayHalf( 'float16', 1, 0.0, 0, 1, 3, 64, 1, 3 );
+	t.strictEqual( isnan( dot ), true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainHalf` and `ndarrayHalf` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	dot = mod.mainHalf( 'float16', 0, 3.0, 0, 1, 40, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayHalf( 'bfloat16', -1, 3.0, 0, 1, 0, 40, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
@@ -23,6 +23,7 @@
 var tape = require( 'tape' );
 var Memory = require( '@stdlib/wasm-memory' );
 var ModuleWrapper = require( '@stdlib/wasm-module-wrapper' );
+var Float32Array = require( '@stdlib/array-float32' );
 var Module = require( './../lib' ).Module;
 
 
@@ -127,6 +128,29 @@ tape( 'the module instance returned by the module constructor inherits from a mo
 	t.end();
 });
 
+tape( 'the module constructor supports shared WebAssembly memory instances', function test( t ) {
+	var mem;
+	var mod;
+	var x;
+	var y;
+
+	mem = new Memory({
+		'initial': 1,
+		'maximum': 10,
+		'shared': true
+	});
+	mod = new Module( mem );
+	mod.initializeSync(); // eslint-disable-line n/no-sync
+
+	x = new Float32Array( mem.buffer, 0, 3 );
+	y = new Float32Array( mem.buffer, 12, 3 );
+	x.set( [ 1.0, 2.0, 3.0 ] );
+	y.set( [ 1.0, 1.0, 1.0 ] );
+
+	t.strictEqual( mod.main( 3, 0.0, 0, 1, 12, 1 ), 6.0, 'returns expected value' );
+	t.end();
+});
+
 tape( 'attached to a module instance is a `main` method', function test( t ) {
 	var mem;
 	var mod;
@@ -152,3 +176,588 @@ tape( 'attached to a module instance is an `ndarray` method', function test( t )
 	t.strictEqual( typeof mod.ndarray, 'function', 'returns expected value' );
 	t.end();
 });
+
+tape( 'attached to a module instance is a `mainDouble` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayDouble` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainCompensated` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainCompensated, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayCompensated` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayCompensated, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainExact` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainExact, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayExact` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayExact, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainExactDouble` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainExactDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayExactDouble` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayExactDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainDot2` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainDot2, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayDot2` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayDot2, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainDoubleDouble` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainDoubleDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayDoubleDouble` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayDoubleDouble, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainBatched` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainBatched, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayBatched` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayBatched, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainReproducible` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainReproducible, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayReproducible` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayReproducible, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainDiagnostics` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainDiagnostics, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayDiagnostics` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayDiagnostics, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainHalf` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainHalf, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayHalf` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayHalf, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainMixed` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainMixed, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayMixed` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayMixed, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainQuantized` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainQuantized, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayQuantized` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayQuantized, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainBlockScaled` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainBlockScaled, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayBlockScaled` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayBlockScaled, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainCdotu` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainCdotu, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayCdotu` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayCdotu, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainCdotc` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainCdotc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayCdotc` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayCdotc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainSparse` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainSparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarraySparse` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarraySparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainSparseSparse` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainSparseSparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarraySparseSparse` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarraySparseSparse, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainMasked` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainMasked, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayMasked` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayMasked, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainNaN` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainNaN, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayNaN` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayNaN, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `mainStatus` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.mainStatus, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `ndarrayStatus` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.ndarrayStatus, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `malloc` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.malloc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `free` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.free, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `heapStats` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.heapStats, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is an `alloc` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.alloc, 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'attached to a module instance is a `pointer` method', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+
+	t.strictEqual( typeof mod.pointer, 'function', 'returns expected value' );
+	t.end();
+});
@@ -0,0 +1,328 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance.
+*
+* @private
+* @param {NonNegativeInteger} initial - initial number of memory pages
+* @param {NonNegativeInteger} maximum - maximum number of memory pages
+* @returns {Module} module instance
+*/
+function setup( initial, maximum ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': initial,
+		'maximum': maximum
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has `malloc`, `free`, and `heapStats` methods', function test( t ) {
+	var mod = setup( 0, 10 );
+	t.strictEqual( mod.malloc.length, 2, 'returns expected value' );
+	t.strictEqual( mod.free.length, 1, 'returns expected value' );
+	t.strictEqual( mod.heapStats.length, 0, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `malloc` method throws an error if provided a first argument which is not a positive integer', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( 1, 10 );
+	values = [
+		'5',
+		0,
+		-5,
+		3.14,
+		NaN,
+		true,
+		null,
+		void 0,
+		[],
+		{}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			mod.malloc( value );
+		};
+	}
+});
+
+tape( 'the `malloc` method throws an error if provided a second argument which is not a supported alignment', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( 1, 10 );
+	values = [
+		'8',
+		0,
+		-8,
+		3,
+		12,
+		131072,
+		NaN,
+		true,
+		null,
+		[],
+		{}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			mod.malloc( 8, value );
+		};
+	}
+});
+
+tape( 'the `malloc` method returns aligned pointers to non-overlapping memory regions', function test( t ) {
+	var mod;
+	var p1;
+	var p2;
+	var p3;
+	var p4;
+
+	mod = setup( 1, 10 );
+
+	p1 = mod.malloc( 20 );
+	t.strictEqual( p1, 0, 'returns expected value' );
+
+	p2 = mod.malloc( 20 );
+	t.strictEqual( p2, 24, 'returns expected value' );
+
+	p3 = mod.malloc( 1 );
+	t.strictEqual( p3, 48, 'returns expected value' );
+
+	p4 = mod.malloc( 4, 256 );
+	t.strictEqual( p4, 256, 'returns expected value' );
+
+	// Alignments smaller than eight bytes do not reduce the minimum alignment:
+	t.strictEqual( mod.malloc( 4, 2 ), 56, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `malloc` method supports storing vectors for use by compute methods', function test( t ) {
+	var xptr;
+	var yptr;
+	var dot;
+	var mod;
+
+	mod = setup( 0, 10 );
+
+	xptr = mod.malloc( 32 );
+	yptr = mod.malloc( 32 );
+
+	mod.write( xptr, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yptr, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.main( 8, 10.0, xptr, 1, yptr, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `malloc` method grows module memory on demand', function test( t ) {
+	var mod;
+	var ptr;
+
+	mod = setup( 0, 10 );
+	t.strictEqual( mod.memory.buffer.byteLength, 0, 'returns expected value' );
+
+	ptr = mod.malloc( 16 );
+	t.strictEqual( ptr, 0, 'returns expected value' );
+	t.strictEqual( mod.memory.buffer.byteLength, 65536, 'returns expected value' );
+
+	ptr = mod.malloc( 100000 );
+	t.strictEqual( ptr, 16, 'returns expected value' );
+	t.strictEqual( mod.memory.buffer.byteLength, 131072, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `malloc` method throws an error if unable to grow module memory', function test( t ) {
+	var stats;
+	var mod;
+
+	mod = setup( 1, 1 );
+	mod.malloc( 16 );
+
+	t.throws( alloc, Error, 'throws an error' );
+
+	// The failed allocation should not be tracked:
+	stats = mod.heapStats();
+	t.strictEqual( stats.allocations, 1, 'returns expected value' );
+	t.strictEqual( stats.allocated, 16, 'returns expected value' );
+
+	t.end();
+
+	function alloc() {
+		mod.malloc( 65536 );
+	}
+});
+
+tape( 'the `free` method releases memory for reuse', function test( t ) {
+	var mod;
+	var p1;
+	var p2;
+	var p3;
+
+	mod = setup( 1, 10 );
+
+	p1 = mod.malloc( 64 );
+	p2 = mod.malloc( 64 );
+	mod.free( p1 );
+
+	// Allocations which fit within the released region should reuse it:
+	p3 = mod.malloc( 32 );
+	t.strictEqual( p3, p1, 'returns expected value' );
+
+	// Allocations which do not fit within the remaining gap should be placed after live allocations:
+	t.strictEqual( mod.malloc( 64 ), p2+64, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `free` method throws an error if not provided a nonnegative integer', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup( 1, 10 );
+	values = [
+		'5',
+		-5,
+		3.14,
+		NaN,
+		true,
+		null,
+		void 0,
+		[],
+		{}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			mod.free( value );
+		};
+	}
+});
+
+tape( 'the `free` method throws an error if not provided a pointer to a live allocation', function test( t ) {
+	var mod;
+	var ptr;
+
+	mod = setup( 1, 10 );
+	ptr = mod.malloc( 16 );
+
+	t.throws( badValue( ptr+8 ), Error, 'throws an error when provided a pointer to the interior of an allocation' );
+	t.throws( badValue( 1024 ), Error, 'throws an error when provided a pointer which was never allocated' );
+
+	mod.free( ptr );
+	t.throws( badValue( ptr ), Error, 'throws an error when releasing an allocation twice' );
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			mod.free( value );
+		};
+	}
+});
+
+tape( 'the `heapStats` method returns memory usage statistics', function test( t ) {
+	var stats;
+	var mod;
+	var p1;
+
+	mod = setup( 1, 10 );
+
+	stats = mod.heapStats();
+	t.deepEqual( stats, {
+		'capacity': 65536,
+		'allocations': 0,
+		'allocated': 0,
+		'free': 65536,
+		'largestFree': 65536,
+		'fragmentation': 0.0
+	}, 'returns expected value' );
+
+	p1 = mod.malloc( 32 );
+	mod.malloc( 32 );
+	mod.malloc( 12 );
+
+	stats = mod.heapStats();
+	t.strictEqual( stats.allocations, 3, 'returns expected value' );
+	t.strictEqual( stats.allocated, 76, 'returns expected value' );
+	t.strictEqual( stats.free, 65536-76, 'returns expected value' );
+	t.strictEqual( stats.largestFree, 65536-76, 'returns expected value' );
+	t.strictEqual( stats.fragmentation, 0.0, 'returns expected value' );
+
+	mod.free( p1 );
+
+	stats = mod.heapStats();
+	t.strictEqual( stats.allocations, 2, 'returns expected value' );
+	t.strictEqual( stats.allocated, 44, 'returns expected value' );
+	t.strictEqual( stats.free, 65536-44, 'returns expected value' );
+	t.strictEqual( stats.largestFree, 65536-76, 'returns expected value' );
+	t.strictEqual( stats.fragmentation, 1.0-( (65536-76)/(65536-44) ), 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,135 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Uint8Array = require( '@stdlib/array-uint8' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance with two vectors and a mask written to memory.
+*
+* @private
+* @returns {Module} module instance
+*/
+function setup() {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+	mod.write( 20, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] ) );
+	mod.write( 40, new Uint8Array( [ 0, 1, 0, 0, 1 ] ) );
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainMasked` method which has an arity of 8', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainMasked.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayMasked` method which has an arity of 11', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayMasked.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainMasked` method which computes the dot product of `x` and `y` according to a mask', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup();
+
+	dot = mod.mainMasked( 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	t.strictEqual( dot, 8.0, 'returns expected value' );
+
+	dot = mod.mainMasked( 3, 0.0, 0, 2, 20, 1, 40, -2 );
+	t.strictEqual( dot, 8.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayMasked` method which computes the dot product of `x` and `y` according to a mask', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup();
+
+	dot = mod.ndarrayMasked( 5, 0.0, 0, 1, 0, 20, 1, 0, 40, 1, 0 );
+	t.strictEqual( dot, 8.0, 'returns expected value' );
+
+	dot = mod.ndarrayMasked( 2, 1.0, 0, 1, 3, 20, 1, 0, 40, 1, 3 );
+	t.strictEqual( dot, 5.0, 'returns expected value' );
+
+	dot = mod.ndarrayMasked( 2, 0.0, 0, -1, 4, 20, 1, 0, 40, -2, 2 );
+	t.strictEqual( dot, 9.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainMasked` and `ndarrayMasked` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup();
+
+	dot = mod.mainMasked( 0, 3.0, 0, 1, 20, 1, 40, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayMasked( -1, 3.0, 0, 1, 0, 20, 1, 0, 40, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
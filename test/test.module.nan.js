@@ -0,0 +1,189 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance with two vectors written to memory.
+*
+* @private
+* @returns {Module} module instance
+*/
+function setup() {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] ) );
+	mod.write( 20, new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] ) );
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainNaN` method which has an arity of 9', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainNaN.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayNaN` method which has an arity of 12', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayNaN.length, 12, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has `mainNaN` and `ndarrayNaN` methods which throw an error if provided a first argument which is not a supported policy', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup();
+
+	values = [
+		'skip',
+		'omit',
+		'IGNORE',
+		5,
+		null,
+		void 0,
+		true,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badValueNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			mod.mainNaN( value, 5, 0.0, 0, 1, 20, 1, 40, 1 );
+		};
+	}
+
+	function badValueNdarray( value ) {
+		return function badValue() {
+			mod.ndarrayNaN( value, 5, 0.0, 0, 1, 0, 20, 1, 0, 40, 1, 0 );
+		};
+	}
+});
+
+tape( 'a module instance has a `mainNaN` method which computes the dot product of `x` and `y` according to a `NaN` handling policy', function test( t ) {
+	var out;
+	var mod;
+	var ptr;
+
+	mod = setup();
+	out = new Float64Array( 2 );
+
+	ptr = mod.mainNaN( 'ignore', 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	t.strictEqual( ptr, 40, 'returns expected value' );
+	mod.read( 40, out );
+	t.deepEqual( out, new Float64Array( [ 8.0, 2.0 ] ), 'returns expected value' );
+
+	ptr = mod.mainNaN( 'propagate', 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	t.strictEqual( ptr, 40, 'returns expected value' );
+	mod.read( 40, out );
+	t.strictEqual( isnan( out[ 0 ] ), true, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 0.0, 'returns expected value' );
+
+	ptr = mod.mainNaN( 'error', 1, 10.0, 0, 1, 20, 1, 40, 1 );
+	t.strictEqual( ptr, 40, 'returns expected value' );
+	mod.read( 40, out );
+	t.deepEqual( out, new Float64Array( [ 11.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayNaN` method which computes the dot product of `x` and `y` according to a `NaN` handling policy', function test( t ) {
+	var out;
+	var mod;
+	var ptr;
+
+	mod = setup();
+	out = new Float64Array( 4 );
+
+	ptr = mod.ndarrayNaN( 'ignore', 3, 1.0, 0, -1, 2, 20, 1, 0, 40, -2, 3 );
+	t.strictEqual( ptr, 40, 'returns expected value' );
+	mod.read( 40, out );
+	t.deepEqual( out, new Float64Array( [ 0.0, 1.0, 0.0, 5.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 2 );
+	ptr = mod.ndarrayNaN( 'error', 2, 0.0, 0, 1, 2, 20, 1, 2, 40, 1, 0 );
+	t.strictEqual( ptr, 40, 'returns expected value' );
+	mod.read( 40, out );
+	t.deepEqual( out, new Float64Array( [ 7.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has `mainNaN` and `ndarrayNaN` methods which throw an error upon encountering a pair containing `NaN` when the policy is `error`', function test( t ) {
+	var mod = setup();
+
+	t.throws( badMain, RangeError, 'throws an error' );
+	t.throws( badNdarray, RangeError, 'throws an error' );
+	t.end();
+
+	function badMain() {
+		mod.mainNaN( 'error', 5, 0.0, 0, 1, 20, 1, 40, 1 );
+	}
+
+	function badNdarray() {
+		mod.ndarrayNaN( 'error', 3, 0.0, 0, 1, 2, 20, 1, 2, 40, 1, 0 );
+	}
+});
@@ -0,0 +1,690 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float32ArrayLE = require( '@stdlib/array-little-endian-float32' );
+var Int32Array = require( '@stdlib/array-int32' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance.
+*
+* @private
+* @returns {Module} module instance
+*/
+function setup() {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1,
+		'maximum': 10
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has `alloc` and `pointer` methods', function test( t ) {
+	var mod = setup();
+	t.strictEqual( mod.alloc.length, 2, 'returns expected value' );
+	t.strictEqual( mod.pointer.length, 3, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `alloc` method throws an error if provided a first argument which is not a positive integer', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup();
+	values = [
+		'5',
+		0,
+		-5,
+		3.14,
+		NaN,
+		true,
+		null,
+		void 0,
+		[],
+		{}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			mod.alloc( value );
+		};
+	}
+});
+
+tape( 'the `alloc` method throws an error if provided a second argument which is not a positive integer', function test( t ) {
+	var values;
+	var mod;
+	var i;
+
+	mod = setup();
+	values = [
+		'5',
+		0,
+		-5,
+		3.14,
+		NaN,
+		true,
+		null,
+		void 0,
+		[],
+		{}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			mod.alloc( 5, value );
+		};
+	}
+});
+
+tape( 'the `alloc` method returns a pointer handle', function test( t ) {
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+
+	x = mod.alloc( 5 );
+	t.strictEqual( x.byteOffset, 0, 'returns expected value' );
+	t.strictEqual( x.length, 5, 'returns expected value' );
+	t.strictEqual( x.dtype, 'float32', 'returns expected value' );
+	t.strictEqual( x.stride, 1, 'returns expected value' );
+	t.strictEqual( x.BYTES_PER_ELEMENT, 4, 'returns expected value' );
+	t.strictEqual( x.byteLength, 20, 'returns expected value' );
+
+	y = mod.alloc( 5, 3 );
+	t.strictEqual( y.byteOffset, 24, 'returns expected value' );
+	t.strictEqual( y.length, 5, 'returns expected value' );
+	t.strictEqual( y.stride, 3, 'returns expected value' );
+	t.strictEqual( y.byteLength, 52, 'returns expected value' );
+
+	t.strictEqual( mod.heapStats().allocated, 72, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `pointer` method throws an error if provided invalid arguments', function test( t ) {
+	var mod = setup();
+
+	t.throws( badValue( '0', 5 ), TypeError, 'throws an error' );
+	t.throws( badValue( -4, 5 ), TypeError, 'throws an error' );
+	t.throws( badValue( 3.5, 5 ), TypeError, 'throws an error' );
+	t.throws( badValue( 2, 5 ), RangeError, 'throws an error' );
+	t.throws( badValue( 0, '5' ), TypeError, 'throws an error' );
+	t.throws( badValue( 0, -5 ), TypeError, 'throws an error' );
+	t.throws( badValue( 0, 5, 0 ), TypeError, 'throws an error' );
+	t.throws( badValue( 0, 5, -1 ), TypeError, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		var args = arguments;
+		return function badValue() {
+			mod.pointer.apply( mod, args );
+		};
+	}
+});
+
+tape( 'the `pointer` method returns a pointer handle without allocating memory', function test( t ) {
+	var mod;
+	var x;
+
+	mod = setup();
+	x = mod.pointer( 16, 4, 2 );
+
+	t.strictEqual( x.byteOffset, 16, 'returns expected value' );
+	t.strictEqual( x.length, 4, 'returns expected value' );
+	t.strictEqual( x.stride, 2, 'returns expected value' );
+	t.strictEqual( x.byteLength, 28, 'returns expected value' );
+	t.strictEqual( mod.heapStats().allocations, 0, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a pointer handle has a `view` method which returns a little-endian typed array view over module memory', function test( t ) {
+	var out;
+	var mod;
+	var x;
+	var v;
+
+	mod = setup();
+	x = mod.alloc( 3, 2 );
+
+	v = x.view();
+	t.strictEqual( v instanceof Float32ArrayLE, true, 'returns expected value' );
+	t.strictEqual( v.buffer, mod.memory.buffer, 'returns expected value' );
+	t.strictEqual( v.byteOffset, x.byteOffset, 'returns expected value' );
+	t.strictEqual( v.length, 5, 'returns expected value' );
+
+	v.set( 1.0, 0 );
+	v.set( 2.0, 2 );
+	v.set( 3.0, 4 );
+
+	out = new Float32Array( 5 );
+	mod.read( x.byteOffset, out );
+	t.deepEqual( out, new Float32Array( [ 1.0, 0.0, 2.0, 0.0, 3.0 ] ), 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `main` method supports pointer handles', function test( t ) {
+	var dot;
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 8 );
+	y = mod.alloc( 8, 2 );
+
+	x.view().set( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y.view().set( [ 2.0, 0.0, 6.0, 0.0, -1.0, 0.0, -4.0, 0.0, 8.0, 0.0, 8.0, 0.0, 2.0, 0.0, -3.0 ] ); // eslint-disable-line max-len
+
+	dot = mod.main( 8, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.main( 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	// Mixed pointer handles and byte offsets:
+	dot = mod.main( 8, 10.0, x.byteOffset, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarray` method supports pointer handles', function test( t ) {
+	var dot;
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 8 );
+	y = mod.alloc( 8, 2 );
+
+	x.view().set( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y.view().set( [ 2.0, 0.0, 6.0, 0.0, -1.0, 0.0, -4.0, 0.0, 8.0, 0.0, 8.0, 0.0, 2.0, 0.0, -3.0 ] ); // eslint-disable-line max-len
+
+	dot = mod.ndarray( 8, 10.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarray( 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarray( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `main` and `ndarray` methods throw an error if the indexed elements of a pointer handle exceed its length', function test( t ) {
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 4 );
+	y = mod.alloc( 4 );
+
+	t.throws( main( 5, x, 1, y, 1 ), /Third argument/, 'throws an error' );
+	t.throws( main( 5, x.byteOffset, 1, y, 1 ), /Fifth argument/, 'throws an error' );
+	t.throws( main( 3, x, 2, y, 1 ), RangeError, 'throws an error' );
+	t.throws( main( 3, x, 1, y, -2 ), RangeError, 'throws an error' );
+
+	t.throws( ndarray( 4, x, 1, 1, y, 1, 0 ), /Third argument/, 'throws an error' );
+	t.throws( ndarray( 4, x, 1, 0, y, -1, 2 ), /Sixth argument/, 'throws an error' );
+	t.throws( ndarray( 2, x, 1, 0, y, 1, 4 ), RangeError, 'throws an error' );
+
+	// If `N <= 0`, no elements are accessed:
+	t.strictEqual( mod.main( 0, 3.0, x, 1, y, 1 ), 3.0, 'returns expected value' );
+	t.strictEqual( mod.ndarray( -1, 3.0, x, 1, 10, y, 1, 10 ), 3.0, 'returns expected value' );
+
+	t.end();
+
+	function main( N, xp, sx, yp, sy ) {
+		return function main() {
+			mod.main( N, 0.0, xp, sx, yp, sy );
+		};
+	}
+
+	function ndarray( N, xp, sx, ox, yp, sy, oy ) {
+		return function ndarray() {
+			mod.ndarray( N, 0.0, xp, sx, ox, yp, sy, oy );
+		};
+	}
+});
+
+tape( 'the `main` and `ndarray` methods throw an error if provided a pointer handle to the memory of a different module instance', function test( t ) {
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = setup().alloc( 4 );
+	y = mod.alloc( 4 );
+
+	t.throws( function badValue() {
+		mod.main( 4, 0.0, x, 1, y, 1 );
+	}, TypeError, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarray( 4, 0.0, y, 1, 0, x, 1, 0 );
+	}, TypeError, 'throws an error' );
+	t.end();
+});
+
+tape( 'module methods which operate on real-valued single-precision floating-point data support pointer handles', function test( t ) {
+	var methods;
+	var mod;
+	var dot;
+	var x;
+	var y;
+	var i;
+
+	mod = setup();
+	x = mod.alloc( 8 );
+	y = mod.alloc( 8, 2 );
+
+	x.view().set( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y.view().set( [ 2.0, 0.0, 6.0, 0.0, -1.0, 0.0, -4.0, 0.0, 8.0, 0.0, 8.0, 0.0, 2.0, 0.0, -3.0 ] ); // eslint-disable-line max-len
+
+	methods = [
+		'Double',
+		'Compensated',
+		'Dot2',
+		'Reproducible'
+	];
+	for ( i = 0; i < methods.length; i++ ) {
+		dot = mod[ 'main'+methods[ i ] ]( 8, 10.0, x, 1, y, 1 );
+		t.strictEqual( dot, -7.0, 'returns expected value' );
+
+		dot = mod[ 'main'+methods[ i ] ]( 4, 0.0, x, 2, y, -2 );
+		t.strictEqual( dot, -25.0, 'returns expected value' );
+
+		dot = mod[ 'ndarray'+methods[ i ] ]( 3, 0.0, x, 1, 1, y, 2, 1 );
+		t.strictEqual( dot, 64.0, 'returns expected value' );
+	}
+
+	dot = mod.mainExact( 8, 10.0, x, 1, y, 1, mod.malloc( 168 ) );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarrayStatus( 4, 0.0, x, 2, 0, y, -2, 6, mod.malloc( 4 ) );
+	t.strictEqual( dot, 0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'module methods which support pointer handles throw an error if the indexed elements of a pointer handle exceed its length', function test( t ) {
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 4 );
+	y = mod.alloc( 4 );
+
+	t.throws( function badValue() {
+		mod.mainDouble( 5, 0.0, x, 1, y.byteOffset, 1 );
+	}, /Third argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarrayDot2( 4, 0.0, x, 1, 0, y, 1, 1 );
+	}, /Sixth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainNaN( 'propagate', 4, 0.0, x, 1, y, 2, mod.malloc( 16 ), 1 );
+	}, /Sixth argument/, 'throws an error' );
+	t.end();
+});
+
+tape( 'the `mainBatched` and `ndarrayBatched` methods support pointer handles', function test( t ) {
+	var mod;
+	var out;
+	var xs;
+	var s;
+	var x;
+	var y;
+	var o;
+
+	mod = setup();
+	s = mod.alloc( 2 );
+	x = mod.alloc( 6 );
+	y = mod.alloc( 6 );
+	o = mod.alloc( 2 );
+	xs = mod.alloc( 6, 2 );
+
+	s.view().set( [ 0.0, 1.0 ] );
+	x.view().set( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] );
+	y.view().set( [ 1.0, 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	xs.view().set( [ 1.0, 0.0, 2.0, 0.0, 3.0, 0.0, 4.0, 0.0, 5.0, 0.0, 6.0 ] );
+
+	out = mod.mainBatched( 2, 3, s, x, 1, 3, y, 1, 3, o );
+	t.strictEqual( out, o, 'returns expected value' );
+	t.deepEqual( o.view(), new Float32ArrayLE( [ 6.0, 16.0 ] ), 'returns expected value' );
+
+	out = mod.mainBatched( 2, 3, s, xs, 1, 3, y, 1, 3, o );
+	t.strictEqual( out, o, 'returns expected value' );
+	t.deepEqual( o.view(), new Float32ArrayLE( [ 6.0, 16.0 ] ), 'returns expected value' );
+
+	out = mod.mainBatched( 2, 3, s, x, 1, -3, y, 1, 3, o );
+	t.strictEqual( out, o, 'returns expected value' );
+	t.deepEqual( o.view(), new Float32ArrayLE( [ 15.0, 7.0 ] ), 'returns expected value' );
+
+	out = mod.ndarrayBatched( 2, 2, s, xs, 2, 1, 1, y, 1, 2, 2, o );
+	t.strictEqual( out, o, 'returns expected value' );
+	t.deepEqual( o.view(), new Float32ArrayLE( [ 6.0, 10.0 ] ), 'returns expected value' );
+
+	out = mod.ndarrayBatched( 2, 3, s.byteOffset, x, 1, 3, 0, y.byteOffset, 1, 3, 0, o.byteOffset );
+	t.strictEqual( out, o.byteOffset, 'returns expected value' );
+	t.deepEqual( o.view(), new Float32ArrayLE( [ 6.0, 16.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainBatched` and `ndarrayBatched` methods throw an error if provided an invalid pointer handle', function test( t ) {
+	var mod;
+	var s;
+	var x;
+	var y;
+	var o;
+
+	mod = setup();
+	s = mod.alloc( 2 );
+	x = mod.alloc( 6 );
+	y = mod.alloc( 6 );
+	o = mod.alloc( 2 );
+
+	t.throws( function badValue() {
+		mod.mainBatched( 3, 2, s, x, 1, 2, y, 1, 2, o );
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainBatched( 3, 2, s, x, 1, 2, y, 1, 2, o );
+	}, /Third argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainBatched( 2, 4, s, x, 1, 3, y, 1, 3, o );
+	}, /Fourth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainBatched( 2, 3, s, x, 1, 3, y, 2, 3, o );
+	}, /Seventh argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarrayBatched( 2, 3, s, x, 1, 3, 1, y, 1, 3, 0, o );
+	}, /Fourth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarrayBatched( 2, 3, s, x, 1, 3, 0, y, 1, -3, 2, o );
+	}, /Eighth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarrayBatched( 2, 3, s, x, 1, 3, 0, y, 1, 3, 0, mod.alloc( 1 ) );
+	}, /Twelfth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainBatched( 2, 3, mod.alloc( 2, 2 ), x, 1, 3, y, 1, 3, o );
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainBatched( 2, 3, s, x, 1, 3, y, 1, 3, mod.alloc( 2, 2 ) );
+	}, /Tenth argument/, 'throws an error' );
+	t.end();
+});
+
+tape( 'the `mainSparse` and `ndarraySparse` methods support a pointer handle for the dense input vector', function test( t ) {
+	var iptr;
+	var mod;
+	var dot;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 3 );
+	y = mod.alloc( 5 );
+	iptr = mod.malloc( 12 );
+
+	x.view().set( [ 1.0, 2.0, 3.0 ] );
+	y.view().set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	mod.write( iptr, new Int32Array( [ 0, 2, 4 ] ) );
+
+	dot = mod.mainSparse( 3, 0.0, x, 1, iptr, 1, y );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	dot = mod.ndarraySparse( 2, 1.0, x, 1, 1, iptr, 1, 0, y, 1 );
+	t.strictEqual( dot, 17.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainSparse` and `ndarraySparse` methods throw an error if an index exceeds the length of a dense input vector pointer handle', function test( t ) {
+	var iptr;
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 3 );
+	y = mod.alloc( 5 );
+	iptr = mod.malloc( 12 );
+	mod.write( iptr, new Int32Array( [ 0, 2, 4 ] ) );
+
+	t.throws( function badValue() {
+		mod.mainSparse( 3, 0.0, x, 1, iptr, 1, mod.alloc( 4 ) );
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainSparse( 3, 0.0, x, 1, iptr, 1, mod.alloc( 4 ) );
+	}, /Seventh argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarraySparse( 3, 0.0, x, 1, 0, iptr, 1, 0, y, 1 );
+	}, /Ninth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarraySparse( 2, 0.0, x, 1, 0, iptr, 1, 0, y, -1 );
+	}, /Ninth argument/, 'throws an error' );
+	t.end();
+});
+
+tape( 'the `mainSparse` and `ndarraySparse` methods throw an error if provided a dense input vector pointer handle having a non-unit stride', function test( t ) {
+	var iptr;
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 3 );
+	y = mod.alloc( 5, 2 );
+	iptr = mod.malloc( 12 );
+	mod.write( iptr, new Int32Array( [ 0, 2, 4 ] ) );
+
+	t.throws( function badValue() {
+		mod.mainSparse( 3, 0.0, x, 1, iptr, 1, y );
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarraySparse( 3, 0.0, x, 1, 0, iptr, 1, 0, y, 0 );
+	}, /Ninth argument/, 'throws an error' );
+	t.end();
+});
+
+tape( 'the `mainSparseSparse` and `ndarraySparseSparse` methods support pointer handles for the value arrays', function test( t ) {
+	var ixptr;
+	var iyptr;
+	var mod;
+	var dot;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 3 );
+	y = mod.alloc( 3 );
+	ixptr = mod.malloc( 12 );
+	iyptr = mod.malloc( 12 );
+
+	x.view().set( [ 1.0, 2.0, 3.0 ] );
+	y.view().set( [ 4.0, 5.0, 6.0 ] );
+	mod.write( ixptr, new Int32Array( [ 0, 2, 4 ] ) );
+	mod.write( iyptr, new Int32Array( [ 1, 2, 4 ] ) );
+
+	dot = mod.mainSparseSparse( 3, 3, 0.0, x, ixptr, 1, y, iyptr, 1 );
+	t.strictEqual( dot, 28.0, 'returns expected value' );
+
+	dot = mod.ndarraySparseSparse( 2, 2, 1.0, x, ixptr, 1, 1, y, iyptr, 1, 1 );
+	t.strictEqual( dot, 29.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainSparseSparse` and `ndarraySparseSparse` methods throw an error if provided an invalid pointer handle', function test( t ) {
+	var ixptr;
+	var iyptr;
+	var mod;
+	var x;
+	var y;
+
+	mod = setup();
+	x = mod.alloc( 3 );
+	y = mod.alloc( 3 );
+	ixptr = mod.malloc( 16 );
+	iyptr = mod.malloc( 16 );
+	mod.write( ixptr, new Int32Array( [ 0, 2, 4, 6 ] ) );
+	mod.write( iyptr, new Int32Array( [ 1, 2, 4, 6 ] ) );
+
+	t.throws( function badValue() {
+		mod.mainSparseSparse( 4, 3, 0.0, x, ixptr, 1, y, iyptr, 1 );
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainSparseSparse( 4, 3, 0.0, x, ixptr, 1, y, iyptr, 1 );
+	}, /Fourth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarraySparseSparse( 3, 3, 0.0, x, ixptr, 1, 0, y, iyptr, 1, 1 );
+	}, /Eighth argument/, 'throws an error' );
+	t.throws( function badValue() {
+		mod.mainSparseSparse( 2, 3, 0.0, mod.alloc( 2, 2 ), ixptr, 1, y, iyptr, 1 );
+	}, RangeError, 'throws an error' );
+	t.throws( function badValue() {
+		mod.ndarraySparseSparse( 3, 2, 0.0, x, ixptr, 1, 0, mod.alloc( 2, 2 ), iyptr, 1, 0 );
+	}, /Eighth argument/, 'throws an error' );
+	t.end();
+});
+
+tape( 'the `mainStatus` and `ndarrayStatus` methods support a pointer handle for the output array', function test( t ) {
+	var status;
+	var mod;
+	var x;
+	var y;
+	var o;
+
+	mod = setup();
+	x = mod.alloc( 2 );
+	y = mod.alloc( 2 );
+	o = mod.alloc( 1 );
+
+	x.view().set( [ 16777216.0, 1.0 ] );
+	y.view().set( [ 1.0, 1.0 ] );
+
+	status = mod.mainStatus( 2, 0.0, x, 1, y, 1, o );
+	t.strictEqual( status, 4, 'returns expected value' );
+	t.strictEqual( o.view().get( 0 ), 16777216.0, 'returns expected value' );
+
+	status = mod.ndarrayStatus( 1, 2.0, x, 1, 1, y, 1, 1, o );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.strictEqual( o.view().get( 0 ), 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'module methods throw an error if provided a pointer handle in place of an argument which does not refer to real-valued single-precision floating-point data', function test( t ) {
+	var values;
+	var mod;
+	var x;
+	var y;
+	var p;
+	var i;
+
+	mod = setup();
+	x = mod.alloc( 4 );
+	y = mod.alloc( 4 );
+	p = mod.alloc( 64 );
+
+	values = [
+		[ 'mainExact', [ 4, 0.0, x, 1, y, 1, p ], /Seventh argument/ ],
+		[ 'ndarrayExactDouble', [ 4, 0.0, x, 1, 0, y, 1, 0, p ], /Ninth argument/ ],
+		[ 'mainDoubleDouble', [ 4, 0.0, x, 1, y, 1, p, 1 ], /Seventh argument/ ],
+		[ 'ndarrayDiagnostics', [ 4, 0.0, x, 1, 0, y, 1, 0, p, 1, 0 ], /Ninth argument/ ],
+		[ 'mainHalf', [ 'float16', 4, 0.0, x, 1, 0, 1 ], /Fourth argument/ ],
+		[ 'mainMixed', [ 4, 0.0, x, 1, y, 1 ], /Fifth argument/ ],
+		[ 'ndarrayQuantized', [ 'int8', 4, 0.0, 0, 1, 0, 0, 1.0, y, 1, 0, 0, 1.0 ], /Ninth argument/ ],
+		[ 'mainBlockScaled', [ 'e4m3', 4, 0.0, x, 0, 0, 0, 4 ], /Fourth argument/ ],
+		[ 'mainCdotu', [ 4, x, 1, y, 1, 0 ], /Second argument/ ],
+		[ 'ndarrayCdotc', [ 4, 0, 1, 0, 0, 1, 0, p ], /Eighth argument/ ],
+		[ 'mainSparse', [ 4, 0.0, x, 1, p, 1, 0 ], /Fifth argument/ ],
+		[ 'ndarraySparse', [ 4, 0.0, x, 1, 0, p, 1, 0, 0, 0 ], /Sixth argument/ ],
+		[ 'mainSparseSparse', [ 4, 4, 0.0, x, p, 1, 0, 0, 1 ], /Fifth argument/ ],
+		[ 'ndarraySparseSparse', [ 4, 4, 0.0, 0, 0, 1, 0, 0, p, 1, 0 ], /Ninth argument/ ],
+		[ 'mainMasked', [ 4, 0.0, x, 1, y, 1, p, 1 ], /Seventh argument/ ],
+		[ 'ndarrayNaN', [ 'propagate', 4, 0.0, x, 1, 0, y, 1, 0, p, 1, 0 ], /Tenth argument/ ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), TypeError, 'throws an error when calling '+values[ i ][ 0 ] );
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), values[ i ][ 2 ], 'throws an error when calling '+values[ i ][ 0 ] );
+	}
+	t.end();
+
+	function badValue( method, args ) {
+		return function badValue() {
+			mod[ method ].apply( mod, args );
+		};
+	}
+});
+
+tape( 'the `free` method supports pointer handles', function test( t ) {
+	var mod;
+	var x;
+
+	mod = setup();
+	x = mod.alloc( 4 );
+	t.strictEqual( mod.heapStats().allocations, 1, 'returns expected value' );
+
+	mod.free( x );
+	t.strictEqual( mod.heapStats().allocations, 0, 'returns expected value' );
+
+	t.throws( function badValue() {
+		mod.free( x );
+	}, Error, 'throws an error' );
+	t.end();
+});
@@ -0,0 +1,245 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Int8Array = require( '@stdlib/array-int8' );
+var Uint8Array = require( '@stdlib/array-uint8' );
+var float64ToFloat32 = require( '@stdlib/number-float64-base-to-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainQuantized` method which has an arity of 11', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainQuantized.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayQuantized` method which has an arity of 13', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayQuantized.length, 13, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has `mainQuantized` and `ndarrayQuantized` methods which throw an error if provided an unsupported data type', function test( t ) {
+	var values;
+	var mem;
+	var mod;
+	var i;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	values = [
+		'float32',
+		'int16',
+		'uint8c',
+		'beep',
+		5,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			mod.mainQuantized( value, 1, 0.0, 0, 1, 0, 1.0, 8, 1, 0, 1.0 );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			mod.ndarrayQuantized( value, 1, 0.0, 0, 1, 0, 0, 1.0, 8, 1, 0, 0, 1.0 );
+		};
+	}
+});
+
+tape( 'a module instance has a `mainQuantized` method which computes the dot product of quantized vectors `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Int8Array( [ 4, 2, -3, 5, -1, 2, -5, 6 ] ) );
+	mod.write( yp, new Int8Array( [ 2, 6, -1, -4, 8, 8, 2, -3 ] ) );
+
+	dot = mod.mainQuantized( 'int8', 8, 10.0, xp, 1, 0, 1.0, yp, 1, 0, 1.0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainQuantized( 'int8', 4, 0.0, xp, 2, 0, 1.0, yp, -2, 0, 1.0 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.mainQuantized( 'int8', 4, 0.0, xp, 2, 0, 0.5, yp, -2, 0, 0.25 );
+	t.strictEqual( dot, -3.125, 'returns expected value' );
+
+	mod.write( xp, new Uint8Array( [ 104, 102, 97, 105, 99, 102, 95, 106 ] ) );
+	mod.write( yp, new Uint8Array( [ 52, 56, 49, 46, 58, 58, 52, 47 ] ) );
+
+	dot = mod.mainQuantized( 'uint8', 8, 10.0, xp, 1, 100, 1.0, yp, 1, 50, 1.0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainQuantized( 'uint8', 4, 0.0, xp, 2, 100, 1.0, yp, -2, 50, 1.0 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayQuantized` method which computes the dot product of quantized vectors `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Int8Array( [ 4, 2, -3, 5, -1, 2, -5, 6 ] ) );
+	mod.write( yp, new Int8Array( [ 2, 6, -1, -4, 8, 8, 2, -3 ] ) );
+
+	dot = mod.ndarrayQuantized( 'int8', 8, 10.0, xp, 1, 0, 0, 1.0, yp, 1, 0, 0, 1.0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarrayQuantized( 'int8', 4, 0.0, xp, 2, 0, 0, 1.0, yp, -2, 6, 0, 1.0 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayQuantized( 'int8', 3, 0.0, xp, 1, 1, 0, 1.0, yp, 2, 1, 0, 1.0 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	mod.write( xp, new Uint8Array( [ 104, 102, 97, 105, 99, 102, 95, 106 ] ) );
+	mod.write( yp, new Uint8Array( [ 52, 56, 49, 46, 58, 58, 52, 47 ] ) );
+
+	dot = mod.ndarrayQuantized( 'uint8', 4, 0.0, xp, 2, 0, 100, 1.0, yp, -2, 6, 50, 1.0 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayQuantized( 'uint8', 3, 0.0, xp, 1, 1, 100, 2.0, yp, 2, 1, 50, 0.5 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayQuantized` method which accumulates products exactly before applying scales', function test( t ) {
+	var expected;
+	var dot;
+	var mem;
+	var mod;
+	var N;
+	var x;
+	var y;
+	var i;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	// Products of extreme values, which, when scaled and accumulated in single-precision, would incur rounding errors:
+	N = 1000;
+	x = new Int8Array( N );
+	y = new Int8Array( N );
+	for ( i = 0; i < N; i++ ) {
+		x[ i ] = ( i%2 ) ? -128 : 127;
+		y[ i ] = ( i%3 ) ? 127 : -127;
+	}
+	mod.write( 0, x );
+	mod.write( N, y );
+
+	expected = 0;
+	for ( i = 0; i < N; i++ ) {
+		expected += ( x[ i ]-127 ) * ( y[ i ]+128 );
+	}
+	dot = mod.ndarrayQuantized( 'int8', N, 0.0, 0, 1, 0, 127, 1.0, N, 1, 0, -128, 1.0 );
+	t.strictEqual( dot, float64ToFloat32( expected ), 'returns expected value' );
+
+	dot = mod.ndarrayQuantized( 'int8', N, 0.0, 0, 1, 0, 127, 0.1, N, 1, 0, -128, 0.3 );
+	t.strictEqual( dot, float64ToFloat32( expected * ( float64ToFloat32( 0.1 ) * float64ToFloat32( 0.3 ) ) ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainQuantized` and `ndarrayQuantized` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	dot = mod.mainQuantized( 'int8', 0, 3.0, 0, 1, 0, 1.0, 40, 1, 0, 1.0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayQuantized( 'uint8', -1, 3.0, 0, 1, 0, 0, 1.0, 40, 1, 0, 0, 1.0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
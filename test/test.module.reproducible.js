@@ -0,0 +1,259 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var uniform = require( '@stdlib/random-base-uniform' );
+var discreteUniform = require( '@stdlib/random-base-discrete-uniform' );
+var pow = require( '@stdlib/math-base-special-pow' );
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainReproducible` method which has an arity of 6', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainReproducible.length, 6, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayReproducible` method which has an arity of 8', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayReproducible.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainReproducible` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.mainReproducible( 8, 10.0, xp, 1, yp, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.mainReproducible( 4, 0.0, xp, 2, yp, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayReproducible` method which computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	mod.write( xp, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( yp, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	dot = mod.ndarrayReproducible( 8, 10.0, xp, 1, 0, yp, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = mod.ndarrayReproducible( 4, 0.0, xp, 2, 0, yp, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = mod.ndarrayReproducible( 3, 0.0, xp, 1, 1, yp, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainReproducible` and `ndarrayReproducible` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	dot = mod.mainReproducible( 0, 3.0, 0, 1, 40, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarrayReproducible( -1, 3.0, 0, 1, 0, 40, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has `mainReproducible` and `ndarrayReproducible` methods which return results which do not depend on the order of summation', function test( t ) {
+	var dot1;
+	var dot2;
+	var mem;
+	var mod;
+	var xp;
+	var yp;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	xp = 0;
+	yp = 64;
+
+	// The products are [ 2^60, 1, -2^60, 1 ]:
+	mod.write( xp, new Float32Array( [ 1073741824.0, 1.0, -1073741824.0, 1.0 ] ) );
+	mod.write( yp, new Float32Array( [ 1073741824.0, 1.0, 1073741824.0, 1.0 ] ) );
+
+	// Naive accumulation depends on the order of summation:
+	dot1 = mod.ndarray( 4, 0.0, xp, 1, 0, yp, 1, 0 );
+	dot2 = mod.ndarray( 4, 0.0, xp, -1, 3, yp, -1, 3 );
+	t.notEqual( dot1, dot2, 'returns expected value' );
+
+	dot1 = mod.ndarrayReproducible( 4, 0.0, xp, 1, 0, yp, 1, 0 );
+	dot2 = mod.ndarrayReproducible( 4, 0.0, xp, -1, 3, yp, -1, 3 );
+	t.strictEqual( dot1, 2.0, 'returns expected value' );
+	t.strictEqual( dot2, 2.0, 'returns expected value' );
+
+	dot1 = mod.mainReproducible( 4, 0.0, xp, 1, yp, 1 );
+	dot2 = mod.mainReproducible( 4, 0.0, xp, -1, yp, -1 );
+	t.strictEqual( dot1, 2.0, 'returns expected value' );
+	t.strictEqual( dot2, 2.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayReproducible` method which returns bit-identical results for permuted vectors', function test( t ) {
+	var expected;
+	var perm;
+	var mem;
+	var mod;
+	var dot;
+	var tmp;
+	var x;
+	var y;
+	var N;
+	var i;
+	var j;
+	var k;
+
+	N = 1000;
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	x = new Float32Array( mem.buffer, 0, N );
+	y = new Float32Array( mem.buffer, N*4, N );
+	for ( i = 0; i < N; i++ ) {
+		x[ i ] = uniform( -1.0, 1.0 ) * pow( 2.0, discreteUniform( -20, 20 ) );
+		y[ i ] = uniform( -1.0, 1.0 ) * pow( 2.0, discreteUniform( -20, 20 ) );
+	}
+	expected = mod.ndarrayReproducible( N, 1.0, 0, 1, 0, N*4, 1, 0 );
+
+	for ( k = 0; k < 5; k++ ) {
+		// Shuffle the pairs of elements:
+		for ( i = N-1; i > 0; i-- ) {
+			j = discreteUniform( 0, i );
+			tmp = x[ i ];
+			x[ i ] = x[ j ];
+			x[ j ] = tmp;
+			tmp = y[ i ];
+			y[ i ] = y[ j ];
+			y[ j ] = tmp;
+		}
+		dot = mod.ndarrayReproducible( N, 1.0, 0, 1, 0, N*4, 1, 0 );
+		t.strictEqual( dot, expected, 'returns expected value' );
+
+		perm = mod.ndarrayReproducible( N, 1.0, 0, -1, N-1, N*4, -1, N-1 );
+		t.strictEqual( perm, expected, 'returns expected value' );
+	}
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayReproducible` method which propagates non-finite values', function test( t ) {
+	var mem;
+	var mod;
+	var dot;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ 1.0, Infinity, 2.0 ] ) );
+	mod.write( 64, new Float32Array( [ 1.0, 1.0, 1.0 ] ) );
+	dot = mod.ndarrayReproducible( 3, 0.0, 0, 1, 0, 64, 1, 0 );
+	t.strictEqual( dot, Infinity, 'returns expected value' );
+
+	mod.write( 0, new Float32Array( [ 1.0, Infinity, -Infinity ] ) );
+	dot = mod.ndarrayReproducible( 3, 0.0, 0, 1, 0, 64, 1, 0 );
+	t.strictEqual( isnan( dot ), true, 'returns expected value' );
+
+	mod.write( 0, new Float32Array( [ 0.0, 0.0, 0.0 ] ) );
+	dot = mod.ndarrayReproducible( 3, 3.0, 0, 1, 0, 64, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
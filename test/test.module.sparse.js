@@ -0,0 +1,137 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Int32Array = require( '@stdlib/array-int32' );
+var Module = require( './../lib' ).Module;
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainSparse` method which has an arity of 7', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainSparse.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarraySparse` method which has an arity of 10', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarraySparse.length, 10, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainSparse` method which computes the dot product of a sparse vector `x` and a dense vector `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	mod.write( 12, new Int32Array( [ 0, 2, 4 ] ) );
+	mod.write( 24, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+
+	dot = mod.mainSparse( 3, 0.0, 0, 1, 12, 1, 24 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	dot = mod.mainSparse( 3, 1.0, 0, -1, 12, 1, 24 );
+	t.strictEqual( dot, 15.0, 'returns expected value' );
+
+	dot = mod.mainSparse( 2, 0.0, 0, 2, 12, -1, 24 );
+	t.strictEqual( dot, 6.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarraySparse` method which computes the dot product of a sparse vector `x` and a dense vector `y`', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	mod.write( 12, new Int32Array( [ 0, 2, 4 ] ) );
+	mod.write( 24, new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ) );
+
+	dot = mod.ndarraySparse( 3, 0.0, 0, 1, 0, 12, 1, 0, 24, 0 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	dot = mod.ndarraySparse( 2, 0.0, 0, 1, 1, 12, -1, 1, 24, 1 );
+	t.strictEqual( dot, 14.0, 'returns expected value' );
+
+	mod.write( 12, new Int32Array( [ -2, 0, 2 ] ) );
+	dot = mod.ndarraySparse( 3, 0.0, 0, 1, 0, 12, 1, 0, 24, 2 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainSparse` and `ndarraySparse` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	dot = mod.mainSparse( 0, 3.0, 0, 1, 12, 1, 24 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarraySparse( -1, 3.0, 0, 1, 0, 12, 1, 0, 24, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,152 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Int32Array = require( '@stdlib/array-int32' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance with two sparse vectors written to memory.
+*
+* @private
+* @returns {Module} module instance
+*/
+function setup() {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	mod.write( 0, new Float32Array( [ 1.0, 2.0, 3.0 ] ) );
+	mod.write( 12, new Int32Array( [ 0, 3, 7 ] ) );
+	mod.write( 24, new Float32Array( [ 4.0, 5.0, 6.0 ] ) );
+	mod.write( 36, new Int32Array( [ 3, 5, 7 ] ) );
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainSparseSparse` method which has an arity of 9', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainSparseSparse.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarraySparseSparse` method which has an arity of 11', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarraySparseSparse.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainSparseSparse` method which computes the dot product of two sparse vectors', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup();
+
+	dot = mod.mainSparseSparse( 3, 3, 0.0, 0, 12, 1, 24, 36, 1 );
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	dot = mod.mainSparseSparse( 2, 3, 1.0, 0, 12, 2, 24, 36, 1 );
+	t.strictEqual( dot, 19.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarraySparseSparse` method which computes the dot product of two sparse vectors', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup();
+
+	dot = mod.ndarraySparseSparse( 3, 3, 0.0, 0, 12, 1, 0, 24, 36, 1, 0 );
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	dot = mod.ndarraySparseSparse( 2, 2, 0.0, 0, 12, 2, 0, 24, 36, 1, 1 );
+	t.strictEqual( dot, 18.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has `mainSparseSparse` and `ndarraySparseSparse` methods which throw a range error identifying the position of the first out-of-order index', function test( t ) {
+	var mod;
+
+	mod = setup();
+	mod.write( 12, new Int32Array( [ 0, 7, 3 ] ) );
+
+	t.throws( badX, /Indices of `x` must be sorted in strictly increasing order\. Out-of-order index at position: `2`\./, 'throws an error' );
+	t.throws( badY, /Indices of `y` must be sorted in strictly increasing order\. Out-of-order index at position: `1`\./, 'throws an error' );
+	t.end();
+
+	function badX() {
+		mod.mainSparseSparse( 3, 3, 0.0, 0, 12, 1, 24, 36, 1 );
+	}
+
+	function badY() {
+		mod.ndarraySparseSparse( 1, 3, 0.0, 0, 12, 1, 0, 24, 36, -1, 2 );
+	}
+});
+
+tape( 'if provided an `NX` or `NY` parameter less than or equal to `0`, a module instance has `mainSparseSparse` and `ndarraySparseSparse` methods which return the scalar constant', function test( t ) {
+	var dot;
+	var mod;
+
+	mod = setup();
+
+	dot = mod.mainSparseSparse( 0, 3, 3.0, 0, 12, 1, 24, 36, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = mod.ndarraySparseSparse( 3, -1, 3.0, 0, 12, 1, 0, 24, 36, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
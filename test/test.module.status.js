@@ -0,0 +1,182 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Module = require( './../lib' ).Module;
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized module instance.
+*
+* @private
+* @returns {Module} module instance
+*/
+function setup() {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 1
+	});
+	mod = new Module( mem );
+	mod.initializeSync();
+	return mod;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Module, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainStatus` method which has an arity of 7', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.mainStatus.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayStatus` method which has an arity of 9', function test( t ) {
+	var mem;
+	var mod;
+
+	mem = new Memory({
+		'initial': 0
+	});
+	mod = new Module( mem );
+	t.strictEqual( mod.ndarrayStatus.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'a module instance has a `mainStatus` method which computes the dot product of `x` and `y` and returns status flags', function test( t ) {
+	var status;
+	var out;
+	var mod;
+
+	mod = setup();
+	out = new Float32Array( 1 );
+
+	mod.write( 0, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( 64, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	status = mod.mainStatus( 8, 10.0, 0, 1, 64, 1, 128 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	mod.read( 128, out );
+	t.strictEqual( out[ 0 ], -7.0, 'returns expected value' );
+
+	status = mod.mainStatus( 4, 0.0, 0, 2, 64, -2, 132 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	mod.read( 132, out );
+	t.strictEqual( out[ 0 ], -25.0, 'returns expected value' );
+
+	mod.write( 0, new Float32Array( [ 16777216.0, 1.0 ] ) );
+	mod.write( 64, new Float32Array( [ 1.0, 1.0 ] ) );
+
+	status = mod.mainStatus( 2, 0.0, 0, 1, 64, 1, 128 );
+	t.strictEqual( status, 4, 'returns expected value' );
+	mod.read( 128, out );
+	t.strictEqual( out[ 0 ], 16777216.0, 'returns expected value' );
+
+	mod.write( 0, new Float32Array( [ 3.0e38, 3.0e38 ] ) );
+
+	status = mod.mainStatus( 2, 0.0, 0, 1, 64, 1, 128 );
+	t.strictEqual( status, 1|4, 'returns expected value' );
+	mod.read( 128, out );
+	t.strictEqual( out[ 0 ], Infinity, 'returns expected value' );
+
+	mod.write( 0, new Float32Array( [ 1.0e-30 ] ) );
+	mod.write( 64, new Float32Array( [ 1.0e-30 ] ) );
+
+	status = mod.mainStatus( 1, 0.0, 0, 1, 64, 1, 128 );
+	t.strictEqual( status, 2|4, 'returns expected value' );
+	mod.read( 128, out );
+	t.strictEqual( out[ 0 ], 0.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'a module instance has an `ndarrayStatus` method which computes the dot product of `x` and `y` and returns status flags', function test( t ) {
+	var status;
+	var out;
+	var mod;
+
+	mod = setup();
+	out = new Float32Array( 1 );
+
+	mod.write( 0, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ) ); // eslint-disable-line max-len
+	mod.write( 64, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ) ); // eslint-disable-line max-len
+
+	status = mod.ndarrayStatus( 8, 10.0, 0, 1, 0, 64, 1, 0, 128 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	mod.read( 128, out );
+	t.strictEqual( out[ 0 ], -7.0, 'returns expected value' );
+
+	status = mod.ndarrayStatus( 3, 0.0, 0, 1, 1, 64, 2, 1, 128 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	mod.read( 128, out );
+	t.strictEqual( out[ 0 ], 64.0, 'returns expected value' );
+
+	mod.write( 0, new Float32Array( [ 0.0, 16777216.0, 1.0 ] ) );
+	mod.write( 64, new Float32Array( [ 1.0, 1.0 ] ) );
+
+	status = mod.ndarrayStatus( 2, 0.0, 0, 1, 1, 64, 1, 0, 128 );
+	t.strictEqual( status, 4, 'returns expected value' );
+	mod.read( 128, out );
+	t.strictEqual( out[ 0 ], 16777216.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, a module instance has `mainStatus` and `ndarrayStatus` methods which write the scalar constant', function test( t ) {
+	var status;
+	var out;
+	var mod;
+
+	mod = setup();
+	out = new Float32Array( 1 );
+
+	status = mod.mainStatus( 0, 3.0, 0, 1, 40, 1, 80 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	mod.read( 80, out );
+	t.strictEqual( out[ 0 ], 3.0, 'returns expected value' );
+
+	status = mod.ndarrayStatus( -1, 4.0, 0, 1, 0, 40, 1, 0, 80 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	mod.read( 80, out );
+	t.strictEqual( out[ 0 ], 4.0, 'returns expected value' );
+
+	t.end();
+});
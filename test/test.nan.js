@@ -0,0 +1,277 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainNaN` method has an arity of 9', function test( t ) {
+	t.strictEqual( sdsdot.mainNaN.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayNaN` method has an arity of 12', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayNaN.length, 12, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainNaN` method throws an error if provided a first argument which is not a supported policy', function test( t ) {
+	var values;
+	var out;
+	var x;
+	var y;
+	var i;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	out = new Float64Array( 2 );
+
+	values = [
+		'skip',
+		'omit',
+		'IGNORE',
+		5,
+		null,
+		void 0,
+		true,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			sdsdot.mainNaN( value, x.length, 0.0, x, 1, y, 1, out, 1 );
+		};
+	}
+});
+
+tape( 'the `ndarrayNaN` method throws an error if provided a first argument which is not a supported policy', function test( t ) {
+	var values;
+	var out;
+	var x;
+	var y;
+	var i;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	out = new Float64Array( 2 );
+
+	values = [
+		'skip',
+		'omit',
+		'IGNORE',
+		5,
+		null,
+		void 0,
+		true,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			sdsdot.ndarrayNaN( value, x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+		};
+	}
+});
+
+tape( 'the `mainNaN` method computes the dot product of `x` and `y`, ignoring pairs containing `NaN` (policy=ignore)', function test( t ) {
+	var out;
+	var x;
+	var y;
+	var v;
+
+	x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] );
+	out = new Float64Array( 2 );
+
+	v = sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 8.0, 2.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 4 );
+	v = sdsdot.mainNaN( 'ignore', 3, 10.0, x, 2, y, -2, out, -2 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 1.0, 0.0, 18.0, 0.0 ] ), 'returns expected value' );
+
+	// Pairs are ignored irrespective of whether `NaN` appears in `x`, `y`, or both:
+	x = new Float32Array( [ NaN, 2.0, NaN, 4.0, 5.0, 6.0, 7.0, 8.0, 9.0, NaN ] );
+	y = new Float32Array( [ 1.0, NaN, NaN, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	out = new Float64Array( 2 );
+
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ 39.0, 4.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainNaN` method computes the dot product of `x` and `y`, propagating `NaN` (policy=propagate)', function test( t ) {
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	out = new Float64Array( 2 );
+
+	sdsdot.mainNaN( 'propagate', x.length, 0.0, x, 1, y, 1, out, 1 );
+	t.strictEqual( isnan( out[ 0 ] ), true, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 0.0, 'returns expected value' );
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	sdsdot.mainNaN( 'propagate', x.length, 0.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ 15.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainNaN` method throws an error upon encountering a pair containing `NaN` (policy=error)', function test( t ) {
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, NaN, 1.0 ] );
+	out = new Float64Array( [ -1.0, -1.0 ] );
+
+	t.throws( badValue, RangeError, 'throws an error' );
+	t.deepEqual( out, new Float64Array( [ -1.0, -1.0 ] ), 'does not mutate output array' );
+
+	sdsdot.mainNaN( 'error', 3, 0.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ 6.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+
+	function badValue() {
+		sdsdot.mainNaN( 'error', x.length, 0.0, x, 1, y, 1, out, 1 );
+	}
+});
+
+tape( 'when the policy is `error`, the `mainNaN` and `ndarrayNaN` methods throw an error which reports the position of the first pair containing `NaN`', function test( t ) {
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, NaN, 1.0 ] );
+	out = new Float64Array( 2 );
+
+	try {
+		sdsdot.mainNaN( 'error', x.length, 0.0, x, 1, y, 1, out, 1 );
+		t.fail( 'should throw' );
+	} catch ( err ) {
+		t.strictEqual( /position: `1`/.test( err.message ), true, 'returns expected value' );
+	}
+	try {
+		sdsdot.ndarrayNaN( 'error', 4, 0.0, x, -1, 4, y, -1, 4, out, 1, 0 );
+		t.fail( 'should throw' );
+	} catch ( err ) {
+		t.strictEqual( /position: `1`/.test( err.message ), true, 'returns expected value' );
+	}
+	t.end();
+});
+
+tape( 'the `ndarrayNaN` method computes the dot product of `x` and `y` according to a `NaN` handling policy', function test( t ) {
+	var out;
+	var x;
+	var y;
+	var v;
+
+	x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] );
+	out = new Float64Array( 2 );
+
+	v = sdsdot.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 8.0, 2.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 4 );
+	v = sdsdot.ndarrayNaN( 'ignore', 3, 1.0, x, -1, 2, y, 1, 0, out, -2, 3 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 0.0, 1.0, 0.0, 5.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 2 );
+	sdsdot.ndarrayNaN( 'error', 2, 0.0, x, 1, 2, y, 1, 2, out, 1, 0 );
+	t.deepEqual( out, new Float64Array( [ 7.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainNaN` method treats infinite values as ordinary values', function test( t ) {
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, Infinity, 3.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, NaN ] );
+	out = new Float64Array( 2 );
+
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ Infinity, 1.0 ] ), 'returns expected value' );
+
+	x = new Float32Array( [ 1.0, Infinity, 3.0 ] );
+	y = new Float32Array( [ 1.0, 0.0, 1.0 ] );
+
+	sdsdot.mainNaN( 'ignore', x.length, 0.0, x, 1, y, 1, out, 1 );
+	t.strictEqual( isnan( out[ 0 ] ), true, 'returns expected value' );
+	t.strictEqual( out[ 1 ], 0.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainNaN` and `ndarrayNaN` methods return the scalar constant and a skipped count of zero', function test( t ) {
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ NaN, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	out = new Float64Array( 2 );
+
+	sdsdot.mainNaN( 'error', 0, 3.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ 3.0, 0.0 ] ), 'returns expected value' );
+
+	out = new Float64Array( 2 );
+	sdsdot.ndarrayNaN( 'ignore', -1, 3.0, x, 1, 0, y, 1, 0, out, 1, 0 );
+	t.deepEqual( out, new Float64Array( [ 3.0, 0.0 ] ), 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,408 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Int32Array = require( '@stdlib/array-int32' );
+var Complex64Array = require( '@stdlib/array-complex64' );
+var realf = require( '@stdlib/complex-float32-real' );
+var imagf = require( '@stdlib/complex-float32-imag' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Module = require( './../lib/module.js' );
+var Routine = require( './../lib/routine.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized routine instance.
+*
+* @private
+* @returns {Routine} routine instance
+*/
+function setup() {
+	var r = new Routine();
+	r.initializeSync();
+	return r;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Routine, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'a routine instance has `pin`, `unpin`, and `isPinned` methods', function test( t ) {
+	var r = new Routine();
+	t.strictEqual( typeof r.pin, 'function', 'has method' );
+	t.strictEqual( r.pin.length, 1, 'returns expected value' );
+	t.strictEqual( typeof r.unpin, 'function', 'has method' );
+	t.strictEqual( r.unpin.length, 1, 'returns expected value' );
+	t.strictEqual( typeof r.isPinned, 'function', 'has method' );
+	t.strictEqual( r.isPinned.length, 1, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `pin` method throws an error if not provided a typed array', function test( t ) {
+	var values;
+	var r;
+	var i;
+
+	r = setup();
+	values = [
+		'5',
+		5,
+		NaN,
+		true,
+		false,
+		null,
+		void 0,
+		[],
+		{},
+		function noop() {}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			r.pin( value );
+		};
+	}
+});
+
+tape( 'the `pin` method throws an error if unable to grow module memory', function test( t ) {
+	var mod;
+	var x;
+	var y;
+
+	// Create a module instance whose memory cannot grow beyond a single page:
+	mod = new Module( new Memory({
+		'initial': 1,
+		'maximum': 1
+	}));
+	mod.initializeSync();
+
+	x = new Float32Array( 20000 );
+	t.throws( function badValue() {
+		Routine.prototype.pin.call( mod, x );
+	}, Error, 'throws an error' );
+
+	// The array should not be pinned:
+	t.strictEqual( Routine.prototype.isPinned.call( mod, x ), false, 'returns expected value' );
+	t.strictEqual( mod.heapStats().allocations, 0, 'returns expected value' );
+
+	// Arrays which fit within module memory can still be pinned:
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	Routine.prototype.pin.call( mod, y );
+	t.strictEqual( Routine.prototype.isPinned.call( mod, y ), true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `pin`, `unpin`, and `isPinned` methods manage pinned arrays', function test( t ) {
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	t.strictEqual( r.isPinned( x ), false, 'returns expected value' );
+	t.strictEqual( r.pin( x ), r, 'returns expected value' );
+	t.strictEqual( r.isPinned( x ), true, 'returns expected value' );
+	t.strictEqual( r.isPinned( y ), false, 'returns expected value' );
+	t.strictEqual( r.isPinned( 'beep' ), false, 'returns expected value' );
+
+	t.strictEqual( r.unpin( x ), r, 'returns expected value' );
+	t.strictEqual( r.isPinned( x ), false, 'returns expected value' );
+
+	// Unpinning an array which is not pinned is a no-op:
+	t.strictEqual( r.unpin( y ), r, 'returns expected value' );
+	t.end();
+});
+
+tape( 'routine methods resolve pinned arrays to their reserved memory regions', function test( t ) {
+	var dot;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	r.pin( y );
+
+	dot = r.main( x.length, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = r.main( 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = r.ndarray( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	r.pin( x );
+
+	dot = r.ndarray( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	dot = r.ndarrayDouble( 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'routine methods do not copy the contents of pinned arrays, which must be re-pinned in order to update module memory', function test( t ) {
+	var dot;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+
+	r.pin( y );
+	y[ 0 ] = 11.0;
+
+	dot = r.main( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 15.0, 'returns expected value' );
+
+	r.pin( y );
+
+	dot = r.main( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 25.0, 'returns expected value' );
+
+	r.unpin( y );
+	y[ 0 ] = 1.0;
+
+	dot = r.main( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 15.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'copied arrays do not overwrite pinned arrays', function test( t ) {
+	var dot;
+	var r;
+	var x;
+	var y;
+	var z;
+
+	r = setup();
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+	z = new Float32Array( [ 2.0, 2.0, 2.0, 2.0, 2.0 ] );
+
+	r.pin( y );
+
+	dot = r.main( x.length, 0.0, x, 1, z, 1 );
+	t.strictEqual( dot, 30.0, 'returns expected value' );
+
+	dot = r.mainBatched( 5, new Float32Array( [ 0.0, 1.0 ] ), [ x, z ], 1, [ z, x ], 1, new Float32Array( 2 ) ); // eslint-disable-line max-len
+	t.deepEqual( dot, new Float32Array( [ 30.0, 31.0 ] ), 'returns expected value' );
+
+	dot = r.main( x.length, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 15.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'routine methods reuse memory regions across invocations', function test( t ) {
+	var nbytes;
+	var r;
+	var x;
+	var y;
+	var i;
+
+	r = setup();
+	x = new Float32Array( 1000 );
+	y = new Float32Array( 1000 );
+
+	r.pin( y );
+	r.main( x.length, 0.0, x, 1, y, 1 );
+	nbytes = r.memory.buffer.byteLength;
+	for ( i = 0; i < 100; i++ ) {
+		r.main( x.length, 0.0, x, 1, y, 1 );
+		r.pin( y );
+	}
+	t.strictEqual( r.memory.buffer.byteLength, nbytes, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `pin` method reuses memory regions released by the `unpin` method', function test( t ) {
+	var nbytes;
+	var dot;
+	var r;
+	var x;
+	var y;
+	var z;
+
+	r = setup();
+	x = new Float32Array( 10000 );
+	y = new Float32Array( 10000 );
+	z = new Float32Array( 10000 );
+	x[ 0 ] = 1.0;
+	y[ 0 ] = 2.0;
+	z[ 0 ] = 3.0;
+
+	r.pin( x );
+	r.pin( y );
+	nbytes = r.memory.buffer.byteLength;
+
+	r.unpin( x );
+	r.pin( z );
+	t.strictEqual( r.memory.buffer.byteLength, nbytes, 'returns expected value' );
+
+	dot = r.main( 1, 0.0, y, 1, z, 1 );
+	t.strictEqual( dot, 6.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'routine methods support pinned output arrays', function test( t ) {
+	var out;
+	var r;
+	var x;
+	var y;
+	var v;
+
+	r = setup();
+	x = new Float32Array( [ 1.0, NaN, 3.0, 4.0, 5.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0, NaN ] );
+	out = new Float64Array( 4 );
+
+	r.pin( out );
+
+	v = r.ndarrayNaN( 'ignore', x.length, 0.0, x, 1, 0, y, 1, 0, out, -2, 3 );
+	t.strictEqual( v, out, 'returns expected value' );
+	t.deepEqual( out, new Float64Array( [ 0.0, 2.0, 0.0, 8.0 ] ), 'returns expected value' );
+
+	out = new Float32Array( 3 );
+	r.pin( out );
+
+	v = r.ndarrayStatus( 2, 0.0, x, 1, 2, y, 1, 2, out, 2 );
+	t.strictEqual( v, 0, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ 0.0, 0.0, 7.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'routine methods support pinned integer and complex arrays', function test( t ) {
+	var idx;
+	var dot;
+	var r;
+	var x;
+	var y;
+	var z;
+
+	r = setup();
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	idx = new Int32Array( [ 0, 2, 5 ] );
+	y = new Float32Array( [ 10.0, 20.0 ] );
+
+	// Pin only one of each pair of value and index arrays:
+	r.pin( idx );
+	r.pin( y );
+
+	dot = r.mainSparseSparse( 3, 2, 0.0, x, idx, 1, y, new Int32Array( [ 2, 5 ] ), 1 ); // eslint-disable-line max-len
+	t.strictEqual( dot, 80.0, 'returns expected value' );
+
+	dot = r.ndarraySparseSparse( 2, 1, 0.0, x, idx, 1, 1, y, new Int32Array( [ 2, 5 ] ), 1, 1 ); // eslint-disable-line max-len
+	t.strictEqual( dot, 60.0, 'returns expected value' );
+
+	x = new Complex64Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y = new Complex64Array( [ 1.0, 1.0, 1.0, 1.0 ] );
+	r.pin( x );
+
+	z = r.mainCdotu( 2, x, 1, y, 1 );
+	t.strictEqual( realf( z ), -2.0, 'returns expected value' );
+	t.strictEqual( imagf( z ), 10.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `pin` method does not pin empty arrays', function test( t ) {
+	var ptr;
+	var r;
+	var x;
+
+	r = setup();
+	ptr = r.malloc( 16 );
+
+	x = new Float32Array( 0 );
+	t.strictEqual( r.pin( x ), r, 'returns expected value' );
+	t.strictEqual( r.isPinned( x ), false, 'returns expected value' );
+	t.strictEqual( r.heapStats().allocations, 1, 'returns expected value' );
+
+	// Explicit allocations remain resolvable:
+	t.doesNotThrow( function noThrow() {
+		r.free( ptr );
+	}, 'does not throw an error' );
+	t.strictEqual( r.heapStats().allocations, 0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `pin` method does not overwrite views over allocated regions of module memory (but may overwrite views over untracked memory)', function test( t ) {
+	var ptr;
+	var r;
+	var u;
+	var v;
+	var x;
+
+	r = setup();
+	r.realloc( 64 );
+
+	// Create a view at a manually computed byte offset (i.e., over memory which is not tracked by the memory arena):
+	u = new Float32Array( r.memory.buffer, 0, 4 );
+	u.set( [ 9.0, 9.0, 9.0, 9.0 ] );
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	r.pin( x );
+	t.deepEqual( u, new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] ), 'overwrites untracked memory' ); // eslint-disable-line max-len
+	r.unpin( x );
+
+	// Create a view over an allocated region:
+	ptr = r.malloc( 16 );
+	v = new Float32Array( r.memory.buffer, ptr, 4 );
+	v.set( [ 9.0, 9.0, 9.0, 9.0 ] );
+
+	r.pin( x );
+	t.deepEqual( v, new Float32Array( [ 9.0, 9.0, 9.0, 9.0 ] ), 'does not overwrite allocated memory' ); // eslint-disable-line max-len
+	t.strictEqual( r.main( 4, 0.0, x, 1, v, 1 ), 90.0, 'returns expected value' );
+
+	r.unpin( x );
+	r.free( ptr );
+	t.end();
+});
@@ -0,0 +1,616 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Memory = require( '@stdlib/wasm-memory' );
+var Float32Array = require( '@stdlib/array-float32' );
+var discreteUniform = require( '@stdlib/random-base-discrete-uniform' );
+var Module = require( './../lib/module.js' );
+var Pool = require( './../lib/pool.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a shared memory instance.
+*
+* @private
+* @param {PositiveInteger} pages - initial number of pages
+* @returns {Memory} memory instance
+*/
+function sharedMemory( pages ) {
+	return new Memory({
+		'initial': pages,
+		'maximum': 100,
+		'shared': true
+	});
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Pool, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'the function throws an error if not provided a WebAssembly memory instance', function test( t ) {
+	var values;
+	var i;
+
+	values = [
+		'5',
+		5,
+		NaN,
+		true,
+		false,
+		null,
+		void 0,
+		[],
+		{},
+		function noop() {}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			return new Pool( value );
+		};
+	}
+});
+
+tape( 'the function throws an error if provided a WebAssembly memory instance which is not shared', function test( t ) {
+	t.throws( badValue, TypeError, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		var mem = new Memory({
+			'initial': 1
+		});
+		return new Pool( mem );
+	}
+});
+
+tape( 'the function throws an error if provided an options argument which is not an object', function test( t ) {
+	var values;
+	var i;
+
+	values = [
+		'5',
+		5,
+		NaN,
+		true,
+		false,
+		null,
+		[],
+		function noop() {}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			return new Pool( sharedMemory( 1 ), value );
+		};
+	}
+});
+
+tape( 'the function throws an error if provided a `threads` option which is not a positive integer', function test( t ) {
+	var values;
+	var i;
+
+	values = [
+		'5',
+		0,
+		-1,
+		3.14,
+		NaN,
+		true,
+		false,
+		null,
+		[],
+		{},
+		function noop() {}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			return new Pool( sharedMemory( 1 ), {
+				'threads': value
+			});
+		};
+	}
+});
+
+tape( 'the function is a constructor which does not require the `new` operator', function test( t ) {
+	var pool;
+
+	pool = Pool( sharedMemory( 1 ), { // eslint-disable-line new-cap
+		'threads': 1
+	});
+	t.strictEqual( pool instanceof Pool, true, 'returns expected value' );
+	pool.close( done );
+
+	function done( error ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'a pool instance has a `threads` property', function test( t ) {
+	var pool = new Pool( sharedMemory( 1 ), {
+		'threads': 2
+	});
+	t.strictEqual( pool.threads, 2, 'returns expected value' );
+	pool.close( t.end );
+});
+
+tape( 'a pool instance has a `main` method which computes the dot product of `x` and `y`', function test( t ) {
+	var pool;
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 8 );
+	y = new Float32Array( mem.buffer, 64, 8 );
+	x.set( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y.set( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	pool = new Pool( mem, {
+		'threads': 2
+	});
+	pool.main( 8, 10.0, 0, 1, 64, 1, onFirst );
+
+	function onFirst( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, -7.0, 'returns expected value' );
+		pool.main( 4, 0.0, 0, 2, 64, -2, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, -25.0, 'returns expected value' );
+		pool.close( t.end );
+	}
+});
+
+tape( 'a pool instance has an `ndarray` method which computes the dot product of `x` and `y`', function test( t ) {
+	var pool;
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 8 );
+	y = new Float32Array( mem.buffer, 64, 8 );
+	x.set( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y.set( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	pool = new Pool( mem, {
+		'threads': 2
+	});
+	pool.ndarray( 4, 0.0, 0, 2, 0, 64, -2, 6, onFirst );
+
+	function onFirst( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, -25.0, 'returns expected value' );
+		pool.ndarray( 3, 0.0, 0, 1, 1, 64, 2, 1, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 64.0, 'returns expected value' );
+		pool.close( t.end );
+	}
+});
+
+tape( 'a pool instance has `mainDouble` and `ndarrayDouble` methods which return the double-precision accumulator', function test( t ) {
+	var pool;
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 2 );
+	y = new Float32Array( mem.buffer, 8, 2 );
+	x.set( [ 1.0, 1.0 ] );
+	y.set( [ 1.0e-8, 1.0 ] );
+
+	pool = new Pool( mem, {
+		'threads': 2
+	});
+	pool.mainDouble( 2, 0.0, 0, 1, 8, 1, onFirst );
+
+	function onFirst( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 1.0 + y[ 0 ], 'returns expected value' );
+		pool.ndarrayDouble( 2, 0.0, 0, 1, 0, 8, 1, 0, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 1.0 + y[ 0 ], 'returns expected value' );
+		pool.main( 2, 0.0, 0, 1, 8, 1, onThird );
+	}
+
+	function onThird( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 1.0, 'returns expected value' );
+		pool.close( t.end );
+	}
+});
+
+tape( 'a pool instance splits long vectors across worker threads', function test( t ) {
+	var expected;
+	var pool;
+	var mod;
+	var mem;
+	var N;
+	var x;
+	var y;
+	var i;
+
+	N = 100000;
+	mem = sharedMemory( 16 );
+	x = new Float32Array( mem.buffer, 0, N );
+	y = new Float32Array( mem.buffer, N*4, N );
+	for ( i = 0; i < N; i++ ) {
+		x[ i ] = discreteUniform( -10, 10 );
+		y[ i ] = discreteUniform( -10, 10 );
+	}
+	mod = new Module( mem );
+	mod.initializeSync();
+
+	pool = new Pool( mem, {
+		'threads': 3
+	});
+	expected = mod.ndarrayDouble( N, 2.0, 0, 1, 0, N*4, 1, 0 );
+	pool.ndarrayDouble( N, 2.0, 0, 1, 0, N*4, 1, 0, onFirst );
+
+	function onFirst( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, expected, 'returns expected value' );
+		expected = mod.main( N/2, 2.0, 0, -2, N*4, 1 );
+		pool.main( N/2, 2.0, 0, -2, N*4, 1, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, expected, 'returns expected value' );
+		pool.close( t.end );
+	}
+});
+
+tape( 'a pool instance has `mainReproducible` and `ndarrayReproducible` methods which return results which do not depend on the number of threads', function test( t ) {
+	var expected;
+	var threads;
+	var pool;
+	var mod;
+	var mem;
+	var N;
+	var x;
+	var y;
+	var i;
+
+	N = 50000;
+	mem = sharedMemory( 16 );
+	x = new Float32Array( mem.buffer, 0, N );
+	y = new Float32Array( mem.buffer, N*4, N );
+	for ( i = 0; i < N; i++ ) {
+		x[ i ] = discreteUniform( -1000, 1000 ) / 7.0;
+		y[ i ] = discreteUniform( -1000, 1000 ) / 3.0;
+	}
+	mod = new Module( mem );
+	mod.initializeSync();
+	expected = mod.ndarrayReproducible( N, 2.0, 0, 1, 0, N*4, 1, 0 );
+
+	threads = 1;
+	next();
+
+	function next() {
+		pool = new Pool( mem, {
+			'threads': threads
+		});
+		pool.ndarrayReproducible( N, 2.0, 0, 1, 0, N*4, 1, 0, onFirst );
+	}
+
+	function onFirst( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, expected, 'returns expected value (threads='+threads+')' );
+		pool.mainReproducible( N, 2.0, 0, -1, N*4, -1, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, expected, 'returns expected value (threads='+threads+')' );
+		pool.close( onClose );
+	}
+
+	function onClose() {
+		threads += 1;
+		if ( threads > 3 ) {
+			return t.end();
+		}
+		next();
+	}
+});
+
+tape( 'a pool instance supports concurrent computations', function test( t ) {
+	var count;
+	var pool;
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 5 );
+	y = new Float32Array( mem.buffer, 20, 5 );
+	x.set( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+	y.set( [ 1.0, 1.0, 1.0, 1.0, 1.0 ] );
+
+	pool = new Pool( mem, {
+		'threads': 2
+	});
+	count = 0;
+	pool.main( 5, 0.0, 0, 1, 20, 1, clbk( 15.0 ) );
+	pool.main( 5, 1.0, 0, 1, 20, 1, clbk( 16.0 ) );
+	pool.main( 2, 0.0, 0, 1, 20, 1, clbk( 3.0 ) );
+
+	function clbk( expected ) {
+		return onResult;
+
+		function onResult( error, dot ) {
+			t.strictEqual( error, null, 'returns expected value' );
+			t.strictEqual( dot, expected, 'returns expected value' );
+			count += 1;
+			if ( count === 3 ) {
+				pool.close( t.end );
+			}
+		}
+	}
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the methods of a pool instance return the scalar constant', function test( t ) {
+	var pool = new Pool( sharedMemory( 1 ), {
+		'threads': 1
+	});
+	pool.main( 0, 3.0, 0, 1, 40, 1, onFirst );
+
+	function onFirst( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 3.0, 'returns expected value' );
+		pool.ndarrayDouble( -1, 3.0, 0, 1, 0, 40, 1, 0, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 3.0, 'returns expected value' );
+		pool.close( t.end );
+	}
+});
+
+tape( 'the methods of a pool instance throw an error if not provided a callback function', function test( t ) {
+	var pool = new Pool( sharedMemory( 1 ), {
+		'threads': 1
+	});
+	t.throws( function badValue() {
+		pool.main( 1, 0.0, 0, 1, 40, 1, 'beep' );
+	}, TypeError, 'throws an error' );
+	t.throws( function badValue() {
+		pool.ndarray( 1, 0.0, 0, 1, 0, 40, 1, 0 );
+	}, TypeError, 'throws an error' );
+	t.throws( function badValue() {
+		pool.close( 'beep' );
+	}, TypeError, 'throws an error' );
+	pool.close( t.end );
+});
+
+tape( 'a pool instance returns an error when performing a computation after having been closed', function test( t ) {
+	var pool = new Pool( sharedMemory( 1 ), {
+		'threads': 1
+	});
+	pool.close( onClose );
+
+	function onClose() {
+		pool.main( 1, 0.0, 0, 1, 40, 1, onResult );
+	}
+
+	function onResult( error ) {
+		t.strictEqual( error instanceof Error, true, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'a pool instance returns an error if a worker thread fails to process a chunk and remains usable for subsequent computations', function test( t ) {
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 4 );
+	y = new Float32Array( mem.buffer, 16, 4 );
+	x.set( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y.set( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	pool = new Pool( mem, {
+		'threads': 1
+	});
+
+	// Out-of-bounds input array pointer:
+	pool.main( 4, 0.0, 1e9, 1, 16, 1, onFirst );
+
+	function onFirst( error, dot ) {
+		t.strictEqual( error instanceof Error, true, 'returns expected value' );
+		t.strictEqual( dot, void 0, 'returns expected value' );
+		pool.main( 4, 0.0, 0, 1, 16, 1, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 10.0, 'returns expected value' );
+		pool.close( t.end );
+	}
+});
+
+tape( 'a pool instance replaces a worker thread which encounters an uncaught error', function test( t ) {
+	var worker;
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 4 );
+	y = new Float32Array( mem.buffer, 16, 4 );
+	x.set( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y.set( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	pool = new Pool( mem, {
+		'threads': 1
+	});
+	worker = pool._workers[ 0 ];
+
+	pool.main( 4, 0.0, 0, 1, 16, 1, onFirst );
+
+	// Simulate a worker thread crashing while a computation is pending:
+	worker.emit( 'error', new Error( 'beep' ) );
+
+	function onFirst( error ) {
+		t.strictEqual( error instanceof Error, true, 'returns expected value' );
+		t.strictEqual( error.message, 'beep', 'returns expected value' );
+		t.strictEqual( pool.threads, 1, 'returns expected value' );
+		t.notEqual( pool._workers[ 0 ], worker, 'replaces worker' );
+		pool.main( 4, 0.0, 0, 1, 16, 1, onSecond );
+	}
+
+	function onSecond( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 10.0, 'returns expected value' );
+		pool.close( t.end );
+	}
+});
+
+tape( 'a pool instance only fails computations which were assigned to a worker thread which encounters an uncaught error', function test( t ) {
+	var count;
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 8192 );
+	y = new Float32Array( mem.buffer, 32768, 8192 );
+	x.fill( 1.0 );
+	y.fill( 1.0 );
+
+	pool = new Pool( mem, {
+		'threads': 2
+	});
+	count = 0;
+
+	// Short vectors are only assigned to the first worker, while long vectors are split across both workers:
+	pool.main( 4, 0.0, 0, 1, 32768, 1, onShort );
+	pool.main( 8192, 0.0, 0, 1, 32768, 1, onLong );
+
+	// Simulate the second worker thread crashing while both computations are pending:
+	pool._workers[ 1 ].emit( 'error', new Error( 'beep' ) );
+
+	function onShort( error, dot ) {
+		t.strictEqual( error, null, 'returns expected value' );
+		t.strictEqual( dot, 4.0, 'returns expected value' );
+		done();
+	}
+
+	function onLong( error ) {
+		t.strictEqual( error instanceof Error, true, 'returns expected value' );
+		t.strictEqual( error.message, 'beep', 'returns expected value' );
+		done();
+	}
+
+	function done() {
+		count += 1;
+		if ( count === 2 ) {
+			pool.close( t.end );
+		}
+	}
+});
+
+tape( 'a pool instance returns an error for pending computations when closed', function test( t ) {
+	var count;
+	var pool;
+	var mem;
+	var x;
+	var y;
+
+	mem = sharedMemory( 1 );
+	x = new Float32Array( mem.buffer, 0, 4 );
+	y = new Float32Array( mem.buffer, 16, 4 );
+	x.set( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y.set( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	pool = new Pool( mem, {
+		'threads': 2
+	});
+	count = 0;
+
+	pool.main( 4, 0.0, 0, 1, 16, 1, onResult );
+	pool.ndarrayReproducible( 4, 0.0, 0, 1, 0, 16, 1, 0, onResult );
+	pool.close( onClose );
+
+	function onResult( error ) {
+		t.strictEqual( error instanceof Error, true, 'returns expected value' );
+		t.strictEqual( /closed/.test( error.message ), true, 'returns expected value' );
+		count += 1;
+	}
+
+	function onClose( error ) {
+		t.strictEqual( error, null, 'returns expected value' );
+
+		// Wait to ensure that callbacks are not invoked more than once:
+		setTimeout( onTimeout, 100 );
+	}
+
+	function onTimeout() {
+		t.strictEqual( count, 2, 'returns expected value' );
+		t.strictEqual( pool._pending, 0, 'returns expected value' );
+		t.deepEqual( pool._jobs, {}, 'returns expected value' );
+		t.end();
+	}
+});
@@ -0,0 +1,147 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Int8Array = require( '@stdlib/array-int8' );
+var Uint8Array = require( '@stdlib/array-uint8' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainQuantized` method has an arity of 11', function test( t ) {
+	t.strictEqual( sdsdot.mainQuantized.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayQuantized` method has an arity of 13', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayQuantized.length, 13, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainQuantized` and `ndarrayQuantized` methods throw an error if provided an unsupported data type', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = new Int8Array( [ 1, 2 ] );
+	values = [
+		'float32',
+		'int16',
+		'beep',
+		5,
+		null,
+		void 0,
+		{},
+		[]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badMain( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+		t.throws( badNdarray( values[ i ] ), TypeError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badMain( value ) {
+		return function badMain() {
+			sdsdot.mainQuantized( value, x.length, 0.0, x, 1, 0, 1.0, x, 1, 0, 1.0 );
+		};
+	}
+
+	function badNdarray( value ) {
+		return function badNdarray() {
+			sdsdot.ndarrayQuantized( value, x.length, 0.0, x, 1, 0, 0, 1.0, x, 1, 0, 0, 1.0 );
+		};
+	}
+});
+
+tape( 'the `mainQuantized` method computes the dot product of quantized vectors `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Int8Array( [ 4, 2, -3, 5, -1, 2, -5, 6 ] );
+	y = new Int8Array( [ 2, 6, -1, -4, 8, 8, 2, -3 ] );
+
+	dot = sdsdot.mainQuantized( 'int8', x.length, 10.0, x, 1, 0, 1.0, y, 1, 0, 1.0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainQuantized( 'int8', 4, 0.0, x, 2, 0, 0.5, y, -2, 0, 0.25 );
+	t.strictEqual( dot, -3.125, 'returns expected value' );
+
+	x = new Uint8Array( [ 104, 102, 97, 105, 99, 102, 95, 106 ] );
+	y = new Uint8Array( [ 52, 56, 49, 46, 58, 58, 52, 47 ] );
+
+	dot = sdsdot.mainQuantized( 'uint8', x.length, 10.0, x, 1, 100, 1.0, y, 1, 50, 1.0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainQuantized( 'uint8', 4, 0.0, x, 2, 100, 1.0, y, -2, 50, 1.0 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayQuantized` method computes the dot product of quantized vectors `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Int8Array( [ 4, 2, -3, 5, -1, 2, -5, 6 ] );
+	y = new Int8Array( [ 2, 6, -1, -4, 8, 8, 2, -3 ] );
+
+	dot = sdsdot.ndarrayQuantized( 'int8', 4, 0.0, x, 2, 0, 0, 1.0, y, -2, 6, 0, 1.0 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayQuantized( 'int8', 3, 0.0, x, 1, 1, 0, 1.0, y, 2, 1, 0, 1.0 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	x = new Uint8Array( [ 104, 102, 97, 105, 99, 102, 95, 106 ] );
+	y = new Uint8Array( [ 52, 56, 49, 46, 58, 58, 52, 47 ] );
+
+	dot = sdsdot.ndarrayQuantized( 'uint8', 4, 0.0, x, 2, 0, 100, 1.0, y, -2, 6, 50, 1.0 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayQuantized( 'uint8', 3, 0.0, x, 1, 1, 100, 2.0, y, 2, 1, 50, 0.5 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainQuantized` and `ndarrayQuantized` methods return the scalar constant', function test( t ) {
+	var dot;
+	var x;
+
+	x = new Int8Array( [ 1, 2, 3 ] );
+
+	dot = sdsdot.mainQuantized( 'int8', 0, 3.0, x, 1, 0, 1.0, x, 1, 0, 1.0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayQuantized( 'int8', -1, 3.0, x, 1, 0, 0, 1.0, x, 1, 0, 0, 1.0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,119 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainReproducible` method has an arity of 6', function test( t ) {
+	t.strictEqual( sdsdot.mainReproducible.length, 6, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayReproducible` method has an arity of 8', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayReproducible.length, 8, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainReproducible` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.mainReproducible( x.length, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.mainReproducible( 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayReproducible` method computes the dot product of `x` and `y`', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = sdsdot.ndarrayReproducible( x.length, 10.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayReproducible( 4, 0.0, x, 2, 0, y, -2, 6 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayReproducible( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainReproducible` and `ndarrayReproducible` methods return the scalar constant', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	dot = sdsdot.mainReproducible( 0, 3.0, x, 1, y, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayReproducible( -1, 3.0, x, 1, 0, y, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainReproducible` and `ndarrayReproducible` methods return results which do not depend on the order of summation', function test( t ) {
+	var dot;
+	var x;
+	var y;
+
+	// The products are [ 2^60, 1, -2^60, 1 ]:
+	x = new Float32Array( [ 1073741824.0, 1.0, -1073741824.0, 1.0 ] );
+	y = new Float32Array( [ 1073741824.0, 1.0, 1073741824.0, 1.0 ] );
+
+	dot = sdsdot.mainReproducible( 4, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 2.0, 'returns expected value' );
+
+	dot = sdsdot.mainReproducible( 4, 0.0, x, -1, y, -1 );
+	t.strictEqual( dot, 2.0, 'returns expected value' );
+
+	dot = sdsdot.ndarrayReproducible( 4, 0.0, x, -1, 3, y, -1, 3 );
+	t.strictEqual( dot, 2.0, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,184 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var resolve = require( 'path' ).resolve;
+var readWASM = require( '@stdlib/fs-read-wasm' ).sync;
+var discreteUniform = require( '@stdlib/random-base-discrete-uniform' );
+var Float32Array = require( '@stdlib/array-float32' );
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+var hasSIMDSupport = require( './../lib/has_simd_support.js' );
+
+
+// VARIABLES //
+
+var SCALAR = readWASM( resolve( __dirname, '..', 'src', 'main.wasm' ) );
+var SIMD = readWASM( resolve( __dirname, '..', 'src', 'main.simd.wasm' ) );
+var opts = {
+	'skip': !hasSIMDSupport()
+};
+
+
+// FUNCTIONS //
+
+/**
+* Instantiates a WebAssembly binary using a provided memory instance.
+*
+* @private
+* @param {Uint8Array} binary - WebAssembly binary
+* @param {WebAssembly.Memory} memory - memory instance
+* @returns {Object} module exports
+*/
+function instantiate( binary, memory ) {
+	var mod = new WebAssembly.Module( binary );
+	return new WebAssembly.Instance( mod, {
+		'env': {
+			'memory': memory
+		}
+	}).exports;
+}
+
+/**
+* Fills a `Float32Array` with small random integers (so that every partial sum is exactly representable and results do not depend on summation order).
+*
+* @private
+* @param {Float32Array} x - output array
+* @returns {Float32Array} output array
+*/
+function fill( x ) {
+	var i;
+	for ( i = 0; i < x.length; i++ ) {
+		x[ i ] = discreteUniform( -10, 10 );
+	}
+	return x;
+}
+
+
+// TESTS //
+
+tape( 'the SIMD128 binary is a valid WebAssembly binary', opts, function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( WebAssembly.validate( SIMD ), true, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the SIMD128 binary exports the same functions as the scalar binary', opts, function test( t ) {
+	var expected;
+	var actual;
+	var mem;
+
+	mem = new WebAssembly.Memory({
+		'initial': 1
+	});
+	expected = Object.keys( instantiate( SCALAR, mem ) ).sort();
+	actual = Object.keys( instantiate( SIMD, mem ) ).sort();
+	t.deepEqual( actual, expected, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the SIMD128 binary computes the same dot products as the scalar binary (unit strides)', opts, function test( t ) {
+	var scalar;
+	var simd;
+	var mem;
+	var N;
+	var o;
+
+	mem = new WebAssembly.Memory({
+		'initial': 1
+	});
+	fill( new Float32Array( mem.buffer, 0, 128 ) );
+
+	scalar = instantiate( SCALAR, mem );
+	simd = instantiate( SIMD, mem );
+
+	for ( N = 0; N < 40; N++ ) {
+		for ( o = 0; o < 5; o++ ) {
+			t.strictEqual( simd.c_sdsdot_double_ndarray( N, 1.5, 0, 1, o, 256, 1, o+1 ), scalar.c_sdsdot_double_ndarray( N, 1.5, 0, 1, o, 256, 1, o+1 ), 'returns expected value (N='+N+', offset='+o+')' );
+			t.strictEqual( simd.c_sdsdot_ndarray( N, 1.5, 0, 1, o, 256, 1, o ), scalar.c_sdsdot_ndarray( N, 1.5, 0, 1, o, 256, 1, o ), 'returns expected value (N='+N+', offset='+o+')' );
+		}
+	}
+	t.end();
+});
+
+tape( 'the SIMD128 binary computes the same dot products as the scalar binary (non-unit strides)', opts, function test( t ) {
+	var scalar;
+	var simd;
+	var mem;
+	var N;
+
+	mem = new WebAssembly.Memory({
+		'initial': 1
+	});
+	fill( new Float32Array( mem.buffer, 0, 128 ) );
+
+	scalar = instantiate( SCALAR, mem );
+	simd = instantiate( SIMD, mem );
+
+	for ( N = 0; N < 20; N++ ) {
+		t.strictEqual( simd.c_sdsdot_double_ndarray( N, 0.0, 0, 2, 0, 256, -1, N ), scalar.c_sdsdot_double_ndarray( N, 0.0, 0, 2, 0, 256, -1, N ), 'returns expected value (N='+N+')' );
+		t.strictEqual( simd.c_sdsdot( N, 0.0, 0, 1, 256, 3 ), scalar.c_sdsdot( N, 0.0, 0, 1, 256, 3 ), 'returns expected value (N='+N+')' );
+	}
+	t.end();
+});
+
+tape( 'the SIMD128 binary propagates `NaN` values', opts, function test( t ) {
+	var simd;
+	var mem;
+	var x;
+
+	mem = new WebAssembly.Memory({
+		'initial': 1
+	});
+	x = new Float32Array( mem.buffer, 0, 16 );
+	x[ 5 ] = NaN;
+	simd = instantiate( SIMD, mem );
+
+	t.strictEqual( isnan( simd.c_sdsdot_double_ndarray( 8, 0.0, 0, 1, 0, 0, 1, 0 ) ), true, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the SIMD128 binary computes bit-identical reproducible dot products to the scalar binary', opts, function test( t ) {
+	var scalar;
+	var simd;
+	var mem;
+	var x;
+	var N;
+	var i;
+
+	mem = new WebAssembly.Memory({
+		'initial': 1
+	});
+	x = new Float32Array( mem.buffer, 0, 256 );
+	for ( i = 0; i < x.length; i++ ) {
+		x[ i ] = ( discreteUniform( -1000, 1000 ) / 7.0 ) * ( 1 << discreteUniform( 0, 20 ) ); // eslint-disable-line max-len
+	}
+	scalar = instantiate( SCALAR, mem );
+	simd = instantiate( SIMD, mem );
+
+	for ( N = 0; N < 100; N++ ) {
+		t.strictEqual( simd.c_sdsdot_reproducible_ndarray( N, 0.5, 0, 1, 0, 512, 1, 0 ), scalar.c_sdsdot_reproducible_ndarray( N, 0.5, 0, 1, 0, 512, 1, 0 ), 'returns expected value (N='+N+')' );
+		t.strictEqual( simd.c_sdsdot_reproducible_ndarray( N, 0.5, 0, 1, 0, 512, 1, 0 ), scalar.c_sdsdot_reproducible_ndarray( N, 0.5, 0, -1, N-1, 512, -1, N-1 ), 'returns expected value (N='+N+')' );
+	}
+	t.end();
+});
@@ -0,0 +1,186 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Int32Array = require( '@stdlib/array-int32' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainSparse` method has an arity of 7', function test( t ) {
+	t.strictEqual( sdsdot.mainSparse.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarraySparse` method has an arity of 10', function test( t ) {
+	t.strictEqual( sdsdot.ndarraySparse.length, 10, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainSparse` method computes the dot product of a sparse vector `x` and a dense vector `y`', function test( t ) {
+	var idx;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	idx = new Int32Array( [ 0, 2, 4 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+
+	dot = sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	dot = sdsdot.mainSparse( x.length, 1.0, x, -1, idx, 1, y );
+	t.strictEqual( dot, 15.0, 'returns expected value' );
+
+	dot = sdsdot.mainSparse( 2, 0.0, x, 2, idx, -1, y );
+	t.strictEqual( dot, 6.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarraySparse` method computes the dot product of a sparse vector `x` and a dense vector `y`', function test( t ) {
+	var idx;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	idx = new Int32Array( [ 0, 2, 4 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] );
+
+	dot = sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y, 0 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	dot = sdsdot.ndarraySparse( 2, 0.0, x, 1, 1, idx, -1, 1, y, 1 );
+	t.strictEqual( dot, 14.0, 'returns expected value' );
+
+	// Negative indices relative to the `y` offset:
+	idx = new Int32Array( [ -2, 0, 2 ] );
+	dot = sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y, 2 );
+	t.strictEqual( dot, 22.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainSparse` method supports repeated indices', function test( t ) {
+	var idx;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	idx = new Int32Array( [ 1, 1, 1 ] );
+	y = new Float32Array( [ 1.0, 2.0 ] );
+
+	dot = sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y );
+	t.strictEqual( dot, 12.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainSparse` method accumulates in double-precision', function test( t ) {
+	var idx;
+	var dot;
+	var x;
+	var y;
+
+	// The partial sum `2^24 + 1` is not representable in single-precision:
+	x = new Float32Array( [ 16777216.0, 1.0, -16777216.0 ] );
+	idx = new Int32Array( [ 0, 0, 0 ] );
+	y = new Float32Array( [ 1.0 ] );
+
+	dot = sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainSparse` and `ndarraySparse` methods return the scalar constant', function test( t ) {
+	var idx;
+	var dot;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	idx = new Int32Array( [ 0, 1, 2 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	dot = sdsdot.mainSparse( 0, 3.0, x, 1, idx, 1, y );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarraySparse( -1, 3.0, x, 1, 0, idx, 1, 0, y, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainSparse` and `ndarraySparse` methods throw an error if an index does not resolve to an element of `y`', function test( t ) {
+	var values;
+	var x;
+	var y;
+	var i;
+
+	x = new Float32Array( [ 1.0, 2.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+
+	values = [
+		new Int32Array( [ 0, 5 ] ),
+		new Int32Array( [ 0, 3 ] ),
+		new Int32Array( [ -1, 0 ] ),
+		new Int32Array( [ 0, -1000000000 ] )
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( main( values[ i ] ), RangeError, 'throws an error when provided '+values[ i ] );
+		t.throws( ndarray( values[ i ], 0 ), RangeError, 'throws an error when provided '+values[ i ] );
+	}
+
+	// Indices are resolved relative to `offsetY`:
+	t.throws( ndarray( new Int32Array( [ 0, 1 ] ), 2 ), RangeError, 'throws an error' );
+	t.throws( ndarray( new Int32Array( [ -2, 0 ] ), 1 ), RangeError, 'throws an error' );
+	t.strictEqual( sdsdot.ndarraySparse( 2, 0.0, x, 1, 0, new Int32Array( [ -1, 1 ] ), 1, 0, y, 1 ), 7.0, 'returns expected value' ); // eslint-disable-line max-len
+
+	// Only indexed elements of `idx` are validated:
+	t.strictEqual( sdsdot.ndarraySparse( 2, 0.0, x, 1, 0, new Int32Array( [ 99, 0, 99, 2 ] ), 2, 1, y, 0 ), 7.0, 'returns expected value' ); // eslint-disable-line max-len
+
+	t.end();
+
+	function main( idx ) {
+		return function main() {
+			sdsdot.mainSparse( x.length, 0.0, x, 1, idx, 1, y );
+		};
+	}
+
+	function ndarray( idx, offsetY ) {
+		return function ndarray() {
+			sdsdot.ndarraySparse( x.length, 0.0, x, 1, 0, idx, 1, 0, y, offsetY );
+		};
+	}
+});
@@ -0,0 +1,192 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Int32Array = require( '@stdlib/array-int32' );
+var Float32ArrayLE = require( '@stdlib/array-little-endian-float32' );
+var Routine = require( './../lib/routine.js' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainSparseSparse` method has an arity of 9', function test( t ) {
+	t.strictEqual( sdsdot.mainSparseSparse.length, 9, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarraySparseSparse` method has an arity of 11', function test( t ) {
+	t.strictEqual( sdsdot.ndarraySparseSparse.length, 11, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainSparseSparse` method computes the dot product of two sparse vectors', function test( t ) {
+	var dot;
+	var ix;
+	var iy;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	ix = new Int32Array( [ 0, 3, 7 ] );
+	y = new Float32Array( [ 4.0, 5.0, 6.0 ] );
+	iy = new Int32Array( [ 3, 5, 7 ] );
+
+	dot = sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy, 1 );
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	dot = sdsdot.mainSparseSparse( x.length, y.length, 1.0, x, ix, 1, y, iy, 1 );
+	t.strictEqual( dot, 27.0, 'returns expected value' );
+
+	// Indices are sorted with respect to the order in which elements are indexed:
+	x = new Float32Array( [ 3.0, 2.0, 1.0 ] );
+	ix = new Int32Array( [ 7, 3, 0 ] );
+	dot = sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, -1, y, iy, 1 );
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	// No common indices:
+	x = new Float32Array( [ 1.0, 2.0 ] );
+	ix = new Int32Array( [ 0, 2 ] );
+	dot = sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy, 1 );
+	t.strictEqual( dot, 0.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarraySparseSparse` method computes the dot product of two sparse vectors', function test( t ) {
+	var dot;
+	var ix;
+	var iy;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	ix = new Int32Array( [ 0, 3, 7 ] );
+	y = new Float32Array( [ 4.0, 5.0, 6.0 ] );
+	iy = new Int32Array( [ 3, 5, 7 ] );
+
+	dot = sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, ix, 1, 0, y, iy, 1, 0 ); // eslint-disable-line max-len
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	dot = sdsdot.ndarraySparseSparse( 2, 3, 0.0, x, ix, 1, 1, y, iy, 1, 0 );
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	dot = sdsdot.ndarraySparseSparse( 2, 2, 0.0, x, ix, 2, 0, y, iy, 1, 1 );
+	t.strictEqual( dot, 18.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarraySparseSparse` method supports value and index arrays which do not both reside in module memory', function test( t ) {
+	var dot;
+	var ix;
+	var iy;
+	var x;
+	var y;
+	var r;
+
+	r = new Routine();
+	r.initializeSync();
+	r.realloc( 65536 );
+
+	x = new Float32ArrayLE( r.memory.buffer, 60000, 6 );
+	x.set( [ 9.0, 1.0, 9.0, 2.0, 9.0, 3.0 ] );
+	ix = new Int32Array( [ -1, 0, -1, 3, -1, 7 ] );
+	y = new Float32Array( [ 6.0, 5.0, 4.0 ] );
+	iy = new Int32Array( r.memory.buffer, 61000, 3 );
+	iy.set( [ 7, 5, 3 ] );
+
+	dot = r.ndarraySparseSparse( 3, 3, 0.0, x, ix, 2, 1, y, iy, -1, 2 );
+	t.strictEqual( dot, 26.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainSparseSparse` method accumulates in double-precision', function test( t ) {
+	var dot;
+	var ix;
+	var x;
+	var y;
+
+	// The partial sum `2^24 + 1` is not representable in single-precision:
+	x = new Float32Array( [ 16777216.0, 1.0, -16777216.0 ] );
+	ix = new Int32Array( [ 1, 2, 3 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0 ] );
+
+	dot = sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, ix, 1 );
+	t.strictEqual( dot, 1.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainSparseSparse` and `ndarraySparseSparse` methods throw a range error identifying the position of the first out-of-order index', function test( t ) {
+	var ix;
+	var iy;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	ix = new Int32Array( [ 0, 7, 3 ] );
+	y = new Float32Array( [ 4.0, 5.0, 6.0 ] );
+	iy = new Int32Array( [ 3, 5, 7 ] );
+
+	t.throws( badX, /Indices of `x` must be sorted in strictly increasing order\. Out-of-order index at position: `2`\./, 'throws an error' );
+	t.throws( badY, /Indices of `y` must be sorted in strictly increasing order\. Out-of-order index at position: `1`\./, 'throws an error' );
+	t.throws( duplicate, RangeError, 'throws an error' );
+	t.end();
+
+	function badX() {
+		sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, ix, 1, y, iy, 1 );
+	}
+
+	function badY() {
+		sdsdot.ndarraySparseSparse( x.length, y.length, 0.0, x, iy, 1, 0, y, iy, -1, 2 ); // eslint-disable-line max-len
+	}
+
+	function duplicate() {
+		sdsdot.mainSparseSparse( x.length, y.length, 0.0, x, new Int32Array( [ 1, 1, 2 ] ), 1, y, iy, 1 ); // eslint-disable-line max-len
+	}
+});
+
+tape( 'if provided an `NX` or `NY` parameter less than or equal to `0`, the `mainSparseSparse` and `ndarraySparseSparse` methods return the scalar constant', function test( t ) {
+	var dot;
+	var ix;
+	var x;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	ix = new Int32Array( [ 0, 1, 2 ] );
+
+	dot = sdsdot.mainSparseSparse( 0, 3, 3.0, x, ix, 1, x, ix, 1 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	dot = sdsdot.ndarraySparseSparse( 3, -1, 3.0, x, ix, 1, 0, x, ix, 1, 0 );
+	t.strictEqual( dot, 3.0, 'returns expected value' );
+
+	t.end();
+});
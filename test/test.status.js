@@ -0,0 +1,217 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var sdsdot = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export is an object', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof sdsdot, 'object', 'main export is an object' );
+	t.end();
+});
+
+tape( 'the `mainStatus` method has an arity of 7', function test( t ) {
+	t.strictEqual( sdsdot.mainStatus.length, 7, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `ndarrayStatus` method has an arity of 10', function test( t ) {
+	t.strictEqual( sdsdot.ndarrayStatus.length, 10, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the `mainStatus` method computes the dot product of `x` and `y` and returns a status of `0` if the result is exact', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+	out = new Float32Array( 1 );
+
+	status = sdsdot.mainStatus( x.length, 10.0, x, 1, y, 1, out );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.strictEqual( out[ 0 ], -7.0, 'returns expected value' );
+
+	status = sdsdot.mainStatus( 4, 0.0, x, 2, y, -2, out );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.strictEqual( out[ 0 ], -25.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainStatus` method returns an inexact status if rounding to single-precision loses digits', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 16777216.0, 1.0 ] );
+	y = new Float32Array( [ 1.0, 1.0 ] );
+	out = new Float32Array( 1 );
+
+	status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+	t.strictEqual( status, 4, 'returns expected value' );
+	t.strictEqual( out[ 0 ], 16777216.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainStatus` method returns an overflow status if a finite accumulator is rounded to infinity', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 3.4028234663852886e+38, 3.4028234663852886e+38 ] );
+	y = new Float32Array( [ 1.0, 1.0 ] );
+	out = new Float32Array( 1 );
+
+	status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+	t.strictEqual( status, 1|4, 'returns expected value' );
+	t.strictEqual( out[ 0 ], Infinity, 'returns expected value' );
+
+	// An infinite accumulator does not overflow:
+	x = new Float32Array( [ Infinity, 1.0 ] );
+
+	status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.strictEqual( out[ 0 ], Infinity, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainStatus` method returns an underflow status if a non-zero accumulator is flushed to zero or to a subnormal number', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0e-30 ] );
+	y = new Float32Array( [ 1.0e-30 ] );
+	out = new Float32Array( 1 );
+
+	status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+	t.strictEqual( status, 2|4, 'returns expected value' );
+	t.strictEqual( out[ 0 ], 0.0, 'returns expected value' );
+
+	// 2^-70 * 2^-70 = 2^-140 is exactly representable as a subnormal number:
+	x = new Float32Array( [ 8.470329472543003e-22 ] );
+	y = new Float32Array( [ 8.470329472543003e-22 ] );
+
+	status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+	t.strictEqual( status, 2, 'returns expected value' );
+	t.strictEqual( out[ 0 ], 7.174648137343064e-43, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `mainStatus` method returns a status of `0` if the accumulator is `NaN`', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ NaN, 1.0 ] );
+	y = new Float32Array( [ 1.0, 1.0 ] );
+	out = new Float32Array( 1 );
+
+	status = sdsdot.mainStatus( x.length, 0.0, x, 1, y, 1, out );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.strictEqual( out[ 0 ] !== out[ 0 ], true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayStatus` method computes the dot product of `x` and `y` and returns status flags', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y = new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+	out = new Float32Array( 3 );
+
+	status = sdsdot.ndarrayStatus( x.length, 10.0, x, 1, 0, y, 1, 0, out, 0 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ -7.0, 0.0, 0.0 ] ), 'returns expected value' );
+
+	status = sdsdot.ndarrayStatus( 4, 0.0, x, 2, 0, y, -2, 6, out, 1 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ -7.0, -25.0, 0.0 ] ), 'returns expected value' );
+
+	x = new Float32Array( [ 0.0, 16777216.0, 1.0 ] );
+	y = new Float32Array( [ 1.0, 1.0 ] );
+
+	status = sdsdot.ndarrayStatus( 2, 0.0, x, 1, 1, y, 1, 0, out, 2 );
+	t.strictEqual( status, 4, 'returns expected value' );
+	t.deepEqual( out, new Float32Array( [ -7.0, -25.0, 16777216.0 ] ), 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the `ndarrayStatus` method supports an output array which is a view over module memory', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 16777216.0, 1.0 ] );
+	y = new Float32Array( [ 1.0, 1.0 ] );
+
+	// Ensure that module memory is large enough to hold copied input data without needing to grow (and thus detach the output array view):
+	sdsdot.realloc( 65536 );
+	out = new Float32Array( sdsdot.memory.buffer, sdsdot.memory.buffer.byteLength-16, 4 ); // eslint-disable-line max-len
+
+	status = sdsdot.ndarrayStatus( x.length, 0.0, x, 1, 0, y, 1, 0, out, 2 );
+	t.strictEqual( status, 4, 'returns expected value' );
+	t.strictEqual( out[ 2 ], 16777216.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'if provided an `N` parameter less than or equal to `0`, the `mainStatus` and `ndarrayStatus` methods write the scalar constant', function test( t ) {
+	var status;
+	var out;
+	var x;
+	var y;
+
+	x = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	y = new Float32Array( [ 1.0, 2.0, 3.0 ] );
+	out = new Float32Array( 1 );
+
+	status = sdsdot.mainStatus( 0, 3.0, x, 1, y, 1, out );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.strictEqual( out[ 0 ], 3.0, 'returns expected value' );
+
+	status = sdsdot.ndarrayStatus( -1, 4.0, x, 1, 0, y, 1, 0, out, 0 );
+	t.strictEqual( status, 0, 'returns expected value' );
+	t.strictEqual( out[ 0 ], 4.0, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,193 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable n/no-sync */
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float32Array = require( '@stdlib/array-float32' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Float32ArrayLE = require( '@stdlib/array-little-endian-float32' );
+var Routine = require( './../lib/routine.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns an initialized routine instance having at least one page of memory.
+*
+* @private
+* @returns {Routine} routine instance
+*/
+function setup() {
+	var r = new Routine();
+	r.initializeSync();
+	r.realloc( 65536 );
+	return r;
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof Routine, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'routine methods support views over module memory', function test( t ) {
+	var dot;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	x = new Float32Array( r.memory.buffer, 0, 8 );
+	y = new Float32Array( r.memory.buffer, 64, 8 );
+	x.set( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] );
+	y.set( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] );
+
+	dot = r.main( 8, 10.0, x, 1, y, 1 );
+	t.strictEqual( dot, -7.0, 'returns expected value' );
+
+	dot = r.main( 4, 0.0, x, 2, y, -2 );
+	t.strictEqual( dot, -25.0, 'returns expected value' );
+
+	dot = r.ndarray( 3, 0.0, x, 1, 1, y, 2, 1 );
+	t.strictEqual( dot, 64.0, 'returns expected value' );
+
+	t.deepEqual( x, new Float32Array( [ 4.0, 2.0, -3.0, 5.0, -1.0, 2.0, -5.0, 6.0 ] ), 'does not mutate input array' ); // eslint-disable-line max-len
+	t.deepEqual( y, new Float32Array( [ 2.0, 6.0, -1.0, -4.0, 8.0, 8.0, 2.0, -3.0 ] ), 'does not mutate input array' ); // eslint-disable-line max-len
+	t.end();
+});
+
+tape( 'routine methods support little-endian views over module memory', function test( t ) {
+	var dot;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	x = new Float32ArrayLE( r.memory.buffer, 16, 4 );
+	y = new Float32ArrayLE( r.memory.buffer, 32, 4 );
+	x.set( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y.set( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	dot = r.main( 4, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 10.0, 'returns expected value' );
+
+	dot = r.ndarray( 2, 1.0, x, 2, 1, y, 1, 0 );
+	t.strictEqual( dot, 7.0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'routine methods do not copy views over module memory', function test( t ) {
+	var buf;
+	var dot;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	buf = r.memory.buffer;
+	x = new Float32Array( buf, buf.byteLength-32, 4 );
+	y = new Float32Array( buf, buf.byteLength-16, 4 );
+	x.set( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y.set( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	// As both arrays are views occupying the end of module memory, copying either array would require growing module memory:
+	dot = r.main( 4, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 10.0, 'returns expected value' );
+	t.strictEqual( r.memory.buffer, buf, 'does not reallocate memory' );
+
+	t.end();
+});
+
+tape( 'routine methods do not overwrite views over module memory when copying other arrays to module memory', function test( t ) {
+	var dot;
+	var out;
+	var r;
+	var x;
+	var y;
+
+	r = setup();
+	x = new Float32Array( r.memory.buffer, 0, 4 );
+	x.set( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	dot = r.main( 4, 0.0, x, 1, y, 1 );
+	t.strictEqual( dot, 10.0, 'returns expected value' );
+
+	dot = r.main( 4, 0.0, y, 1, x, 1 );
+	t.strictEqual( dot, 10.0, 'returns expected value' );
+
+	out = new Float64Array( 2 );
+	r.mainDoubleDouble( 4, 0.0, x, 1, y, 1, out, 1 );
+	t.deepEqual( out, new Float64Array( [ 10.0, 0.0 ] ), 'returns expected value' );
+
+	out = r.mainBatched( 4, new Float32Array( [ 0.0, 1.0 ] ), [ x, y ], 1, [ y, x ], 1, new Float32Array( 2 ) ); // eslint-disable-line max-len
+	t.deepEqual( out, new Float32Array( [ 10.0, 11.0 ] ), 'returns expected value' );
+
+	t.deepEqual( x, new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] ), 'does not mutate input array' ); // eslint-disable-line max-len
+	t.end();
+});
+
+tape( 'routine methods write results directly to output arrays which are views over module memory', function test( t ) {
+	var out;
+	var x;
+	var y;
+	var r;
+
+	r = setup();
+	out = new Float64Array( r.memory.buffer, 0, 4 );
+	x = new Float32Array( [ 1.0, 2.0, 3.0, 4.0 ] );
+	y = new Float32Array( [ 1.0, 1.0, 1.0, 1.0 ] );
+
+	r.ndarrayDoubleDouble( 4, 0.0, x, 1, 0, y, 1, 0, out, 2, 1 );
+	t.deepEqual( out, new Float64Array( [ 0.0, 10.0, 0.0, 0.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+	t.end();
+});
+
+tape( 'routine methods do not overwrite output arrays which are views over module memory when computing batched dot products', function test( t ) {
+	var scalars;
+	var out;
+	var X;
+	var Y;
+	var r;
+	var i;
+
+	r = setup();
+	X = [];
+	Y = [];
+	for ( i = 0; i < 4; i++ ) {
+		X.push( new Float32Array( [ i, 2*i, 3*i ] ) );
+		Y.push( new Float32Array( [ 1.0, 1.0, 1.0 ] ) );
+	}
+	scalars = new Float32Array( 4 );
+
+	// Place the output array within the memory region which would otherwise be used for copying the input arrays, scalar constants, and results:
+	out = new Float32Array( r.memory.buffer, 116, 4 );
+
+	r.ndarrayBatched( 3, scalars, X, 1, 0, Y, 1, 0, out );
+	t.deepEqual( out, new Float32Array( [ 0.0, 6.0, 12.0, 18.0 ] ), 'returns expected value' ); // eslint-disable-line max-len
+	t.end();
+});